@@ -0,0 +1,140 @@
+import React from 'react'
+
+type Series = {
+  label: string
+  color: string
+  points: Array<{ date: string; value: number }>
+}
+
+type LineChartProps = {
+  series: Series[]
+  height?: number
+  formatValue?: (value: number) => string
+}
+
+const WIDTH = 600
+const PADDING = { top: 12, right: 12, bottom: 24, left: 40 }
+
+function shortDate(date: string) {
+  const [, month, day] = date.split('-')
+  return `${Number(month)}/${Number(day)}`
+}
+
+/**
+ * Minimal SVG line chart for daily series. All series are expected to share
+ * the same dates (the stats API fills missing days with zeros).
+ */
+export function LineChart({ series, height = 200, formatValue = (v) => String(v) }: LineChartProps) {
+  const [hoverIndex, setHoverIndex] = React.useState<number | null>(null)
+  const dates = series[0]?.points.map((p) => p.date) || []
+
+  if (dates.length === 0) {
+    return <div className="chart-empty">No data for this range</div>
+  }
+
+  const maxValue = Math.max(1, ...series.flatMap((s) => s.points.map((p) => p.value)))
+  const innerWidth = WIDTH - PADDING.left - PADDING.right
+  const innerHeight = height - PADDING.top - PADDING.bottom
+  const x = (i: number) => PADDING.left + (dates.length === 1 ? innerWidth / 2 : (i / (dates.length - 1)) * innerWidth)
+  const y = (value: number) => PADDING.top + innerHeight - (value / maxValue) * innerHeight
+  const labelEvery = Math.max(1, Math.ceil(dates.length / 6))
+
+  function onMouseMove(e: React.MouseEvent<SVGSVGElement>) {
+    const rect = e.currentTarget.getBoundingClientRect()
+    const relative = ((e.clientX - rect.left) / rect.width) * WIDTH - PADDING.left
+    const index = Math.round((relative / innerWidth) * (dates.length - 1))
+    setHoverIndex(Math.min(Math.max(index, 0), dates.length - 1))
+  }
+
+  return (
+    <div className="chart">
+      <svg
+        viewBox={`0 0 ${WIDTH} ${height}`}
+        width="100%"
+        onMouseMove={onMouseMove}
+        onMouseLeave={() => setHoverIndex(null)}
+      >
+        {[0, 0.5, 1].map((fraction) => (
+          <g key={fraction}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={y(maxValue * fraction)}
+              y2={y(maxValue * fraction)}
+              className="chart-grid"
+            />
+            <text x={PADDING.left - 6} y={y(maxValue * fraction) + 4} textAnchor="end" className="chart-axis">
+              {formatValue(Math.round(maxValue * fraction * 10) / 10)}
+            </text>
+          </g>
+        ))}
+        {dates.map((date, i) =>
+          i % labelEvery === 0 ? (
+            <text key={date} x={x(i)} y={height - 6} textAnchor="middle" className="chart-axis">
+              {shortDate(date)}
+            </text>
+          ) : null
+        )}
+        {series.map((s) => (
+          <polyline
+            key={s.label}
+            fill="none"
+            stroke={s.color}
+            strokeWidth={2}
+            points={s.points.map((p, i) => `${x(i)},${y(p.value)}`).join(' ')}
+          />
+        ))}
+        {hoverIndex !== null ? (
+          <line
+            x1={x(hoverIndex)}
+            x2={x(hoverIndex)}
+            y1={PADDING.top}
+            y2={PADDING.top + innerHeight}
+            className="chart-cursor"
+          />
+        ) : null}
+      </svg>
+      <div className="chart-legend">
+        {hoverIndex !== null ? <span className="metric-sub">{dates[hoverIndex]}</span> : null}
+        {series.map((s) => (
+          <span key={s.label} className="chart-legend-item">
+            <span className="chart-swatch" style={{ background: s.color }} />
+            {s.label}
+            {hoverIndex !== null ? `: ${formatValue(s.points[hoverIndex]?.value ?? 0)}` : ''}
+          </span>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+type BarChartProps = {
+  items: Array<{ label: string; value: number }>
+  color?: string
+  formatValue?: (value: number) => string
+}
+
+/**
+ * Horizontal bar chart for categorical counts
+ */
+export function BarChart({ items, color = 'var(--accent)', formatValue = (v) => String(v) }: BarChartProps) {
+  if (items.length === 0) {
+    return <div className="chart-empty">No data for this range</div>
+  }
+
+  const maxValue = Math.max(1, ...items.map((item) => item.value))
+
+  return (
+    <div className="bar-chart">
+      {items.map((item) => (
+        <div key={item.label} className="bar-row">
+          <span className="bar-label" title={item.label}>{item.label}</span>
+          <div className="bar-track">
+            <div className="bar-fill" style={{ width: `${(item.value / maxValue) * 100}%`, background: color }} />
+          </div>
+          <span className="bar-value">{formatValue(item.value)}</span>
+        </div>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,46 @@
+import { useDispatch, useSelector } from 'react-redux'
+import type { AppDispatch, RootState } from '../store/store'
+import { lastNDays, setDateRange } from '../store/slices/adminSlice'
+
+const PRESETS = [7, 30, 90]
+
+/**
+ * Preset and custom date range selector bound to adminSlice.dateRange
+ */
+export function DateRangePicker() {
+  const dispatch = useDispatch<AppDispatch>()
+  const dateRange = useSelector((state: RootState) => state.admin.dateRange)
+
+  return (
+    <div className="date-range">
+      {PRESETS.map((days) => {
+        const preset = lastNDays(days)
+        const isActive = preset.from === dateRange.from && preset.to === dateRange.to
+        return (
+          <button
+            key={days}
+            className={`btn btn-sm${isActive ? '' : ' btn-outline'}`}
+            onClick={() => dispatch(setDateRange(preset))}
+          >
+            {days}d
+          </button>
+        )
+      })}
+      <input
+        type="date"
+        className="input input-sm"
+        value={dateRange.from}
+        max={dateRange.to}
+        onChange={(e) => e.target.value && dispatch(setDateRange({ ...dateRange, from: e.target.value }))}
+      />
+      <span className="metric-sub">to</span>
+      <input
+        type="date"
+        className="input input-sm"
+        value={dateRange.to}
+        min={dateRange.from}
+        onChange={(e) => e.target.value && dispatch(setDateRange({ ...dateRange, to: e.target.value }))}
+      />
+    </div>
+  )
+}
@@ -1,5 +1,88 @@
-export function AnalyticsPage() {
-  return <div>Analytics</div>
+import React from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { Card } from '../components/Card'
+import { BarChart, LineChart } from '../components/Charts'
+import { DateRangePicker } from '../components/DateRangePicker'
+import type { AppDispatch, RootState } from '../store/store'
+import { fetchAnalytics } from '../store/slices/adminSlice'
+
+function formatBytes(bytes: number) {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
 }
 
+export function AnalyticsPage() {
+  const dispatch = useDispatch<AppDispatch>()
+  const { analytics, dateRange, statsLoading, statsError } = useSelector((state: RootState) => state.admin)
+
+  React.useEffect(() => {
+    dispatch(fetchAnalytics())
+  }, [dateRange, dispatch])
 
+  return (
+    <div className="dashboard-grid">
+      <div className="page-toolbar">
+        <DateRangePicker />
+        {statsLoading ? <span className="metric-sub">Loading…</span> : null}
+      </div>
+
+      {statsError ? <div className="error-banner">{statsError}</div> : null}
+
+      {analytics ? (
+        <>
+          <div className="charts-grid">
+            <Card title={`Signups · ${analytics.signups.newUsers} new`}>
+              <LineChart series={[{ label: 'New users', color: 'var(--accent)', points: analytics.signups.daily }]} />
+            </Card>
+            <Card title={`Total users · ${analytics.signups.totalUsers}`}>
+              <LineChart series={[{ label: 'Total users', color: 'var(--accent)', points: analytics.signups.cumulative }]} />
+            </Card>
+            <Card title={`Active users · ${analytics.activity.activeUsers} in range`}>
+              <LineChart
+                series={[
+                  { label: 'DAU', color: 'var(--accent-2)', points: analytics.activity.dau },
+                  { label: 'WAU', color: 'var(--accent)', points: analytics.activity.wau },
+                ]}
+              />
+              <div className="metric-sub">Active = sent at least one chat message</div>
+            </Card>
+            <Card title={`RAG usage · ${analytics.ragUsage.ragShare}% of ${analytics.ragUsage.assistantMessages} replies`}>
+              <LineChart
+                series={[{
+                  label: 'Replies using health data',
+                  color: 'var(--accent-2)',
+                  points: analytics.ragUsage.daily.map((d) => ({ date: d.date, value: d.share })),
+                }]}
+                formatValue={(v) => `${v}%`}
+              />
+            </Card>
+            <Card title={`Uploads · ${analytics.uploads.totalUploads} (${formatBytes(analytics.uploads.totalBytes)})`}>
+              <LineChart
+                series={[
+                  { label: 'Uploads', color: 'var(--accent)', points: analytics.uploads.daily },
+                  { label: 'Parse failures', color: '#f87171', points: analytics.uploads.dailyFailures },
+                ]}
+              />
+              <div className="metric-sub">
+                {analytics.uploads.parseFailureRate}% failure rate · empty or low-confidence extractions
+              </div>
+            </Card>
+            <Card title="Uploads by file type">
+              <BarChart items={analytics.uploads.byFileType.map((t) => ({ label: t.fileType, value: t.count }))} />
+            </Card>
+          </div>
+
+          <Card
+            title={`Connected apps · ${analytics.connectedApps.totalConnections} connections from ${analytics.connectedApps.usersWithConnections} users`}
+          >
+            <BarChart
+              items={analytics.connectedApps.apps.map((app) => ({ label: app.appName, value: app.connections }))}
+              color="var(--accent-2)"
+              formatValue={(v) => v.toLocaleString()}
+            />
+          </Card>
+        </>
+      ) : null}
+    </div>
+  )
+}
@@ -1,60 +1,87 @@
+import React from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { useNavigate } from 'react-router-dom'
+import { Users, Activity, FileText, Sparkles, UserCog, LineChart as LineChartIcon } from 'lucide-react'
 import { Card } from '../components/Card'
-import { Users, FileText, Activity, DollarSign, UserCog, ClipboardCheck, BadgeCheck, LayoutGrid } from 'lucide-react'
+import { LineChart } from '../components/Charts'
+import { DateRangePicker } from '../components/DateRangePicker'
+import type { AppDispatch, RootState } from '../store/store'
+import { fetchOverview } from '../store/slices/adminSlice'
 
 export function DashboardPage() {
+  const dispatch = useDispatch<AppDispatch>()
+  const navigate = useNavigate()
+  const { stats, dateRange, statsLoading, statsError } = useSelector((state: RootState) => state.admin)
+
+  React.useEffect(() => {
+    dispatch(fetchOverview())
+  }, [dateRange, dispatch])
+
+  const value = (n: number | undefined, suffix = '') => (stats && n !== undefined ? `${n.toLocaleString()}${suffix}` : '—')
+
   return (
     <div className="dashboard-grid">
+      <div className="page-toolbar">
+        <DateRangePicker />
+        {statsLoading ? <span className="metric-sub">Loading…</span> : null}
+      </div>
+
+      {statsError ? <div className="error-banner">{statsError}</div> : null}
+
       <div className="metrics-grid">
         <Card title="Total Users">
           <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
             <Users size={22} style={{ opacity: 0.85 }} />
-            <div className="metric">30</div>
+            <div className="metric">{value(stats?.totalUsers)}</div>
           </div>
-          <div className="metric-sub">+12.3% vs last month</div>
+          <div className="metric-sub">{value(stats?.newUsers)} new in this range</div>
         </Card>
-        <Card title="Quotes">
+        <Card title="Active Users">
           <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
-            <FileText size={22} style={{ opacity: 0.85 }} />
-            <div className="metric">73</div>
+            <Activity size={22} style={{ opacity: 0.85 }} />
+            <div className="metric">{value(stats?.wau)}</div>
           </div>
-          <div className="metric-sub">74% accepted this month</div>
+          <div className="metric-sub">WAU · {value(stats?.dau)} active on the last day</div>
         </Card>
-        <Card title="Active Coaches">
+        <Card title="Uploads">
           <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
-            <Activity size={22} style={{ opacity: 0.85 }} />
-            <div className="metric">8</div>
+            <FileText size={22} style={{ opacity: 0.85 }} />
+            <div className="metric">{value(stats?.uploads)}</div>
           </div>
-          <div className="metric-sub">+23.1% vs last month</div>
+          <div className="metric-sub">{value(stats?.parseFailureRate, '%')} parse failures</div>
         </Card>
-        <Card title="Revenue">
+        <Card title="RAG Usage">
           <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
-            <DollarSign size={22} style={{ opacity: 0.85 }} />
-            <div className="metric">$48,392</div>
+            <Sparkles size={22} style={{ opacity: 0.85 }} />
+            <div className="metric">{value(stats?.ragShare, '%')}</div>
           </div>
-          <div className="metric-sub">+15.2% vs last month</div>
+          <div className="metric-sub">of replies used health data</div>
         </Card>
       </div>
 
       <div className="panels-grid">
-        <Card title="Recent Activity" footer={<button className="btn">View All Activity</button>}>
-          <ul className="activity-list">
-            <li>New quote created by John Smith · 2 minutes ago</li>
-            <li>New user registered: jane.doe@email.com · 15 minutes ago</li>
-            <li>Coach application approved: Mike Johnson · 1 hour ago</li>
-            <li>Invoice paid: Premium plan · 2 hours ago</li>
-          </ul>
+        <Card title="Signups & Daily Active Users">
+          <LineChart
+            series={[
+              { label: 'Signups', color: 'var(--accent)', points: stats?.signupsDaily || [] },
+              { label: 'DAU', color: 'var(--accent-2)', points: stats?.dauDaily || [] },
+            ]}
+          />
         </Card>
         <Card title="Quick Actions">
           <div className="quick-actions">
-            <button className="btn btn-outline"><UserCog size={16} style={{ marginRight: 8 }} /> Manage Users</button>
-            <button className="btn btn-outline"><ClipboardCheck size={16} style={{ marginRight: 8 }} /> Review Quotes</button>
-            <button className="btn btn-outline"><BadgeCheck size={16} style={{ marginRight: 8 }} /> Approve Coaches</button>
-            <button className="btn btn-outline"><LayoutGrid size={16} style={{ marginRight: 8 }} /> Manage Programs</button>
+            <button className="btn btn-outline" onClick={() => navigate('/users')}>
+              <UserCog size={16} style={{ marginRight: 8 }} /> Manage Users
+            </button>
+            <button className="btn btn-outline" onClick={() => navigate('/analytics')}>
+              <LineChartIcon size={16} style={{ marginRight: 8 }} /> View Analytics
+            </button>
+          </div>
+          <div className="metric-sub" style={{ marginTop: 12 }}>
+            {stats ? `${stats.connectedApps.toLocaleString()} active app connections${stats.topApp ? ` · most popular: ${stats.topApp}` : ''}` : null}
           </div>
         </Card>
       </div>
     </div>
   )
 }
-
-
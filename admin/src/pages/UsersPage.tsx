@@ -1,5 +1,175 @@
-export function UsersPage() {
-  return <div>Users</div>
+import React from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import toast from 'react-hot-toast'
+import { ChevronLeft, ChevronRight, Search, ShieldOff, ShieldCheck } from 'lucide-react'
+import { Card } from '../components/Card'
+import type { AppDispatch, RootState } from '../store/store'
+import { AdminUser, fetchUsers, setFilters, setPagination, updateUserAccess } from '../store/slices/adminSlice'
+
+const ROLE_OPTIONS = ['user', 'admin', 'super_admin']
+const STATUS_OPTIONS: AdminUser['status'][] = ['active', 'inactive', 'suspended']
+
+function formatDate(value: string | null) {
+  return value ? new Date(value).toLocaleDateString() : '—'
 }
 
+export function UsersPage() {
+  const dispatch = useDispatch<AppDispatch>()
+  const { users, isLoading, error, filters, pagination } = useSelector((state: RootState) => state.admin)
+  const [search, setSearch] = React.useState(filters.search)
+  const [pendingId, setPendingId] = React.useState<string | null>(null)
+
+  // Debounce the search box so typing doesn't fire a request per keystroke
+  React.useEffect(() => {
+    if (search === filters.search) return
+    const timer = setTimeout(() => {
+      dispatch(setFilters({ search }))
+      dispatch(setPagination({ page: 1 }))
+    }, 300)
+    return () => clearTimeout(timer)
+  }, [search, filters.search, dispatch])
+
+  React.useEffect(() => {
+    dispatch(fetchUsers())
+  }, [filters, pagination.page, pagination.limit, dispatch])
+
+  const totalPages = Math.max(Math.ceil(pagination.total / pagination.limit), 1)
 
+  function changeFilter(name: 'role' | 'status', value: string) {
+    dispatch(setFilters({ [name]: value }))
+    dispatch(setPagination({ page: 1 }))
+  }
+
+  async function changeAccess(user: AdminUser, changes: { role?: string; status?: AdminUser['status'] }) {
+    setPendingId(user.id)
+    const result = await dispatch(updateUserAccess({ id: user.id, ...changes }))
+    setPendingId(null)
+
+    if (updateUserAccess.fulfilled.match(result)) {
+      toast.success(`Updated ${user.email}`)
+    } else {
+      toast.error(result.payload || 'Failed to update user')
+    }
+  }
+
+  return (
+    <div className="dashboard-grid">
+      <Card title="Users">
+        <div className="filters-bar">
+          <div className="search-input">
+            <Search size={16} style={{ opacity: 0.7 }} />
+            <input
+              className="input"
+              placeholder="Search by name or email"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+            />
+          </div>
+          <select className="input" value={filters.role} onChange={(e) => changeFilter('role', e.target.value)}>
+            <option value="">All roles</option>
+            {ROLE_OPTIONS.map((role) => (
+              <option key={role} value={role}>{role}</option>
+            ))}
+          </select>
+          <select className="input" value={filters.status} onChange={(e) => changeFilter('status', e.target.value)}>
+            <option value="">All statuses</option>
+            {STATUS_OPTIONS.map((status) => (
+              <option key={status} value={status}>{status}</option>
+            ))}
+          </select>
+        </div>
+
+        {error ? <div className="error-banner">{error}</div> : null}
+
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Email</th>
+              <th>Role</th>
+              <th>Status</th>
+              <th>Last login</th>
+              <th>Joined</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {users.map((user) => (
+              <tr key={user.id}>
+                <td>{user.name || '—'}</td>
+                <td>{user.email}</td>
+                <td>
+                  <select
+                    className="input input-sm"
+                    value={user.role}
+                    disabled={pendingId === user.id}
+                    onChange={(e) => changeAccess(user, { role: e.target.value })}
+                  >
+                    {ROLE_OPTIONS.map((role) => (
+                      <option key={role} value={role}>{role}</option>
+                    ))}
+                  </select>
+                </td>
+                <td><span className={`badge badge-${user.status}`}>{user.status}</span></td>
+                <td>{formatDate(user.lastLogin)}</td>
+                <td>{formatDate(user.createdAt)}</td>
+                <td style={{ textAlign: 'right' }}>
+                  {user.status === 'suspended' ? (
+                    <button
+                      className="btn btn-outline btn-sm"
+                      disabled={pendingId === user.id}
+                      onClick={() => changeAccess(user, { status: 'active' })}
+                    >
+                      <ShieldCheck size={14} style={{ marginRight: 6 }} /> Reactivate
+                    </button>
+                  ) : (
+                    <button
+                      className="btn btn-outline btn-sm"
+                      disabled={pendingId === user.id}
+                      onClick={() => {
+                        if (window.confirm(`Suspend ${user.email}? They will not be able to log in until reactivated.`)) {
+                          changeAccess(user, { status: 'suspended' })
+                        }
+                      }}
+                    >
+                      <ShieldOff size={14} style={{ marginRight: 6 }} /> Suspend
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {!isLoading && users.length === 0 ? (
+              <tr>
+                <td colSpan={7} className="empty-row">No users match these filters</td>
+              </tr>
+            ) : null}
+          </tbody>
+        </table>
+
+        <div className="pagination">
+          <span className="metric-sub">
+            {isLoading ? 'Loading…' : `${pagination.total} users · page ${pagination.page} of ${totalPages}`}
+          </span>
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button
+              className="icon-btn"
+              aria-label="Previous page"
+              disabled={pagination.page <= 1 || isLoading}
+              onClick={() => dispatch(setPagination({ page: pagination.page - 1 }))}
+            >
+              <ChevronLeft size={16} />
+            </button>
+            <button
+              className="icon-btn"
+              aria-label="Next page"
+              disabled={pagination.page >= totalPages || isLoading}
+              onClick={() => dispatch(setPagination({ page: pagination.page + 1 }))}
+            >
+              <ChevronRight size={16} />
+            </button>
+          </div>
+        </div>
+      </Card>
+    </div>
+  )
+}
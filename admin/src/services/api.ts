@@ -0,0 +1,30 @@
+import axios from 'axios'
+
+// Backend base URL; defaults to the local dev server
+export const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api/v1'
+
+export const api = axios.create({
+  baseURL: API_URL,
+  withCredentials: true,
+})
+
+// Send the admin's Supabase access token with every request
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem('admin_token')
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`
+  }
+  return config
+})
+
+/**
+ * Pull a readable message out of an API error. The backend uses `message` for
+ * middleware errors and `error` for controller errors.
+ */
+export function getErrorMessage(error: unknown, fallback = 'Something went wrong'): string {
+  if (axios.isAxiosError(error)) {
+    const data = error.response?.data as { message?: string; error?: string } | undefined
+    return data?.message || data?.error || error.message || fallback
+  }
+  return error instanceof Error ? error.message : fallback
+}
@@ -1,25 +1,82 @@
-import { createSlice, PayloadAction } from '@reduxjs/toolkit'
+import { createAsyncThunk, createSlice, PayloadAction } from '@reduxjs/toolkit'
+import { api, getErrorMessage } from '../../services/api'
 
-interface AdminUser {
+export interface AdminUser {
   id: string
   email: string
   name: string
   role: string
   status: 'active' | 'inactive' | 'suspended'
-  lastLogin: string
+  lastLogin: string | null
   createdAt: string
 }
 
-interface AdminStats {
+export interface DailyPoint {
+  date: string
+  value: number
+}
+
+export interface AdminStats {
   totalUsers: number
+  newUsers: number
   activeUsers: number
-  totalRevenue: number
-  monthlyGrowth: number
+  dau: number
+  wau: number
+  userMessages: number
+  connectedApps: number
+  topApp: string | null
+  uploads: number
+  parseFailureRate: number
+  ragShare: number
+  signupsDaily: DailyPoint[]
+  dauDaily: DailyPoint[]
+}
+
+export interface AdminAnalytics {
+  signups: { totalUsers: number; newUsers: number; daily: DailyPoint[]; cumulative: DailyPoint[] }
+  activity: { activeUsers: number; currentDau: number; currentWau: number; userMessages: number; dau: DailyPoint[]; wau: DailyPoint[] }
+  connectedApps: {
+    totalConnections: number
+    usersWithConnections: number
+    apps: Array<{ appName: string; connections: number; newInRange: number }>
+  }
+  uploads: {
+    totalUploads: number
+    totalBytes: number
+    parseFailures: number
+    parseFailureRate: number
+    daily: DailyPoint[]
+    dailyFailures: DailyPoint[]
+    byFileType: Array<{ fileType: string; count: number }>
+  }
+  ragUsage: {
+    assistantMessages: number
+    ragMessages: number
+    ragShare: number
+    daily: Array<{ date: string; total: number; withRag: number; share: number }>
+  }
+}
+
+export interface DateRange {
+  from: string // YYYY-MM-DD, inclusive
+  to: string // YYYY-MM-DD, inclusive
+}
+
+// The backend buckets by UTC day, so ranges are built in UTC too
+export function lastNDays(days: number): DateRange {
+  const to = new Date()
+  const from = new Date(to.getTime() - (days - 1) * 24 * 60 * 60 * 1000)
+  const format = (date: Date) => date.toISOString().split('T')[0]
+  return { from: format(from), to: format(to) }
 }
 
 interface AdminState {
   users: AdminUser[]
   stats: AdminStats | null
+  analytics: AdminAnalytics | null
+  dateRange: DateRange
+  statsLoading: boolean
+  statsError: string | null
   selectedUser: AdminUser | null
   isLoading: boolean
   error: string | null
@@ -38,6 +95,10 @@ interface AdminState {
 const initialState: AdminState = {
   users: [],
   stats: null,
+  analytics: null,
+  dateRange: lastNDays(30),
+  statsLoading: false,
+  statsError: null,
   selectedUser: null,
   isLoading: false,
   error: null,
@@ -53,6 +114,94 @@ const initialState: AdminState = {
   },
 }
 
+type AdminThunkState = { admin: AdminState }
+
+/**
+ * Load the current page of users using the filters and pagination in state
+ */
+export const fetchUsers = createAsyncThunk<
+  { users: AdminUser[]; total: number },
+  void,
+  { state: AdminThunkState; rejectValue: string }
+>('admin/fetchUsers', async (_, { getState, rejectWithValue }) => {
+  const { filters, pagination } = getState().admin
+  try {
+    const { data } = await api.get('/users', {
+      params: {
+        page: pagination.page,
+        limit: pagination.limit,
+        search: filters.search || undefined,
+        role: filters.role || undefined,
+        status: filters.status || undefined,
+      },
+    })
+    return { users: data.users, total: data.pagination.total }
+  } catch (error) {
+    return rejectWithValue(getErrorMessage(error, 'Failed to load users'))
+  }
+})
+
+/**
+ * Change a user's role and/or status (suspend, reactivate, deactivate)
+ */
+export const updateUserAccess = createAsyncThunk<
+  AdminUser,
+  { id: string; role?: string; status?: AdminUser['status'] },
+  { rejectValue: string }
+>('admin/updateUserAccess', async ({ id, ...changes }, { rejectWithValue }) => {
+  try {
+    const { data } = await api.put(`/users/${id}`, changes)
+    return data.user
+  } catch (error) {
+    return rejectWithValue(getErrorMessage(error, 'Failed to update user'))
+  }
+})
+
+/**
+ * Headline stats for the dashboard over the selected date range
+ */
+export const fetchOverview = createAsyncThunk<
+  AdminStats,
+  void,
+  { state: AdminThunkState; rejectValue: string }
+>('admin/fetchOverview', async (_, { getState, rejectWithValue }) => {
+  try {
+    const { data } = await api.get('/admin/stats', { params: getState().admin.dateRange })
+    return { ...data.stats, signupsDaily: data.signupsDaily, dauDaily: data.dauDaily }
+  } catch (error) {
+    return rejectWithValue(getErrorMessage(error, 'Failed to load stats'))
+  }
+})
+
+/**
+ * Every analytics series for the selected date range
+ */
+export const fetchAnalytics = createAsyncThunk<
+  AdminAnalytics,
+  void,
+  { state: AdminThunkState; rejectValue: string }
+>('admin/fetchAnalytics', async (_, { getState, rejectWithValue }) => {
+  const params = getState().admin.dateRange
+  try {
+    const [signups, activity, connectedApps, uploads, ragUsage] = await Promise.all([
+      api.get('/admin/stats/signups', { params }),
+      api.get('/admin/stats/activity', { params }),
+      api.get('/admin/stats/connected-apps', { params }),
+      api.get('/admin/stats/uploads', { params }),
+      api.get('/admin/stats/rag-usage', { params }),
+    ])
+    return {
+      signups: signups.data,
+      activity: activity.data,
+      connectedApps: connectedApps.data,
+      uploads: uploads.data,
+      ragUsage: ragUsage.data,
+    }
+  } catch (error) {
+    return rejectWithValue(getErrorMessage(error, 'Failed to load analytics'))
+  }
+})
+
 export const adminSlice = createSlice({
   name: 'admin',
   initialState,
@@ -92,10 +241,62 @@ export const adminSlice = createSlice({
     setPagination: (state, action: PayloadAction<Partial<AdminState['pagination']>>) => {
       state.pagination = { ...state.pagination, ...action.payload }
     },
+    setDateRange: (state, action: PayloadAction<DateRange>) => {
+      state.dateRange = action.payload
+    },
     clearError: (state) => {
       state.error = null
     },
   },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchUsers.pending, (state) => {
+        state.isLoading = true
+        state.error = null
+      })
+      .addCase(fetchUsers.fulfilled, (state, action) => {
+        state.isLoading = false
+        state.users = action.payload.users
+        state.pagination.total = action.payload.total
+      })
+      .addCase(fetchUsers.rejected, (state, action) => {
+        state.isLoading = false
+        state.error = action.payload || 'Failed to load users'
+      })
+      .addCase(updateUserAccess.fulfilled, (state, action) => {
+        const index = state.users.findIndex(user => user.id === action.payload.id)
+        if (index !== -1) {
+          state.users[index] = action.payload
+        }
+      })
+      .addCase(updateUserAccess.rejected, (state, action) => {
+        state.error = action.payload || 'Failed to update user'
+      })
+      .addCase(fetchOverview.pending, (state) => {
+        state.statsLoading = true
+        state.statsError = null
+      })
+      .addCase(fetchOverview.fulfilled, (state, action) => {
+        state.statsLoading = false
+        state.stats = action.payload
+      })
+      .addCase(fetchOverview.rejected, (state, action) => {
+        state.statsLoading = false
+        state.statsError = action.payload || 'Failed to load stats'
+      })
+      .addCase(fetchAnalytics.pending, (state) => {
+        state.statsLoading = true
+        state.statsError = null
+      })
+      .addCase(fetchAnalytics.fulfilled, (state, action) => {
+        state.statsLoading = false
+        state.analytics = action.payload
+      })
+      .addCase(fetchAnalytics.rejected, (state, action) => {
+        state.statsLoading = false
+        state.statsError = action.payload || 'Failed to load analytics'
+      })
+  },
 })
 
 export const {
@@ -108,5 +309,6 @@ export const {
   deleteUser,
   setFilters,
   setPagination,
+  setDateRange,
   clearError,
 } = adminSlice.actions
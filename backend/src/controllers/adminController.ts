@@ -0,0 +1,162 @@
+import { Response } from 'express';
+import { createClient } from '@supabase/supabase-js';
+import { createError } from '../middleware/errorHandler';
+import { AuthenticatedRequest } from '../middleware/auth';
+import {
+  DateRange,
+  getSignupStats,
+  getActivityStats,
+  getConnectedAppStats,
+  getUploadStats,
+  getRagUsageStats,
+} from '../utils/adminStatsService';
+
+// Service-role client: stats aggregate across all users
+const supabase = createClient(
+  process.env.SUPABASE_URL || '',
+  process.env.SUPABASE_SERVICE_ROLE_KEY || ''
+);
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse `?from=YYYY-MM-DD&to=YYYY-MM-DD` (both inclusive, UTC). Defaults to
+ * the last 30 days ending today.
+ */
+function parseDateRange(req: AuthenticatedRequest): DateRange {
+  const { from, to } = req.query;
+
+  for (const [name, value] of [['from', from], ['to', to]] as const) {
+    if (value !== undefined && (typeof value !== 'string' || !DATE_PATTERN.test(value))) {
+      throw createError(`${name} must be a date in YYYY-MM-DD format`, 400);
+    }
+  }
+
+  const end = to
+    ? new Date(`${to}T23:59:59.999Z`)
+    : new Date(`${new Date().toISOString().split('T')[0]}T23:59:59.999Z`);
+  const start = from
+    ? new Date(`${from}T00:00:00.000Z`)
+    : new Date(end.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000 + 1);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    throw createError('Invalid date range', 400);
+  }
+  if (start > end) {
+    throw createError('from must be on or before to', 400);
+  }
+  if (end.getTime() - start.getTime() > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+    throw createError(`Date range cannot exceed ${MAX_RANGE_DAYS} days`, 400);
+  }
+
+  return { from: start, to: end };
+}
+
+function formatRange(range: DateRange) {
+  return {
+    from: range.from.toISOString().split('T')[0],
+    to: range.to.toISOString().split('T')[0],
+  };
+}
+
+/**
+ * Run a stats query, turning service failures into a 500 for the error handler
+ */
+async function loadStats<T>(label: string, load: () => Promise<T>): Promise<T> {
+  try {
+    return await load();
+  } catch (error: any) {
+    console.error(`[Admin] Error loading ${label} stats:`, error);
+    throw createError(`Failed to load ${label} stats`, 500);
+  }
+}
+
+export const adminController = {
+  /**
+   * Headline numbers for the dashboard cards
+   * GET /api/v1/admin/stats?from=&to=
+   */
+  async getOverview(req: AuthenticatedRequest, res: Response) {
+    const range = parseDateRange(req);
+
+    const [signups, activity, connectedApps, uploads, ragUsage] = await Promise.all([
+      loadStats('signup', () => getSignupStats(supabase, range)),
+      loadStats('activity', () => getActivityStats(supabase, range)),
+      loadStats('connected app', () => getConnectedAppStats(supabase, range)),
+      loadStats('upload', () => getUploadStats(supabase, range)),
+      loadStats('RAG usage', () => getRagUsageStats(supabase, range)),
+    ]);
+
+    res.json({
+      success: true,
+      range: formatRange(range),
+      stats: {
+        totalUsers: signups.totalUsers,
+        newUsers: signups.newUsers,
+        activeUsers: activity.activeUsers,
+        dau: activity.currentDau,
+        wau: activity.currentWau,
+        userMessages: activity.userMessages,
+        connectedApps: connectedApps.totalConnections,
+        topApp: connectedApps.apps[0]?.appName || null,
+        uploads: uploads.totalUploads,
+        parseFailureRate: uploads.parseFailureRate,
+        ragShare: ragUsage.ragShare,
+      },
+      signupsDaily: signups.daily,
+      dauDaily: activity.dau,
+    });
+  },
+
+  /**
+   * New users per day and cumulative total
+   * GET /api/v1/admin/stats/signups?from=&to=
+   */
+  async getSignups(req: AuthenticatedRequest, res: Response) {
+    const range = parseDateRange(req);
+    const signups = await loadStats('signup', () => getSignupStats(supabase, range));
+    res.json({ success: true, range: formatRange(range), ...signups });
+  },
+
+  /**
+   * DAU/WAU based on chat messages sent
+   * GET /api/v1/admin/stats/activity?from=&to=
+   */
+  async getActivity(req: AuthenticatedRequest, res: Response) {
+    const range = parseDateRange(req);
+    const activity = await loadStats('activity', () => getActivityStats(supabase, range));
+    res.json({ success: true, range: formatRange(range), ...activity });
+  },
+
+  /**
+   * Active connections per connected_apps.app_name
+   * GET /api/v1/admin/stats/connected-apps?from=&to=
+   */
+  async getConnectedApps(req: AuthenticatedRequest, res: Response) {
+    const range = parseDateRange(req);
+    const connectedApps = await loadStats('connected app', () => getConnectedAppStats(supabase, range));
+    res.json({ success: true, range: formatRange(range), ...connectedApps });
+  },
+
+  /**
+   * Upload volume and parse-failure rate
+   * GET /api/v1/admin/stats/uploads?from=&to=
+   */
+  async getUploads(req: AuthenticatedRequest, res: Response) {
+    const range = parseDateRange(req);
+    const uploads = await loadStats('upload', () => getUploadStats(supabase, range));
+    res.json({ success: true, range: formatRange(range), ...uploads });
+  },
+
+  /**
+   * Share of assistant replies that used retrieved health data
+   * GET /api/v1/admin/stats/rag-usage?from=&to=
+   */
+  async getRagUsage(req: AuthenticatedRequest, res: Response) {
+    const range = parseDateRange(req);
+    const ragUsage = await loadStats('RAG usage', () => getRagUsageStats(supabase, range));
+    res.json({ success: true, range: formatRange(range), ...ragUsage });
+  },
+};
@@ -0,0 +1,84 @@
+import { Response } from 'express';
+import { createClient } from '@supabase/supabase-js';
+import { createError } from '../middleware/errorHandler';
+import { AuthenticatedRequest } from '../middleware/auth';
+import { getMetricCorrelations, CorrelationMethod, MAX_LAG_DAYS } from '../utils/correlationService';
+import { resolveUserTimeZone, zonedDayBoundary } from '../utils/timeZone';
+
+// Service-role client; every query below is scoped to req.user.id explicitly
+const supabase = createClient(
+  process.env.SUPABASE_URL || '',
+  process.env.SUPABASE_SERVICE_ROLE_KEY || ''
+);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const METRIC_PATTERN = /^[a-z0-9_]+$/;
+const DEFAULT_WINDOW_DAYS = 90;
+const MAX_WINDOW_DAYS = 730;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const analyticsController = {
+  /**
+   * Correlations between a target metric and other metrics, same day and
+   * lagged (metric on day d vs target on day d + lag), with p-values corrected
+   * for the number of pairs tested. Metrics are health_metrics_daily columns
+   * (sleep_hours) or health_data types (caffeine_mg).
+   * GET /api/v1/analytics/correlations?target=heart_rate_variability&metrics=caffeine_mg,steps&from=YYYY-MM-DD&to=YYYY-MM-DD&maxLag=1&method=pearson|spearman
+   */
+  async getCorrelations(req: AuthenticatedRequest, res: Response) {
+    const userId = req.user!.id;
+    const target = String(req.query.target || '').trim().toLowerCase();
+    const metrics = String(req.query.metrics || '')
+      .split(',')
+      .map((metric) => metric.trim().toLowerCase())
+      .filter(Boolean);
+    const from = req.query.from as string | undefined;
+    const to = req.query.to as string | undefined;
+    const method = (req.query.method as string | undefined) || 'pearson';
+    const maxLag = req.query.maxLag !== undefined ? Number(req.query.maxLag) : 1;
+
+    if (!target || !METRIC_PATTERN.test(target)) {
+      throw createError('target must be a metric name such as sleep_hours or caffeine_mg', 400);
+    }
+    if (metrics.some((metric) => !METRIC_PATTERN.test(metric))) {
+      throw createError('metrics must be a comma-separated list of metric names', 400);
+    }
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+      throw createError('from and to must be dates in YYYY-MM-DD format', 400);
+    }
+    if (method !== 'pearson' && method !== 'spearman') {
+      throw createError('method must be pearson or spearman', 400);
+    }
+    if (!Number.isInteger(maxLag) || maxLag < 0 || maxLag > MAX_LAG_DAYS) {
+      throw createError(`maxLag must be a whole number of days from 0 to ${MAX_LAG_DAYS}`, 400);
+    }
+
+    const timeZone = await resolveUserTimeZone(supabase, userId, req.header('X-Time-Zone'));
+    const endDate = to ? zonedDayBoundary(to, timeZone, 'end') : new Date();
+    const startDate = from
+      ? zonedDayBoundary(from, timeZone, 'start')
+      : new Date(endDate.getTime() - DEFAULT_WINDOW_DAYS * DAY_MS);
+
+    if (startDate > endDate) {
+      throw createError('from must be on or before to', 400);
+    }
+    if (endDate.getTime() - startDate.getTime() > MAX_WINDOW_DAYS * DAY_MS) {
+      throw createError(`Date range cannot exceed ${MAX_WINDOW_DAYS} days`, 400);
+    }
+
+    const analysis = await getMetricCorrelations(supabase, userId, {
+      target,
+      metrics: metrics.length > 0 ? metrics : undefined,
+      startDate,
+      endDate,
+      maxLag,
+      method: method as CorrelationMethod,
+      timeZone,
+    });
+
+    res.json({
+      success: true,
+      analysis,
+    });
+  },
+};
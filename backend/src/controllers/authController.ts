@@ -1,68 +1,365 @@
-import { Request, Response } from 'express';
+import { Request, Response, CookieOptions } from 'express';
+import { createClient, Session, User, EmailOtpType } from '@supabase/supabase-js';
+import jwt from 'jsonwebtoken';
 import { createError } from '../middleware/errorHandler';
+import { getRequestToken, verifySupabaseToken } from '../middleware/auth';
+
+// Service-role client for admin operations (sign out, password updates)
+const supabase = createClient(
+  process.env.SUPABASE_URL || '',
+  process.env.SUPABASE_SERVICE_ROLE_KEY || ''
+);
+
+const ACCESS_TOKEN_COOKIE = 'token';
+const REFRESH_TOKEN_COOKIE = 'refresh_token';
+const REFRESH_TOKEN_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Create a short-lived Supabase client for user-facing auth calls.
+ * A fresh client per request keeps one user's session from leaking into another's.
+ */
+function createAuthClient() {
+  return createClient(
+    process.env.SUPABASE_URL || '',
+    process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY || '',
+    {
+      auth: {
+        persistSession: false,
+        autoRefreshToken: false,
+        detectSessionInUrl: false,
+      },
+    }
+  );
+}
+
+function validateEmail(email: any): string {
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+    throw createError('A valid email address is required', 400);
+  }
+  return email.trim().toLowerCase();
+}
+
+function validatePassword(password: any): string {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw createError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+  }
+  return password;
+}
+
+function cookieOptions(maxAge: number, path = '/'): CookieOptions {
+  const isProduction = process.env.NODE_ENV === 'production';
+  return {
+    httpOnly: true,
+    secure: isProduction,
+    // The admin panel and dashboard are served from other origins in production
+    sameSite: isProduction ? 'none' : 'lax',
+    maxAge,
+    path,
+  };
+}
+
+/**
+ * Store the session tokens in httpOnly cookies. The access token cookie is the
+ * one `authenticate` reads (`req.cookies.token`); the refresh token cookie is
+ * scoped to the auth routes.
+ */
+function setSessionCookies(res: Response, session: Session) {
+  res.cookie(ACCESS_TOKEN_COOKIE, session.access_token, cookieOptions(session.expires_in * 1000));
+  res.cookie(REFRESH_TOKEN_COOKIE, session.refresh_token, cookieOptions(REFRESH_TOKEN_MAX_AGE, '/api/v1/auth'));
+}
+
+function clearSessionCookies(res: Response) {
+  const { maxAge, ...options } = cookieOptions(0);
+  res.clearCookie(ACCESS_TOKEN_COOKIE, options);
+  res.clearCookie(REFRESH_TOKEN_COOKIE, { ...options, path: '/api/v1/auth' });
+}
+
+/**
+ * Whether an access token was issued by a password recovery sign-in, per its
+ * `amr` claim; magic-link and email OTP sessions don't count. Call only on a
+ * verified token.
+ */
+function isRecoverySession(accessToken: string): boolean {
+  const claims = jwt.decode(accessToken) as { amr?: Array<{ method?: string }> } | null;
+  return !!claims?.amr?.some((entry) => entry.method === 'recovery');
+}
+
+function formatUser(user: User) {
+  return {
+    id: user.id,
+    email: user.email,
+    fullName: user.user_metadata?.full_name || null,
+    role: (user.app_metadata as any)?.role || 'user',
+    emailConfirmed: !!user.email_confirmed_at,
+    createdAt: user.created_at,
+  };
+}
+
+function formatSession(session: Session) {
+  return {
+    accessToken: session.access_token,
+    refreshToken: session.refresh_token,
+    expiresIn: session.expires_in,
+    expiresAt: session.expires_at,
+  };
+}
 
 export const authController = {
+  /**
+   * Register a new user
+   * POST /api/v1/auth/register
+   */
   async register(req: Request, res: Response) {
-    // TODO: Implement user registration
-    res.status(501).json({
-      success: false,
-      message: 'Registration endpoint not implemented yet',
+    const email = validateEmail(req.body?.email);
+    const password = validatePassword(req.body?.password);
+    const fullName = typeof req.body?.fullName === 'string' ? req.body.fullName.trim() : undefined;
+
+    const { data, error } = await createAuthClient().auth.signUp({
+      email,
+      password,
+      options: {
+        data: fullName ? { full_name: fullName } : undefined,
+        emailRedirectTo: process.env.AUTH_REDIRECT_URL,
+      },
+    });
+
+    if (error) {
+      throw createError(error.message, error.status || 400);
+    }
+
+    if (!data.user) {
+      throw createError('Registration failed', 500);
+    }
+
+    // When email confirmation is disabled Supabase returns a session right away
+    if (data.session) {
+      setSessionCookies(res, data.session);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: data.session
+        ? 'Registration successful'
+        : 'Registration successful. Please check your email to verify your account.',
+      user: formatUser(data.user),
+      session: data.session ? formatSession(data.session) : null,
     });
   },
 
+  /**
+   * Log in with email and password
+   * POST /api/v1/auth/login
+   */
   async login(req: Request, res: Response) {
-    // TODO: Implement user login
-    res.status(501).json({
-      success: false,
-      message: 'Login endpoint not implemented yet',
+    const email = validateEmail(req.body?.email);
+    if (typeof req.body?.password !== 'string' || !req.body?.password) {
+      throw createError('Password is required', 400);
+    }
+
+    const { data, error } = await createAuthClient().auth.signInWithPassword({
+      email,
+      password: req.body?.password,
+    });
+
+    if (error || !data.session) {
+      throw createError(error?.message || 'Invalid email or password', 401);
+    }
+
+    setSessionCookies(res, data.session);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      user: formatUser(data.user),
+      session: formatSession(data.session),
     });
   },
 
+  /**
+   * Log out: revoke the session's refresh tokens and clear cookies
+   * POST /api/v1/auth/logout
+   */
   async logout(req: Request, res: Response) {
-    // TODO: Implement user logout
-    res.status(501).json({
-      success: false,
-      message: 'Logout endpoint not implemented yet',
+    const token = getRequestToken(req);
+
+    if (token) {
+      const { error } = await supabase.auth.admin.signOut(token);
+      if (error) {
+        // The token may already be expired; cookies are cleared regardless
+        console.warn('[Auth] Error revoking session on logout:', error.message);
+      }
+    }
+
+    clearSessionCookies(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully',
     });
   },
 
+  /**
+   * Exchange a refresh token for a new session
+   * POST /api/v1/auth/refresh
+   */
   async refreshToken(req: Request, res: Response) {
-    // TODO: Implement token refresh
-    res.status(501).json({
-      success: false,
-      message: 'Token refresh endpoint not implemented yet',
+    const refreshToken = req.body?.refreshToken || req.cookies?.[REFRESH_TOKEN_COOKIE];
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      throw createError('Refresh token is required', 400);
+    }
+
+    const { data, error } = await createAuthClient().auth.refreshSession({
+      refresh_token: refreshToken,
+    });
+
+    if (error || !data.session || !data.user) {
+      clearSessionCookies(res);
+      throw createError(error?.message || 'Invalid refresh token', 401);
+    }
+
+    setSessionCookies(res, data.session);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      user: formatUser(data.user),
+      session: formatSession(data.session),
     });
   },
 
+  /**
+   * Send a password reset email
+   * POST /api/v1/auth/forgot-password
+   */
   async forgotPassword(req: Request, res: Response) {
-    // TODO: Implement forgot password
-    res.status(501).json({
-      success: false,
-      message: 'Forgot password endpoint not implemented yet',
+    const email = validateEmail(req.body?.email);
+
+    const { error } = await createAuthClient().auth.resetPasswordForEmail(email, {
+      redirectTo: process.env.PASSWORD_RESET_REDIRECT_URL || process.env.AUTH_REDIRECT_URL,
+    });
+
+    if (error) {
+      // Don't reveal whether the account exists; just log the failure
+      console.warn('[Auth] resetPasswordForEmail failed:', error.message);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent.',
     });
   },
 
+  /**
+   * Set a new password using the credentials from a password reset link.
+   * Accepts either the `tokenHash` from the email template or the access token
+   * of the recovery session the link signed in to (body.accessToken).
+   * POST /api/v1/auth/reset-password
+   */
   async resetPassword(req: Request, res: Response) {
-    // TODO: Implement password reset
-    res.status(501).json({
-      success: false,
-      message: 'Password reset endpoint not implemented yet',
+    const password = validatePassword(req.body?.password);
+    let userId: string;
+
+    if (req.body?.tokenHash) {
+      const { data, error } = await createAuthClient().auth.verifyOtp({
+        token_hash: req.body?.tokenHash,
+        type: 'recovery',
+      });
+      if (error || !data.user) {
+        throw createError(error?.message || 'Invalid or expired reset link', 400);
+      }
+      userId = data.user.id;
+    } else {
+      // Only the token from the reset link itself; an ordinary session (cookie
+      // or Bearer header) must go through changePassword instead
+      const accessToken = req.body?.accessToken;
+      if (typeof accessToken !== 'string' || !accessToken) {
+        throw createError('A reset token is required', 400);
+      }
+      try {
+        userId = (await verifySupabaseToken(accessToken)).id;
+      } catch (error) {
+        throw createError('Invalid or expired reset link', 400);
+      }
+      if (!isRecoverySession(accessToken)) {
+        throw createError('Invalid or expired reset link', 400);
+      }
+    }
+
+    const { error } = await supabase.auth.admin.updateUserById(userId, { password });
+    if (error) {
+      throw createError(error.message, error.status || 400);
+    }
+
+    // Force a fresh login everywhere with the new password
+    clearSessionCookies(res);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.',
     });
   },
 
+  /**
+   * Confirm an email address from the verification link's token hash
+   * GET /api/v1/auth/verify-email/:token?type=signup|email|email_change
+   */
   async verifyEmail(req: Request, res: Response) {
-    // TODO: Implement email verification
-    res.status(501).json({
-      success: false,
-      message: 'Email verification endpoint not implemented yet',
+    const { token } = req.params;
+    const allowedTypes: EmailOtpType[] = ['signup', 'email', 'email_change', 'invite'];
+    const type = (allowedTypes.includes(req.query.type as EmailOtpType)
+      ? req.query.type
+      : 'email') as EmailOtpType;
+
+    if (!token) {
+      throw createError('Verification token is required', 400);
+    }
+
+    const { data, error } = await createAuthClient().auth.verifyOtp({
+      token_hash: token,
+      type,
+    });
+
+    if (error || !data.user) {
+      throw createError(error?.message || 'Invalid or expired verification link', 400);
+    }
+
+    if (data.session) {
+      setSessionCookies(res, data.session);
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      user: formatUser(data.user),
+      session: data.session ? formatSession(data.session) : null,
     });
   },
 
+  /**
+   * Resend the signup verification email
+   * POST /api/v1/auth/resend-verification
+   */
   async resendVerification(req: Request, res: Response) {
-    // TODO: Implement resend verification
-    res.status(501).json({
-      success: false,
-      message: 'Resend verification endpoint not implemented yet',
+    const email = validateEmail(req.body?.email);
+
+    const { error } = await createAuthClient().auth.resend({
+      type: 'signup',
+      email,
+      options: {
+        emailRedirectTo: process.env.AUTH_REDIRECT_URL,
+      },
+    });
+
+    if (error) {
+      console.warn('[Auth] resend verification failed:', error.message);
+    }
+
+    res.json({
+      success: true,
+      message: 'If the account is awaiting verification, a new email has been sent.',
     });
   },
 };
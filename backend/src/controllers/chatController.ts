@@ -1,11 +1,22 @@
-import { Request, Response } from 'express';
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { Response } from 'express';
 import { createClient } from '@supabase/supabase-js';
 import { createError } from '../middleware/errorHandler';
-import { retrieveHealthContext, buildPromptWithContext } from '../utils/ragService';
-
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY || '');
+import { AuthenticatedRequest } from '../middleware/auth';
+import {
+  retrieveHealthContext,
+  withSemanticContext,
+  withLabChanges,
+  withCorrelations,
+  withRecentInsights,
+  buildPromptWithContext,
+  RAGContext,
+} from '../utils/ragService';
+import { getLLM, missingCredentialsMessage, LLMProvider } from '../utils/llm';
+import { loadConversationMemory, fitToBudget, updateConversationSummary } from '../utils/conversationMemory';
+import { streamWithHealthTools, toolCallsToRagMetadata, HealthToolEvent, ToolCallRecord } from '../utils/healthTools';
+import { indexAssistantMessage, indexPendingSources } from '../utils/embeddingService';
+import { resolveUserTimeZone, formatDateInTimeZone } from '../utils/timeZone';
+import { getGoalsWithProgress, formatGoalsForPrompt } from '../utils/goalService';
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -13,9 +24,284 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY || ''
 );
 
-interface ChatMessage {
-  role: 'user' | 'assistant';
-  content: string;
+// When enabled, the model looks up health data through tools instead of pre-fetched RAG context
+const TOOLS_ENABLED = process.env.CHAT_TOOLS_ENABLED !== 'false';
+
+type PreparedChatTurn =
+  | {
+      success: true;
+      conversationId: string;
+      fullPrompt: string;
+      ragContext: RAGContext;
+      useTools: boolean;
+      timeZone: string;
+    }
+  | {
+      success: false;
+      status: number;
+      error: string;
+    };
+
+// System prompt for You-i personality
+const SYSTEM_PROMPT = `You are You-i, a helpful wellness AI assistant. You help users understand their health data and provide personalized wellness guidance. 
+      
+Be conversational, empathetic, and supportive. Provide actionable advice when appropriate, but always remind users to consult healthcare professionals for medical decisions.
+
+When discussing health metrics, be specific and reference actual data when available. If you don't have specific data, ask clarifying questions to better understand the user's situation.
+
+IMPORTANT: When displaying weight data to users, always use pounds (lbs) as the primary unit, as most users prefer imperial units. You may include kg in parentheses if helpful, but lead with lbs.`;
+
+/**
+ * Extra instructions when the model has health data tools
+ */
+function toolInstructions(today: string, timeZone: string): string {
+  return `Today's date is ${today} in the user's time zone (${timeZone}). Tool dates are the user's calendar days.
+
+You can look up this user's health data with the tools provided. Whenever an answer depends on their data, call the relevant tools instead of guessing, choosing date ranges from the question (use the last 7 days when none is given). Use compare_periods for "compared to" questions and get_lab_results for blood work. If a tool returns no data, say so plainly.`;
+}
+
+/**
+ * Shared setup for a chat turn (used by both the blocking and streaming endpoints):
+ * creates the conversation if needed, saves the user message, loads history,
+ * retrieves RAG context (unless the model will use tools) and builds the complete prompt.
+ * `reportedTimeZone` is the device time zone sent by the app (X-Time-Zone header).
+ */
+async function prepareChatTurn(
+  userId: string,
+  conversationId: string | undefined,
+  message: string,
+  reportedTimeZone?: string
+): Promise<PreparedChatTurn> {
+  let currentConversationId = conversationId;
+
+  // Make sure an existing conversation belongs to this user before writing to it
+  if (currentConversationId) {
+    const { data: existingConversation } = await supabase
+      .from('chat_conversations')
+      .select('id')
+      .eq('id', currentConversationId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (!existingConversation) {
+      return {
+        success: false,
+        status: 404,
+        error: 'Conversation not found',
+      };
+    }
+  }
+
+  // If no conversation ID provided, create a new conversation
+  if (!currentConversationId) {
+    const title = message.substring(0, 100); // Use first 100 chars as title
+    
+    // Check if Supabase is configured
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+      console.error('Supabase configuration missing:', {
+        hasUrl: !!process.env.SUPABASE_URL,
+        hasServiceKey: !!process.env.SUPABASE_SERVICE_ROLE_KEY,
+      });
+      return {
+        success: false,
+        status: 500,
+        error: 'Server configuration error: Supabase credentials not configured. Please check backend .env file.',
+      };
+    }
+
+    const { data: newConversation, error: createError } = await supabase
+      .from('chat_conversations')
+      .insert({
+        user_id: userId,
+        title: title,
+      })
+      .select()
+      .single();
+
+    if (createError) {
+      console.error('Error creating conversation:', {
+        error: createError,
+        code: createError.code,
+        message: createError.message,
+        details: createError.details,
+        hint: createError.hint,
+      });
+      return {
+        success: false,
+        status: 500,
+        error: `Failed to create conversation: ${createError.message}`,
+      };
+    }
+
+    currentConversationId = newConversation.id as string;
+  }
+
+  // Save user message to database
+  const { error: userMessageError } = await supabase
+    .from('chat_messages')
+    .insert({
+      conversation_id: currentConversationId,
+      role: 'user',
+      content: message,
+    });
+
+  if (userMessageError) {
+    console.error('Error saving user message:', userMessageError);
+    return {
+      success: false,
+      status: 500,
+      error: 'Failed to save message',
+    };
+  }
+
+  // Load the running summary plus the messages it doesn't cover yet
+  const [memory, timeZone] = await Promise.all([
+    loadConversationMemory(supabase, currentConversationId),
+    resolveUserTimeZone(supabase, userId, reportedTimeZone),
+  ]);
+
+  const emptyContext: RAGContext = {
+    hasHealthData: false,
+    healthContext: '',
+    metadata: { dataRetrieved: false, metricsIncluded: [], dataTypes: [] },
+  };
+  let ragContext = emptyContext;
+
+  if (!TOOLS_ENABLED) {
+    // RAG: Retrieve health data context based on the user's query
+    console.log('[ChatController] ===== CALLING RAG SERVICE =====');
+    console.log('[ChatController] UserId being passed to RAG:', userId);
+    console.log('[ChatController] UserId type:', typeof userId);
+    console.log('[ChatController] Message:', message.substring(0, 100));
+    console.log('[ChatController] =================================');
+
+    const ragResult = await retrieveHealthContext(supabase, getLLM('queryAnalysis'), userId, message, timeZone);
+
+    if (!ragResult.success) {
+      console.error('[Chat] RAG retrieval failed:', ragResult.error);
+      // Continue without health context rather than failing
+    } else {
+      console.log('[Chat] RAG context retrieved:', {
+        hasHealthData: ragResult.context.hasHealthData,
+        dataTypes: ragResult.context.metadata.dataTypes,
+        timeRange: ragResult.context.metadata.timeRange?.description,
+      });
+    }
+    ragContext = ragResult.context;
+  }
+
+  // Documents, event notes and earlier answers related to the question
+  ragContext = await withSemanticContext(supabase, userId, message, ragContext);
+  // How biomarkers moved between blood panels, for lab work questions
+  ragContext = await withLabChanges(supabase, userId, message, ragContext);
+  // Correlations from the user's own data, for "what affects my ..." questions
+  ragContext = await withCorrelations(supabase, userId, message, ragContext, timeZone);
+  // Anomalies the scheduled scan found, so answers can mention them unprompted
+  ragContext = await withRecentInsights(supabase, userId, message, ragContext, timeZone);
+
+  // Goal status goes in the system prompt so every answer can take it into account
+  let goalsText = '';
+  try {
+    goalsText = formatGoalsForPrompt(await getGoalsWithProgress(supabase, userId, timeZone, { status: 'active' }));
+  } catch (error) {
+    console.error('[Chat] Failed to load goals:', error);
+  }
+
+  const systemPrompt = [
+    SYSTEM_PROMPT,
+    TOOLS_ENABLED ? toolInstructions(formatDateInTimeZone(new Date(), timeZone), timeZone) : '',
+    goalsText,
+  ].filter(Boolean).join('\n\n');
+
+  // Split the token budget between health context and conversation history
+  const budgeted = fitToBudget(systemPrompt, message, ragContext.healthContext, memory);
+  console.log('[ChatController] Prompt budget:', budgeted.stats);
+
+  // Build the complete prompt with RAG context
+  const fullPrompt = buildPromptWithContext(
+    systemPrompt,
+    { ...ragContext, healthContext: budgeted.healthContext },
+    budgeted.history,
+    message,
+    budgeted.summary
+  );
+
+  return {
+    success: true,
+    conversationId: currentConversationId,
+    fullPrompt,
+    ragContext,
+    useTools: TOOLS_ENABLED,
+    timeZone,
+  };
+}
+
+/**
+ * Generate the reply for a prepared turn as a stream of text and tool events.
+ * Without tools this is just the model's text stream.
+ */
+async function* generateReply(
+  llm: LLMProvider,
+  userId: string,
+  turn: Extract<PreparedChatTurn, { success: true }>,
+  signal?: AbortSignal
+): AsyncIterable<HealthToolEvent> {
+  if (turn.useTools) {
+    yield* streamWithHealthTools(llm, supabase, userId, turn.fullPrompt, { signal, timeZone: turn.timeZone });
+    return;
+  }
+
+  for await (const text of llm.stream(turn.fullPrompt, { signal })) {
+    yield { type: 'text', text };
+  }
+}
+
+/**
+ * Metadata stored with an assistant message
+ */
+function replyMetadata(llm: LLMProvider, turn: Extract<PreparedChatTurn, { success: true }>, toolCalls: ToolCallRecord[]) {
+  let ragContext = turn.ragContext.metadata;
+
+  if (turn.useTools) {
+    const toolMetadata = toolCallsToRagMetadata(toolCalls);
+    ragContext = {
+      ...toolMetadata,
+      dataRetrieved: toolMetadata.dataRetrieved || turn.ragContext.metadata.dataRetrieved,
+      dataTypes: [...turn.ragContext.metadata.dataTypes, ...toolMetadata.dataTypes],
+      ...(turn.ragContext.metadata.documentsRetrieved && {
+        documentsRetrieved: turn.ragContext.metadata.documentsRetrieved,
+      }),
+    };
+  }
+
+  return {
+    ragContext,
+    model: llm.model,
+    ...(turn.useTools && { toolCalls }),
+  };
+}
+
+/**
+ * Background work after an assistant reply is saved: fold older turns into the
+ * running summary and keep the semantic index up to date
+ */
+function afterReply(userId: string, conversationId: string, savedMessage: { id: string; content: string; created_at: string } | null) {
+  void updateConversationSummary(supabase, getLLM('summarization'), conversationId);
+
+  void (async () => {
+    if (savedMessage) {
+      await indexAssistantMessage(supabase, userId, { ...savedMessage, conversation_id: conversationId });
+    }
+    await indexPendingSources(supabase, userId);
+  })();
+}
+
+/**
+ * Write a single Server-Sent Event to the response
+ */
+function writeSSE(res: Response, event: string, data: any) {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
 }
 
 export const chatController = {
@@ -23,21 +309,23 @@ export const chatController = {
    * Send a message and get AI response
    * POST /api/v1/chat/message
    */
-  async sendMessage(req: Request, res: Response) {
+  async sendMessage(req: AuthenticatedRequest, res: Response) {
     try {
-      // Check if Gemini API key is configured
-      if (!process.env.GEMINI_API_KEY || process.env.GEMINI_API_KEY === '') {
+      // Check that the chat model is configured
+      const llm = getLLM('chat');
+      if (!llm.isConfigured()) {
         return res.status(500).json({
           success: false,
-          error: 'Gemini API key is not configured. Please set GEMINI_API_KEY in your .env file.',
+          error: missingCredentialsMessage(llm),
         });
       }
 
-      const { conversationId, message, userId } = req.body;
+      const { conversationId, message } = req.body;
+      const userId = req.user!.id;
 
       // Log userId for troubleshooting
       console.log('[ChatController] ===== RECEIVED MESSAGE REQUEST =====');
-      console.log('[ChatController] Full userId from request body:', userId);
+      console.log('[ChatController] Authenticated userId:', userId);
       console.log('[ChatController] UserId type:', typeof userId);
       console.log('[ChatController] UserId length:', userId?.length);
       console.log('[ChatController] Request details:', {
@@ -47,160 +335,53 @@ export const chatController = {
       });
       console.log('[ChatController] ====================================');
 
-      if (!message || !userId) {
-        console.error('[ChatController] Missing required fields:', { hasMessage: !!message, hasUserId: !!userId });
+      if (!message) {
+        console.error('[ChatController] Missing required fields:', { hasMessage: !!message });
         return res.status(400).json({
           success: false,
-          error: 'Message and userId are required',
+          error: 'Message is required',
         });
       }
 
-      let currentConversationId = conversationId;
-
-      // If no conversation ID provided, create a new conversation
-      if (!currentConversationId) {
-        const title = message.substring(0, 100); // Use first 100 chars as title
-        
-        // Check if Supabase is configured
-        if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
-          console.error('Supabase configuration missing:', {
-            hasUrl: !!process.env.SUPABASE_URL,
-            hasServiceKey: !!process.env.SUPABASE_SERVICE_ROLE_KEY,
-          });
-          return res.status(500).json({
-            success: false,
-            error: 'Server configuration error: Supabase credentials not configured. Please check backend .env file.',
-          });
-        }
-
-        const { data: newConversation, error: createError } = await supabase
-          .from('chat_conversations')
-          .insert({
-            user_id: userId,
-            title: title,
-          })
-          .select()
-          .single();
-
-        if (createError) {
-          console.error('Error creating conversation:', {
-            error: createError,
-            code: createError.code,
-            message: createError.message,
-            details: createError.details,
-            hint: createError.hint,
-          });
-          return res.status(500).json({
-            success: false,
-            error: `Failed to create conversation: ${createError.message}`,
-          });
-        }
-
-        currentConversationId = newConversation.id;
-      }
-
-      // Save user message to database
-      const { error: userMessageError } = await supabase
-        .from('chat_messages')
-        .insert({
-          conversation_id: currentConversationId,
-          role: 'user',
-          content: message,
-        });
+      const turn = await prepareChatTurn(userId, conversationId, message, req.header('X-Time-Zone'));
 
-      if (userMessageError) {
-        console.error('Error saving user message:', userMessageError);
-        return res.status(500).json({
+      if (!turn.success) {
+        return res.status(turn.status).json({
           success: false,
-          error: 'Failed to save message',
+          error: turn.error,
         });
       }
 
-      // Get conversation history for context
-      const { data: previousMessages, error: historyError } = await supabase
-        .from('chat_messages')
-        .select('role, content')
-        .eq('conversation_id', currentConversationId)
-        .order('created_at', { ascending: true });
-
-      if (historyError) {
-        console.error('Error fetching conversation history:', historyError);
-      }
-
-      // Prepare conversation history for Gemini (exclude the current message we just saved)
-      const conversationHistory: ChatMessage[] = previousMessages
-        ? previousMessages.slice(0, -1).map((msg: any) => ({
-            role: msg.role,
-            content: msg.content,
-          }))
-        : [];
-
-      // RAG: Retrieve health data context based on the user's query
-      console.log('[ChatController] ===== CALLING RAG SERVICE =====');
-      console.log('[ChatController] UserId being passed to RAG:', userId);
-      console.log('[ChatController] UserId type:', typeof userId);
-      console.log('[ChatController] Message:', message.substring(0, 100));
-      console.log('[ChatController] =================================');
-      
-      const ragResult = await retrieveHealthContext(supabase, genAI, userId, message);
-      
-      if (!ragResult.success) {
-        console.error('[Chat] RAG retrieval failed:', ragResult.error);
-        // Continue without health context rather than failing
-      } else {
-        console.log('[Chat] RAG context retrieved:', {
-          hasHealthData: ragResult.context.hasHealthData,
-          dataTypes: ragResult.context.metadata.dataTypes,
-          timeRange: ragResult.context.metadata.timeRange?.description,
-        });
-      }
-
-      // System prompt for You-i personality
-      const systemPrompt = `You are You-i, a helpful wellness AI assistant. You help users understand their health data and provide personalized wellness guidance. 
-      
-Be conversational, empathetic, and supportive. Provide actionable advice when appropriate, but always remind users to consult healthcare professionals for medical decisions.
-
-When discussing health metrics, be specific and reference actual data when available. If you don't have specific data, ask clarifying questions to better understand the user's situation.
-
-IMPORTANT: When displaying weight data to users, always use pounds (lbs) as the primary unit, as most users prefer imperial units. You may include kg in parentheses if helpful, but lead with lbs.`;
-
-      // Build the complete prompt with RAG context
-      const fullPrompt = buildPromptWithContext(
-        systemPrompt,
-        ragResult.context,
-        conversationHistory,
-        message
-      );
-
-      // Generate AI response using Gemini
-      // Using gemini-2.5-flash (latest fast model as of Nov 2024)
-      // Alternative: gemini-2.5-pro (more capable), gemini-2.0-flash (stable)
-      const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-
-      let aiResponse: string;
+      // Generate AI response with the configured chat model (LLM_CHAT_PROVIDER / LLM_CHAT_MODEL)
+      let aiResponse = '';
+      const toolCalls: ToolCallRecord[] = [];
       try {
-        const result = await model.generateContent(fullPrompt);
-        const response = result.response;
-        aiResponse = response.text();
-      } catch (geminiError: any) {
-        console.error('Error calling Gemini API:', geminiError);
+        for await (const event of generateReply(llm, userId, turn)) {
+          if (event.type === 'text') {
+            aiResponse += event.text;
+          } else {
+            toolCalls.push(event.record);
+          }
+        }
+      } catch (llmError: any) {
+        console.error(`Error calling ${llm.name} API:`, llmError);
         return res.status(500).json({
           success: false,
-          error: `Gemini API error: ${geminiError.message || 'Failed to generate response'}. Please check your API key and try again.`,
+          error: `AI model error: ${llmError.message || 'Failed to generate response'}. Please check your API key and try again.`,
         });
       }
 
       // Save AI response to database with RAG metadata
-      const { error: aiMessageError } = await supabase
+      const { data: savedMessage, error: aiMessageError } = await supabase
         .from('chat_messages')
         .insert({
-          conversation_id: currentConversationId,
+          conversation_id: turn.conversationId,
           role: 'assistant',
           content: aiResponse,
-          metadata: {
-            ragContext: ragResult.context.metadata,
-          },
-        });
+          metadata: replyMetadata(llm, turn, toolCalls),
+        })
+        .select('id, content, created_at')
+        .single();
 
       if (aiMessageError) {
         console.error('Error saving AI message:', aiMessageError);
@@ -210,9 +391,12 @@ IMPORTANT: When displaying weight data to users, always use pounds (lbs) as the
         });
       }
 
+      // Summarize and index without delaying the response
+      afterReply(userId, turn.conversationId, savedMessage);
+
       res.json({
         success: true,
-        conversationId: currentConversationId,
+        conversationId: turn.conversationId,
         message: aiResponse,
       });
     } catch (error) {
@@ -225,27 +409,173 @@ IMPORTANT: When displaying weight data to users, always use pounds (lbs) as the
   },
 
   /**
-   * Get all conversations for a user
-   * GET /api/v1/chat/conversations
+   * Send a message and stream the AI response as Server-Sent Events
+   * POST /api/v1/chat/message/stream
+   *
+   * Events:
+   *   start - { conversationId }
+   *   tool  - { name, ok }        (one per health data lookup, before the answer)
+   *   token - { text }            (one per model chunk)
+   *   done  - { conversationId, message }
+   *   error - { error }
    */
-  async getConversations(req: Request, res: Response) {
+  async streamMessage(req: AuthenticatedRequest, res: Response) {
+    // Validation errors are returned as plain JSON before the stream is opened
+    const llm = getLLM('chat');
+    if (!llm.isConfigured()) {
+      return res.status(500).json({
+        success: false,
+        error: missingCredentialsMessage(llm),
+      });
+    }
+
+    const { conversationId, message } = req.body;
+    const userId = req.user!.id;
+
+    if (!message) {
+      return res.status(400).json({
+        success: false,
+        error: 'Message is required',
+      });
+    }
+
+    // Track client disconnects so we can stop pulling tokens from the model
+    const abortController = new AbortController();
+    let clientDisconnected = false;
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        clientDisconnected = true;
+        abortController.abort();
+        console.log('[ChatController] Client disconnected mid-stream');
+      }
+    });
+
     try {
-      const { userId } = req.query;
+      const turn = await prepareChatTurn(userId, conversationId, message, req.header('X-Time-Zone'));
 
-      console.log('[getConversations] Request received for userId:', userId);
+      if (!turn.success) {
+        return res.status(turn.status).json({
+          success: false,
+          error: turn.error,
+        });
+      }
 
-      if (!userId) {
-        return res.status(400).json({
+      if (clientDisconnected) {
+        return;
+      }
+
+      // `no-transform` keeps the compression middleware from buffering the stream
+      res.status(200);
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache, no-transform');
+      res.setHeader('Connection', 'keep-alive');
+      res.setHeader('X-Accel-Buffering', 'no');
+      res.flushHeaders();
+
+      writeSSE(res, 'start', { conversationId: turn.conversationId });
+
+      let aiResponse = '';
+      const toolCalls: ToolCallRecord[] = [];
+      let streamError: any = null;
+      try {
+        for await (const event of generateReply(llm, userId, turn, abortController.signal)) {
+          if (clientDisconnected) break;
+
+          if (event.type === 'tool') {
+            toolCalls.push(event.record);
+            writeSSE(res, 'tool', { name: event.record.name, ok: event.record.ok });
+            continue;
+          }
+
+          aiResponse += event.text;
+          writeSSE(res, 'token', { text: event.text });
+        }
+      } catch (llmError: any) {
+        if (!clientDisconnected) {
+          console.error(`Error streaming from ${llm.name} API:`, llmError);
+          streamError = llmError;
+        }
+      }
+
+      // Persist whatever was generated. A partial answer (client went away) is kept
+      // and flagged so the conversation history stays consistent with what was shown.
+      const interrupted = clientDisconnected || !!streamError;
+      let savedMessage: { id: string; content: string; created_at: string } | null = null;
+      if (aiResponse.trim()) {
+        const { data, error: aiMessageError } = await supabase
+          .from('chat_messages')
+          .insert({
+            conversation_id: turn.conversationId,
+            role: 'assistant',
+            content: aiResponse,
+            metadata: {
+              ...replyMetadata(llm, turn, toolCalls),
+              streamed: true,
+              ...(interrupted && { interrupted: true }),
+            },
+          })
+          .select('id, content, created_at')
+          .single();
+        savedMessage = data;
+
+        if (aiMessageError) {
+          console.error('Error saving streamed AI message:', aiMessageError);
+          if (!clientDisconnected) {
+            writeSSE(res, 'error', { error: 'Failed to save AI response' });
+            return res.end();
+          }
+        }
+      }
+
+      // Partial answers are left out of the semantic index
+      afterReply(userId, turn.conversationId, interrupted ? null : savedMessage);
+
+      if (clientDisconnected) {
+        return;
+      }
+
+      if (streamError) {
+        writeSSE(res, 'error', {
+          error: `AI model error: ${streamError.message || 'Failed to generate response'}. Please check your API key and try again.`,
+        });
+      } else {
+        writeSSE(res, 'done', {
+          conversationId: turn.conversationId,
+          message: aiResponse,
+        });
+      }
+      res.end();
+    } catch (error) {
+      console.error('Error in streamMessage:', error);
+      if (!res.headersSent) {
+        return res.status(500).json({
           success: false,
-          error: 'userId is required',
+          error: 'Failed to process message',
         });
       }
+      if (!clientDisconnected) {
+        writeSSE(res, 'error', { error: 'Failed to process message' });
+        res.end();
+      }
+    }
+  },
+
+  /**
+   * Get all conversations for a user
+   * GET /api/v1/chat/conversations
+   */
+  async getConversations(req: AuthenticatedRequest, res: Response) {
+    try {
+      const userId = req.user!.id;
+
+      console.log('[getConversations] Request received for userId:', userId);
 
       const { data: conversations, error } = await supabase
         .from('chat_conversations')
         .select(`
           id,
           title,
+          kind,
           created_at,
           updated_at,
           chat_messages (
@@ -275,6 +605,7 @@ IMPORTANT: When displaying weight data to users, always use pounds (lbs) as the
         return {
           id: conv.id,
           title: conv.title,
+          kind: conv.kind || 'chat',
           preview: lastMessage ? lastMessage.content.substring(0, 100) : '',
           createdAt: conv.created_at,
           updatedAt: conv.updated_at,
@@ -301,17 +632,10 @@ IMPORTANT: When displaying weight data to users, always use pounds (lbs) as the
    * Get a specific conversation with all messages
    * GET /api/v1/chat/conversations/:id
    */
-  async getConversation(req: Request, res: Response) {
+  async getConversation(req: AuthenticatedRequest, res: Response) {
     try {
       const { id } = req.params;
-      const { userId } = req.query;
-
-      if (!userId) {
-        return res.status(400).json({
-          success: false,
-          error: 'userId is required',
-        });
-      }
+      const userId = req.user!.id;
 
       // Fetch conversation
       const { data: conversation, error: convError } = await supabase
@@ -363,14 +687,15 @@ IMPORTANT: When displaying weight data to users, always use pounds (lbs) as the
    * Create a new conversation
    * POST /api/v1/chat/conversations
    */
-  async createConversation(req: Request, res: Response) {
+  async createConversation(req: AuthenticatedRequest, res: Response) {
     try {
-      const { userId, title } = req.body;
+      const { title } = req.body;
+      const userId = req.user!.id;
 
-      if (!userId || !title) {
+      if (!title) {
         return res.status(400).json({
           success: false,
-          error: 'userId and title are required',
+          error: 'title is required',
         });
       }
 
@@ -408,17 +733,11 @@ IMPORTANT: When displaying weight data to users, always use pounds (lbs) as the
    * Update a conversation (e.g., rename)
    * PATCH /api/v1/chat/conversations/:id
    */
-  async updateConversation(req: Request, res: Response) {
+  async updateConversation(req: AuthenticatedRequest, res: Response) {
     try {
       const { id } = req.params;
-      const { userId, title } = req.body;
-
-      if (!userId) {
-        return res.status(400).json({
-          success: false,
-          error: 'userId is required',
-        });
-      }
+      const { title } = req.body;
+      const userId = req.user!.id;
 
       if (!title) {
         return res.status(400).json({
@@ -433,7 +752,7 @@ IMPORTANT: When displaying weight data to users, always use pounds (lbs) as the
         .eq('id', id)
         .eq('user_id', userId)
         .select()
-        .single();
+        .maybeSingle();
 
       if (error) {
         console.error('Error updating conversation:', error);
@@ -468,23 +787,17 @@ IMPORTANT: When displaying weight data to users, always use pounds (lbs) as the
    * Delete a conversation
    * DELETE /api/v1/chat/conversations/:id
    */
-  async deleteConversation(req: Request, res: Response) {
+  async deleteConversation(req: AuthenticatedRequest, res: Response) {
     try {
       const { id } = req.params;
-      const { userId } = req.query;
+      const userId = req.user!.id;
 
-      if (!userId) {
-        return res.status(400).json({
-          success: false,
-          error: 'userId is required',
-        });
-      }
-
-      const { error } = await supabase
+      const { data: deleted, error } = await supabase
         .from('chat_conversations')
         .delete()
         .eq('id', id)
-        .eq('user_id', userId);
+        .eq('user_id', userId)
+        .select('id');
 
       if (error) {
         console.error('Error deleting conversation:', error);
@@ -494,6 +807,13 @@ IMPORTANT: When displaying weight data to users, always use pounds (lbs) as the
         });
       }
 
+      if (!deleted || deleted.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Conversation not found',
+        });
+      }
+
       res.json({
         success: true,
         message: 'Conversation deleted successfully',
@@ -0,0 +1,301 @@
+import { Response } from 'express';
+import { createClient } from '@supabase/supabase-js';
+import { createError } from '../middleware/errorHandler';
+import { AuthenticatedRequest } from '../middleware/auth';
+import { DAY_MS, resolveUserTimeZone, formatDateInTimeZone } from '../utils/timeZone';
+import {
+  GOAL_METRICS,
+  GoalStatus,
+  describeGoal,
+  getGoalsWithProgress,
+  computeGoalProgress,
+  suggestGoals,
+} from '../utils/goalService';
+
+// Service-role client; every query below is scoped to req.user.id explicitly
+const supabase = createClient(
+  process.env.SUPABASE_URL || '',
+  process.env.SUPABASE_SERVICE_ROLE_KEY || ''
+);
+
+const STATUSES: GoalStatus[] = ['active', 'paused', 'completed', 'archived'];
+const CADENCES = ['daily', 'weekly'];
+const DIRECTIONS = ['at_least', 'at_most'];
+const SOURCES = ['user', 'suggested'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_TARGET = 1000000;
+const MAX_ACTIVE_GOALS = 20;
+
+function formatGoal(row: any) {
+  return {
+    id: row.id,
+    metric: row.metric,
+    title: row.title,
+    target: Number(row.target),
+    unit: GOAL_METRICS[row.metric]?.unit || null,
+    direction: row.direction,
+    cadence: row.cadence,
+    startDate: row.start_date,
+    endDate: row.end_date,
+    status: row.status,
+    source: row.source,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    ...(row.progress && { progress: row.progress }),
+  };
+}
+
+/**
+ * Validate the goal fields present in a request body. Returns the columns to write.
+ */
+function parseGoalFields(body: any, partial: boolean): Record<string, any> {
+  const fields: Record<string, any> = {};
+
+  if (!partial || body.metric !== undefined) {
+    if (!GOAL_METRICS[body.metric]) {
+      throw createError(`metric must be one of: ${Object.keys(GOAL_METRICS).join(', ')}`, 400);
+    }
+    fields.metric = body.metric;
+  }
+  if (!partial || body.target !== undefined) {
+    const target = Number(body.target);
+    if (typeof body.target !== 'number' || !isFinite(target) || target <= 0 || target > MAX_TARGET) {
+      throw createError(`target must be a number between 0 and ${MAX_TARGET}`, 400);
+    }
+    fields.target = target;
+  }
+  if (body.direction !== undefined) {
+    if (!DIRECTIONS.includes(body.direction)) {
+      throw createError(`direction must be one of: ${DIRECTIONS.join(', ')}`, 400);
+    }
+    fields.direction = body.direction;
+  }
+  if (body.cadence !== undefined) {
+    if (!CADENCES.includes(body.cadence)) {
+      throw createError(`cadence must be one of: ${CADENCES.join(', ')}`, 400);
+    }
+    fields.cadence = body.cadence;
+  }
+  if (body.title !== undefined) {
+    if (typeof body.title !== 'string' || !body.title.trim() || body.title.length > 200) {
+      throw createError('title must be a non-empty string of at most 200 characters', 400);
+    }
+    fields.title = body.title.trim();
+  }
+  if (body.startDate !== undefined) {
+    if (typeof body.startDate !== 'string' || !DATE_PATTERN.test(body.startDate)) {
+      throw createError('startDate must be a date in YYYY-MM-DD format', 400);
+    }
+    fields.start_date = body.startDate;
+  }
+  if (body.endDate !== undefined) {
+    if (body.endDate !== null && (typeof body.endDate !== 'string' || !DATE_PATTERN.test(body.endDate))) {
+      throw createError('endDate must be a date in YYYY-MM-DD format or null', 400);
+    }
+    fields.end_date = body.endDate;
+  }
+  if (body.status !== undefined) {
+    if (!STATUSES.includes(body.status)) {
+      throw createError(`status must be one of: ${STATUSES.join(', ')}`, 400);
+    }
+    fields.status = body.status;
+  }
+
+  return fields;
+}
+
+/**
+ * A goal row with its progress as of today in the user's time zone
+ */
+async function withProgress(userId: string, goal: any, timeZone: string) {
+  const today = formatDateInTimeZone(new Date(), timeZone);
+  // Progress covers at most the last 12 weeks plus the current one
+  const lookback = formatDateInTimeZone(new Date(Date.now() - 13 * 7 * DAY_MS), timeZone);
+  const { data: rows } = await supabase
+    .from('health_metrics_daily')
+    .select(`date, ${goal.metric}`)
+    .eq('user_id', userId)
+    .gte('date', goal.start_date > lookback ? goal.start_date : lookback)
+    .lte('date', today)
+    .order('date', { ascending: true });
+
+  return { ...goal, progress: computeGoalProgress(goal, rows || [], today) };
+}
+
+export const goalController = {
+  /**
+   * The user's goals with progress (archived ones only when asked for)
+   * GET /api/v1/goals?status=active|paused|completed|archived
+   */
+  async listGoals(req: AuthenticatedRequest, res: Response) {
+    const userId = req.user!.id;
+    const status = req.query.status as GoalStatus | undefined;
+
+    if (status && !STATUSES.includes(status)) {
+      throw createError(`status must be one of: ${STATUSES.join(', ')}`, 400);
+    }
+
+    const timeZone = await resolveUserTimeZone(supabase, userId, req.header('X-Time-Zone'));
+    const goals = await getGoalsWithProgress(supabase, userId, timeZone, { status });
+
+    res.json({
+      success: true,
+      goals: goals.map(formatGoal),
+    });
+  },
+
+  /**
+   * Goals suggested from the user's onboarding answers and recent data
+   * GET /api/v1/goals/suggestions
+   */
+  async listSuggestions(req: AuthenticatedRequest, res: Response) {
+    const userId = req.user!.id;
+    const timeZone = await resolveUserTimeZone(supabase, userId, req.header('X-Time-Zone'));
+    const suggestions = await suggestGoals(supabase, userId, timeZone);
+
+    res.json({
+      success: true,
+      suggestions,
+    });
+  },
+
+  /**
+   * Create a goal. Direction defaults to the metric's usual one, cadence to
+   * daily, start date to today and title to a description of the target.
+   * POST /api/v1/goals
+   */
+  async createGoal(req: AuthenticatedRequest, res: Response) {
+    const userId = req.user!.id;
+    const body = req.body || {};
+    const fields = parseGoalFields(body, false);
+
+    if (body.source !== undefined && !SOURCES.includes(body.source)) {
+      throw createError(`source must be one of: ${SOURCES.join(', ')}`, 400);
+    }
+
+    const { count } = await supabase
+      .from('goals')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .eq('status', 'active');
+
+    if ((count || 0) >= MAX_ACTIVE_GOALS) {
+      throw createError(`You can have at most ${MAX_ACTIVE_GOALS} active goals`, 400);
+    }
+
+    const timeZone = await resolveUserTimeZone(supabase, userId, req.header('X-Time-Zone'));
+    const direction = fields.direction || GOAL_METRICS[fields.metric].direction;
+    const cadence = fields.cadence || 'daily';
+    const startDate = fields.start_date || formatDateInTimeZone(new Date(), timeZone);
+
+    if (fields.end_date && fields.end_date < startDate) {
+      throw createError('endDate must not be before startDate', 400);
+    }
+
+    const { data, error } = await supabase
+      .from('goals')
+      .insert({
+        ...fields,
+        user_id: userId,
+        direction,
+        cadence,
+        start_date: startDate,
+        title: fields.title || describeGoal(fields.metric, fields.target, direction, cadence),
+        status: 'active',
+        source: body.source || 'user',
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw createError('Failed to create goal', 500);
+    }
+
+    res.status(201).json({
+      success: true,
+      goal: formatGoal(await withProgress(userId, data, timeZone)),
+    });
+  },
+
+  /**
+   * Change a goal's target, cadence, dates, title or status
+   * PATCH /api/v1/goals/:id
+   */
+  async updateGoal(req: AuthenticatedRequest, res: Response) {
+    const userId = req.user!.id;
+    const fields = parseGoalFields(req.body || {}, true);
+
+    if (fields.metric) {
+      throw createError('A goal\'s metric can\'t be changed; create a new goal instead', 400);
+    }
+    if (Object.keys(fields).length === 0) {
+      throw createError('Nothing to update', 400);
+    }
+
+    const { data: existing } = await supabase
+      .from('goals')
+      .select('metric, title, target, direction, cadence, start_date, end_date')
+      .eq('id', req.params.id)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (!existing) {
+      throw createError('Goal not found', 404);
+    }
+
+    const startDate = fields.start_date ?? existing.start_date;
+    const endDate = fields.end_date !== undefined ? fields.end_date : existing.end_date;
+    if (endDate && endDate < startDate) {
+      throw createError('endDate must not be before startDate', 400);
+    }
+
+    // Keep a generated title in step with the target it describes
+    const target = fields.target ?? Number(existing.target);
+    const direction = fields.direction ?? existing.direction;
+    const cadence = fields.cadence ?? existing.cadence;
+    if (!fields.title && existing.title === describeGoal(existing.metric, Number(existing.target), existing.direction, existing.cadence)) {
+      fields.title = describeGoal(existing.metric, target, direction, cadence);
+    }
+
+    const { data, error } = await supabase
+      .from('goals')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) {
+      throw createError('Failed to update goal', 500);
+    }
+
+    const timeZone = await resolveUserTimeZone(supabase, userId, req.header('X-Time-Zone'));
+
+    res.json({
+      success: true,
+      goal: formatGoal(await withProgress(userId, data, timeZone)),
+    });
+  },
+
+  /**
+   * Delete a goal
+   * DELETE /api/v1/goals/:id
+   */
+  async deleteGoal(req: AuthenticatedRequest, res: Response) {
+    const { data, error } = await supabase
+      .from('goals')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('user_id', req.user!.id)
+      .select('id');
+
+    if (error) {
+      throw createError('Failed to delete goal', 500);
+    }
+    if (!data || data.length === 0) {
+      throw createError('Goal not found', 404);
+    }
+
+    res.json({ success: true });
+  },
+};
@@ -0,0 +1,118 @@
+import { Response } from 'express';
+import { createClient } from '@supabase/supabase-js';
+import { createError } from '../middleware/errorHandler';
+import { AuthenticatedRequest } from '../middleware/auth';
+import { getInsights, runAnomalyScan, scanInsightsIfStale } from '../utils/anomalyDetectionService';
+
+// Service-role client; every query below is scoped to req.user.id explicitly
+const supabase = createClient(
+  process.env.SUPABASE_URL || '',
+  process.env.SUPABASE_SERVICE_ROLE_KEY || ''
+);
+
+const STATUSES = ['new', 'seen', 'dismissed'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function formatInsight(row: any) {
+  return {
+    id: row.id,
+    type: row.insight_type,
+    kind: row.kind,
+    metric: row.metric,
+    direction: row.direction,
+    severity: row.severity,
+    startDate: row.start_date,
+    endDate: row.end_date,
+    value: row.value,
+    baseline: row.baseline,
+    zScore: row.z_score,
+    title: row.title,
+    explanation: row.explanation,
+    details: row.details,
+    status: row.status,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+export const insightController = {
+  /**
+   * The user's insights, newest first (dismissed ones only when asked for).
+   * Scans first if the scheduled scan hasn't reached the user recently.
+   * GET /api/v1/insights?status=new|seen|dismissed&since=YYYY-MM-DD&limit=50
+   */
+  async listInsights(req: AuthenticatedRequest, res: Response) {
+    const userId = req.user!.id;
+    const status = req.query.status as string | undefined;
+    const since = req.query.since as string | undefined;
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 50;
+
+    if (status && !STATUSES.includes(status)) {
+      throw createError(`status must be one of: ${STATUSES.join(', ')}`, 400);
+    }
+    if (since && !DATE_PATTERN.test(since)) {
+      throw createError('since must be a date in YYYY-MM-DD format', 400);
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      throw createError('limit must be between 1 and 200', 400);
+    }
+
+    await scanInsightsIfStale(supabase, userId);
+    const insights = await getInsights(supabase, userId, { status, since, limit });
+
+    res.json({
+      success: true,
+      insights: insights.map(formatInsight),
+    });
+  },
+
+  /**
+   * Mark an insight seen or dismissed
+   * PATCH /api/v1/insights/:id
+   */
+  async updateInsight(req: AuthenticatedRequest, res: Response) {
+    const userId = req.user!.id;
+    const { status } = req.body || {};
+
+    if (!['seen', 'dismissed'].includes(status)) {
+      throw createError('status must be seen or dismissed', 400);
+    }
+
+    const { data, error } = await supabase
+      .from('health_insights')
+      .update({ status, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .eq('user_id', userId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw createError('Failed to update insight', 500);
+    }
+    if (!data) {
+      throw createError('Insight not found', 404);
+    }
+
+    res.json({
+      success: true,
+      insight: formatInsight(data),
+    });
+  },
+
+  /**
+   * Scan the user's recent days now, e.g. after a large sync
+   * POST /api/v1/insights/scan
+   */
+  async scanNow(req: AuthenticatedRequest, res: Response) {
+    const result = await runAnomalyScan(supabase, req.user!.id);
+
+    if (!result.success) {
+      throw createError('Failed to scan health data', 500);
+    }
+
+    res.json({
+      success: true,
+      detected: result.detected,
+    });
+  },
+};
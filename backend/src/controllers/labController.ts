@@ -0,0 +1,159 @@
+import { Response } from 'express';
+import { createClient } from '@supabase/supabase-js';
+import { createError } from '../middleware/errorHandler';
+import { AuthenticatedRequest } from '../middleware/auth';
+import {
+  syncPendingLabResults,
+  loadBiomarkerCatalog,
+  resolveBiomarker,
+  getLabResults,
+} from '../utils/labResultsService';
+import { getLabTrends } from '../utils/labTrendsService';
+
+// Service-role client; every query below is scoped to req.user.id explicitly
+const supabase = createClient(
+  process.env.SUPABASE_URL || '',
+  process.env.SUPABASE_SERVICE_ROLE_KEY || ''
+);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function formatResult(row: any) {
+  const source = Array.isArray(row.uploaded_file_data) ? row.uploaded_file_data[0] : row.uploaded_file_data;
+
+  return {
+    id: row.id,
+    name: row.name,
+    collectedOn: row.collected_on,
+    value: row.value,
+    valueText: row.value_text,
+    unit: row.unit,
+    normalizedValue: row.normalized_value,
+    normalizedUnit: row.normalized_unit,
+    referenceLow: row.reference_low,
+    referenceHigh: row.reference_high,
+    referenceText: row.reference_text,
+    flag: row.flag,
+    panel: row.panel,
+    source: {
+      uploadId: row.upload_id,
+      fileName: source?.file_name || null,
+      uploadDate: source?.upload_date || null,
+    },
+  };
+}
+
+function validateDateRange(from?: string, to?: string) {
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    throw createError('from and to must be dates in YYYY-MM-DD format', 400);
+  }
+}
+
+export const labController = {
+  /**
+   * Every biomarker the user has results for, with its latest value
+   * GET /api/v1/labs/biomarkers
+   */
+  async listBiomarkers(req: AuthenticatedRequest, res: Response) {
+    const userId = req.user!.id;
+
+    await syncPendingLabResults(supabase, userId);
+    const [catalog, rows] = await Promise.all([
+      loadBiomarkerCatalog(supabase),
+      getLabResults(supabase, userId),
+    ]);
+
+    // Rows are oldest first, so the last one seen per biomarker is the latest
+    const biomarkers = new Map<string, any>();
+    for (const row of rows) {
+      const key = row.biomarker_code || row.name_key;
+      const definition = row.biomarker_code ? catalog.definitions.get(row.biomarker_code) : undefined;
+      const entry = biomarkers.get(key) || {
+        key,
+        code: row.biomarker_code,
+        name: definition?.name || row.name,
+        category: definition?.category || null,
+        unit: definition?.canonical_unit || row.unit,
+        resultCount: 0,
+      };
+
+      entry.resultCount++;
+      entry.latest = {
+        collectedOn: row.collected_on,
+        value: row.normalized_value ?? row.value,
+        valueText: row.value_text,
+        unit: row.normalized_value !== null ? row.normalized_unit : row.unit,
+        flag: row.flag,
+      };
+      biomarkers.set(key, entry);
+    }
+
+    res.json({
+      success: true,
+      biomarkers: Array.from(biomarkers.values()).sort((a, b) => a.name.localeCompare(b.name)),
+    });
+  },
+
+  /**
+   * One biomarker's results across all uploads, oldest first. The biomarker
+   * may be given by canonical code ("hba1c") or any reported name ("A1C").
+   * GET /api/v1/labs/biomarkers/:biomarker/history?from=YYYY-MM-DD&to=YYYY-MM-DD
+   */
+  async getBiomarkerHistory(req: AuthenticatedRequest, res: Response) {
+    const userId = req.user!.id;
+    const biomarker = String(req.params.biomarker || '').trim();
+    const from = req.query.from as string | undefined;
+    const to = req.query.to as string | undefined;
+
+    if (!biomarker) {
+      throw createError('Biomarker is required', 400);
+    }
+    validateDateRange(from, to);
+
+    await syncPendingLabResults(supabase, userId);
+    const { definition, nameKey } = await resolveBiomarker(supabase, biomarker);
+    const rows = await getLabResults(supabase, userId, {
+      biomarkerCode: definition?.code || null,
+      nameKey,
+      from,
+      to,
+    });
+
+    if (!definition && rows.length === 0) {
+      throw createError('No results found for this biomarker', 404);
+    }
+
+    res.json({
+      success: true,
+      biomarker: {
+        code: definition?.code || null,
+        name: definition?.name || rows[0].name,
+        category: definition?.category || null,
+        unit: definition?.canonical_unit || null,
+        loinc: definition?.loinc || null,
+      },
+      results: rows.map(formatResult),
+    });
+  },
+
+  /**
+   * Biomarkers with results in two or more uploads: direction and rate of
+   * change, reference range crossings, and alerts for out-of-range values
+   * GET /api/v1/labs/trends?from=YYYY-MM-DD&to=YYYY-MM-DD
+   */
+  async getTrends(req: AuthenticatedRequest, res: Response) {
+    const userId = req.user!.id;
+    const from = req.query.from as string | undefined;
+    const to = req.query.to as string | undefined;
+
+    validateDateRange(from, to);
+
+    const { trends, alerts } = await getLabTrends(supabase, userId, { from, to });
+
+    res.json({
+      success: true,
+      trends,
+      alerts,
+    });
+  },
+};
@@ -0,0 +1,171 @@
+import { Response } from 'express';
+import { createClient } from '@supabase/supabase-js';
+import { createError } from '../middleware/errorHandler';
+import { AuthenticatedRequest } from '../middleware/auth';
+import { isExpoPushToken } from '../utils/push';
+import {
+  NotificationPreferences,
+  getNotificationPreferences,
+  normalizeTime,
+  notifyUser,
+  registerPushToken,
+  unregisterPushToken,
+  updateNotificationPreferences,
+} from '../utils/notificationService';
+
+// Service-role client; every query below is scoped to req.user.id explicitly
+const supabase = createClient(
+  process.env.SUPABASE_URL || '',
+  process.env.SUPABASE_SERVICE_ROLE_KEY || ''
+);
+
+const PLATFORMS = ['ios', 'android', 'web'];
+const BOOLEAN_PREFERENCES: Array<keyof NotificationPreferences> = ['enabled', 'syncStale', 'newInsight', 'uploadParsed'];
+
+function formatNotification(row: any) {
+  return {
+    id: row.id,
+    type: row.type,
+    title: row.title,
+    body: row.body,
+    data: row.data,
+    status: row.status,
+    sendAfter: row.send_after,
+    sentAt: row.sent_at,
+    createdAt: row.created_at,
+  };
+}
+
+export const notificationController = {
+  /**
+   * Register this device's Expo push token for the user
+   * POST /api/v1/notifications/tokens
+   */
+  async registerToken(req: AuthenticatedRequest, res: Response) {
+    const { token, platform, deviceName } = req.body || {};
+
+    if (!isExpoPushToken(token)) {
+      throw createError('token must be an Expo push token', 400);
+    }
+    if (platform !== undefined && platform !== null && !PLATFORMS.includes(platform)) {
+      throw createError(`platform must be one of: ${PLATFORMS.join(', ')}`, 400);
+    }
+    if (deviceName !== undefined && deviceName !== null && (typeof deviceName !== 'string' || deviceName.length > 100)) {
+      throw createError('deviceName must be a string of at most 100 characters', 400);
+    }
+
+    await registerPushToken(supabase, req.user!.id, { token, platform, deviceName });
+
+    res.json({ success: true });
+  },
+
+  /**
+   * Stop sending notifications to a device, e.g. on sign out
+   * DELETE /api/v1/notifications/tokens
+   */
+  async unregisterToken(req: AuthenticatedRequest, res: Response) {
+    const { token } = req.body || {};
+
+    if (!isExpoPushToken(token)) {
+      throw createError('token must be an Expo push token', 400);
+    }
+
+    await unregisterPushToken(supabase, req.user!.id, token);
+
+    res.json({ success: true });
+  },
+
+  /**
+   * The user's notification preferences
+   * GET /api/v1/notifications/preferences
+   */
+  async getPreferences(req: AuthenticatedRequest, res: Response) {
+    const preferences = await getNotificationPreferences(supabase, req.user!.id);
+
+    res.json({ success: true, preferences });
+  },
+
+  /**
+   * Change notification preferences; fields left out keep their value.
+   * Quiet hours are HH:MM in the user's time zone, both set or both null.
+   * PUT /api/v1/notifications/preferences
+   */
+  async updatePreferences(req: AuthenticatedRequest, res: Response) {
+    const body = req.body || {};
+    const changes: Partial<NotificationPreferences> = {};
+
+    for (const field of BOOLEAN_PREFERENCES) {
+      if (body[field] !== undefined) {
+        if (typeof body[field] !== 'boolean') {
+          throw createError(`${field} must be true or false`, 400);
+        }
+        (changes as any)[field] = body[field];
+      }
+    }
+
+    if (body.quietHoursStart !== undefined || body.quietHoursEnd !== undefined) {
+      const start = body.quietHoursStart === null ? null : normalizeTime(body.quietHoursStart);
+      const end = body.quietHoursEnd === null ? null : normalizeTime(body.quietHoursEnd);
+
+      if ((body.quietHoursStart !== null && !start) || (body.quietHoursEnd !== null && !end)) {
+        throw createError('quietHoursStart and quietHoursEnd must be times in HH:MM format', 400);
+      }
+      if ((start === null) !== (end === null)) {
+        throw createError('quietHoursStart and quietHoursEnd must both be set or both be null', 400);
+      }
+      changes.quietHoursStart = start;
+      changes.quietHoursEnd = end;
+    }
+
+    const preferences = await updateNotificationPreferences(supabase, req.user!.id, changes);
+
+    res.json({ success: true, preferences });
+  },
+
+  /**
+   * Notifications sent to the user, newest first
+   * GET /api/v1/notifications?limit=50
+   */
+  async listNotifications(req: AuthenticatedRequest, res: Response) {
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 50;
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      throw createError('limit must be between 1 and 200', 400);
+    }
+
+    const { data, error } = await supabase
+      .from('notifications')
+      .select('*')
+      .eq('user_id', req.user!.id)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw createError('Failed to fetch notifications', 500);
+    }
+
+    res.json({
+      success: true,
+      notifications: (data || []).map(formatNotification),
+    });
+  },
+
+  /**
+   * Send a test notification to the user's devices (ignores preferences and
+   * quiet hours)
+   * POST /api/v1/notifications/test
+   */
+  async sendTest(req: AuthenticatedRequest, res: Response) {
+    const result = await notifyUser(supabase, req.user!.id, 'test');
+
+    if (result.status === 'failed') {
+      throw createError('Failed to send test notification', 500);
+    }
+
+    res.json({
+      success: true,
+      status: result.status,
+      notificationId: result.notificationId,
+    });
+  },
+};
@@ -1,8 +1,9 @@
-import { Request, Response } from 'express';
+import { Response } from 'express';
 import { createClient } from '@supabase/supabase-js';
 import * as fs from 'fs';
-import * as path from 'path';
-import { parseFile } from '../utils/fileParsingService';
+import { enqueueUploadJob } from '../utils/uploadJobQueue';
+import { findImporter, maxImportFileBytes } from '../utils/importers';
+import { AuthenticatedRequest } from '../middleware/auth';
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -12,17 +13,24 @@ const supabase = createClient(
 
 export const uploadController = {
   /**
-   * Upload file and extract health data
-   * POST /api/v1/upload/file
+   * Upload file and queue extraction of its health data. Responds with the
+   * file and job ids right away; poll the status endpoint for the result.
+   * POST /api/v1/upload/file (up to 10MB)
+   * POST /api/v1/upload/import (health exports only, up to HEALTH_EXPORT_MAX_MB)
    */
-  async uploadFile(req: Request, res: Response) {
+  async uploadFile(req: AuthenticatedRequest, res: Response) {
     try {
-      const { userId } = req.body;
+      const userId = req.user!.id;
 
-      if (!userId) {
-        return res.status(400).json({
+      // Multipart fields are only available after multer runs, so the router-level
+      // userId check can't see them; reject a mismatched body.userId here instead
+      if (req.body?.userId && req.body.userId !== userId) {
+        if (req.file?.path && fs.existsSync(req.file.path)) {
+          fs.unlinkSync(req.file.path);
+        }
+        return res.status(403).json({
           success: false,
-          error: 'userId is required',
+          error: 'Access denied. userId does not match the authenticated user.',
         });
       }
 
@@ -42,14 +50,18 @@ export const uploadController = {
         userId,
       });
 
-      // Validate file size (10MB limit)
-      const MAX_SIZE = 10 * 1024 * 1024; // 10MB
+      // Health exports (e.g. Apple Health's export.zip) are imported directly
+      // and may be much larger than files sent for model extraction
+      const importer = findImporter(file.originalname, file.mimetype);
+
+      // Validate file size (10MB limit, larger for health exports)
+      const MAX_SIZE = importer ? maxImportFileBytes() : 10 * 1024 * 1024;
       if (file.size > MAX_SIZE) {
         // Clean up temp file
         fs.unlinkSync(file.path);
         return res.status(400).json({
           success: false,
-          error: 'File must be under 10MB',
+          error: `File must be under ${Math.round(MAX_SIZE / (1024 * 1024))}MB`,
         });
       }
 
@@ -67,7 +79,7 @@ export const uploadController = {
         'application/msword',
       ];
 
-      if (!allowedTypes.includes(file.mimetype)) {
+      if (!importer && !allowedTypes.includes(file.mimetype)) {
         fs.unlinkSync(file.path);
         return res.status(400).json({
           success: false,
@@ -75,43 +87,19 @@ export const uploadController = {
         });
       }
 
-      // Parse file and extract data
-      console.log('[Upload] Extracting content from file...');
-      const parseResult = await parseFile(file.path, file.originalname, file.mimetype);
-
-      console.log('[Upload] Parse result:', {
-        success: parseResult.success,
-        confidence: parseResult.extractedData?.confidence,
-        dataType: parseResult.extractedData?.dataType,
-        entriesCount: parseResult.extractedData?.entries?.length,
-        summary: parseResult.extractedData?.summary,
-      });
-
-      if (!parseResult.success || !parseResult.extractedData) {
-        fs.unlinkSync(file.path);
-        return res.status(400).json({
-          success: false,
-          error: parseResult.error || 'Failed to extract data from file',
-        });
-      }
-
-      // Accept all uploads - let the AI determine relevance during conversations
-      console.log('[Upload] File content extracted successfully');
-
-      // Upload file to Supabase Storage
+      // Store the file now; extraction runs in the upload worker
       console.log('[Upload] Uploading to Supabase Storage...');
       const timestamp = Date.now();
-      const fileExt = path.extname(file.originalname);
       const fileName = `${timestamp}-${file.originalname}`;
       const storagePath = `${userId}/${fileName}`;
 
-      const fileBuffer = fs.readFileSync(file.path);
-      
-      const { data: uploadData, error: uploadError } = await supabase.storage
+      // Streamed rather than read into memory, since exports can be large
+      const { error: uploadError } = await supabase.storage
         .from('user-uploads')
-        .upload(storagePath, fileBuffer, {
+        .upload(storagePath, fs.createReadStream(file.path), {
           contentType: file.mimetype,
           upsert: false,
+          duplex: 'half',
         });
 
       // Clean up temp file
@@ -132,16 +120,7 @@ export const uploadController = {
 
       const fileUrl = urlData.publicUrl;
 
-      // Extract date range from extracted data
-      let dateRangeStart = null;
-      let dateRangeEnd = null;
-      if (parseResult.extractedData.dateRange) {
-        dateRangeStart = parseResult.extractedData.dateRange.start;
-        dateRangeEnd = parseResult.extractedData.dateRange.end;
-      }
-
-      // Store extracted data in database
-      console.log('[Upload] Storing extracted data in database...');
+      // The row stays pending until the worker fills in the extracted data
       const { data: dbData, error: dbError } = await supabase
         .from('uploaded_file_data')
         .insert({
@@ -150,37 +129,42 @@ export const uploadController = {
           file_name: file.originalname,
           file_type: file.mimetype,
           file_size_bytes: file.size,
-          extracted_data: parseResult.extractedData,
-          extraction_metadata: {
-            model: 'gemini-2.5-flash',
-            timestamp: new Date().toISOString(),
-            confidence: parseResult.extractedData.confidence,
-          },
-          data_categories: parseResult.dataCategories || [],
-          date_range_start: dateRangeStart,
-          date_range_end: dateRangeEnd,
-          summary: parseResult.extractedData.summary,
+          processing_status: 'pending',
         })
-        .select()
+        .select('id, user_id')
         .single();
 
       if (dbError) {
         console.error('[Upload] Database error:', dbError);
+        await supabase.storage.from('user-uploads').remove([storagePath]);
         return res.status(500).json({
           success: false,
-          error: 'Failed to save extracted data',
+          error: 'Failed to save uploaded file',
         });
       }
 
-      console.log('[Upload] File processed successfully:', dbData.id);
+      let job;
+      try {
+        job = await enqueueUploadJob(supabase, dbData, storagePath);
+      } catch (queueError) {
+        console.error('[Upload] Error queueing extraction:', queueError);
+        await supabase.from('uploaded_file_data').delete().eq('id', dbData.id);
+        await supabase.storage.from('user-uploads').remove([storagePath]);
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to queue file for processing',
+        });
+      }
 
-      res.json({
+      console.log('[Upload] File queued for extraction:', { fileId: dbData.id, jobId: job.id });
+
+      res.status(202).json({
         success: true,
         fileId: dbData.id,
+        jobId: job.id,
         fileName: file.originalname,
-        extractedData: parseResult.extractedData,
-        dataCategories: parseResult.dataCategories,
-        message: 'File uploaded and analyzed successfully',
+        status: job.status,
+        message: 'File uploaded; analysis has started',
       });
     } catch (error: any) {
       console.error('[Upload] Error in uploadFile:', error);
@@ -201,20 +185,13 @@ export const uploadController = {
    * Get user's uploaded files
    * GET /api/v1/upload/files
    */
-  async getUploadedFiles(req: Request, res: Response) {
+  async getUploadedFiles(req: AuthenticatedRequest, res: Response) {
     try {
-      const { userId } = req.query;
-
-      if (!userId) {
-        return res.status(400).json({
-          success: false,
-          error: 'userId is required',
-        });
-      }
+      const userId = req.user!.id;
 
       const { data: files, error } = await supabase
         .from('uploaded_file_data')
-        .select('id, file_name, file_type, file_size_bytes, upload_date, data_categories, summary, date_range_start, date_range_end')
+        .select('id, file_name, file_type, file_size_bytes, upload_date, data_categories, summary, date_range_start, date_range_end, processing_status, review_status, data_type:extracted_data->>dataType')
         .eq('user_id', userId)
         .order('upload_date', { ascending: false });
 
@@ -243,17 +220,10 @@ export const uploadController = {
    * Get specific uploaded file data
    * GET /api/v1/upload/files/:id
    */
-  async getUploadedFile(req: Request, res: Response) {
+  async getUploadedFile(req: AuthenticatedRequest, res: Response) {
     try {
       const { id } = req.params;
-      const { userId } = req.query;
-
-      if (!userId) {
-        return res.status(400).json({
-          success: false,
-          error: 'userId is required',
-        });
-      }
+      const userId = req.user!.id;
 
       const { data: file, error } = await supabase
         .from('uploaded_file_data')
@@ -283,21 +253,65 @@ export const uploadController = {
   },
 
   /**
-   * Delete uploaded file
-   * DELETE /api/v1/upload/files/:id
+   * Processing status of an uploaded file: queued, extracting, done or failed
+   * GET /api/v1/upload/files/:id/status
    */
-  async deleteUploadedFile(req: Request, res: Response) {
+  async getUploadStatus(req: AuthenticatedRequest, res: Response) {
     try {
       const { id } = req.params;
-      const { userId } = req.query;
+      const userId = req.user!.id;
 
-      if (!userId) {
-        return res.status(400).json({
+      const { data: file, error } = await supabase
+        .from('uploaded_file_data')
+        .select('id, file_name, processing_status, summary, data_categories, upload_jobs(id, status, attempts, last_error, started_at, finished_at)')
+        .eq('id', id)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error || !file) {
+        return res.status(404).json({
           success: false,
-          error: 'userId is required',
+          error: 'File not found',
         });
       }
 
+      // Files uploaded before the job queue have no job and were processed inline
+      const job: any = Array.isArray(file.upload_jobs) ? file.upload_jobs[0] : file.upload_jobs;
+      const status = job?.status || (file.processing_status === 'pending' ? 'queued' : file.processing_status);
+
+      res.json({
+        success: true,
+        fileId: file.id,
+        jobId: job?.id || null,
+        fileName: file.file_name,
+        status,
+        attempts: job?.attempts || 0,
+        error: status === 'failed' ? job?.last_error || 'Failed to extract data from file' : null,
+        startedAt: job?.started_at || null,
+        finishedAt: job?.finished_at || null,
+        ...(status === 'done' && {
+          summary: file.summary,
+          dataCategories: file.data_categories || [],
+        }),
+      });
+    } catch (error: any) {
+      console.error('[Upload] Error in getUploadStatus:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch upload status',
+      });
+    }
+  },
+
+  /**
+   * Delete uploaded file
+   * DELETE /api/v1/upload/files/:id
+   */
+  async deleteUploadedFile(req: AuthenticatedRequest, res: Response) {
+    try {
+      const { id } = req.params;
+      const userId = req.user!.id;
+
       // Get file info first
       const { data: file, error: fetchError } = await supabase
         .from('uploaded_file_data')
@@ -0,0 +1,327 @@
+import { Response } from 'express';
+import { createClient } from '@supabase/supabase-js';
+import { createError } from '../middleware/errorHandler';
+import { AuthenticatedRequest } from '../middleware/auth';
+import { ExtractedData } from '../utils/fileParsingService';
+import {
+  EntryEdit,
+  LabResultEdit,
+  isReviewable,
+  applyEntryEdit,
+  removeEntry,
+  applyLabResultEdit,
+  removeLabResult,
+  refreshUploadDerivedData,
+} from '../utils/uploadReviewService';
+
+// Service-role client; every query below is scoped to req.user.id explicitly
+const supabase = createClient(
+  process.env.SUPABASE_URL || '',
+  process.env.SUPABASE_SERVICE_ROLE_KEY || ''
+);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SIGNED_URL_TTL_SECONDS = 60 * 60;
+const MAX_SUMMARY_LENGTH = 2000;
+
+const LAB_RESULT_STRING_FIELDS = ['unit', 'referenceRange', 'flag', 'panel'] as const;
+const LAB_RESULT_NUMBER_FIELDS = ['referenceLow', 'referenceHigh'] as const;
+
+/**
+ * The user's upload, once its extraction has finished and is one the user
+ * can correct
+ */
+async function loadReviewableUpload(userId: string, id: string) {
+  const { data: upload, error } = await supabase
+    .from('uploaded_file_data')
+    .select('*')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw createError('Failed to fetch file', 500);
+  }
+  if (!upload) {
+    throw createError('File not found', 404);
+  }
+  if (upload.processing_status !== 'done') {
+    throw createError('File is still being processed', 409);
+  }
+  if (!isReviewable(upload.extracted_data)) {
+    throw createError('This file was imported directly and has nothing to review', 400);
+  }
+  return upload;
+}
+
+/**
+ * Signed link to the stored file, so the app can show it next to what was
+ * read from it
+ */
+async function signedFileUrl(upload: any): Promise<string | null> {
+  const urlParts = String(upload.file_url || '').split('/user-uploads/');
+  if (urlParts.length !== 2) {
+    return null;
+  }
+
+  const { data, error } = await supabase.storage
+    .from('user-uploads')
+    .createSignedUrl(urlParts[1], SIGNED_URL_TTL_SECONDS);
+
+  if (error) {
+    console.error('[UploadReview] Error signing file URL:', error);
+    return null;
+  }
+  return data.signedUrl;
+}
+
+async function sendReview(res: Response, upload: any) {
+  const extracted: ExtractedData = upload.extracted_data;
+
+  res.json({
+    success: true,
+    file: {
+      id: upload.id,
+      fileName: upload.file_name,
+      fileType: upload.file_type,
+      uploadDate: upload.upload_date,
+      dataType: extracted.dataType,
+      summary: upload.summary,
+      confidence: extracted.confidence ?? null,
+      reviewStatus: upload.review_status,
+      reviewedAt: upload.reviewed_at,
+      edited: upload.original_extracted_data !== null,
+    },
+    fileUrl: await signedFileUrl(upload),
+    entries: extracted.entries || [],
+    labResults: extracted.labResults || [],
+  });
+}
+
+/**
+ * Store a corrected extraction, keeping the model's original output from
+ * before the first correction
+ */
+async function saveExtraction(upload: any, extracted: ExtractedData, summary?: string) {
+  const { data: saved, error } = await supabase
+    .from('uploaded_file_data')
+    .update({
+      extracted_data: summary !== undefined ? { ...extracted, summary } : extracted,
+      original_extracted_data: upload.original_extracted_data ?? upload.extracted_data,
+      date_range_start: extracted.dateRange?.start || null,
+      date_range_end: extracted.dateRange?.end || null,
+      ...(summary !== undefined && { summary }),
+    })
+    .eq('id', upload.id)
+    .eq('user_id', upload.user_id)
+    .select()
+    .single();
+
+  if (error || !saved) {
+    console.error('[UploadReview] Error saving corrections:', error);
+    throw createError('Failed to save changes', 500);
+  }
+
+  await refreshUploadDerivedData(supabase, saved);
+  return saved;
+}
+
+function parseIndex(value: string, length: number, label: string): number {
+  const index = Number(value);
+  if (!Number.isInteger(index) || index < 0 || index >= length) {
+    throw createError(`${label} not found`, 404);
+  }
+  return index;
+}
+
+function isDate(value: unknown): boolean {
+  return typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(Date.parse(value));
+}
+
+function validateEntryEdit(body: any): EntryEdit {
+  const edit: EntryEdit = {};
+
+  if (body.date !== undefined) {
+    if (body.date !== null && body.date !== '' && !isDate(body.date)) {
+      throw createError('date must be a date in YYYY-MM-DD format', 400);
+    }
+    edit.date = body.date || null;
+  }
+  if (body.category !== undefined) {
+    if (typeof body.category !== 'string' || !body.category.trim()) {
+      throw createError('category must be a non-empty string', 400);
+    }
+    edit.category = body.category.trim();
+  }
+  if (body.notes !== undefined) {
+    if (body.notes !== null && typeof body.notes !== 'string') {
+      throw createError('notes must be a string', 400);
+    }
+    edit.notes = body.notes;
+  }
+  if (body.metrics !== undefined) {
+    if (!body.metrics || typeof body.metrics !== 'object' || Array.isArray(body.metrics)) {
+      throw createError('metrics must be an object of metric names to values', 400);
+    }
+    Object.entries(body.metrics).forEach(([key, value]) => {
+      const valid = value === null || ['number', 'string', 'boolean'].includes(typeof value);
+      if (!key.trim() || !valid || (typeof value === 'number' && !isFinite(value))) {
+        throw createError(`Invalid value for metric "${key}"`, 400);
+      }
+    });
+    edit.metrics = body.metrics;
+  }
+
+  if (Object.keys(edit).length === 0) {
+    throw createError('Nothing to update', 400);
+  }
+  return edit;
+}
+
+function validateLabResultEdit(body: any): LabResultEdit {
+  const edit: LabResultEdit = {};
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      throw createError('name must be a non-empty string', 400);
+    }
+    edit.name = body.name.trim();
+  }
+  if (body.value !== undefined) {
+    const valid = body.value === null || typeof body.value === 'string' || (typeof body.value === 'number' && isFinite(body.value));
+    if (!valid) {
+      throw createError('value must be a number, a string or null', 400);
+    }
+    edit.value = body.value;
+  }
+  if (body.collectionDate !== undefined) {
+    if (body.collectionDate !== null && body.collectionDate !== '' && !isDate(body.collectionDate)) {
+      throw createError('collectionDate must be a date in YYYY-MM-DD format', 400);
+    }
+    edit.collectionDate = body.collectionDate || undefined;
+  }
+  for (const field of LAB_RESULT_STRING_FIELDS) {
+    if (body[field] !== undefined) {
+      if (body[field] !== null && typeof body[field] !== 'string') {
+        throw createError(`${field} must be a string`, 400);
+      }
+      edit[field] = body[field] || undefined;
+    }
+  }
+  for (const field of LAB_RESULT_NUMBER_FIELDS) {
+    if (body[field] !== undefined) {
+      if (body[field] !== null && !(typeof body[field] === 'number' && isFinite(body[field]))) {
+        throw createError(`${field} must be a number or null`, 400);
+      }
+      edit[field] = body[field];
+    }
+  }
+
+  if (Object.keys(edit).length === 0) {
+    throw createError('Nothing to update', 400);
+  }
+  return edit;
+}
+
+export const uploadReviewController = {
+  /**
+   * What was read from an upload, with a link to the stored file
+   * GET /api/v1/upload/files/:id/review
+   */
+  async getReview(req: AuthenticatedRequest, res: Response) {
+    const upload = await loadReviewableUpload(req.user!.id, req.params.id);
+    await sendReview(res, upload);
+  },
+
+  /**
+   * Correct one extracted entry's date, category, notes or metrics. A metric
+   * set to null is removed.
+   * PATCH /api/v1/upload/files/:id/entries/:index
+   */
+  async updateEntry(req: AuthenticatedRequest, res: Response) {
+    const upload = await loadReviewableUpload(req.user!.id, req.params.id);
+    const extracted: ExtractedData = upload.extracted_data;
+    const index = parseIndex(req.params.index, extracted.entries.length, 'Entry');
+    const edit = validateEntryEdit(req.body || {});
+
+    await sendReview(res, await saveExtraction(upload, applyEntryEdit(extracted, index, edit)));
+  },
+
+  /**
+   * DELETE /api/v1/upload/files/:id/entries/:index
+   */
+  async deleteEntry(req: AuthenticatedRequest, res: Response) {
+    const upload = await loadReviewableUpload(req.user!.id, req.params.id);
+    const extracted: ExtractedData = upload.extracted_data;
+    const index = parseIndex(req.params.index, extracted.entries.length, 'Entry');
+
+    await sendReview(res, await saveExtraction(upload, removeEntry(extracted, index)));
+  },
+
+  /**
+   * Correct one extracted lab result
+   * PATCH /api/v1/upload/files/:id/lab-results/:index
+   */
+  async updateLabResult(req: AuthenticatedRequest, res: Response) {
+    const upload = await loadReviewableUpload(req.user!.id, req.params.id);
+    const extracted: ExtractedData = upload.extracted_data;
+    const index = parseIndex(req.params.index, (extracted.labResults || []).length, 'Lab result');
+    const edit = validateLabResultEdit(req.body || {});
+
+    await sendReview(res, await saveExtraction(upload, applyLabResultEdit(extracted, index, edit)));
+  },
+
+  /**
+   * DELETE /api/v1/upload/files/:id/lab-results/:index
+   */
+  async deleteLabResult(req: AuthenticatedRequest, res: Response) {
+    const upload = await loadReviewableUpload(req.user!.id, req.params.id);
+    const extracted: ExtractedData = upload.extracted_data;
+    const index = parseIndex(req.params.index, (extracted.labResults || []).length, 'Lab result');
+
+    await sendReview(res, await saveExtraction(upload, removeLabResult(extracted, index)));
+  },
+
+  /**
+   * Rewrite the file's summary, which can repeat a misread value
+   * PATCH /api/v1/upload/files/:id/summary
+   */
+  async updateSummary(req: AuthenticatedRequest, res: Response) {
+    const upload = await loadReviewableUpload(req.user!.id, req.params.id);
+    const summary = req.body?.summary;
+
+    if (typeof summary !== 'string' || !summary.trim()) {
+      throw createError('summary must be a non-empty string', 400);
+    }
+    if (summary.length > MAX_SUMMARY_LENGTH) {
+      throw createError(`summary must be at most ${MAX_SUMMARY_LENGTH} characters`, 400);
+    }
+
+    await sendReview(res, await saveExtraction(upload, upload.extracted_data, summary.trim()));
+  },
+
+  /**
+   * Mark the upload's data as checked by the user. Uploads that were waiting
+   * for review are used in chat from here on.
+   * POST /api/v1/upload/files/:id/verify
+   */
+  async verify(req: AuthenticatedRequest, res: Response) {
+    const upload = await loadReviewableUpload(req.user!.id, req.params.id);
+
+    const { data: saved, error } = await supabase
+      .from('uploaded_file_data')
+      .update({ review_status: 'verified', reviewed_at: new Date().toISOString() })
+      .eq('id', upload.id)
+      .eq('user_id', upload.user_id)
+      .select()
+      .single();
+
+    if (error || !saved) {
+      console.error('[UploadReview] Error verifying upload:', error);
+      throw createError('Failed to verify file', 500);
+    }
+
+    await refreshUploadDerivedData(supabase, saved);
+    await sendReview(res, saved);
+  },
+};
@@ -1,44 +1,490 @@
 import { Request, Response } from 'express';
+import { createClient, User } from '@supabase/supabase-js';
 import { createError } from '../middleware/errorHandler';
+import { AuthenticatedRequest } from '../middleware/auth';
+import { getDailyMetrics, getHealthEvents, DailyMetric } from '../utils/healthDataRetrieval';
+import { isValidTimeZone, resolveUserTimeZone, formatDateInTimeZone, zonedDayBoundary } from '../utils/timeZone';
+import { round } from '../utils/numbers';
+
+// Service-role client; every query below is scoped to req.user.id explicitly
+const supabase = createClient(
+  process.env.SUPABASE_URL || '',
+  process.env.SUPABASE_SERVICE_ROLE_KEY || ''
+);
+
+const UPLOADS_BUCKET = 'user-uploads';
+const USER_ROLES = ['user', 'admin', 'super_admin'];
+const USER_STATUSES = ['active', 'inactive', 'suspended'];
+const MAX_PAGE_SIZE = 100;
+// Supabase bans are time-boxed; ~100 years is effectively permanent until reactivated
+const SUSPENSION_BAN_DURATION = '876000h';
+const MIN_PASSWORD_LENGTH = 8;
+const DASHBOARD_BASELINE_DAYS = 7;
+
+// Metrics from health_metrics_daily that the dashboard compares against the baseline
+const DASHBOARD_METRICS: (keyof DailyMetric)[] = [
+  'steps',
+  'distance_mi',
+  'active_calories',
+  'exercise_minutes',
+  'flights_climbed',
+  'avg_heart_rate',
+  'resting_heart_rate',
+  'heart_rate_variability',
+  'sleep_hours',
+  'weight_lbs',
+  'calories_consumed',
+  'water_oz',
+  'total_workout_minutes',
+];
+
+// Tables holding per-user rows (keyed by user_id) that are removed with the account
+const USER_DATA_TABLES = [
+  'health_data',
+  'health_metrics_daily',
+  'health_events',
+  'upload_jobs',
+  'uploaded_file_data',
+  'connected_apps',
+  'connected_devices',
+  'health_embeddings',
+  'lab_results',
+  'medical_conditions',
+  'medications',
+  'immunizations',
+  'health_insights',
+  'push_tokens',
+  'notification_preferences',
+  'notifications',
+  'goals',
+];
+
+function toDateString(date: Date): string {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Remove every object stored under the user's folder in the uploads bucket.
+ * Storage has no recursive delete, so list in pages and remove by path.
+ */
+async function removeUserUploads(userId: string): Promise<number> {
+  const pageSize = 100;
+  let removed = 0;
+
+  while (true) {
+    const { data: objects, error } = await supabase.storage
+      .from(UPLOADS_BUCKET)
+      .list(userId, { limit: pageSize });
+
+    if (error) {
+      throw createError(`Failed to list uploaded files: ${error.message}`, 500);
+    }
+    if (!objects || objects.length === 0) {
+      return removed;
+    }
+
+    const paths = objects.map((object) => `${userId}/${object.name}`);
+    const { error: removeError } = await supabase.storage.from(UPLOADS_BUCKET).remove(paths);
+    if (removeError) {
+      throw createError(`Failed to delete uploaded files: ${removeError.message}`, 500);
+    }
+
+    removed += paths.length;
+    if (objects.length < pageSize) {
+      return removed;
+    }
+  }
+}
+
+/**
+ * Delete a user's account and everything stored for them: health data, events,
+ * conversations and messages, uploaded file records, the files in storage, the
+ * profile and finally the auth user. Shared by self-service and admin deletion.
+ */
+async function deleteUserAccount(userId: string): Promise<void> {
+  console.log('[Users] Deleting account:', userId);
+
+  const removedFiles = await removeUserUploads(userId);
+
+  // chat_messages has no user_id column, so remove them via the user's conversations
+  const { data: conversations, error: conversationsError } = await supabase
+    .from('chat_conversations')
+    .select('id')
+    .eq('user_id', userId);
+
+  if (conversationsError) {
+    throw createError('Failed to delete conversations', 500);
+  }
+
+  const conversationIds = (conversations || []).map((c) => c.id);
+  if (conversationIds.length > 0) {
+    const { error } = await supabase
+      .from('chat_messages')
+      .delete()
+      .in('conversation_id', conversationIds);
+    if (error) {
+      throw createError('Failed to delete chat messages', 500);
+    }
+  }
+
+  for (const table of [...USER_DATA_TABLES, 'chat_conversations']) {
+    const { error } = await supabase.from(table).delete().eq('user_id', userId);
+    if (error) {
+      console.error(`[Users] Error deleting from ${table}:`, error);
+      throw createError('Failed to delete account data', 500);
+    }
+  }
+
+  const { error: profileError } = await supabase.from('profiles').delete().eq('id', userId);
+  if (profileError) {
+    throw createError('Failed to delete profile', 500);
+  }
+
+  const { error: authError } = await supabase.auth.admin.deleteUser(userId);
+  if (authError) {
+    console.error('[Users] Error deleting auth user:', authError);
+    throw createError('Failed to delete account', 500);
+  }
+
+  console.log('[Users] Account deleted:', { userId, removedFiles, conversations: conversationIds.length });
+}
+
+function formatProfile(profile: any, user: NonNullable<AuthenticatedRequest['user']>) {
+  return {
+    id: user.id,
+    email: profile?.email || user.email,
+    fullName: profile?.full_name || null,
+    avatarUrl: profile?.avatar_url || null,
+    timeZone: profile?.time_zone || null,
+    role: user.role,
+    onboardingCompleted: !!profile?.onboarding_completed,
+    onboardingCompletedAt: profile?.onboarding_completed_at || null,
+    onboardingData: profile?.onboarding_data || null,
+    createdAt: profile?.created_at || null,
+    updatedAt: profile?.updated_at || null,
+  };
+}
+
+/**
+ * Shape a profile row (plus its auth user, when loaded) the way the admin
+ * panel's AdminUser type expects it.
+ */
+function formatAdminUser(profile: any, authUser?: User | null) {
+  return {
+    id: profile.id,
+    email: profile.email,
+    name: profile.full_name || '',
+    role: profile.role || 'user',
+    status: profile.status || 'active',
+    lastLogin: authUser?.last_sign_in_at || null,
+    createdAt: profile.created_at,
+    suspendedAt: profile.suspended_at || null,
+    onboardingCompleted: !!profile.onboarding_completed,
+  };
+}
+
+async function getAuthUser(userId: string): Promise<User | null> {
+  const { data, error } = await supabase.auth.admin.getUserById(userId);
+  if (error) {
+    console.warn('[Users] Could not load auth user:', userId, error.message);
+    return null;
+  }
+  return data.user;
+}
+
+async function getProfileOrThrow(userId: string) {
+  const { data: profile, error } = await supabase
+    .from('profiles')
+    .select('*')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw createError('Failed to fetch user', 500);
+  }
+  if (!profile) {
+    throw createError('User not found', 404);
+  }
+  return profile;
+}
+
+/**
+ * Only super admins may touch other admins' super_admin role, and nobody may
+ * change their own role or status (so an admin can't lock themselves out).
+ */
+function assertCanManage(actor: NonNullable<AuthenticatedRequest['user']>, target: any, newRole?: string) {
+  if (actor.id === target.id) {
+    throw createError('You cannot change your own role or status', 400);
+  }
+  if (actor.role !== 'super_admin' && (target.role === 'super_admin' || newRole === 'super_admin')) {
+    throw createError('Only a super admin can manage super admins', 403);
+  }
+}
 
 export const userController = {
-  async getCurrentUser(req: Request, res: Response) {
-    // TODO: Implement get current user
-    res.status(501).json({
-      success: false,
-      message: 'Get current user endpoint not implemented yet',
+  /**
+   * Get the authenticated user's profile
+   * GET /api/v1/users/me
+   */
+  async getCurrentUser(req: AuthenticatedRequest, res: Response) {
+    const user = req.user!;
+
+    const { data: profile, error } = await supabase
+      .from('profiles')
+      .select('*')
+      .eq('id', user.id)
+      .maybeSingle();
+
+    if (error) {
+      throw createError('Failed to fetch profile', 500);
+    }
+
+    res.json({
+      success: true,
+      user: formatProfile(profile, user),
     });
   },
 
-  async updateCurrentUser(req: Request, res: Response) {
-    // TODO: Implement update current user
-    res.status(501).json({
-      success: false,
-      message: 'Update current user endpoint not implemented yet',
+  /**
+   * Update the authenticated user's profile. `onboardingData` is merged into
+   * the existing answers so the app can save one section at a time.
+   * PUT /api/v1/users/me
+   */
+  async updateCurrentUser(req: AuthenticatedRequest, res: Response) {
+    const user = req.user!;
+    const { fullName, avatarUrl, timeZone, onboardingData, onboardingCompleted } = req.body || {};
+    const updates: Record<string, any> = {};
+
+    if (fullName !== undefined) {
+      if (fullName !== null && typeof fullName !== 'string') {
+        throw createError('fullName must be a string', 400);
+      }
+      updates.full_name = fullName ? fullName.trim() : null;
+    }
+
+    if (avatarUrl !== undefined) {
+      if (avatarUrl !== null && typeof avatarUrl !== 'string') {
+        throw createError('avatarUrl must be a string', 400);
+      }
+      updates.avatar_url = avatarUrl || null;
+    }
+
+    if (timeZone !== undefined) {
+      if (timeZone !== null && !isValidTimeZone(timeZone)) {
+        throw createError('timeZone must be an IANA time zone such as America/New_York', 400);
+      }
+      updates.time_zone = timeZone;
+      updates.time_zone_updated_at = new Date().toISOString();
+    }
+
+    if (onboardingCompleted !== undefined) {
+      if (typeof onboardingCompleted !== 'boolean') {
+        throw createError('onboardingCompleted must be a boolean', 400);
+      }
+      updates.onboarding_completed = onboardingCompleted;
+      updates.onboarding_completed_at = onboardingCompleted ? new Date().toISOString() : null;
+    }
+
+    if (onboardingData !== undefined) {
+      if (!onboardingData || typeof onboardingData !== 'object' || Array.isArray(onboardingData)) {
+        throw createError('onboardingData must be an object', 400);
+      }
+
+      const { data: existing, error: fetchError } = await supabase
+        .from('profiles')
+        .select('onboarding_data')
+        .eq('id', user.id)
+        .maybeSingle();
+
+      if (fetchError) {
+        throw createError('Failed to fetch profile', 500);
+      }
+
+      updates.onboarding_data = {
+        ...(existing?.onboarding_data || {}),
+        ...onboardingData,
+        updatedAt: new Date().toISOString(),
+      };
+    }
+
+    if (Object.keys(updates).length === 0) {
+      throw createError('No updatable fields provided', 400);
+    }
+
+    updates.updated_at = new Date().toISOString();
+
+    // Upsert so users created before the profiles trigger still get a row
+    const { data: profile, error } = await supabase
+      .from('profiles')
+      .upsert({ id: user.id, email: user.email, ...updates }, { onConflict: 'id' })
+      .select('*')
+      .single();
+
+    if (error) {
+      console.error('[Users] Error updating profile:', error);
+      throw createError('Failed to update profile', 500);
+    }
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      user: formatProfile(profile, user),
     });
   },
 
-  async deleteCurrentUser(req: Request, res: Response) {
-    // TODO: Implement delete current user
-    res.status(501).json({
-      success: false,
-      message: 'Delete current user endpoint not implemented yet',
+  /**
+   * Permanently delete the authenticated user's account and all of their data:
+   * health data, events, conversations and messages, uploaded file records and
+   * the files themselves in storage.
+   * DELETE /api/v1/users/me
+   */
+  async deleteCurrentUser(req: AuthenticatedRequest, res: Response) {
+    const userId = req.user!.id;
+
+    await deleteUserAccount(userId);
+
+    res.clearCookie('token', { path: '/' });
+    res.clearCookie('refresh_token', { path: '/api/v1/auth' });
+
+    res.json({
+      success: true,
+      message: 'Account and all associated data deleted',
     });
   },
 
-  async changePassword(req: Request, res: Response) {
-    // TODO: Implement change password
-    res.status(501).json({
-      success: false,
-      message: 'Change password endpoint not implemented yet',
+  /**
+   * Change the password after re-checking the current one
+   * POST /api/v1/users/change-password
+   */
+  async changePassword(req: AuthenticatedRequest, res: Response) {
+    const user = req.user!;
+    const { currentPassword, newPassword } = req.body || {};
+
+    if (typeof currentPassword !== 'string' || !currentPassword) {
+      throw createError('Current password is required', 400);
+    }
+    if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+      throw createError(`New password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+    }
+    if (newPassword === currentPassword) {
+      throw createError('New password must be different from the current password', 400);
+    }
+
+    // Verify the current password with a throwaway client so no session is kept
+    const authClient = createClient(
+      process.env.SUPABASE_URL || '',
+      process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY || '',
+      { auth: { persistSession: false, autoRefreshToken: false, detectSessionInUrl: false } }
+    );
+    const { error: signInError } = await authClient.auth.signInWithPassword({
+      email: user.email,
+      password: currentPassword,
+    });
+
+    if (signInError) {
+      throw createError('Current password is incorrect', 401);
+    }
+
+    const { error } = await supabase.auth.admin.updateUserById(user.id, { password: newPassword });
+    if (error) {
+      throw createError(error.message, error.status || 400);
+    }
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
     });
   },
 
-  async getDashboard(req: Request, res: Response) {
-    // TODO: Implement get dashboard data
-    res.status(501).json({
-      success: false,
-      message: 'Get dashboard endpoint not implemented yet',
+  /**
+   * Compact dashboard summary: today's value for each daily metric compared
+   * with the average of the previous 7 days, plus event counts. Days are the
+   * user's days in their time zone.
+   * GET /api/v1/users/dashboard
+   */
+  async getDashboard(req: AuthenticatedRequest, res: Response) {
+    const userId = req.user!.id;
+    const timeZone = await resolveUserTimeZone(supabase, userId, req.header('X-Time-Zone'));
+
+    const today = new Date();
+    const todayStr = formatDateInTimeZone(today, timeZone);
+    const baselineDate = new Date(`${todayStr}T00:00:00.000Z`);
+    baselineDate.setUTCDate(baselineDate.getUTCDate() - DASHBOARD_BASELINE_DAYS);
+    const baselineStart = zonedDayBoundary(toDateString(baselineDate), timeZone);
+    const todayStart = zonedDayBoundary(todayStr, timeZone);
+
+    const [metricsResult, eventsResult] = await Promise.all([
+      getDailyMetrics(supabase, userId, baselineStart, today, timeZone),
+      getHealthEvents(supabase, userId, baselineStart, today),
+    ]);
+
+    if (!metricsResult.success || !eventsResult.success) {
+      throw createError('Failed to load dashboard data', 500);
+    }
+
+    const todayRow = metricsResult.data.find((row) => row.date === todayStr);
+    const baselineRows = metricsResult.data.filter((row) => row.date < todayStr);
+
+    const metrics: Record<string, {
+      today: number | null;
+      average7d: number | null;
+      changePercent: number | null;
+      daysWithData: number;
+    }> = {};
+
+    for (const metric of DASHBOARD_METRICS) {
+      const values = baselineRows
+        .map((row) => row[metric])
+        .filter((value): value is number => typeof value === 'number');
+      const todayValue = typeof todayRow?.[metric] === 'number' ? (todayRow[metric] as number) : null;
+
+      if (todayValue === null && values.length === 0) {
+        continue;
+      }
+
+      const average = values.length > 0
+        ? values.reduce((sum, value) => sum + value, 0) / values.length
+        : null;
+
+      metrics[metric] = {
+        today: todayValue,
+        average7d: average !== null ? round(average, 1) : null,
+        changePercent: todayValue !== null && average ? round(((todayValue - average) / average) * 100, 1) : null,
+        daysWithData: values.length,
+      };
+    }
+
+    const eventCounts: Record<string, { today: number; last7d: number }> = {};
+    for (const event of eventsResult.data) {
+      const counts = eventCounts[event.event_type] || (eventCounts[event.event_type] = { today: 0, last7d: 0 });
+      if (new Date(event.start_time) >= todayStart) {
+        counts.today++;
+      } else {
+        counts.last7d++;
+      }
+    }
+
+    res.json({
+      success: true,
+      dashboard: {
+        date: todayStr,
+        timeZone,
+        baselineDays: DASHBOARD_BASELINE_DAYS,
+        metrics,
+        events: {
+          counts: eventCounts,
+          recent: eventsResult.data.slice(0, 5).map((event) => ({
+            id: event.id,
+            type: event.event_type,
+            title: event.title || null,
+            startTime: event.start_time,
+            durationSeconds: event.duration_seconds || null,
+          })),
+        },
+        lastSyncedDate: metricsResult.data.length > 0
+          ? metricsResult.data[metricsResult.data.length - 1].date
+          : null,
+      },
     });
   },
 
@@ -50,35 +496,185 @@ export const userController = {
     });
   },
 
-  async getAllUsers(req: Request, res: Response) {
-    // TODO: Implement get all users (admin only)
-    res.status(501).json({
-      success: false,
-      message: 'Get all users endpoint not implemented yet',
+  /**
+   * List users with search/role/status filters and pagination (admin only)
+   * GET /api/v1/users?page=1&limit=25&search=&role=&status=
+   */
+  async getAllUsers(req: AuthenticatedRequest, res: Response) {
+    const page = Math.max(parseInt(String(req.query.page || '1'), 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(String(req.query.limit || '25'), 10) || 25, 1), MAX_PAGE_SIZE);
+    const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+    const role = typeof req.query.role === 'string' ? req.query.role : '';
+    const status = typeof req.query.status === 'string' ? req.query.status : '';
+
+    if (role && !USER_ROLES.includes(role)) {
+      throw createError(`role must be one of: ${USER_ROLES.join(', ')}`, 400);
+    }
+    if (status && !USER_STATUSES.includes(status)) {
+      throw createError(`status must be one of: ${USER_STATUSES.join(', ')}`, 400);
+    }
+
+    let query = supabase
+      .from('profiles')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1);
+
+    if (search) {
+      // Strip characters that have meaning in PostgREST filter syntax
+      const term = search.replace(/[%,()*\\]/g, ' ').trim();
+      if (term) {
+        query = query.or(`email.ilike.%${term}%,full_name.ilike.%${term}%`);
+      }
+    }
+    if (role) {
+      query = query.eq('role', role);
+    }
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: profiles, count, error } = await query;
+
+    if (error) {
+      console.error('[Users] Error listing users:', error);
+      throw createError('Failed to fetch users', 500);
+    }
+
+    // Last sign-in time only lives on the auth user
+    const authUsers = await Promise.all((profiles || []).map((profile) => getAuthUser(profile.id)));
+
+    res.json({
+      success: true,
+      users: (profiles || []).map((profile, index) => formatAdminUser(profile, authUsers[index])),
+      pagination: {
+        page,
+        limit,
+        total: count || 0,
+      },
     });
   },
 
-  async getUserById(req: Request, res: Response) {
-    // TODO: Implement get user by ID (admin only)
-    res.status(501).json({
-      success: false,
-      message: 'Get user by ID endpoint not implemented yet',
+  /**
+   * Get a single user with a summary of their stored data (admin only)
+   * GET /api/v1/users/:id
+   */
+  async getUserById(req: AuthenticatedRequest, res: Response) {
+    const { id } = req.params;
+    const profile = await getProfileOrThrow(id);
+
+    const countRows = async (table: string) => {
+      const { count } = await supabase
+        .from(table)
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', id);
+      return count || 0;
+    };
+
+    const [authUser, conversations, uploads, events] = await Promise.all([
+      getAuthUser(id),
+      countRows('chat_conversations'),
+      countRows('uploaded_file_data'),
+      countRows('health_events'),
+    ]);
+
+    res.json({
+      success: true,
+      user: {
+        ...formatAdminUser(profile, authUser),
+        emailConfirmed: !!authUser?.email_confirmed_at,
+        usage: { conversations, uploads, events },
+      },
     });
   },
 
-  async updateUser(req: Request, res: Response) {
-    // TODO: Implement update user (admin only)
-    res.status(501).json({
-      success: false,
-      message: 'Update user endpoint not implemented yet',
+  /**
+   * Change a user's role or status (admin only). Suspending bans the auth user
+   * so they can't sign in or refresh their session (an access token already
+   * issued stays valid until it expires); reactivating lifts the ban.
+   * PUT /api/v1/users/:id
+   */
+  async updateUser(req: AuthenticatedRequest, res: Response) {
+    const { id } = req.params;
+    const { role, status } = req.body || {};
+
+    if (role === undefined && status === undefined) {
+      throw createError('Provide a role or status to update', 400);
+    }
+    if (role !== undefined && !USER_ROLES.includes(role)) {
+      throw createError(`role must be one of: ${USER_ROLES.join(', ')}`, 400);
+    }
+    if (status !== undefined && !USER_STATUSES.includes(status)) {
+      throw createError(`status must be one of: ${USER_STATUSES.join(', ')}`, 400);
+    }
+
+    const profile = await getProfileOrThrow(id);
+    assertCanManage(req.user!, profile, role);
+
+    const authUpdates: Record<string, any> = {};
+    const profileUpdates: Record<string, any> = { updated_at: new Date().toISOString() };
+
+    if (role !== undefined && role !== profile.role) {
+      // app_metadata is what ends up in the access token and what authorize() checks
+      authUpdates.app_metadata = { role };
+      profileUpdates.role = role;
+    }
+
+    if (status !== undefined && status !== profile.status) {
+      profileUpdates.status = status;
+      profileUpdates.suspended_at = status === 'suspended' ? new Date().toISOString() : null;
+      if (status === 'suspended') {
+        authUpdates.ban_duration = SUSPENSION_BAN_DURATION;
+      } else if (profile.status === 'suspended') {
+        authUpdates.ban_duration = 'none';
+      }
+    }
+
+    if (Object.keys(authUpdates).length > 0) {
+      const { error } = await supabase.auth.admin.updateUserById(id, authUpdates);
+      if (error) {
+        console.error('[Users] Error updating auth user:', error);
+        throw createError('Failed to update user', 500);
+      }
+    }
+
+    const { data: updated, error } = await supabase
+      .from('profiles')
+      .update(profileUpdates)
+      .eq('id', id)
+      .select('*')
+      .single();
+
+    if (error) {
+      console.error('[Users] Error updating profile:', error);
+      throw createError('Failed to update user', 500);
+    }
+
+    console.log('[Users] Admin updated user:', { adminId: req.user!.id, userId: id, role, status });
+
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      user: formatAdminUser(updated, await getAuthUser(id)),
     });
   },
 
-  async deleteUser(req: Request, res: Response) {
-    // TODO: Implement delete user (admin only)
-    res.status(501).json({
-      success: false,
-      message: 'Delete user endpoint not implemented yet',
+  /**
+   * Permanently delete a user and all of their data (admin only)
+   * DELETE /api/v1/users/:id
+   */
+  async deleteUser(req: AuthenticatedRequest, res: Response) {
+    const { id } = req.params;
+    const profile = await getProfileOrThrow(id);
+    assertCanManage(req.user!, profile);
+
+    await deleteUserAccount(id);
+
+    console.log('[Users] Admin deleted user:', { adminId: req.user!.id, userId: id });
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully',
     });
   },
 };
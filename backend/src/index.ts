@@ -6,12 +6,13 @@ dotenv.config();
 console.log('🔍 Environment Variables Check:');
 console.log('  SUPABASE_URL:', process.env.SUPABASE_URL ? '✅ Set' : '❌ Missing');
 console.log('  SUPABASE_SERVICE_ROLE_KEY:', process.env.SUPABASE_SERVICE_ROLE_KEY ? '✅ Set' : '❌ Missing');
+console.log('  LLM_PROVIDER:', process.env.LLM_PROVIDER || 'gemini (default)');
 console.log('  GEMINI_API_KEY:', process.env.GEMINI_API_KEY ? '✅ Set' : '❌ Missing');
 console.log('  NODE_ENV:', process.env.NODE_ENV || 'not set (defaulting to development)');
 console.log('  PORT:', process.env.PORT || '3000 (default)');
 console.log('');
 
-import express from 'express';
+import express, { Request } from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import compression from 'compression';
@@ -22,6 +23,11 @@ import { errorHandler } from './middleware/errorHandler';
 import { requestLogger } from './middleware/requestLogger';
 import { healthRouter } from './routes/health';
 import { apiRouter } from './routes/api';
+import { getLLMConfigIssues } from './utils/llm';
+import { startInsightScheduler } from './utils/anomalyDetectionService';
+import { startDigestScheduler } from './utils/weeklyDigestService';
+import { startNotificationScheduler } from './utils/notificationService';
+import { startUploadWorker } from './utils/uploadJobQueue';
 
 const app = express();
 const PORT = parseInt(process.env.PORT || '3000', 10);
@@ -41,13 +47,25 @@ const corsOptions = {
 };
 app.use(cors(corsOptions));
 
-// Rate limiting
+// Rate limiting. The app polls an upload's status while it is processed, so
+// those polls have their own per-minute limit instead of using up the global one.
+const UPLOAD_STATUS_PATH = /^\/api\/v1\/upload\/files\/[^/]+\/status\/?$/;
+const isUploadStatusPoll = (req: Request) => req.method === 'GET' && UPLOAD_STATUS_PATH.test(req.path);
+
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '900000'), // 15 minutes
   max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || '100'),
   message: 'Too many requests from this IP, please try again later.',
+  skip: isUploadStatusPoll,
+});
+const uploadStatusLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 30,
+  message: { success: false, error: 'Too many status checks, please try again shortly.' },
+  skip: (req) => !isUploadStatusPoll(req),
 });
 app.use(limiter);
+app.use(uploadStatusLimiter);
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
@@ -85,9 +103,7 @@ function checkConfiguration() {
   if (!process.env.SUPABASE_SERVICE_ROLE_KEY) {
     issues.push('❌ SUPABASE_SERVICE_ROLE_KEY is not set');
   }
-  if (!process.env.GEMINI_API_KEY) {
-    issues.push('❌ GEMINI_API_KEY is not set');
-  }
+  issues.push(...getLLMConfigIssues());
   
   if (issues.length > 0) {
     logger.error('⚠️  CONFIGURATION ERRORS:');
@@ -96,7 +112,8 @@ function checkConfiguration() {
     logger.error('📝 Please create a .env file in the backend directory with:');
     logger.error('   - SUPABASE_URL');
     logger.error('   - SUPABASE_SERVICE_ROLE_KEY (from Supabase Dashboard → Settings → API)');
-    logger.error('   - GEMINI_API_KEY (from https://makersuite.google.com/app/apikey)');
+    logger.error('   - GEMINI_API_KEY (from https://makersuite.google.com/app/apikey),');
+    logger.error('     or LLM_PROVIDER=openai with OPENAI_API_KEY, or LLM_PROVIDER=fake for offline testing');
     logger.error('');
     logger.error('📖 See backend/ENV_SETUP_INSTRUCTIONS.md for detailed setup guide');
     logger.error('');
@@ -119,6 +136,15 @@ const server = app.listen(PORT, () => {
   if (!configOk) {
     logger.warn('⚠️  Server started but chat functionality will NOT work until configuration is fixed!');
   }
+
+  // Periodic anomaly scans of users' daily metrics
+  startInsightScheduler();
+  // Weekly wellness digests
+  startDigestScheduler();
+  // Held-back notifications after quiet hours and stale-sync reminders
+  startNotificationScheduler();
+  // Extraction of queued uploads
+  startUploadWorker();
 });
 
 // Handle server errors
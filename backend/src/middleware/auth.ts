@@ -1,7 +1,14 @@
 import { Request, Response, NextFunction } from 'express';
 import jwt from 'jsonwebtoken';
+import { createClient } from '@supabase/supabase-js';
 import { createError } from './errorHandler';
 
+// Initialize Supabase client (used to verify access tokens when no JWT secret is configured)
+const supabase = createClient(
+  process.env.SUPABASE_URL || '',
+  process.env.SUPABASE_SERVICE_ROLE_KEY || ''
+);
+
 export interface AuthenticatedRequest extends Request {
   user?: {
     id: string;
@@ -10,26 +17,63 @@ export interface AuthenticatedRequest extends Request {
   };
 }
 
+/**
+ * Extract the access token from the Authorization header or the `token` cookie
+ */
+export const getRequestToken = (req: Request): string | undefined => {
+  return req.header('Authorization')?.replace('Bearer ', '') ||
+         req.cookies?.token ||
+         undefined;
+};
+
+/**
+ * Verify a Supabase access token and return the user it belongs to.
+ *
+ * When SUPABASE_JWT_SECRET is set the token is verified locally (no network
+ * round-trip); otherwise Supabase Auth is asked to validate it.
+ */
+export const verifySupabaseToken = async (
+  token: string
+): Promise<NonNullable<AuthenticatedRequest['user']>> => {
+  const jwtSecret = process.env.SUPABASE_JWT_SECRET;
+
+  if (jwtSecret) {
+    const decoded = jwt.verify(token, jwtSecret) as any;
+    if (!decoded.sub) {
+      throw createError('Invalid token', 401);
+    }
+    return {
+      id: decoded.sub,
+      email: decoded.email,
+      role: decoded.app_metadata?.role || 'user',
+    };
+  }
+
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data.user) {
+    throw createError('Invalid or expired token', 401);
+  }
+
+  return {
+    id: data.user.id,
+    email: data.user.email || '',
+    role: (data.user.app_metadata as any)?.role || 'user',
+  };
+};
+
 export const authenticate = async (
   req: AuthenticatedRequest,
   res: Response,
   next: NextFunction
 ) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '') || 
-                  req.cookies?.token;
+    const token = getRequestToken(req);
 
     if (!token) {
       throw createError('Access denied. No token provided.', 401);
     }
 
-    const jwtSecret = process.env.JWT_SECRET;
-    if (!jwtSecret) {
-      throw createError('JWT secret not configured', 500);
-    }
-
-    const decoded = jwt.verify(token, jwtSecret) as any;
-    req.user = decoded;
+    req.user = await verifySupabaseToken(token);
     next();
   } catch (error: any) {
     if (error.name === 'JsonWebTokenError') {
@@ -55,3 +99,26 @@ export const authorize = (roles: string[]) => {
     next();
   };
 };
+
+/**
+ * Reject requests whose `userId` body/query parameter names a different user
+ * than the authenticated one. Older app builds still send `userId`, so a
+ * matching value is accepted and simply ignored by the handlers.
+ */
+export const rejectMismatchedUserId = (
+  req: AuthenticatedRequest,
+  res: Response,
+  next: NextFunction
+) => {
+  if (!req.user) {
+    throw createError('Access denied. User not authenticated.', 401);
+  }
+
+  const claimedUserId = req.body?.userId ?? req.query?.userId;
+
+  if (claimedUserId !== undefined && claimedUserId !== '' && claimedUserId !== req.user.id) {
+    throw createError('Access denied. userId does not match the authenticated user.', 403);
+  }
+
+  next();
+};
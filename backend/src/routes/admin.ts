@@ -0,0 +1,17 @@
+import { Router } from 'express';
+import { adminController } from '../controllers/adminController';
+import { asyncHandler } from '../middleware/errorHandler';
+import { authenticate, authorize } from '../middleware/auth';
+
+export const adminRouter = Router();
+
+// All admin routes require an authenticated admin
+adminRouter.use(authenticate, authorize(['admin', 'super_admin']));
+
+// Analytics
+adminRouter.get('/stats', asyncHandler(adminController.getOverview));
+adminRouter.get('/stats/signups', asyncHandler(adminController.getSignups));
+adminRouter.get('/stats/activity', asyncHandler(adminController.getActivity));
+adminRouter.get('/stats/connected-apps', asyncHandler(adminController.getConnectedApps));
+adminRouter.get('/stats/uploads', asyncHandler(adminController.getUploads));
+adminRouter.get('/stats/rag-usage', asyncHandler(adminController.getRagUsage));
@@ -0,0 +1,10 @@
+import { Router } from 'express';
+import { analyticsController } from '../controllers/analyticsController';
+import { asyncHandler } from '../middleware/errorHandler';
+import { authenticate } from '../middleware/auth';
+
+export const analyticsRouter = Router();
+
+analyticsRouter.use(authenticate);
+
+analyticsRouter.get('/correlations', asyncHandler(analyticsController.getCorrelations));
@@ -3,6 +3,12 @@ import { authRouter } from './auth';
 import { userRouter } from './users';
 import { chatRouter } from './chat';
 import { uploadRouter } from './upload';
+import { adminRouter } from './admin';
+import { labRouter } from './labs';
+import { analyticsRouter } from './analytics';
+import { insightRouter } from './insights';
+import { notificationRouter } from './notifications';
+import { goalRouter } from './goals';
 
 export const apiRouter = Router();
 
@@ -11,6 +17,12 @@ apiRouter.use('/auth', authRouter);
 apiRouter.use('/users', userRouter);
 apiRouter.use('/chat', chatRouter);
 apiRouter.use('/upload', uploadRouter);
+apiRouter.use('/admin', adminRouter);
+apiRouter.use('/labs', labRouter);
+apiRouter.use('/analytics', analyticsRouter);
+apiRouter.use('/insights', insightRouter);
+apiRouter.use('/notifications', notificationRouter);
+apiRouter.use('/goals', goalRouter);
 
 // API info endpoint
 apiRouter.get('/', (req, res) => {
@@ -23,6 +35,12 @@ apiRouter.get('/', (req, res) => {
       users: '/api/v1/users',
       chat: '/api/v1/chat',
       upload: '/api/v1/upload',
+      admin: '/api/v1/admin',
+      labs: '/api/v1/labs',
+      analytics: '/api/v1/analytics',
+      insights: '/api/v1/insights',
+      notifications: '/api/v1/notifications',
+      goals: '/api/v1/goals',
       health: '/health',
     },
     documentation: '/api/v1/docs', // Future Swagger docs
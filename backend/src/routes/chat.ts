@@ -1,11 +1,18 @@
 import { Router } from 'express';
 import { chatController } from '../controllers/chatController';
+import { authenticate, rejectMismatchedUserId } from '../middleware/auth';
 
 export const chatRouter = Router();
 
+// All chat routes act on the user identified by the Supabase access token
+chatRouter.use(authenticate, rejectMismatchedUserId);
+
 // Send a message and get AI response
 chatRouter.post('/message', chatController.sendMessage);
 
+// Send a message and stream the AI response (Server-Sent Events)
+chatRouter.post('/message/stream', chatController.streamMessage);
+
 // Get all conversations for a user
 chatRouter.get('/conversations', chatController.getConversations);
 
@@ -0,0 +1,14 @@
+import { Router } from 'express';
+import { goalController } from '../controllers/goalController';
+import { asyncHandler } from '../middleware/errorHandler';
+import { authenticate } from '../middleware/auth';
+
+export const goalRouter = Router();
+
+goalRouter.use(authenticate);
+
+goalRouter.get('/', asyncHandler(goalController.listGoals));
+goalRouter.get('/suggestions', asyncHandler(goalController.listSuggestions));
+goalRouter.post('/', asyncHandler(goalController.createGoal));
+goalRouter.patch('/:id', asyncHandler(goalController.updateGoal));
+goalRouter.delete('/:id', asyncHandler(goalController.deleteGoal));
@@ -0,0 +1,12 @@
+import { Router } from 'express';
+import { insightController } from '../controllers/insightController';
+import { asyncHandler } from '../middleware/errorHandler';
+import { authenticate } from '../middleware/auth';
+
+export const insightRouter = Router();
+
+insightRouter.use(authenticate);
+
+insightRouter.get('/', asyncHandler(insightController.listInsights));
+insightRouter.post('/scan', asyncHandler(insightController.scanNow));
+insightRouter.patch('/:id', asyncHandler(insightController.updateInsight));
@@ -0,0 +1,12 @@
+import { Router } from 'express';
+import { labController } from '../controllers/labController';
+import { asyncHandler } from '../middleware/errorHandler';
+import { authenticate } from '../middleware/auth';
+
+export const labRouter = Router();
+
+labRouter.use(authenticate);
+
+labRouter.get('/biomarkers', asyncHandler(labController.listBiomarkers));
+labRouter.get('/biomarkers/:biomarker/history', asyncHandler(labController.getBiomarkerHistory));
+labRouter.get('/trends', asyncHandler(labController.getTrends));
@@ -0,0 +1,15 @@
+import { Router } from 'express';
+import { notificationController } from '../controllers/notificationController';
+import { asyncHandler } from '../middleware/errorHandler';
+import { authenticate } from '../middleware/auth';
+
+export const notificationRouter = Router();
+
+notificationRouter.use(authenticate);
+
+notificationRouter.get('/', asyncHandler(notificationController.listNotifications));
+notificationRouter.post('/tokens', asyncHandler(notificationController.registerToken));
+notificationRouter.delete('/tokens', asyncHandler(notificationController.unregisterToken));
+notificationRouter.get('/preferences', asyncHandler(notificationController.getPreferences));
+notificationRouter.put('/preferences', asyncHandler(notificationController.updatePreferences));
+notificationRouter.post('/test', asyncHandler(notificationController.sendTest));
@@ -1,23 +1,83 @@
-import { Router } from 'express';
+import { Router, Request, Response, NextFunction } from 'express';
 import multer from 'multer';
 import { uploadController } from '../controllers/uploadController';
+import { uploadReviewController } from '../controllers/uploadReviewController';
+import { asyncHandler, createError } from '../middleware/errorHandler';
+import { authenticate, rejectMismatchedUserId } from '../middleware/auth';
+import { findImporter, maxImportFileBytes } from '../utils/importers';
 
 export const uploadRouter = Router();
 
-// Configure multer for file uploads
+// All upload routes act on the user identified by the Supabase access token
+// (multipart bodies are only parsed by multer, so uploadFile re-checks body.userId)
+uploadRouter.use(authenticate, rejectMismatchedUserId);
+
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+
+// Configure multer for file uploads. The size limit is enforced while the
+// body is written to disk, so health exports, which can be far larger than
+// other files, have their own route that only accepts files an importer reads.
 const upload = multer({
   dest: '/tmp/uploads/', // Temporary storage
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
+    fileSize: MAX_FILE_BYTES,
   },
 });
 
-// Upload file and extract health data
-uploadRouter.post('/file', upload.single('file'), uploadController.uploadFile);
+const importUpload = multer({
+  dest: '/tmp/uploads/',
+  limits: {
+    fileSize: maxImportFileBytes(),
+  },
+  fileFilter: (req, file, callback) => {
+    if (findImporter(file.originalname, file.mimetype)) {
+      callback(null, true);
+    } else {
+      callback(createError('Only health exports can be uploaded here; use /upload/file for other files', 400));
+    }
+  },
+});
+
+/**
+ * Parse the multipart `file` field, turning multer's errors (e.g. a file over
+ * the size limit) into client errors
+ */
+function receiveFile(uploader: multer.Multer, maxBytes: number) {
+  const single = uploader.single('file');
+  return (req: Request, res: Response, next: NextFunction) => {
+    single(req, res, (error: any) => {
+      if (error instanceof multer.MulterError) {
+        return next(error.code === 'LIMIT_FILE_SIZE'
+          ? createError(`File must be under ${Math.round(maxBytes / (1024 * 1024))}MB`, 413)
+          : createError(error.message, 400));
+      }
+      next(error);
+    });
+  };
+}
+
+// Upload file and queue extraction of its health data
+uploadRouter.post('/file', receiveFile(upload, MAX_FILE_BYTES), uploadController.uploadFile);
+
+// Upload a health export (Apple Health, workout files, medical records) and
+// queue its import
+uploadRouter.post('/import', receiveFile(importUpload, maxImportFileBytes()), uploadController.uploadFile);
 
 // Get user's uploaded files
 uploadRouter.get('/files', uploadController.getUploadedFiles);
 
+// Get processing status of an uploaded file
+uploadRouter.get('/files/:id/status', uploadController.getUploadStatus);
+
+// Review and correct what was extracted from a file
+uploadRouter.get('/files/:id/review', asyncHandler(uploadReviewController.getReview));
+uploadRouter.patch('/files/:id/entries/:index', asyncHandler(uploadReviewController.updateEntry));
+uploadRouter.delete('/files/:id/entries/:index', asyncHandler(uploadReviewController.deleteEntry));
+uploadRouter.patch('/files/:id/lab-results/:index', asyncHandler(uploadReviewController.updateLabResult));
+uploadRouter.delete('/files/:id/lab-results/:index', asyncHandler(uploadReviewController.deleteLabResult));
+uploadRouter.patch('/files/:id/summary', asyncHandler(uploadReviewController.updateSummary));
+uploadRouter.post('/files/:id/verify', asyncHandler(uploadReviewController.verify));
+
 // Get specific uploaded file data
 uploadRouter.get('/files/:id', uploadController.getUploadedFile);
 
@@ -1,7 +1,7 @@
 import { Router } from 'express';
 import { userController } from '../controllers/userController';
 import { asyncHandler } from '../middleware/errorHandler';
-import { authenticate } from '../middleware/auth';
+import { authenticate, authorize } from '../middleware/auth';
 
 export const userRouter = Router();
 
@@ -18,7 +18,9 @@ userRouter.post('/change-password', asyncHandler(userController.changePassword))
 userRouter.get('/dashboard', asyncHandler(userController.getDashboard));
 
 // Admin routes - require admin role
-userRouter.get('/', asyncHandler(userController.getAllUsers)); // Admin only
-userRouter.get('/:id', asyncHandler(userController.getUserById)); // Admin only
-userRouter.put('/:id', asyncHandler(userController.updateUser)); // Admin only
-userRouter.delete('/:id', asyncHandler(userController.deleteUser)); // Admin only
+const requireAdmin = authorize(['admin', 'super_admin']);
+
+userRouter.get('/', requireAdmin, asyncHandler(userController.getAllUsers));
+userRouter.get('/:id', requireAdmin, asyncHandler(userController.getUserById));
+userRouter.put('/:id', requireAdmin, asyncHandler(userController.updateUser));
+userRouter.delete('/:id', requireAdmin, asyncHandler(userController.deleteUser));
@@ -0,0 +1,302 @@
+/**
+ * Admin Stats Service
+ *
+ * Aggregate queries behind the admin analytics dashboard. Rows are pulled from
+ * Supabase for the requested date range and bucketed per UTC day here, since
+ * PostgREST has no GROUP BY.
+ */
+
+import { SupabaseClient } from '@supabase/supabase-js';
+
+export interface DateRange {
+  from: Date; // inclusive, start of day UTC
+  to: Date; // inclusive, end of day UTC
+}
+
+export interface DailyPoint {
+  date: string;
+  value: number;
+}
+
+// An extraction below this confidence is "partially readable or unclear" per the parsing prompts
+export const PARSE_FAILURE_CONFIDENCE = 0.5;
+
+const PAGE_SIZE = 1000; // PostgREST's default max rows per request
+
+/**
+ * Fetch every row of a query by paging through it, since a single PostgREST
+ * request is capped at PAGE_SIZE rows.
+ */
+async function fetchAllRows<T>(
+  buildQuery: () => any,
+  label: string
+): Promise<T[]> {
+  const rows: T[] = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) {
+      console.error(`[AdminStats] Error fetching ${label}:`, error);
+      throw new Error(`Failed to fetch ${label}: ${error.message}`);
+    }
+
+    rows.push(...((data || []) as T[]));
+    if (!data || data.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+}
+
+function toDateKey(value: string | Date): string {
+  return new Date(value).toISOString().split('T')[0];
+}
+
+/**
+ * Every day in the range as YYYY-MM-DD, so charts get explicit zeros
+ */
+export function eachDay(range: DateRange): string[] {
+  const days: string[] = [];
+  const cursor = new Date(`${toDateKey(range.from)}T00:00:00.000Z`);
+  const end = toDateKey(range.to);
+
+  while (toDateKey(cursor) <= end) {
+    days.push(toDateKey(cursor));
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+  return days;
+}
+
+function countByDay(timestamps: string[], range: DateRange): DailyPoint[] {
+  const counts = new Map<string, number>(eachDay(range).map((day) => [day, 0]));
+  for (const timestamp of timestamps) {
+    const key = toDateKey(timestamp);
+    if (counts.has(key)) {
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+  return Array.from(counts, ([date, value]) => ({ date, value }));
+}
+
+function percent(part: number, whole: number): number {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+}
+
+/**
+ * New profiles per day plus the running total of all users
+ */
+export async function getSignupStats(supabase: SupabaseClient, range: DateRange) {
+  const [{ count: totalUsers, error: totalError }, { count: usersBefore, error: beforeError }] = await Promise.all([
+    supabase.from('profiles').select('id', { count: 'exact', head: true }),
+    supabase.from('profiles').select('id', { count: 'exact', head: true }).lt('created_at', range.from.toISOString()),
+  ]);
+
+  if (totalError || beforeError) {
+    throw new Error(`Failed to count users: ${(totalError || beforeError)!.message}`);
+  }
+
+  const rows = await fetchAllRows<{ created_at: string }>(
+    () => supabase
+      .from('profiles')
+      .select('created_at')
+      .gte('created_at', range.from.toISOString())
+      .lte('created_at', range.to.toISOString())
+      .order('created_at', { ascending: true }),
+    'signups'
+  );
+
+  const daily = countByDay(rows.map((row) => row.created_at), range);
+  let runningTotal = usersBefore || 0;
+  const cumulative = daily.map((point) => {
+    runningTotal += point.value;
+    return { date: point.date, value: runningTotal };
+  });
+
+  return {
+    totalUsers: totalUsers || 0,
+    newUsers: rows.length,
+    daily,
+    cumulative,
+  };
+}
+
+/**
+ * Daily and weekly active users, where "active" means the user sent a chat
+ * message. WAU for a day counts distinct users over that day and the 6 before.
+ */
+export async function getActivityStats(supabase: SupabaseClient, range: DateRange) {
+  const lookbackStart = new Date(range.from);
+  lookbackStart.setUTCDate(lookbackStart.getUTCDate() - 6);
+
+  // chat_messages has no user_id; take it from the parent conversation
+  const rows = await fetchAllRows<{ created_at: string; chat_conversations: { user_id: string } | { user_id: string }[] }>(
+    () => supabase
+      .from('chat_messages')
+      .select('created_at, chat_conversations!inner(user_id)')
+      .eq('role', 'user')
+      .gte('created_at', lookbackStart.toISOString())
+      .lte('created_at', range.to.toISOString())
+      .order('created_at', { ascending: true }),
+    'chat activity'
+  );
+
+  const usersByDay = new Map<string, Set<string>>();
+  for (const row of rows) {
+    const conversation = Array.isArray(row.chat_conversations) ? row.chat_conversations[0] : row.chat_conversations;
+    if (!conversation?.user_id) continue;
+    const key = toDateKey(row.created_at);
+    if (!usersByDay.has(key)) usersByDay.set(key, new Set());
+    usersByDay.get(key)!.add(conversation.user_id);
+  }
+
+  const days = eachDay(range);
+  const dau: DailyPoint[] = [];
+  const wau: DailyPoint[] = [];
+
+  for (const day of days) {
+    dau.push({ date: day, value: usersByDay.get(day)?.size || 0 });
+
+    const weekUsers = new Set<string>();
+    const cursor = new Date(`${day}T00:00:00.000Z`);
+    for (let i = 0; i < 7; i++) {
+      usersByDay.get(toDateKey(cursor))?.forEach((userId) => weekUsers.add(userId));
+      cursor.setUTCDate(cursor.getUTCDate() - 1);
+    }
+    wau.push({ date: day, value: weekUsers.size });
+  }
+
+  const activeInRange = new Set<string>();
+  days.forEach((day) => usersByDay.get(day)?.forEach((userId) => activeInRange.add(userId)));
+
+  const messagesInRange = rows.filter((row) => new Date(row.created_at) >= range.from).length;
+
+  return {
+    activeUsers: activeInRange.size,
+    currentDau: dau.length > 0 ? dau[dau.length - 1].value : 0,
+    currentWau: wau.length > 0 ? wau[wau.length - 1].value : 0,
+    userMessages: messagesInRange,
+    dau,
+    wau,
+  };
+}
+
+/**
+ * Active connections per app, and how many were connected within the range
+ */
+export async function getConnectedAppStats(supabase: SupabaseClient, range: DateRange) {
+  const rows = await fetchAllRows<{ app_name: string; user_id: string; connected_at: string | null }>(
+    () => supabase
+      .from('connected_apps')
+      .select('app_name, user_id, connected_at')
+      .eq('is_active', true)
+      .order('app_name', { ascending: true }),
+    'connected apps'
+  );
+
+  const byApp = new Map<string, { appName: string; connections: number; newInRange: number }>();
+  for (const row of rows) {
+    const entry = byApp.get(row.app_name) || { appName: row.app_name, connections: 0, newInRange: 0 };
+    entry.connections++;
+    if (row.connected_at && new Date(row.connected_at) >= range.from && new Date(row.connected_at) <= range.to) {
+      entry.newInRange++;
+    }
+    byApp.set(row.app_name, entry);
+  }
+
+  return {
+    totalConnections: rows.length,
+    usersWithConnections: new Set(rows.map((row) => row.user_id)).size,
+    apps: Array.from(byApp.values()).sort((a, b) => b.connections - a.connections),
+  };
+}
+
+/**
+ * Upload volume per day and the parse-failure rate. A "failure" is an upload
+ * whose extraction job gave up, found no entries or came back below
+ * PARSE_FAILURE_CONFIDENCE; uploads still being processed aren't failures.
+ */
+export async function getUploadStats(supabase: SupabaseClient, range: DateRange) {
+  const rows = await fetchAllRows<{
+    upload_date: string;
+    file_type: string;
+    file_size_bytes: number | null;
+    processing_status: string;
+    extraction_metadata: { confidence?: number } | null;
+    entries: unknown[] | null;
+  }>(
+    () => supabase
+      .from('uploaded_file_data')
+      .select('upload_date, file_type, file_size_bytes, processing_status, extraction_metadata, extracted_data->entries')
+      .gte('upload_date', range.from.toISOString())
+      .lte('upload_date', range.to.toISOString())
+      .order('upload_date', { ascending: true }),
+    'uploads'
+  );
+
+  const isFailure = (row: (typeof rows)[number]) => {
+    if (row.processing_status === 'failed') return true;
+    if (row.processing_status === 'pending') return false;
+    const confidence = row.extraction_metadata?.confidence;
+    return (typeof confidence === 'number' && confidence < PARSE_FAILURE_CONFIDENCE) ||
+      !Array.isArray(row.entries) || row.entries.length === 0;
+  };
+
+  const failures = rows.filter(isFailure);
+  const byType = new Map<string, number>();
+  for (const row of rows) {
+    byType.set(row.file_type, (byType.get(row.file_type) || 0) + 1);
+  }
+
+  return {
+    totalUploads: rows.length,
+    totalBytes: rows.reduce((sum, row) => sum + (row.file_size_bytes || 0), 0),
+    parseFailures: failures.length,
+    parseFailureRate: percent(failures.length, rows.length),
+    daily: countByDay(rows.map((row) => row.upload_date), range),
+    dailyFailures: countByDay(failures.map((row) => row.upload_date), range),
+    byFileType: Array.from(byType, ([fileType, count]) => ({ fileType, count }))
+      .sort((a, b) => b.count - a.count),
+  };
+}
+
+/**
+ * Share of assistant replies that were grounded in retrieved health data
+ * (metadata.ragContext.dataRetrieved), overall and per day.
+ */
+export async function getRagUsageStats(supabase: SupabaseClient, range: DateRange) {
+  const rows = await fetchAllRows<{ created_at: string; data_retrieved: boolean | string | null }>(
+    () => supabase
+      .from('chat_messages')
+      .select('created_at, data_retrieved:metadata->ragContext->dataRetrieved')
+      .eq('role', 'assistant')
+      .gte('created_at', range.from.toISOString())
+      .lte('created_at', range.to.toISOString())
+      .order('created_at', { ascending: true }),
+    'assistant messages'
+  );
+
+  const withRag = rows.filter((row) => row.data_retrieved === true || row.data_retrieved === 'true');
+  const totals = countByDay(rows.map((row) => row.created_at), range);
+  const ragDaily = countByDay(withRag.map((row) => row.created_at), range);
+
+  return {
+    assistantMessages: rows.length,
+    ragMessages: withRag.length,
+    ragShare: percent(withRag.length, rows.length),
+    daily: totals.map((point, index) => ({
+      date: point.date,
+      total: point.value,
+      withRag: ragDaily[index].value,
+      share: percent(ragDaily[index].value, point.value),
+    })),
+  };
+}
+
+export default {
+  eachDay,
+  getSignupStats,
+  getActivityStats,
+  getConnectedAppStats,
+  getUploadStats,
+  getRagUsageStats,
+};
@@ -0,0 +1,504 @@
+/**
+ * Anomaly Detection Service
+ *
+ * Notices unusual days in health_metrics_daily without the user asking:
+ * 1. Build a rolling personal baseline per metric (median and median absolute
+ *    deviation of the previous 28 days, so one odd day doesn't move it)
+ * 2. Flag single-day spikes by robust z-score (resting heart rate jumps, HRV
+ *    crashes) and sustained shifts by an exponentially weighted moving average
+ *    of z-scores (several short nights in a row)
+ * 3. Store them in health_insights with a severity and a plain explanation
+ * 4. Scan every recently synced user on an interval, and a single user on
+ *    demand when their last scan is stale; new insights are pushed to the
+ *    user's devices
+ * 5. Format recent insights as a chat context block
+ *
+ * Only completed days (before today in the user's time zone) are scanned.
+ */
+
+import { SupabaseClient, createClient } from '@supabase/supabase-js';
+import { formatDateInTimeZone, formatDay, getUserTimeZone, shiftDay } from './timeZone';
+import { round } from './numbers';
+import { notifyUser } from './notificationService';
+
+export type AnomalyKind = 'spike' | 'sustained';
+export type AnomalySeverity = 'low' | 'medium' | 'high';
+
+interface MetricRule {
+  label: string;
+  unit: string;
+  /** Which direction is worth telling the user about */
+  concern: 'high' | 'low' | 'both';
+  /** Smallest baseline spread, so very steady metrics don't flag tiny changes */
+  minSpread: number;
+  decimals: number;
+  /** Single-day spikes are flagged (rest days make step spikes meaningless) */
+  spikes: boolean;
+}
+
+const MONITORED_METRICS: Record<string, MetricRule> = {
+  resting_heart_rate: { label: 'Resting heart rate', unit: 'bpm', concern: 'high', minSpread: 1, decimals: 0, spikes: true },
+  heart_rate_variability: { label: 'HRV', unit: 'ms', concern: 'low', minSpread: 3, decimals: 0, spikes: true },
+  sleep_hours: { label: 'Sleep', unit: 'hours', concern: 'low', minSpread: 0.25, decimals: 1, spikes: true },
+  steps: { label: 'Steps', unit: 'steps', concern: 'low', minSpread: 500, decimals: 0, spikes: false },
+  weight_lbs: { label: 'Weight', unit: 'lbs', concern: 'both', minSpread: 0.5, decimals: 1, spikes: true },
+};
+
+export const BASELINE_DAYS = 28;
+export const MIN_BASELINE_DAYS = 14;
+/** Completed days checked per scan; covers a missed run or a late sync */
+export const SCAN_DAYS = 3;
+const SPIKE_THRESHOLD = 3;
+const SUSTAINED_THRESHOLD = 1.5;
+/** Days in a row beyond RUN_Z_THRESHOLD before a shift counts as sustained */
+const MIN_RUN_DAYS = 3;
+const RUN_Z_THRESHOLD = 1;
+const EWMA_LAMBDA = 0.3;
+// MAD * 1.4826 estimates the standard deviation for normally distributed data
+const MAD_SCALE = 1.4826;
+const DEFAULT_SCAN_INTERVAL_MINUTES = 360;
+const STALE_SCAN_MS = 6 * 60 * 60 * 1000;
+const PAGE_SIZE = 1000;
+
+export interface DetectedAnomaly {
+  metric: string;
+  kind: AnomalyKind;
+  direction: 'high' | 'low';
+  severity: AnomalySeverity;
+  startDate: string;
+  endDate: string;
+  /** The day's value for spikes, the average over the run for sustained shifts */
+  value: number;
+  baseline: number;
+  zScore: number;
+  title: string;
+  explanation: string;
+  details: {
+    baselineDays: number;
+    typicalLow: number;
+    typicalHigh: number;
+    days: Array<{ date: string; value: number; zScore: number }>;
+  };
+}
+
+interface ScoredPoint {
+  date: string;
+  value: number;
+  zScore: number | null;
+  ewma: number | null;
+  baseline: { median: number; spread: number; days: number } | null;
+}
+
+function median(values: number[]): number {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function formatValue(value: number, rule: MetricRule): string {
+  const rounded = round(value, rule.decimals);
+  const text = rule.decimals === 0 ? Math.round(rounded).toLocaleString('en-US') : rounded.toFixed(rule.decimals);
+  return `${text} ${rule.unit}`;
+}
+
+/**
+ * Robust z-score and EWMA for each day of one metric, against the median and
+ * MAD of the BASELINE_DAYS before it
+ */
+function scoreSeries(points: Array<{ date: string; value: number }>, rule: MetricRule): ScoredPoint[] {
+  const scored: ScoredPoint[] = [];
+  let ewma: number | null = null;
+
+  points.forEach((point) => {
+    const windowStart = shiftDay(point.date, -BASELINE_DAYS);
+    const window = points.filter((p) => p.date >= windowStart && p.date < point.date).map((p) => p.value);
+
+    if (window.length < MIN_BASELINE_DAYS) {
+      scored.push({ date: point.date, value: point.value, zScore: null, ewma: null, baseline: null });
+      return;
+    }
+
+    const center = median(window);
+    const mad = median(window.map((value) => Math.abs(value - center)));
+    const spread = Math.max(mad * MAD_SCALE, rule.minSpread);
+    const zScore = (point.value - center) / spread;
+
+    // A gap in the data restarts the average, so stale days don't carry over
+    const previous = scored[scored.length - 1];
+    const continues = previous && previous.ewma !== null && previous.date === shiftDay(point.date, -1);
+    ewma = continues ? EWMA_LAMBDA * zScore + (1 - EWMA_LAMBDA) * ewma! : zScore;
+
+    scored.push({
+      date: point.date,
+      value: point.value,
+      zScore,
+      ewma,
+      baseline: { median: center, spread, days: window.length },
+    });
+  });
+
+  return scored;
+}
+
+function concerning(rule: MetricRule, zScore: number): 'high' | 'low' | null {
+  const direction = zScore >= 0 ? 'high' : 'low';
+  return rule.concern === 'both' || rule.concern === direction ? direction : null;
+}
+
+function spikeAnomaly(metric: string, rule: MetricRule, point: ScoredPoint, direction: 'high' | 'low'): DetectedAnomaly {
+  const baseline = point.baseline!;
+  const magnitude = Math.abs(point.zScore!);
+  const severity: AnomalySeverity = magnitude >= 5 ? 'high' : magnitude >= 4 ? 'medium' : 'low';
+  const change = direction === 'high' ? 'above' : 'below';
+
+  return {
+    metric,
+    kind: 'spike',
+    direction,
+    severity,
+    startDate: point.date,
+    endDate: point.date,
+    value: round(point.value, 2),
+    baseline: round(baseline.median, 2),
+    zScore: round(point.zScore!, 2),
+    title: `${rule.label} ${direction === 'high' ? 'spike' : 'drop'} on ${formatDay(point.date)}`,
+    explanation: `${rule.label} was ${formatValue(point.value, rule)} on ${formatDay(point.date)}, well ${change} your usual ` +
+      `${formatValue(baseline.median, rule)} (typical range ${formatValue(baseline.median - baseline.spread, rule)} to ` +
+      `${formatValue(baseline.median + baseline.spread, rule)} over the previous ${baseline.days} days).`,
+    details: {
+      baselineDays: baseline.days,
+      typicalLow: round(baseline.median - baseline.spread, 2),
+      typicalHigh: round(baseline.median + baseline.spread, 2),
+      days: [{ date: point.date, value: point.value, zScore: round(point.zScore!, 2) }],
+    },
+  };
+}
+
+function sustainedAnomaly(
+  metric: string,
+  rule: MetricRule,
+  run: ScoredPoint[],
+  direction: 'high' | 'low'
+): DetectedAnomaly {
+  const last = run[run.length - 1];
+  // Compare against the baseline from before the shift started
+  const baseline = run[0].baseline!;
+  const average = run.reduce((sum, point) => sum + point.value, 0) / run.length;
+  const magnitude = Math.abs(last.ewma!);
+  let severity: AnomalySeverity = magnitude >= 3 ? 'high' : magnitude >= 2.25 ? 'medium' : 'low';
+  if (severity === 'low' && run.length >= 7) {
+    severity = 'medium';
+  }
+  const change = direction === 'high' ? 'above' : 'below';
+
+  return {
+    metric,
+    kind: 'sustained',
+    direction,
+    severity,
+    startDate: run[0].date,
+    endDate: last.date,
+    value: round(average, 2),
+    baseline: round(baseline.median, 2),
+    zScore: round(last.ewma!, 2),
+    title: `${rule.label} ${change} usual for ${run.length} days`,
+    explanation: `${rule.label} has averaged ${formatValue(average, rule)} over ${run.length} days ` +
+      `(${formatDay(run[0].date)} to ${formatDay(last.date)}), ${change} your usual ${formatValue(baseline.median, rule)}.`,
+    details: {
+      baselineDays: baseline.days,
+      typicalLow: round(baseline.median - baseline.spread, 2),
+      typicalHigh: round(baseline.median + baseline.spread, 2),
+      days: run.map((point) => ({ date: point.date, value: point.value, zScore: round(point.zScore!, 2) })),
+    },
+  };
+}
+
+/**
+ * Find anomalies on days from `evaluateFrom` to `evaluateTo` (YYYY-MM-DD).
+ * `rows` are health_metrics_daily rows, which should reach back at least
+ * BASELINE_DAYS before `evaluateFrom`. A sustained shift still under way is
+ * reported once, ending on its latest day.
+ */
+export function detectAnomalies(rows: any[], evaluateFrom: string, evaluateTo: string): DetectedAnomaly[] {
+  const anomalies: DetectedAnomaly[] = [];
+
+  Object.entries(MONITORED_METRICS).forEach(([metric, rule]) => {
+    const points = rows
+      .filter((row) => row[metric] !== null && row[metric] !== undefined && !isNaN(Number(row[metric])))
+      .map((row) => ({ date: String(row.date), value: Number(row[metric]) }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+    const scored = scoreSeries(points, rule);
+    const spikes: DetectedAnomaly[] = [];
+    const runs = new Map<string, DetectedAnomaly>();
+
+    scored.forEach((point, index) => {
+      if (point.date < evaluateFrom || point.date > evaluateTo || point.zScore === null) {
+        return;
+      }
+
+      const spikeDirection = concerning(rule, point.zScore);
+      if (rule.spikes && spikeDirection && Math.abs(point.zScore) >= SPIKE_THRESHOLD) {
+        spikes.push(spikeAnomaly(metric, rule, point, spikeDirection));
+      }
+
+      const driftDirection = concerning(rule, point.ewma!);
+      if (!driftDirection || Math.abs(point.ewma!) < SUSTAINED_THRESHOLD) {
+        return;
+      }
+
+      // Consecutive days ending here that are all off in the same direction
+      const sign = driftDirection === 'high' ? 1 : -1;
+      let start = index;
+      while (
+        start > 0 &&
+        scored[start - 1].zScore !== null &&
+        scored[start - 1].zScore! * sign >= RUN_Z_THRESHOLD &&
+        scored[start - 1].date === shiftDay(scored[start].date, -1)
+      ) {
+        start--;
+      }
+      const run = point.zScore * sign >= RUN_Z_THRESHOLD ? scored.slice(start, index + 1) : [];
+      if (run.length >= MIN_RUN_DAYS) {
+        runs.set(run[0].date, sustainedAnomaly(metric, rule, run, driftDirection));
+      }
+    });
+
+    // A spike inside a sustained shift is part of that shift, not news of its own
+    const sustained = Array.from(runs.values());
+    anomalies.push(
+      ...spikes.filter((spike) => !sustained.some((run) =>
+        run.direction === spike.direction && spike.startDate >= run.startDate && spike.startDate <= run.endDate)),
+      ...sustained
+    );
+  });
+
+  return anomalies;
+}
+
+/**
+ * Scan one user's recent completed days and store what stands out. Safe to
+ * re-run: insights are upserted by metric, kind and start date, and a user's
+ * seen/dismissed status is kept.
+ */
+export async function runAnomalyScan(
+  supabase: SupabaseClient,
+  userId: string,
+  now: Date = new Date()
+): Promise<{ success: boolean; detected: number; error?: string }> {
+  try {
+    const timeZone = await getUserTimeZone(supabase, userId);
+    const today = formatDateInTimeZone(now, timeZone);
+    const evaluateTo = shiftDay(today, -1);
+    const evaluateFrom = shiftDay(today, -SCAN_DAYS);
+    // Extra days before the baseline so sustained shifts have their history
+    const loadFrom = shiftDay(evaluateFrom, -(BASELINE_DAYS + 14));
+
+    const { data: rows, error } = await supabase
+      .from('health_metrics_daily')
+      .select(['date', ...Object.keys(MONITORED_METRICS)].join(', '))
+      .eq('user_id', userId)
+      .gte('date', loadFrom)
+      .lte('date', evaluateTo)
+      .order('date', { ascending: true });
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const anomalies = detectAnomalies(rows || [], evaluateFrom, evaluateTo);
+
+    if (anomalies.length > 0) {
+      const { data: saved, error: upsertError } = await supabase
+        .from('health_insights')
+        .upsert(anomalies.map((anomaly) => ({
+          user_id: userId,
+          insight_type: 'anomaly',
+          kind: anomaly.kind,
+          metric: anomaly.metric,
+          direction: anomaly.direction,
+          severity: anomaly.severity,
+          start_date: anomaly.startDate,
+          end_date: anomaly.endDate,
+          value: anomaly.value,
+          baseline: anomaly.baseline,
+          z_score: anomaly.zScore,
+          title: anomaly.title,
+          explanation: anomaly.explanation,
+          details: anomaly.details,
+          updated_at: now.toISOString(),
+        })), { onConflict: 'user_id,insight_type,metric,kind,start_date' })
+        .select('id, title, explanation, severity, status');
+
+      if (upsertError) {
+        throw new Error(upsertError.message);
+      }
+
+      // Each insight is pushed once (a sustained shift that keeps growing isn't
+      // re-sent), and never after the user has dismissed it
+      for (const insight of (saved || []).filter((row: any) => row.status !== 'dismissed')) {
+        await notifyUser(supabase, userId, 'new_insight', {
+          insightId: insight.id,
+          title: insight.title,
+          explanation: insight.explanation,
+          severity: insight.severity,
+        }, { dedupeKey: `insight:${insight.id}`, now });
+      }
+    }
+
+    await supabase
+      .from('profiles')
+      .update({ insights_scanned_at: now.toISOString() })
+      .eq('id', userId);
+
+    if (anomalies.length > 0) {
+      console.log('[Insights] Detected', anomalies.length, 'anomalies for userId:', userId,
+        anomalies.map((anomaly) => `${anomaly.metric}/${anomaly.kind}/${anomaly.severity}`));
+    }
+
+    return { success: true, detected: anomalies.length };
+  } catch (error: any) {
+    console.error('[Insights] Error scanning userId:', userId, error);
+    return { success: false, detected: 0, error: error.message };
+  }
+}
+
+/**
+ * Scan the user now if the scheduled scan hasn't reached them recently, e.g.
+ * right after their first sync
+ */
+export async function scanInsightsIfStale(supabase: SupabaseClient, userId: string): Promise<void> {
+  const { data } = await supabase
+    .from('profiles')
+    .select('insights_scanned_at')
+    .eq('id', userId)
+    .maybeSingle();
+
+  const scannedAt = data?.insights_scanned_at ? Date.parse(data.insights_scanned_at) : 0;
+  if (Date.now() - scannedAt >= STALE_SCAN_MS) {
+    await runAnomalyScan(supabase, userId);
+  }
+}
+
+/**
+ * Scan every user with daily metrics in the scan window, one at a time
+ */
+export async function scanAllUsers(supabase: SupabaseClient): Promise<{ users: number; detected: number; failed: number }> {
+  // Widened by a day so users far ahead of or behind UTC are included
+  const since = shiftDay(new Date().toISOString().split('T')[0], -(SCAN_DAYS + 1));
+  const userIds = new Set<string>();
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('health_metrics_daily')
+      .select('user_id')
+      .gte('date', since)
+      .order('user_id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to list users to scan: ${error.message}`);
+    }
+    (data || []).forEach((row: any) => userIds.add(row.user_id));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  let detected = 0;
+  let failed = 0;
+  for (const userId of userIds) {
+    const result = await runAnomalyScan(supabase, userId);
+    detected += result.detected;
+    if (!result.success) failed++;
+  }
+
+  return { users: userIds.size, detected, failed };
+}
+
+let scanInProgress = false;
+
+/**
+ * Scan all users every INSIGHTS_SCAN_INTERVAL_MINUTES (default 6 hours; 0
+ * turns the schedule off, e.g. when a separate worker runs scans). The timer
+ * doesn't keep the process alive on shutdown.
+ */
+export function startInsightScheduler(): void {
+  const minutes = parseInt(process.env.INSIGHTS_SCAN_INTERVAL_MINUTES || String(DEFAULT_SCAN_INTERVAL_MINUTES), 10);
+  if (!minutes || minutes <= 0 || !process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    console.log('[Insights] Scheduled anomaly scans disabled');
+    return;
+  }
+
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+  const run = async () => {
+    if (scanInProgress) return;
+    scanInProgress = true;
+    const startedAt = Date.now();
+    try {
+      const result = await scanAllUsers(supabase);
+      console.log('[Insights] Scheduled scan:', result, 'in', Date.now() - startedAt, 'ms');
+    } catch (error) {
+      console.error('[Insights] Scheduled scan failed:', error);
+    } finally {
+      scanInProgress = false;
+    }
+  };
+
+  // First run shortly after startup, then on the interval
+  setTimeout(run, 60 * 1000).unref();
+  setInterval(run, minutes * 60 * 1000).unref();
+  console.log('[Insights] Scanning daily metrics every', minutes, 'minutes');
+}
+
+/**
+ * The user's insights, newest first. Dismissed ones are left out unless asked for.
+ */
+export async function getInsights(
+  supabase: SupabaseClient,
+  userId: string,
+  options: { status?: string; since?: string; limit?: number } = {}
+): Promise<any[]> {
+  let query = supabase
+    .from('health_insights')
+    .select('*')
+    .eq('user_id', userId)
+    .order('end_date', { ascending: false })
+    .order('created_at', { ascending: false })
+    .limit(options.limit || 50);
+
+  query = options.status ? query.eq('status', options.status) : query.neq('status', 'dismissed');
+  if (options.since) {
+    query = query.gte('end_date', options.since);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Failed to load insights: ${error.message}`);
+  }
+  return data || [];
+}
+
+/**
+ * Format recent insights for chat context, so "how am I doing?" can mention
+ * a rising resting heart rate the user hasn't asked about
+ */
+export function formatInsightsForContext(insights: any[]): string {
+  if (insights.length === 0) {
+    return '';
+  }
+
+  let text = 'Recent Anomalies Detected (compared with the user\'s own baseline):\n';
+  insights.forEach((insight) => {
+    text += `  [${insight.severity}] ${insight.title}: ${insight.explanation}\n`;
+  });
+  return text;
+}
+
+export default {
+  detectAnomalies,
+  runAnomalyScan,
+  scanInsightsIfStale,
+  scanAllUsers,
+  startInsightScheduler,
+  getInsights,
+  formatInsightsForContext,
+};
@@ -0,0 +1,278 @@
+/**
+ * Conversation Memory Service
+ *
+ * Keeps chat prompts within a token budget:
+ * 1. The last N turns are kept verbatim
+ * 2. Older turns are folded into a running summary stored on chat_conversations
+ * 3. The budget left after the system prompt and current message is split
+ *    between health context and conversation history
+ */
+
+import { SupabaseClient } from '@supabase/supabase-js';
+import { LLMProvider } from './llm';
+
+export interface MemoryMessage {
+  role: 'user' | 'assistant';
+  content: string;
+  created_at: string;
+}
+
+export interface ConversationMemory {
+  summary: string | null;
+  summaryThrough: string | null;
+  /** Messages after summaryThrough, oldest first, excluding the current message */
+  messages: MemoryMessage[];
+}
+
+export interface BudgetedContext {
+  healthContext: string;
+  summary: string | null;
+  history: Array<{ role: string; content: string }>;
+  stats: {
+    budget: number;
+    systemTokens: number;
+    messageTokens: number;
+    healthTokens: number;
+    historyTokens: number;
+    droppedMessages: number;
+    healthTruncated: boolean;
+  };
+}
+
+// Rough heuristic shared by most tokenizers for English text
+const CHARS_PER_TOKEN = 4;
+
+export const CONTEXT_TOKEN_BUDGET = parseInt(process.env.CHAT_CONTEXT_TOKEN_BUDGET || '16000', 10);
+export const RECENT_TURNS = parseInt(process.env.CHAT_MEMORY_RECENT_TURNS || '6', 10);
+// Health context may use up to this share of the budget left after the system prompt and message,
+// plus whatever history doesn't need
+const HEALTH_CONTEXT_SHARE = 0.5;
+const SUMMARY_MAX_WORDS = 300;
+
+const summariesInProgress = new Set<string>();
+
+/**
+ * Estimate the number of tokens in a piece of text
+ */
+export function estimateTokens(text: string | null | undefined): number {
+  return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+}
+
+function truncateToTokens(text: string, maxTokens: number): string {
+  const maxChars = Math.max(0, maxTokens * CHARS_PER_TOKEN);
+  if (text.length <= maxChars) {
+    return text;
+  }
+  const marker = '\n...(truncated)';
+  return text.substring(0, Math.max(0, maxChars - marker.length)) + marker;
+}
+
+function messageTokens(message: { role: string; content: string }): number {
+  // Role label and newline
+  return estimateTokens(message.content) + 3;
+}
+
+/**
+ * Load the stored summary and every message not yet folded into it.
+ * The most recent message (the one being answered) is excluded.
+ */
+export async function loadConversationMemory(
+  supabase: SupabaseClient,
+  conversationId: string
+): Promise<ConversationMemory> {
+  const { data: conversation, error: conversationError } = await supabase
+    .from('chat_conversations')
+    .select('summary, summary_through')
+    .eq('id', conversationId)
+    .maybeSingle();
+
+  if (conversationError) {
+    console.error('[Memory] Error loading conversation summary:', conversationError);
+  }
+
+  let query = supabase
+    .from('chat_messages')
+    .select('role, content, created_at')
+    .eq('conversation_id', conversationId)
+    .order('created_at', { ascending: true });
+
+  if (conversation?.summary_through) {
+    query = query.gt('created_at', conversation.summary_through);
+  }
+
+  const { data: messages, error } = await query;
+
+  if (error) {
+    console.error('[Memory] Error fetching conversation history:', error);
+  }
+
+  return {
+    summary: conversation?.summary || null,
+    summaryThrough: conversation?.summary_through || null,
+    messages: (messages || []).slice(0, -1) as MemoryMessage[],
+  };
+}
+
+/**
+ * Fit the health context, summary and history into the token budget.
+ *
+ * History is the summary plus the messages it doesn't cover yet (normally the
+ * last RECENT_TURNS turns), dropping the oldest first when over budget.
+ * Health context gets up to HEALTH_CONTEXT_SHARE of the remaining budget, plus
+ * any budget history leaves unused.
+ */
+export function fitToBudget(
+  systemPrompt: string,
+  currentMessage: string,
+  healthContext: string,
+  memory: ConversationMemory,
+  budget: number = CONTEXT_TOKEN_BUDGET
+): BudgetedContext {
+  const systemTokens = estimateTokens(systemPrompt);
+  const messageTokenCount = estimateTokens(currentMessage);
+  const available = Math.max(0, budget - systemTokens - messageTokenCount);
+
+  const healthWanted = estimateTokens(healthContext);
+  const healthCap = Math.floor(available * HEALTH_CONTEXT_SHARE);
+  const historyBudget = available - Math.min(healthWanted, healthCap);
+
+  // Summary first: it is the only record of the older turns
+  let summary = memory.summary;
+  let summaryTokens = estimateTokens(summary);
+  if (summary && summaryTokens > historyBudget / 2) {
+    summary = truncateToTokens(summary, Math.floor(historyBudget / 2));
+    summaryTokens = estimateTokens(summary);
+  }
+  let remaining = historyBudget - summaryTokens;
+
+  // Walk backwards from the newest message, keeping whole messages while they fit.
+  // Every message here is newer than the summary, so nothing is double-counted.
+  const history: Array<{ role: string; content: string }> = [];
+
+  for (const message of [...memory.messages].reverse()) {
+    const tokens = messageTokens(message);
+
+    if (tokens <= remaining) {
+      history.unshift({ role: message.role, content: message.content });
+      remaining -= tokens;
+    } else {
+      if (history.length === 0 && remaining > 50) {
+        // Always keep some of the immediately preceding message
+        history.unshift({ role: message.role, content: truncateToTokens(message.content, remaining - 3) });
+        remaining = 0;
+      }
+      break;
+    }
+  }
+
+  const historyTokens = historyBudget - remaining;
+
+  // Give history's unused budget to health context
+  const healthBudget = available - historyTokens;
+  const fittedHealth = healthWanted > healthBudget ? truncateToTokens(healthContext, healthBudget) : healthContext;
+
+  return {
+    healthContext: fittedHealth,
+    summary,
+    history,
+    stats: {
+      budget,
+      systemTokens,
+      messageTokens: messageTokenCount,
+      healthTokens: estimateTokens(fittedHealth),
+      historyTokens,
+      droppedMessages: memory.messages.length - history.length,
+      healthTruncated: fittedHealth !== healthContext,
+    },
+  };
+}
+
+/**
+ * Fold messages older than the last RECENT_TURNS turns into the stored summary.
+ * Safe to call after every turn; it does nothing until there is something to fold.
+ */
+export async function updateConversationSummary(
+  supabase: SupabaseClient,
+  llm: LLMProvider,
+  conversationId: string
+): Promise<void> {
+  if (summariesInProgress.has(conversationId) || !llm.isConfigured()) {
+    return;
+  }
+  summariesInProgress.add(conversationId);
+
+  try {
+    const { data: conversation, error: conversationError } = await supabase
+      .from('chat_conversations')
+      .select('summary, summary_through')
+      .eq('id', conversationId)
+      .maybeSingle();
+
+    if (conversationError || !conversation) {
+      return;
+    }
+
+    let query = supabase
+      .from('chat_messages')
+      .select('role, content, created_at')
+      .eq('conversation_id', conversationId)
+      .order('created_at', { ascending: true });
+
+    if (conversation.summary_through) {
+      query = query.gt('created_at', conversation.summary_through);
+    }
+
+    const { data: messages, error } = await query;
+    if (error || !messages) {
+      return;
+    }
+
+    const toFold = messages.slice(0, Math.max(0, messages.length - RECENT_TURNS * 2)) as MemoryMessage[];
+    if (toFold.length === 0) {
+      return;
+    }
+
+    const transcript = toFold
+      .map((msg) => `${msg.role === 'user' ? 'User' : 'You-i'}: ${msg.content}`)
+      .join('\n');
+
+    const prompt = `You maintain a running summary of a conversation between a user and You-i, a wellness assistant.
+
+${conversation.summary ? `Current summary:\n${conversation.summary}\n\n` : ''}New messages to fold into the summary:
+${transcript}
+
+Write the updated summary in under ${SUMMARY_MAX_WORDS} words. Keep the user's goals, preferences, health details and numbers they mentioned, advice already given, and open questions. Plain prose, no preamble.`;
+
+    const summary = (await llm.generate(prompt, { temperature: 0.2 })).trim();
+    if (!summary) {
+      return;
+    }
+
+    const { error: updateError } = await supabase
+      .from('chat_conversations')
+      .update({
+        summary,
+        summary_through: toFold[toFold.length - 1].created_at,
+        summary_updated_at: new Date().toISOString(),
+      })
+      .eq('id', conversationId);
+
+    if (updateError) {
+      console.error('[Memory] Error saving conversation summary:', updateError);
+      return;
+    }
+
+    console.log('[Memory] Summarized', toFold.length, 'messages for conversation', conversationId);
+  } catch (error) {
+    console.error('[Memory] Error updating conversation summary:', error);
+  } finally {
+    summariesInProgress.delete(conversationId);
+  }
+}
+
+export default {
+  estimateTokens,
+  loadConversationMemory,
+  fitToBudget,
+  updateConversationSummary,
+};
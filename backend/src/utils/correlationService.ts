@@ -0,0 +1,502 @@
+/**
+ * Correlation Service
+ *
+ * Finds which of the user's metrics move together, on the server:
+ * 1. Build one value per calendar day (in the user's time zone) for each metric,
+ *    from health_metrics_daily columns or health_data types
+ * 2. Pair days, optionally shifted by a lag (caffeine_mg on day d against
+ *    sleep_hours on day d + 1)
+ * 3. Compute Pearson and Spearman coefficients with two-sided p-values,
+ *    skipping pairs with too few days and correcting for the number of pairs
+ *    tested (Benjamini-Hochberg)
+ * 4. Format the significant results as a chat context block
+ *
+ * Correlation is not causation; the context block says so.
+ */
+
+import { SupabaseClient } from '@supabase/supabase-js';
+import { DAY_MS, DEFAULT_TIME_ZONE, formatDateInTimeZone, shiftDay } from './timeZone';
+
+export type CorrelationMethod = 'pearson' | 'spearman';
+
+export interface CorrelationResult {
+  /** Metric whose earlier values are paired with the target */
+  metric: string;
+  target: string;
+  /** Days between the metric and the target value it is paired with */
+  lagDays: number;
+  method: CorrelationMethod;
+  coefficient: number;
+  pValue: number;
+  /** p-value corrected for the number of metric/lag pairs tested */
+  adjustedPValue: number;
+  sampleSize: number;
+  significant: boolean;
+  strength: 'negligible' | 'weak' | 'moderate' | 'strong';
+  direction: 'positive' | 'negative';
+}
+
+export interface CorrelationOptions {
+  target: string;
+  /** Metrics to test against the target; defaults to DEFAULT_CANDIDATES */
+  metrics?: string[];
+  startDate: Date;
+  endDate: Date;
+  /** Largest lag tested, in days (0 = same day only) */
+  maxLag?: number;
+  method?: CorrelationMethod;
+  timeZone?: string;
+}
+
+export interface CorrelationAnalysis {
+  target: string;
+  startDate: string;
+  endDate: string;
+  method: CorrelationMethod;
+  /** Days with a target value */
+  targetDays: number;
+  /** Every pair with enough days, strongest first */
+  results: CorrelationResult[];
+  /** Metrics with some data but fewer than MIN_SAMPLE_SIZE paired days (or no variation) */
+  insufficientData: string[];
+}
+
+/** Fewer paired days than this gives coefficients too noisy to report */
+export const MIN_SAMPLE_SIZE = 14;
+export const SIGNIFICANCE_LEVEL = 0.05;
+export const MAX_LAG_DAYS = 7;
+const PAGE_SIZE = 1000;
+
+// health_metrics_daily columns that can be correlated (completeness is bookkeeping)
+const DAILY_COLUMNS = [
+  'steps', 'distance_mi', 'active_calories', 'resting_calories', 'exercise_minutes',
+  'flights_climbed', 'avg_heart_rate', 'resting_heart_rate', 'heart_rate_variability',
+  'sleep_hours', 'weight_lbs', 'protein_g', 'carbs_g', 'fat_g', 'calories_consumed',
+  'water_oz', 'workout_count', 'total_workout_minutes', 'strength_sessions', 'cardio_sessions',
+];
+
+// health_data types that have a health_metrics_daily column
+const DAILY_COLUMN_ALIASES: Record<string, string> = {
+  sleep_duration_hours: 'sleep_hours',
+  heart_rate_variability_ms: 'heart_rate_variability',
+  resting_heart_rate_bpm: 'resting_heart_rate',
+  heart_rate_bpm: 'avg_heart_rate',
+  active_calories_kcal: 'active_calories',
+  resting_calories_kcal: 'resting_calories',
+  calories_consumed_kcal: 'calories_consumed',
+  carbohydrates_g: 'carbs_g',
+};
+
+// health_data types summed per day; every other type is averaged
+const ADDITIVE_TYPES = new Set([
+  'steps', 'distance_mi', 'distance_walking_mi', 'distance_running_mi', 'distance_cycling_mi',
+  'distance_swimming_mi', 'total_calories_burned_kcal', 'exercise_minutes', 'active_minutes',
+  'flights_climbed', 'elevation_gain_ft', 'fiber_g', 'sugar_g', 'sodium_mg', 'water_oz',
+  'caffeine_mg', 'protein_g', 'fat_g', 'mindful_minutes', 'training_volume_lbs',
+  'sleep_deep_hours', 'sleep_rem_hours', 'sleep_light_hours', 'sleep_awake_hours',
+]);
+
+/** Metrics tested when the caller doesn't name any */
+export const DEFAULT_CANDIDATES = [
+  'steps', 'exercise_minutes', 'active_calories', 'sleep_hours', 'resting_heart_rate',
+  'heart_rate_variability', 'calories_consumed', 'protein_g', 'carbs_g', 'water_oz',
+  'workout_count', 'strength_sessions', 'cardio_sessions',
+  'caffeine_mg', 'sugar_g', 'sodium_mg', 'mindful_minutes', 'stress_level_0_10',
+];
+
+/**
+ * Canonical name for a metric: the health_metrics_daily column when there is
+ * one, otherwise the health_data type
+ */
+export function normalizeMetricName(metric: string): string {
+  const key = metric.trim().toLowerCase();
+  return DAILY_COLUMN_ALIASES[key] || key;
+}
+
+// ---------------------------------------------------------------------------
+// Statistics
+// ---------------------------------------------------------------------------
+
+function pearson(xs: number[], ys: number[]): number | null {
+  const n = xs.length;
+  const meanX = xs.reduce((a, b) => a + b, 0) / n;
+  const meanY = ys.reduce((a, b) => a + b, 0) / n;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - meanX;
+    const dy = ys[i] - meanY;
+    covariance += dx * dy;
+    varianceX += dx * dx;
+    varianceY += dy * dy;
+  }
+  // A metric that never changes can't correlate with anything
+  if (varianceX === 0 || varianceY === 0) {
+    return null;
+  }
+  return Math.max(-1, Math.min(1, covariance / Math.sqrt(varianceX * varianceY)));
+}
+
+/** Ranks starting at 1, ties sharing their average rank */
+function rank(values: number[]): number[] {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array<number>(values.length);
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+    const averageRank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[order[k].index] = averageRank;
+    i = j + 1;
+  }
+  return ranks;
+}
+
+function logGamma(x: number): number {
+  // Lanczos approximation
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5,
+  ];
+  let y = x;
+  let tmp = x + 5.5;
+  tmp -= (x + 0.5) * Math.log(tmp);
+  let series = 1.000000000190015;
+  for (const c of coefficients) series += c / ++y;
+  return -tmp + Math.log((2.5066282746310005 * series) / x);
+}
+
+/** Continued fraction for the incomplete beta function (Numerical Recipes betacf) */
+function betaContinuedFraction(a: number, b: number, x: number): number {
+  const MAX_ITERATIONS = 200;
+  const EPSILON = 3e-14;
+  const TINY = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= MAX_ITERATIONS; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a - 1 + m2) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + 1 + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPSILON) break;
+  }
+  return h;
+}
+
+/** Regularized incomplete beta function I_x(a, b) */
+function incompleteBeta(x: number, a: number, b: number): number {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(a, b, x)) / a
+    : 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+}
+
+/**
+ * Two-sided p-value for a correlation coefficient from `n` pairs, using the
+ * t distribution with n - 2 degrees of freedom (also the usual large-sample
+ * approximation for Spearman's rho)
+ */
+export function correlationPValue(r: number, n: number): number {
+  const df = n - 2;
+  if (df <= 0) return 1;
+  if (Math.abs(r) >= 1) return 0;
+  const t2 = (r * r * df) / (1 - r * r);
+  return incompleteBeta(df / (df + t2), df / 2, 0.5);
+}
+
+/**
+ * Benjamini-Hochberg adjusted p-values, in the input order. Keeps the share
+ * of false discoveries near the significance level when many pairs are tested.
+ */
+export function adjustPValues(pValues: number[]): number[] {
+  const order = pValues.map((p, index) => ({ p, index })).sort((a, b) => a.p - b.p);
+  const adjusted = new Array<number>(pValues.length);
+  let running = 1;
+  for (let i = order.length - 1; i >= 0; i--) {
+    running = Math.min(running, (order[i].p * order.length) / (i + 1));
+    adjusted[order[i].index] = running;
+  }
+  return adjusted;
+}
+
+function describeStrength(r: number): CorrelationResult['strength'] {
+  const magnitude = Math.abs(r);
+  if (magnitude < 0.1) return 'negligible';
+  if (magnitude < 0.3) return 'weak';
+  if (magnitude < 0.5) return 'moderate';
+  return 'strong';
+}
+
+/**
+ * Correlate two daily series, pairing `metric` on day d with `target` on day
+ * d + lagDays. Returns null when fewer than `minSamples` days pair up or a
+ * series is constant; the p-value is uncorrected.
+ */
+export function correlateSeries(
+  metric: Map<string, number>,
+  target: Map<string, number>,
+  lagDays: number = 0,
+  method: CorrelationMethod = 'pearson',
+  minSamples: number = MIN_SAMPLE_SIZE
+): { coefficient: number; pValue: number; sampleSize: number } | null {
+  const xs: number[] = [];
+  const ys: number[] = [];
+  metric.forEach((value, date) => {
+    const paired = target.get(shiftDay(date, lagDays));
+    if (paired !== undefined) {
+      xs.push(value);
+      ys.push(paired);
+    }
+  });
+
+  if (xs.length < minSamples) {
+    return null;
+  }
+
+  const coefficient = method === 'spearman' ? pearson(rank(xs), rank(ys)) : pearson(xs, ys);
+  if (coefficient === null) {
+    return null;
+  }
+
+  return {
+    coefficient: Math.round(coefficient * 1000) / 1000,
+    pValue: correlationPValue(coefficient, xs.length),
+    sampleSize: xs.length,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Data loading
+// ---------------------------------------------------------------------------
+
+/**
+ * One value per calendar day for each metric, keyed by YYYY-MM-DD in the
+ * user's time zone. health_data samples are summed (steps, caffeine) or
+ * averaged (HRV, weight) per day.
+ */
+export async function loadDailySeries(
+  supabase: SupabaseClient,
+  userId: string,
+  metrics: string[],
+  startDate: Date,
+  endDate: Date,
+  timeZone: string = DEFAULT_TIME_ZONE
+): Promise<Map<string, Map<string, number>>> {
+  const series = new Map<string, Map<string, number>>();
+  const columns = metrics.filter((metric) => DAILY_COLUMNS.includes(metric));
+  const dataTypes = metrics.filter((metric) => !DAILY_COLUMNS.includes(metric));
+  metrics.forEach((metric) => series.set(metric, new Map()));
+
+  if (columns.length > 0) {
+    const { data, error } = await supabase
+      .from('health_metrics_daily')
+      .select(['date', ...columns].join(', '))
+      .eq('user_id', userId)
+      .gte('date', formatDateInTimeZone(startDate, timeZone))
+      .lte('date', formatDateInTimeZone(endDate, timeZone))
+      .order('date', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to load daily metrics: ${error.message}`);
+    }
+
+    (data || []).forEach((row: any) => {
+      columns.forEach((column) => {
+        const value = row[column];
+        if (value !== null && value !== undefined && !isNaN(Number(value))) {
+          series.get(column)!.set(row.date, Number(value));
+        }
+      });
+    });
+  }
+
+  if (dataTypes.length > 0) {
+    const buckets = new Map<string, Map<string, { sum: number; count: number }>>();
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from('health_data')
+        .select('data_type, value, recorded_at')
+        .eq('user_id', userId)
+        .eq('is_canonical', true)
+        .in('data_type', dataTypes)
+        .gte('recorded_at', startDate.toISOString())
+        .lte('recorded_at', endDate.toISOString())
+        .order('recorded_at', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) {
+        throw new Error(`Failed to load health data: ${error.message}`);
+      }
+
+      (data || []).forEach((row: any) => {
+        const value = Number(row.value);
+        if (row.value === null || isNaN(value)) return;
+        const date = formatDateInTimeZone(new Date(row.recorded_at), timeZone);
+        const byDate = buckets.get(row.data_type) || new Map();
+        const bucket = byDate.get(date) || { sum: 0, count: 0 };
+        bucket.sum += value;
+        bucket.count++;
+        byDate.set(date, bucket);
+        buckets.set(row.data_type, byDate);
+      });
+
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    buckets.forEach((byDate, dataType) => {
+      const daily = series.get(dataType)!;
+      byDate.forEach(({ sum, count }, date) => {
+        daily.set(date, ADDITIVE_TYPES.has(dataType) ? sum : sum / count);
+      });
+    });
+  }
+
+  return series;
+}
+
+/**
+ * Test every candidate metric against the target at lags 0..maxLag ("what
+ * affects my HRV"). Results include non-significant pairs so callers can show
+ * that something was checked; `significant` uses the corrected p-value.
+ */
+export async function getMetricCorrelations(
+  supabase: SupabaseClient,
+  userId: string,
+  options: CorrelationOptions
+): Promise<CorrelationAnalysis> {
+  const target = normalizeMetricName(options.target);
+  const method = options.method || 'pearson';
+  const maxLag = Math.max(0, Math.min(MAX_LAG_DAYS, Math.floor(options.maxLag ?? 1)));
+  const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+  const candidates = Array.from(new Set((options.metrics?.length ? options.metrics : DEFAULT_CANDIDATES)
+    .map(normalizeMetricName)))
+    .filter((metric) => metric !== target);
+
+  // Load maxLag extra days before the range, so lagged pairs at its start count
+  const loadFrom = new Date(options.startDate.getTime() - maxLag * DAY_MS);
+  const series = await loadDailySeries(supabase, userId, [target, ...candidates], loadFrom, options.endDate, timeZone);
+  const targetSeries = series.get(target)!;
+  const firstDay = formatDateInTimeZone(options.startDate, timeZone);
+  targetSeries.forEach((_, date) => {
+    if (date < firstDay) targetSeries.delete(date);
+  });
+
+  const tested: Array<Omit<CorrelationResult, 'adjustedPValue' | 'significant'>> = [];
+  const insufficientData: string[] = [];
+
+  candidates.forEach((metric) => {
+    let testedAny = false;
+    for (let lag = 0; lag <= maxLag; lag++) {
+      const result = correlateSeries(series.get(metric)!, targetSeries, lag, method);
+      if (!result) continue;
+      testedAny = true;
+      tested.push({
+        metric,
+        target,
+        lagDays: lag,
+        method,
+        coefficient: result.coefficient,
+        pValue: result.pValue,
+        sampleSize: result.sampleSize,
+        strength: describeStrength(result.coefficient),
+        direction: result.coefficient >= 0 ? 'positive' : 'negative',
+      });
+    }
+    if (!testedAny && series.get(metric)!.size > 0) {
+      insufficientData.push(metric);
+    }
+  });
+
+  const adjusted = adjustPValues(tested.map((result) => result.pValue));
+  const results: CorrelationResult[] = tested
+    .map((result, index) => ({
+      ...result,
+      pValue: Math.round(result.pValue * 10000) / 10000,
+      adjustedPValue: Math.round(adjusted[index] * 10000) / 10000,
+      significant: adjusted[index] < SIGNIFICANCE_LEVEL && result.strength !== 'negligible',
+    }))
+    .sort((a, b) => Math.abs(b.coefficient) - Math.abs(a.coefficient));
+
+  console.log('[Correlation] Tested', results.length, 'pairs against', target, 'for userId:', userId,
+    '-', results.filter((result) => result.significant).length, 'significant');
+
+  return {
+    target,
+    startDate: firstDay,
+    endDate: formatDateInTimeZone(options.endDate, timeZone),
+    method,
+    targetDays: targetSeries.size,
+    results,
+    insufficientData,
+  };
+}
+
+function describeLag(lagDays: number): string {
+  if (lagDays === 0) return 'same day';
+  if (lagDays === 1) return 'previous day';
+  return `${lagDays} days earlier`;
+}
+
+/**
+ * Format significant correlations for chat context. Lists what was tested
+ * when nothing was significant, so the model doesn't speculate instead.
+ */
+export function formatCorrelationsForContext(analysis: CorrelationAnalysis, limit: number = 8): string {
+  let text = `Correlations with ${analysis.target} (${analysis.startDate} to ${analysis.endDate}, ${analysis.method}, ${analysis.targetDays} days with data):\n`;
+
+  if (analysis.targetDays < MIN_SAMPLE_SIZE) {
+    return `${text}  Not enough days with ${analysis.target} to compute correlations (need at least ${MIN_SAMPLE_SIZE}).\n`;
+  }
+
+  // Best lag per metric, so one metric doesn't fill the list
+  const best = new Map<string, CorrelationResult>();
+  analysis.results
+    .filter((result) => result.significant)
+    .forEach((result) => {
+      if (!best.has(result.metric)) best.set(result.metric, result);
+    });
+
+  if (best.size === 0) {
+    const tested = Array.from(new Set(analysis.results.map((result) => result.metric)));
+    text += `  No significant correlations found${tested.length ? ` among: ${tested.join(', ')}` : ''}.\n`;
+  } else {
+    Array.from(best.values()).slice(0, limit).forEach((result) => {
+      text += `  ${result.metric} (${describeLag(result.lagDays)}): r = ${result.coefficient}, ${result.strength} ${result.direction}, ` +
+        `n = ${result.sampleSize} days, adjusted p = ${result.adjustedPValue}\n`;
+    });
+  }
+
+  if (analysis.insufficientData.length > 0) {
+    text += `  Too little overlapping data for: ${analysis.insufficientData.join(', ')}\n`;
+  }
+  text += '  Note: correlations show association, not cause and effect.\n';
+
+  return text;
+}
+
+export default {
+  normalizeMetricName,
+  correlationPValue,
+  adjustPValues,
+  correlateSeries,
+  loadDailySeries,
+  getMetricCorrelations,
+  formatCorrelationsForContext,
+};
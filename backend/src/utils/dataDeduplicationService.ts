@@ -0,0 +1,195 @@
+/**
+ * Data Deduplication Service
+ *
+ * Backend counterpart of reactapp/services/dataDeduplicationService.js, for
+ * data written by the file importers rather than the app's integrations:
+ * 1. Marks third-party health_data rows non-canonical when a native health
+ *    source (Apple Health, Google Fit, Health Connect) recorded the same
+ *    metric in the same hour, using the app's rules
+ * 2. Finds a stored workout that an imported one overlaps (the same activity
+ *    synced from Strava or Apple Health, or imported before), since
+ *    health_events has no canonical flag and the copy should be skipped
+ */
+
+import { SupabaseClient } from '@supabase/supabase-js';
+import { DATA_SOURCES, METRIC_TYPES } from './metricTypeRegistry';
+
+const NATIVE_HEALTH_SOURCES = [
+  DATA_SOURCES.APPLE_HEALTH,
+  DATA_SOURCES.GOOGLE_FIT,
+  DATA_SOURCES.HEALTH_CONNECT,
+];
+
+// Metrics only third-party apps provide; always canonical
+const THIRD_PARTY_EXCLUSIVE_METRICS = [
+  METRIC_TYPES.CALORIES_CONSUMED,
+  METRIC_TYPES.PROTEIN,
+  METRIC_TYPES.CARBOHYDRATES,
+  METRIC_TYPES.FAT,
+  METRIC_TYPES.FIBER,
+  METRIC_TYPES.SUGAR,
+  METRIC_TYPES.SODIUM,
+  METRIC_TYPES.WATER,
+  METRIC_TYPES.CAFFEINE,
+  METRIC_TYPES.WEIGHT_LIFTED,
+  METRIC_TYPES.REPS,
+  METRIC_TYPES.SETS,
+  METRIC_TYPES.TRAINING_VOLUME,
+  METRIC_TYPES.ONE_REP_MAX,
+  METRIC_TYPES.ELEVATION_GAIN,
+  METRIC_TYPES.STRESS_LEVEL,
+];
+
+// Event types that are never workouts
+const NON_WORKOUT_EVENTS = ['sleep_session', 'meal', 'meditation'];
+/** Stored workouts starting this far either side of an imported one are compared */
+const WORKOUT_MATCH_WINDOW_MS = 15 * 60 * 1000;
+/** Share of the shorter workout the two must overlap to be the same activity */
+const WORKOUT_MIN_OVERLAP = 0.5;
+
+export interface MatchingWorkout {
+  id: string;
+  event_type: string;
+  start_time: string;
+  end_time: string | null;
+  source_app: string | null;
+  location: Record<string, any> | null;
+}
+
+export function isNativeHealthSource(source: string | null | undefined): boolean {
+  return !!source && NATIVE_HEALTH_SOURCES.includes(source);
+}
+
+export function isThirdPartyExclusiveMetric(metricType: string): boolean {
+  return THIRD_PARTY_EXCLUSIVE_METRICS.includes(metricType);
+}
+
+/**
+ * Mark third-party records of a metric non-canonical where native health
+ * data exists for the same hour
+ */
+export async function markNonCanonicalRecords(
+  supabase: SupabaseClient,
+  userId: string,
+  metricType: string,
+  range?: { start: Date; end: Date }
+): Promise<number> {
+  let query = supabase
+    .from('health_data')
+    .select('id, data_type, source_app, recorded_at')
+    .eq('user_id', userId)
+    .eq('data_type', metricType);
+
+  if (range) {
+    query = query.gte('recorded_at', range.start.toISOString()).lte('recorded_at', range.end.toISOString());
+  }
+
+  const { data: records, error } = await query;
+  if (error) {
+    throw new Error(`Failed to load records for deduplication: ${error.message}`);
+  }
+
+  const hours = new Map<string, typeof records>();
+  for (const record of records || []) {
+    const hour = new Date(record.recorded_at);
+    hour.setUTCMinutes(0, 0, 0);
+    const key = hour.toISOString();
+    if (!hours.has(key)) hours.set(key, []);
+    hours.get(key)!.push(record);
+  }
+
+  const nonCanonical: string[] = [];
+  for (const group of hours.values()) {
+    if (group.length > 1 && group.some((record) => isNativeHealthSource(record.source_app))) {
+      group
+        .filter((record) => !isNativeHealthSource(record.source_app))
+        .forEach((record) => nonCanonical.push(record.id));
+    }
+  }
+
+  if (nonCanonical.length > 0) {
+    const { error: updateError } = await supabase
+      .from('health_data')
+      .update({ is_canonical: false })
+      .in('id', nonCanonical);
+    if (updateError) {
+      throw new Error(`Failed to mark duplicate records: ${updateError.message}`);
+    }
+  }
+
+  return nonCanonical.length;
+}
+
+/**
+ * Update canonical flags after writing data from a source. Never throws;
+ * returns how many records were marked non-canonical.
+ */
+export async function runDeduplicationCheck(
+  supabase: SupabaseClient,
+  userId: string,
+  source: string,
+  syncedMetrics: string[] = [],
+  range?: { start: Date; end: Date }
+): Promise<number> {
+  if (isNativeHealthSource(source)) {
+    return 0;
+  }
+
+  let updated = 0;
+  for (const metricType of syncedMetrics) {
+    if (isThirdPartyExclusiveMetric(metricType)) continue;
+    try {
+      updated += await markNonCanonicalRecords(supabase, userId, metricType, range);
+    } catch (error) {
+      console.error('[Deduplication] Error checking', metricType, 'for user', userId, error);
+    }
+  }
+
+  if (updated > 0) {
+    console.log('[Deduplication] Marked', updated, source, 'records non-canonical for user', userId);
+  }
+  return updated;
+}
+
+/**
+ * A stored workout (from any source) that the given time range is the same
+ * activity as, or null
+ */
+export async function findMatchingWorkout(
+  supabase: SupabaseClient,
+  userId: string,
+  startMs: number,
+  endMs: number
+): Promise<MatchingWorkout | null> {
+  const { data, error } = await supabase
+    .from('health_events')
+    .select('id, event_type, start_time, end_time, source_app, location')
+    .eq('user_id', userId)
+    .not('event_type', 'in', `(${NON_WORKOUT_EVENTS.join(',')})`)
+    .gte('start_time', new Date(startMs - WORKOUT_MATCH_WINDOW_MS).toISOString())
+    .lte('start_time', new Date(startMs + WORKOUT_MATCH_WINDOW_MS).toISOString());
+
+  if (error) {
+    throw new Error(`Failed to check for existing workouts: ${error.message}`);
+  }
+
+  const duration = Math.max(endMs - startMs, 60000);
+  return ((data || []) as MatchingWorkout[]).find((workout) => {
+    const otherStart = new Date(workout.start_time).getTime();
+    const otherEnd = workout.end_time ? new Date(workout.end_time).getTime() : otherStart;
+    if (otherEnd <= otherStart) {
+      // No duration recorded: only an exact start counts
+      return Math.abs(otherStart - startMs) < 60000;
+    }
+    const overlap = Math.min(endMs, otherEnd) - Math.max(startMs, otherStart);
+    return overlap / Math.min(duration, otherEnd - otherStart) >= WORKOUT_MIN_OVERLAP;
+  }) || null;
+}
+
+export default {
+  isNativeHealthSource,
+  isThirdPartyExclusiveMetric,
+  markNonCanonicalRecords,
+  runDeduplicationCheck,
+  findMatchingWorkout,
+};
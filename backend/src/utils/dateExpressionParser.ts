@@ -0,0 +1,499 @@
+/**
+ * Date Expression Parser
+ *
+ * Turns the time expressions people use in chat into a date range:
+ * 1. Explicit ranges ("between 10/1 and 10/15", "from March to May", "June 3-9")
+ * 2. Open ranges ("since January 5th", "year to date")
+ * 3. Calendar periods (quarters, years, months, weeks, weekends, holidays)
+ * 4. Relative periods ("last 3 weeks", "past couple of months", "2 days ago")
+ * 5. Single days ("yesterday", "last Tuesday", "on 10/5", "March 3rd, 2024")
+ *
+ * Numbers and words that only look like dates are left alone: a bare year
+ * needs "in", "during" or "since" before it ("between 1900 and 2000 calories"
+ * is not a range) and "may" is only a month after a preposition or before a
+ * day or year ("I may 5 times" is not May 5).
+ *
+ * Dates are interpreted in the server's local time, relative to `now`.
+ * Expressions without a year resolve to their most recent occurrence that has
+ * started, so "in December" asked in October means last December. Ranges
+ * never end after `now`.
+ */
+
+import type { TimeRange } from './queryAnalyzer';
+
+interface DatePoint {
+  year: number | null;
+  /** 0-11, or null for a whole year */
+  month: number | null;
+  /** Day of month, or null for a whole month/year */
+  day: number | null;
+}
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const QUARTER_WORDS = ['first', 'second', 'third', 'fourth'];
+
+const WORD_NUMBERS: Record<string, number> = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+  eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, couple: 2, 'couple of': 2, few: 3,
+};
+
+// Regex building blocks (sources, combined below)
+const MONTH_ALTERNATIVES = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+// A day, not a count ("5 times")
+const DAY = '\\d{1,2}(?!\\d)(?:st|nd|rd|th)?(?!\\s*(?:times|x)\\b)';
+const YEAR = '(?:19|20)\\d{2}';
+// After a preposition ("in may", "from march to may") any month name will do;
+// elsewhere "may" is usually the verb, so it needs a day or year after it
+const ANY_MONTH = `(?:${MONTH_ALTERNATIVES}|may)`;
+const MONTH = `(?:${MONTH_ALTERNATIVES}|may(?=\\.?\\s+(?:${DAY}|${YEAR})))`;
+// Keeps quantities ("in 2000 steps") from reading as years
+const NOT_QUANTITY = '(?!\\s*(?:steps|calories|cals?|kcal|mg|mcg|g|grams?|kg|lbs?|pounds|ml|oz|minutes|mins|hours|hrs|times|bpm|km|miles|meters|feet|ft|units?|iu)\\b)';
+const ISO_DATE = '\\d{4}-\\d{1,2}-\\d{1,2}';
+const NUMERIC_DATE = '\\d{1,2}\\/\\d{1,2}(?:\\/(?:\\d{4}|\\d{2}))?(?!\\d)';
+// A bare year is never a point on its own: "between 1900 and 2000 calories"
+const pointPattern = (month: string) =>
+  `(?:${ISO_DATE}|${NUMERIC_DATE}|${month}\\.?\\s+${DAY}(?:,?\\s*${YEAR})?|${DAY}\\s+(?:of\\s+)?${month}(?:,?\\s*${YEAR})?|${month}(?:\\s+${YEAR})?|today|yesterday|now)`;
+const POINT = pointPattern(MONTH);
+const POINT_AFTER_PREPOSITION = pointPattern(ANY_MONTH);
+const NUMBER = `(\\d+|a|an|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|couple(?: of)?|few)`;
+const WEEKDAY = `(${WEEKDAY_NAMES.join('|')})`;
+
+const RANGE_PATTERN = new RegExp(`\\b(?:between|from)\\s+(${POINT_AFTER_PREPOSITION})\\s*(?:and|to|until|till|through|thru|-|–)\\s*(${POINT_AFTER_PREPOSITION})\\b`, 'i');
+const BARE_RANGE_PATTERN = new RegExp(`\\b(${POINT})\\s*(?:-|–|to|until|till|through|thru)\\s*(${POINT})\\b`, 'i');
+const YEAR_RANGE_PATTERN = new RegExp(`\\b(?:in|during|over|throughout)\\s+(?:the\\s+years\\s+)?(${YEAR})\\s*(?:-|–|to|through|thru|and)\\s*(${YEAR})\\b${NOT_QUANTITY}`, 'i');
+const DAY_SPAN_PATTERN = new RegExp(`\\b(${MONTH})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\s*(?:-|–|to|through|thru)\\s*(\\d{1,2})(?:st|nd|rd|th)?(?!\\d)(?:,?\\s*(${YEAR}))?`, 'i');
+const SINCE_PATTERN = new RegExp(`\\b(?:since|after|starting(?: on| from)?)\\s+(?:the\\s+)?(${POINT_AFTER_PREPOSITION})\\b|\\bsince\\s+(${YEAR})\\b${NOT_QUANTITY}`, 'i');
+const ON_DATE_PATTERN = new RegExp(`\\b(?:on|for|of)\\s+(?:the\\s+)?(${ISO_DATE}|${NUMERIC_DATE}|${MONTH}\\.?\\s+${DAY}(?:,?\\s*${YEAR})?|${DAY}\\s+(?:of\\s+)?${MONTH}(?:,?\\s*${YEAR})?)|\\b(${ISO_DATE}|${MONTH}\\.?\\s+${DAY}(?:,?\\s*${YEAR})?)`, 'i');
+const IN_MONTH_PATTERN = new RegExp(`\\b(?:in|during|for|of|over|through|throughout)\\s+(?:the\\s+month\\s+of\\s+)?(${ANY_MONTH}(?:\\s+${YEAR})?)\\b|\\b(${MONTH}\\s+${YEAR})\\b`, 'i');
+const RELATIVE_MONTH_PATTERN = new RegExp(`\\b(last|this|previous)\\s+(${ANY_MONTH})\\b`, 'i');
+const IN_YEAR_PATTERN = new RegExp(`\\b(?:in|during|over|throughout|year)\\s+(${YEAR})\\b${NOT_QUANTITY}`, 'i');
+const LAST_N_PATTERN = new RegExp(`\\b(?:last|past|previous)\\s+${NUMBER}\\s+(day|week|month|year)s?\\b`, 'i');
+const AGO_PATTERN = new RegExp(`\\b${NUMBER}\\s+(day|week|month|year)s?\\s+ago\\b`, 'i');
+const WEEKDAY_PATTERN = new RegExp(`\\b(?:(last|this|previous|past|on)\\s+)?${WEEKDAY}(?!s)\\b`, 'i');
+const QUARTER_PATTERN = new RegExp(`\\bq([1-4])(?:\\s+(${YEAR}))?\\b|\\b(first|second|third|fourth|1st|2nd|3rd|4th)\\s+quarter(?:\\s+(?:of\\s+)?(${YEAR}))?`, 'i');
+const HOLIDAY_PATTERN = /\b(?:over|during|around|since|after|on|at|for|through)\s+(?:the\s+)?(holidays|holiday season|christmas|xmas|thanksgiving|new year[’']?s(?: day| eve)?)\b/i;
+
+function startOfDay(date: Date): Date {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function endOfDay(date: Date): Date {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999);
+}
+
+function addDays(date: Date, days: number): Date {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/** Monday of the week containing `date` */
+function startOfWeek(date: Date): Date {
+  const day = date.getDay();
+  return addDays(startOfDay(date), day === 0 ? -6 : 1 - day);
+}
+
+function formatDay(date: Date): string {
+  return `${MONTH_NAMES[date.getMonth()]} ${date.getDate()}, ${date.getFullYear()}`;
+}
+
+function toNumber(word: string): number {
+  const lower = word.toLowerCase();
+  return WORD_NUMBERS[lower] ?? parseInt(lower, 10);
+}
+
+function monthIndex(name: string): number {
+  return MONTH_NAMES.findIndex((month) => month.toLowerCase().startsWith(name.toLowerCase().slice(0, 3)));
+}
+
+function fullYear(year: string): number {
+  const value = parseInt(year, 10);
+  return year.length === 2 ? 2000 + value : value;
+}
+
+/**
+ * Final range: null when it starts in the future, otherwise capped at `now`
+ */
+function range(start: Date, end: Date, description: string, now: Date): TimeRange | null {
+  if (start > now || end < start) {
+    return null;
+  }
+  return { startDate: start, endDate: end > now ? now : end, description };
+}
+
+/**
+ * Parse a single date expression matched by POINT
+ */
+function parsePoint(text: string, now: Date): DatePoint | null {
+  const value = text.trim().toLowerCase().replace(/(\d)(st|nd|rd|th)\b/g, '$1').replace(/,/g, '');
+  let match: RegExpMatchArray | null;
+
+  if (value === 'today' || value === 'now' || value === 'yesterday') {
+    const date = value === 'yesterday' ? addDays(now, -1) : now;
+    return { year: date.getFullYear(), month: date.getMonth(), day: date.getDate() };
+  }
+  if ((match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+    return validPoint(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+  }
+  if ((match = value.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?$/))) {
+    // Month first, as written in the US
+    return validPoint(match[3] ? fullYear(match[3]) : null, parseInt(match[1], 10) - 1, parseInt(match[2], 10));
+  }
+  if ((match = value.match(/^([a-z]+)\.?\s+(\d{1,2})(?:\s*(\d{4}))?$/))) {
+    return validPoint(match[3] ? parseInt(match[3], 10) : null, monthIndex(match[1]), parseInt(match[2], 10));
+  }
+  if ((match = value.match(/^(\d{1,2})\s+(?:of\s+)?([a-z]+)(?:\s*(\d{4}))?$/))) {
+    return validPoint(match[3] ? parseInt(match[3], 10) : null, monthIndex(match[2]), parseInt(match[1], 10));
+  }
+  if ((match = value.match(/^([a-z]+)(?:\s+(\d{4}))?$/))) {
+    const month = monthIndex(match[1]);
+    return month >= 0 ? { year: match[2] ? parseInt(match[2], 10) : null, month, day: null } : null;
+  }
+  if ((match = value.match(/^(\d{4})$/))) {
+    return { year: parseInt(match[1], 10), month: null, day: null };
+  }
+  return null;
+}
+
+function validPoint(year: number | null, month: number, day: number): DatePoint | null {
+  if (month < 0 || month > 11 || day < 1) return null;
+  // Reject days past the end of the month (Feb 30); leap years count when the year is known
+  if (day > new Date(year ?? 2000, month + 1, 0).getDate()) return null;
+  return { year, month, day };
+}
+
+function pointStart(point: DatePoint, year: number): Date {
+  return new Date(year, point.month ?? 0, point.day ?? 1);
+}
+
+function pointEnd(point: DatePoint, year: number): Date {
+  if (point.day !== null) return endOfDay(pointStart(point, year));
+  if (point.month !== null) return new Date(year, point.month + 1, 0, 23, 59, 59, 999);
+  return new Date(year, 11, 31, 23, 59, 59, 999);
+}
+
+/** Year of the point's most recent occurrence that has started */
+function resolveYear(point: DatePoint, now: Date): number {
+  if (point.year !== null) return point.year;
+  const year = now.getFullYear();
+  return pointStart(point, year) > now ? year - 1 : year;
+}
+
+function describePoint(point: DatePoint, year: number): string {
+  if (point.day !== null) return formatDay(pointStart(point, year));
+  if (point.month !== null) return `${MONTH_NAMES[point.month]} ${year}`;
+  return String(year);
+}
+
+function pointRange(point: DatePoint, now: Date, prefix = ''): TimeRange | null {
+  const year = resolveYear(point, now);
+  return range(pointStart(point, year), pointEnd(point, year), `${prefix}${describePoint(point, year)}`, now);
+}
+
+/**
+ * Range between two points. A missing year is taken from the other end, so
+ * "Dec 20 to Jan 5" spans the new year.
+ */
+function spanRange(from: DatePoint, to: DatePoint, now: Date): TimeRange | null {
+  let startYear: number;
+  let endYear: number;
+
+  if (to.year !== null || from.year === null) {
+    endYear = resolveYear(to, now);
+    startYear = from.year ?? endYear;
+    if (from.year === null && pointStart(from, startYear) > pointStart(to, endYear)) {
+      startYear--;
+    }
+  } else {
+    startYear = from.year;
+    endYear = startYear;
+    if (pointEnd(to, endYear) < pointStart(from, startYear)) {
+      endYear++;
+    }
+  }
+
+  const start = pointStart(from, startYear);
+  const end = pointEnd(to, endYear);
+  return range(start, end, `${describePoint(from, startYear)} to ${describePoint(to, endYear)}`, now);
+}
+
+function quarterRange(quarter: number, year: number | null, now: Date): TimeRange | null {
+  let resolvedYear = year ?? now.getFullYear();
+  if (year === null && new Date(resolvedYear, quarter * 3, 1) > now) {
+    resolvedYear--;
+  }
+  const start = new Date(resolvedYear, quarter * 3, 1);
+  const end = new Date(resolvedYear, quarter * 3 + 3, 0, 23, 59, 59, 999);
+  return range(start, end, `Q${quarter + 1} ${resolvedYear}`, now);
+}
+
+function holidayBounds(holiday: string, year: number): [Date, Date] {
+  if (holiday === 'thanksgiving') {
+    // Fourth Thursday of November through the weekend
+    const first = new Date(year, 10, 1);
+    const thursday = 1 + ((4 - first.getDay() + 7) % 7) + 21;
+    return [new Date(year, 10, thursday), endOfDay(new Date(year, 10, thursday + 3))];
+  }
+  if (holiday === 'christmas' || holiday === 'xmas') {
+    return [new Date(year, 11, 24), endOfDay(new Date(year, 11, 26))];
+  }
+  if (holiday.startsWith('new year')) {
+    return [new Date(year, 11, 31), endOfDay(new Date(year + 1, 0, 1))];
+  }
+  // The holidays: mid-December to just after New Year's Day
+  return [new Date(year, 11, 20), endOfDay(new Date(year + 1, 0, 2))];
+}
+
+function holidayRange(holiday: string, now: Date): TimeRange | null {
+  const name = holiday.toLowerCase();
+  let year = now.getFullYear();
+  let [start, end] = holidayBounds(name, year);
+  if (start > now) {
+    year--;
+    [start, end] = holidayBounds(name, year);
+  }
+  let label = name;
+  if (name === 'xmas') label = 'christmas';
+  else if (name.startsWith('new year')) label = "new year's";
+  else if (name === 'holiday season') label = 'holidays';
+  return range(start, end, `${label} ${year}`, now);
+}
+
+/** Trailing periods ending now, matching the previous "last N days" behavior */
+function lastNRange(count: number, unit: string, now: Date): TimeRange | null {
+  const today = startOfDay(now);
+  let start: Date;
+  switch (unit) {
+    case 'day':
+      start = addDays(today, -count);
+      break;
+    case 'week':
+      start = addDays(today, -count * 7);
+      break;
+    case 'month':
+      start = new Date(now);
+      start.setMonth(start.getMonth() - count);
+      break;
+    default:
+      start = new Date(now);
+      start.setFullYear(start.getFullYear() - count);
+  }
+  return range(start, now, `last ${count} ${unit}${count === 1 ? '' : 's'}`, now);
+}
+
+/** The calendar day, week, month or year `count` units before now */
+function agoRange(count: number, unit: string, now: Date): TimeRange | null {
+  const description = `${count} ${unit}${count === 1 ? '' : 's'} ago`;
+  switch (unit) {
+    case 'day': {
+      const day = addDays(now, -count);
+      return range(day, endOfDay(day), description, now);
+    }
+    case 'week': {
+      const monday = addDays(startOfWeek(now), -count * 7);
+      return range(monday, endOfDay(addDays(monday, 6)), description, now);
+    }
+    case 'month': {
+      const start = new Date(now.getFullYear(), now.getMonth() - count, 1);
+      return range(start, new Date(start.getFullYear(), start.getMonth() + 1, 0, 23, 59, 59, 999), description, now);
+    }
+    default: {
+      const year = now.getFullYear() - count;
+      return range(new Date(year, 0, 1), new Date(year, 11, 31, 23, 59, 59, 999), description, now);
+    }
+  }
+}
+
+function weekdayRange(modifier: string | undefined, weekday: string, now: Date): TimeRange | null {
+  const target = WEEKDAY_NAMES.indexOf(weekday.toLowerCase());
+  let daysBack = (now.getDay() - target + 7) % 7;
+  // "last Tuesday" asked on a Tuesday means a week ago
+  if (daysBack === 0 && modifier && ['last', 'previous', 'past'].includes(modifier.toLowerCase())) {
+    daysBack = 7;
+  }
+  const day = addDays(now, -daysBack);
+  const name = weekday.charAt(0).toUpperCase() + weekday.slice(1).toLowerCase();
+  return range(day, endOfDay(day), `${name}, ${formatDay(day)}`, now);
+}
+
+function weekendRange(last: boolean, now: Date): TimeRange | null {
+  const today = now.getDay();
+  const inWeekend = today === 0 || today === 6;
+  // Saturday of the current weekend if we're in one, else of the most recent one
+  let saturday = addDays(now, -((today + 1) % 7));
+  if (inWeekend && last) {
+    saturday = addDays(saturday, -7);
+  }
+  return range(saturday, endOfDay(addDays(saturday, 1)), inWeekend && !last ? 'this weekend' : 'last weekend', now);
+}
+
+/**
+ * This/last week, weekend, month or year
+ */
+function calendarPeriodRange(text: string, now: Date): TimeRange | null {
+  let match: RegExpMatchArray | null;
+
+  if ((match = text.match(/\b(this|last|past|previous|over the)\s+weekend\b/))) {
+    return weekendRange(match[1] === 'last' || match[1] === 'previous' || match[1] === 'past', now);
+  }
+  if (/\bthis week\b/.test(text)) {
+    return range(startOfWeek(now), now, 'this week', now);
+  }
+  if (/\b(last|past|previous) week\b/.test(text)) {
+    const monday = addDays(startOfWeek(now), -7);
+    return range(monday, endOfDay(addDays(monday, 6)), 'last week', now);
+  }
+  if (/\bthis month\b/.test(text)) {
+    return range(new Date(now.getFullYear(), now.getMonth(), 1), now, 'this month', now);
+  }
+  if (/\b(last|past|previous) month\b/.test(text)) {
+    const lastMonth = agoRange(1, 'month', now);
+    return lastMonth && { ...lastMonth, description: 'last month' };
+  }
+  if (/\bthis year\b/.test(text)) {
+    return range(new Date(now.getFullYear(), 0, 1), now, 'this year', now);
+  }
+  if (/\bpast year\b/.test(text)) {
+    const pastYear = lastNRange(12, 'month', now);
+    return pastYear && { ...pastYear, description: 'past year' };
+  }
+  if (/\b(last|previous) year\b/.test(text)) {
+    const year = now.getFullYear() - 1;
+    return range(new Date(year, 0, 1), new Date(year, 11, 31, 23, 59, 59, 999), 'last year', now);
+  }
+  return null;
+}
+
+/**
+ * Find the first date expression in `text` and return its range, or null
+ * when the text has no (past) time reference
+ */
+export function parseDateExpression(text: string, now: Date = new Date()): TimeRange | null {
+  const lower = text.toLowerCase();
+  const today = startOfDay(now);
+  let match: RegExpMatchArray | null;
+
+  // 1. Explicit ranges
+  if ((match = lower.match(DAY_SPAN_PATTERN))) {
+    const month = monthIndex(match[1]);
+    const year = match[4] ? parseInt(match[4], 10) : null;
+    const from = validPoint(year, month, parseInt(match[2], 10));
+    const to = validPoint(year, month, parseInt(match[3], 10));
+    if (from && to) return spanRange(from, to, now);
+  }
+  // Ranges between days are taken as they are; a looser one ("from March to
+  // May", "during 2019-2021") gives way to a relative period in the same text
+  let looseRange: DatePoint[] | null = null;
+  if ((match = lower.match(RANGE_PATTERN) || lower.match(BARE_RANGE_PATTERN))) {
+    const from = parsePoint(match[1], now);
+    const to = parsePoint(match[2], now);
+    if (from && to) {
+      if (from.day !== null && to.day !== null) return spanRange(from, to, now);
+      looseRange = [from, to];
+    }
+  }
+  if (!looseRange && (match = lower.match(YEAR_RANGE_PATTERN))) {
+    looseRange = [
+      { year: parseInt(match[1], 10), month: null, day: null },
+      { year: parseInt(match[2], 10), month: null, day: null },
+    ];
+  }
+  if (looseRange) {
+    return calendarPeriodRange(lower, now) || spanRange(looseRange[0], looseRange[1], now);
+  }
+
+  // 2. Open ranges up to now
+  if ((match = lower.match(SINCE_PATTERN))) {
+    const point = parsePoint(match[1] || match[2], now);
+    if (point) {
+      const year = resolveYear(point, now);
+      return range(pointStart(point, year), now, `since ${describePoint(point, year)}`, now);
+    }
+  }
+  if (/\b(year to date|ytd|so far this year)\b/.test(lower)) {
+    return range(new Date(now.getFullYear(), 0, 1), now, 'year to date', now);
+  }
+  if (/\b(month to date|mtd|so far this month)\b/.test(lower)) {
+    return range(new Date(now.getFullYear(), now.getMonth(), 1), now, 'month to date', now);
+  }
+
+  // 3. Quarters and holidays
+  if ((match = lower.match(QUARTER_PATTERN))) {
+    const quarter = match[1]
+      ? parseInt(match[1], 10) - 1
+      : QUARTER_WORDS.includes(match[3]) ? QUARTER_WORDS.indexOf(match[3]) : parseInt(match[3], 10) - 1;
+    const year = match[2] || match[4];
+    return quarterRange(quarter, year ? parseInt(year, 10) : null, now);
+  }
+  if ((match = lower.match(/\b(this|last|previous|past)\s+quarter\b/))) {
+    const current = Math.floor(now.getMonth() / 3);
+    if (match[1] === 'this') return quarterRange(current, now.getFullYear(), now);
+    return current === 0 ? quarterRange(3, now.getFullYear() - 1, now) : quarterRange(current - 1, now.getFullYear(), now);
+  }
+  if ((match = lower.match(HOLIDAY_PATTERN))) {
+    return holidayRange(match[1], now);
+  }
+
+  // 4. Relative periods
+  if ((match = lower.match(LAST_N_PATTERN))) {
+    const count = toNumber(match[1]);
+    if (count > 0) return lastNRange(count, match[2], now);
+  }
+  if ((match = lower.match(AGO_PATTERN))) {
+    const count = toNumber(match[1]);
+    if (count > 0) return agoRange(count, match[2], now);
+  }
+
+  // 5. Named days and calendar periods relative to today
+  if (/\bday before yesterday\b/.test(lower)) {
+    const day = addDays(today, -2);
+    return range(day, endOfDay(day), 'day before yesterday', now);
+  }
+  if (/\blast night\b/.test(lower)) {
+    return range(addDays(today, -1), now, 'last night', now);
+  }
+  if (lower.includes('today') || /\bthis (morning|afternoon|evening)\b|\btonight\b/.test(lower)) {
+    return range(today, now, 'today', now);
+  }
+  if (lower.includes('yesterday')) {
+    const day = addDays(today, -1);
+    return range(day, endOfDay(day), 'yesterday', now);
+  }
+  const period = calendarPeriodRange(lower, now);
+  if (period) {
+    return period;
+  }
+  if ((match = lower.match(WEEKDAY_PATTERN))) {
+    return weekdayRange(match[1], match[2], now);
+  }
+
+  // 6. Absolute dates, months and years
+  if ((match = lower.match(ON_DATE_PATTERN))) {
+    const point = parsePoint(match[1] || match[2], now);
+    if (point) return pointRange(point, now);
+  }
+  if ((match = lower.match(RELATIVE_MONTH_PATTERN))) {
+    const month = monthIndex(match[2]);
+    let year = now.getFullYear();
+    // "last March" is the most recent March before the current month
+    if (match[1] !== 'this' ? month >= now.getMonth() : month > now.getMonth()) {
+      year--;
+    }
+    return pointRange({ year, month, day: null }, now);
+  }
+  if ((match = lower.match(IN_MONTH_PATTERN))) {
+    const point = parsePoint(match[1] || match[2], now);
+    if (point) return pointRange(point, now);
+  }
+  if ((match = lower.match(IN_YEAR_PATTERN))) {
+    return pointRange({ year: parseInt(match[1], 10), month: null, day: null }, now);
+  }
+
+  return null;
+}
+
+export default {
+  parseDateExpression,
+};
@@ -0,0 +1,405 @@
+/**
+ * Embedding Service
+ *
+ * Semantic index over a user's records for chat retrieval:
+ * 1. Uploaded file extractions, health event descriptions and past assistant
+ *    answers are split into chunks and embedded when they are written
+ * 2. Rows written elsewhere (e.g. events synced by the app) are caught up
+ *    later through their `embedded_at` column
+ * 3. Questions are embedded and matched against the user's chunks with the
+ *    match_health_embeddings RPC (pgvector cosine similarity)
+ *
+ * Indexing never fails the write it follows; errors are logged and the row is
+ * retried on the next catch-up.
+ */
+
+import { SupabaseClient } from '@supabase/supabase-js';
+import { getLLM, LLMProvider } from './llm';
+
+export type EmbeddingSourceType = 'uploaded_file' | 'health_event' | 'chat_message';
+
+export interface EmbeddingMatch {
+  id: string;
+  source_type: EmbeddingSourceType;
+  source_id: string;
+  chunk_index: number;
+  content: string;
+  metadata: Record<string, any>;
+  similarity: number;
+}
+
+interface Chunk {
+  content: string;
+  metadata: Record<string, any>;
+}
+
+// Must match the vector(768) column in health_embeddings
+export const EMBEDDING_DIMENSIONS = 768;
+export const EMBEDDING_TOP_K = parseInt(process.env.EMBEDDING_TOP_K || '5', 10);
+export const EMBEDDING_MIN_SIMILARITY = parseFloat(process.env.EMBEDDING_MIN_SIMILARITY || '0.5');
+
+const CHUNK_MAX_CHARS = 1500;
+const EMBED_BATCH_SIZE = 50;
+// Rows per source table embedded in one catch-up pass
+const PENDING_BATCH_SIZE = 25;
+// Short replies ("You're welcome!") aren't worth retrieving later
+const MIN_ANSWER_CHARS = 200;
+
+const catchUpInProgress = new Set<string>();
+
+/**
+ * Whether embeddings are turned on and the embedding model has credentials
+ */
+export function isEmbeddingEnabled(): boolean {
+  if (process.env.EMBEDDINGS_ENABLED === 'false') {
+    return false;
+  }
+  try {
+    return getLLM('embeddings').isConfigured();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Split text into chunks of whole lines (hard-splitting lines that are too
+ * long), repeating the header at the start of each chunk so every chunk says
+ * where it came from
+ */
+export function chunkText(header: string, lines: string[], maxChars: number = CHUNK_MAX_CHARS): string[] {
+  const budget = Math.max(200, maxChars - header.length - 1);
+  const pieces = lines
+    .filter((line) => line.trim().length > 0)
+    .flatMap((line) => {
+      const parts: string[] = [];
+      for (let i = 0; i < line.length; i += budget) {
+        parts.push(line.substring(i, i + budget));
+      }
+      return parts;
+    });
+
+  const chunks: string[] = [];
+  let current: string[] = [];
+  let length = 0;
+
+  for (const piece of pieces) {
+    if (current.length > 0 && length + piece.length + 1 > budget) {
+      chunks.push([header, ...current].join('\n'));
+      current = [];
+      length = 0;
+    }
+    current.push(piece);
+    length += piece.length + 1;
+  }
+  if (current.length > 0) {
+    chunks.push([header, ...current].join('\n'));
+  }
+
+  return chunks;
+}
+
+function formatMetrics(metrics: Record<string, any> | null | undefined): string {
+  return Object.entries(metrics || {})
+    .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(', ');
+}
+
+function uploadedFileChunks(file: any): Chunk[] {
+  const dates = file.date_range_start
+    ? ` (${file.date_range_start}${file.date_range_end && file.date_range_end !== file.date_range_start ? ` to ${file.date_range_end}` : ''})`
+    : '';
+  const header = `Uploaded file "${file.file_name}"${dates}`;
+
+  const lines: string[] = [];
+  if (file.summary) lines.push(`Summary: ${file.summary}`);
+  (file.extracted_data?.entries || []).forEach((entry: any) => {
+    const category = entry.category && entry.category !== 'other' ? ` [${entry.category}]` : '';
+    const notes = entry.notes ? ` (${entry.notes})` : '';
+    lines.push(`${entry.date || 'Undated'}${category}: ${formatMetrics(entry.metrics)}${notes}`);
+  });
+
+  return chunkText(header, lines).map((content) => ({
+    content,
+    metadata: {
+      fileName: file.file_name,
+      dataType: file.extracted_data?.dataType,
+      dateRangeStart: file.date_range_start || null,
+      dateRangeEnd: file.date_range_end || null,
+    },
+  }));
+}
+
+function healthEventChunks(event: any): Chunk[] {
+  // Events without text (e.g. a plain step count) add noise to semantic search
+  if (!event.title && !event.description) {
+    return [];
+  }
+
+  const date = String(event.start_time).split('T')[0];
+  const header = `${event.event_type} on ${date}${event.source_app ? ` (from ${event.source_app})` : ''}`;
+  const lines = [event.title, event.description, event.metrics ? `Details: ${formatMetrics(event.metrics)}` : '']
+    .filter(Boolean) as string[];
+
+  return chunkText(header, lines).map((content) => ({
+    content,
+    metadata: { eventType: event.event_type, date },
+  }));
+}
+
+function assistantAnswerChunks(message: any): Chunk[] {
+  if (!message.content || message.content.length < MIN_ANSWER_CHARS) {
+    return [];
+  }
+
+  const date = String(message.created_at).split('T')[0];
+  return chunkText(`Earlier You-i answer (${date})`, message.content.split('\n')).map((content) => ({
+    content,
+    metadata: { conversationId: message.conversation_id, date },
+  }));
+}
+
+/**
+ * Embed texts in batches, checking the vectors fit the database column
+ */
+async function embedTexts(llm: LLMProvider, texts: string[], taskType: 'document' | 'query'): Promise<number[][]> {
+  const vectors: number[][] = [];
+
+  for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+    const batch = await llm.embed(texts.slice(i, i + EMBED_BATCH_SIZE), {
+      taskType,
+      dimensions: EMBEDDING_DIMENSIONS,
+    });
+    vectors.push(...batch);
+  }
+
+  const wrongSize = vectors.find((vector) => vector.length !== EMBEDDING_DIMENSIONS);
+  if (vectors.length !== texts.length || wrongSize) {
+    throw new Error(
+      `${llm.model} returned ${wrongSize ? `${wrongSize.length}-dimension` : `${vectors.length} of ${texts.length}`} embeddings; ` +
+      `expected ${texts.length} vectors of ${EMBEDDING_DIMENSIONS} dimensions`
+    );
+  }
+
+  return vectors;
+}
+
+/**
+ * Replace the stored chunks of one source row and mark it as embedded
+ */
+async function storeChunks(
+  supabase: SupabaseClient,
+  userId: string,
+  sourceType: EmbeddingSourceType,
+  sourceTable: string,
+  sourceId: string,
+  chunks: Chunk[]
+): Promise<void> {
+  const llm = getLLM('embeddings');
+  const vectors = chunks.length > 0 ? await embedTexts(llm, chunks.map((chunk) => chunk.content), 'document') : [];
+
+  const { error: deleteError } = await supabase
+    .from('health_embeddings')
+    .delete()
+    .eq('source_type', sourceType)
+    .eq('source_id', sourceId);
+
+  if (deleteError) {
+    throw new Error(`Failed to clear old embeddings: ${deleteError.message}`);
+  }
+
+  if (chunks.length > 0) {
+    const { error: insertError } = await supabase.from('health_embeddings').insert(
+      chunks.map((chunk, index) => ({
+        user_id: userId,
+        source_type: sourceType,
+        source_id: sourceId,
+        chunk_index: index,
+        content: chunk.content,
+        metadata: chunk.metadata,
+        embedding: vectors[index],
+        model: llm.model,
+      }))
+    );
+
+    if (insertError) {
+      throw new Error(`Failed to store embeddings: ${insertError.message}`);
+    }
+  }
+
+  const { error: markError } = await supabase
+    .from(sourceTable)
+    .update({ embedded_at: new Date().toISOString() })
+    .eq('id', sourceId);
+
+  if (markError) {
+    throw new Error(`Failed to mark ${sourceTable} row as embedded: ${markError.message}`);
+  }
+}
+
+/**
+ * Index one uploaded_file_data row
+ */
+export async function indexUploadedFile(supabase: SupabaseClient, file: any): Promise<void> {
+  if (!isEmbeddingEnabled()) return;
+
+  try {
+    const chunks = uploadedFileChunks(file);
+    await storeChunks(supabase, file.user_id, 'uploaded_file', 'uploaded_file_data', file.id, chunks);
+    console.log('[Embeddings] Indexed uploaded file', file.id, `(${chunks.length} chunks)`);
+  } catch (error) {
+    console.error('[Embeddings] Error indexing uploaded file', file.id, error);
+  }
+}
+
+/**
+ * Index one health_events row
+ */
+export async function indexHealthEvent(supabase: SupabaseClient, event: any): Promise<void> {
+  if (!isEmbeddingEnabled()) return;
+
+  try {
+    await storeChunks(supabase, event.user_id, 'health_event', 'health_events', event.id, healthEventChunks(event));
+  } catch (error) {
+    console.error('[Embeddings] Error indexing health event', event.id, error);
+  }
+}
+
+/**
+ * Index one assistant chat_messages row
+ */
+export async function indexAssistantMessage(supabase: SupabaseClient, userId: string, message: any): Promise<void> {
+  if (!isEmbeddingEnabled()) return;
+
+  try {
+    await storeChunks(supabase, userId, 'chat_message', 'chat_messages', message.id, assistantAnswerChunks(message));
+  } catch (error) {
+    console.error('[Embeddings] Error indexing chat message', message.id, error);
+  }
+}
+
+/**
+ * Embed a batch of the user's rows that haven't been indexed yet (older data
+ * and rows the app writes to Supabase directly). Safe to call often; one pass
+ * per user runs at a time.
+ */
+export async function indexPendingSources(supabase: SupabaseClient, userId: string): Promise<void> {
+  if (!isEmbeddingEnabled() || catchUpInProgress.has(userId)) {
+    return;
+  }
+  catchUpInProgress.add(userId);
+
+  try {
+    const [files, events, messages] = await Promise.all([
+      supabase
+        .from('uploaded_file_data')
+        .select('id, user_id, file_name, summary, extracted_data, date_range_start, date_range_end')
+        .eq('user_id', userId)
+        .eq('processing_status', 'done')
+        .neq('review_status', 'needs_review')
+        .is('embedded_at', null)
+        .limit(PENDING_BATCH_SIZE),
+      supabase
+        .from('health_events')
+        .select('id, user_id, event_type, start_time, title, description, source_app, metrics')
+        .eq('user_id', userId)
+        .is('embedded_at', null)
+        .limit(PENDING_BATCH_SIZE),
+      supabase
+        .from('chat_messages')
+        .select('id, conversation_id, content, created_at, chat_conversations!inner(user_id)')
+        .eq('chat_conversations.user_id', userId)
+        .eq('role', 'assistant')
+        .is('metadata->>interrupted', null)
+        .is('embedded_at', null)
+        .limit(PENDING_BATCH_SIZE),
+    ]);
+
+    for (const result of [files, events, messages]) {
+      if (result.error) {
+        console.error('[Embeddings] Error loading rows to index:', result.error);
+      }
+    }
+
+    for (const file of files.data || []) {
+      await indexUploadedFile(supabase, file);
+    }
+    for (const event of events.data || []) {
+      await indexHealthEvent(supabase, event);
+    }
+    for (const message of messages.data || []) {
+      await indexAssistantMessage(supabase, userId, message);
+    }
+
+    const total = (files.data?.length || 0) + (events.data?.length || 0) + (messages.data?.length || 0);
+    if (total > 0) {
+      console.log('[Embeddings] Caught up', total, 'rows for userId:', userId);
+    }
+  } catch (error) {
+    console.error('[Embeddings] Error indexing pending rows:', error);
+  } finally {
+    catchUpInProgress.delete(userId);
+  }
+}
+
+/**
+ * Find the user's chunks most relevant to a question
+ */
+export async function searchEmbeddings(
+  supabase: SupabaseClient,
+  userId: string,
+  query: string,
+  options: { topK?: number; minSimilarity?: number; sourceTypes?: EmbeddingSourceType[] } = {}
+): Promise<{ success: boolean; matches: EmbeddingMatch[]; error?: string }> {
+  if (!isEmbeddingEnabled()) {
+    return { success: true, matches: [] };
+  }
+
+  try {
+    const [queryEmbedding] = await embedTexts(getLLM('embeddings'), [query], 'query');
+
+    const { data, error } = await supabase.rpc('match_health_embeddings', {
+      query_embedding: queryEmbedding,
+      match_user_id: userId,
+      match_count: options.topK ?? EMBEDDING_TOP_K,
+      min_similarity: options.minSimilarity ?? EMBEDDING_MIN_SIMILARITY,
+      source_types: options.sourceTypes || null,
+    });
+
+    if (error) {
+      console.error('[Embeddings] Error searching embeddings:', error);
+      return { success: false, matches: [], error: error.message };
+    }
+
+    return { success: true, matches: (data || []) as EmbeddingMatch[] };
+  } catch (error: any) {
+    console.error('[Embeddings] Exception in searchEmbeddings:', error);
+    return { success: false, matches: [], error: error.message };
+  }
+}
+
+/**
+ * Format matched chunks for the prompt
+ */
+export function formatMatchesForContext(matches: EmbeddingMatch[]): string {
+  if (matches.length === 0) {
+    return '';
+  }
+
+  let text = `Relevant Records (${matches.length} passages most related to the question):\n\n`;
+  matches.forEach((match) => {
+    text += `${match.content}\n\n`;
+  });
+
+  return text;
+}
+
+export default {
+  isEmbeddingEnabled,
+  chunkText,
+  indexUploadedFile,
+  indexHealthEvent,
+  indexAssistantMessage,
+  indexPendingSources,
+  searchEmbeddings,
+  formatMatchesForContext,
+};
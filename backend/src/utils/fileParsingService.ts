@@ -6,16 +6,31 @@
  * This is the main file parsing service for the backend.
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import pdfParse from 'pdf-parse';
 import * as XLSX from 'xlsx';
 import * as fs from 'fs';
+import { getLLM, parseJSONResponse } from './llm';
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY || '');
+/**
+ * One biomarker from a lab report, as printed on the document
+ */
+export interface ExtractedLabResult {
+  name: string;
+  value: number | string | null;
+  unit?: string;
+  referenceLow?: number | null;
+  referenceHigh?: number | null;
+  /** Range as printed, e.g. "4.0-5.6" or "<100" */
+  referenceRange?: string;
+  flag?: string;
+  collectionDate?: string;
+  panel?: string;
+  /** LOINC code, when the source is a coded record (FHIR, C-CDA) */
+  loinc?: string;
+}
 
 export interface ExtractedData {
-  dataType: 'lab_results' | 'nutrition_log' | 'exercise_log' | 'medical_report' | 'sleep_log' | 'vitals' | 'other';
+  dataType: 'lab_results' | 'nutrition_log' | 'exercise_log' | 'medical_report' | 'sleep_log' | 'vitals' | 'health_export' | 'other';
   dateRange?: {
     start: string;
     end: string;
@@ -26,6 +41,16 @@ export interface ExtractedData {
     metrics: { [key: string]: any };
     notes?: string;
   }>;
+  /** Lab report biomarkers, one per test (lab_results/medical_report files) */
+  labResults?: ExtractedLabResult[];
+  /** Row counts written by an importer (health_export files) */
+  import?: {
+    importer: string;
+    samples: number;
+    events: number;
+    days: number;
+    skipped: number;
+  };
   summary: string;
   confidence: number;
 }
@@ -34,12 +59,13 @@ export interface ParseResult {
   success: boolean;
   extractedData?: ExtractedData;
   dataCategories?: string[];
+  model?: string;
   error?: string;
 }
 
 /**
  * Main function to parse a file and extract health data
- * Now uses Gemini AI for ALL file types for consistent, accurate extraction
+ * Uses the configured file-parsing LLM for ALL file types for consistent, accurate extraction
  */
 export async function parseFile(
   filePath: string,
@@ -49,52 +75,46 @@ export async function parseFile(
   try {
     console.log('[FileParser] Parsing file:', { fileName, mimeType });
 
-    // Determine if file can be sent directly to Gemini or needs preprocessing
-    const canSendDirectly = canSendFileDirectlyToGemini(mimeType);
-    
-    if (canSendDirectly) {
-      // Send file directly to Gemini (PDFs, images)
-      console.log('[FileParser] Sending file directly to Gemini Vision API');
-      const extractedData = await extractDataWithGeminiVision(filePath, mimeType, fileName);
-      
-      if (!extractedData) {
-        return {
-          success: false,
-          error: 'Failed to extract health data from file',
-        };
-      }
-
-      const categories = categorizeData(extractedData);
+    const llm = getLLM('fileParsing');
+    if (!llm.isConfigured()) {
       return {
-        success: true,
-        extractedData,
-        dataCategories: categories,
+        success: false,
+        error: `File parsing model (${llm.name}) is not configured`,
       };
+    }
+
+    let extractedData: ExtractedData | null;
+
+    // Send the file to the model as-is when it can read it (PDFs, images);
+    // otherwise extract its text first
+    if (canSendFileDirectly(mimeType) && llm.supportsInlineData(mimeType)) {
+      console.log(`[FileParser] Sending file directly to ${llm.name} (${llm.model}) vision`);
+      extractedData = await extractDataWithVision(filePath, mimeType, fileName);
     } else {
-      // For text-based formats (CSV, Excel, TXT), extract content first then send to Gemini
+      // For text-based formats (CSV, Excel, TXT), extract content first then send to the model
       console.log('[FileParser] Extracting content from text-based file');
       const fileContent = await extractFileContent(filePath, mimeType);
       
       console.log('[FileParser] Extracted content length:', fileContent?.length || 0, 'characters');
       console.log('[FileParser] Content preview:', fileContent?.substring(0, 200));
 
-      // Send extracted content to Gemini for intelligent parsing
-      const extractedData = await extractDataWithGeminiText(fileContent, fileName, mimeType);
-      
-      if (!extractedData) {
-        return {
-          success: false,
-          error: 'Failed to extract health data from file',
-        };
-      }
-
-      const categories = categorizeData(extractedData);
+      // Send extracted content to the model for intelligent parsing
+      extractedData = await extractDataWithText(fileContent, fileName, mimeType);
+    }
+
+    if (!extractedData) {
       return {
-        success: true,
-        extractedData,
-        dataCategories: categories,
+        success: false,
+        error: 'Failed to extract health data from file',
       };
     }
+
+    return {
+      success: true,
+      extractedData,
+      dataCategories: categorizeData(extractedData),
+      model: llm.model,
+    };
   } catch (error: any) {
     console.error('[FileParser] Error parsing file:', error);
     return {
@@ -105,9 +125,9 @@ export async function parseFile(
 }
 
 /**
- * Determine if a file can be sent directly to Gemini Vision API
+ * Determine if a file type can be sent to a vision-capable model without preprocessing
  */
-function canSendFileDirectlyToGemini(mimeType: string): boolean {
+function canSendFileDirectly(mimeType: string): boolean {
   const directSupportedTypes = [
     'application/pdf',
     'image/jpeg',
@@ -126,6 +146,10 @@ function canSendFileDirectlyToGemini(mimeType: string): boolean {
 async function extractFileContent(filePath: string, mimeType: string): Promise<string> {
   if (mimeType === 'text/plain' || mimeType === 'text/rtf') {
     return await parseTextFile(filePath);
+  } else if (mimeType === 'application/pdf') {
+    // Only reached when the configured model can't read PDFs directly
+    const pdf = await pdfParse(fs.readFileSync(filePath));
+    return pdf.text;
   } else if (mimeType === 'text/csv') {
     return await parseCSV(filePath);
   } else if (
@@ -209,16 +233,16 @@ async function parseWord(filePath: string): Promise<string> {
 }
 
 /**
- * Extract structured health data from text content using Gemini AI
+ * Extract structured health data from text content using the file-parsing LLM
  * Used for CSV, Excel, TXT files after content extraction
  */
-async function extractDataWithGeminiText(
+async function extractDataWithText(
   content: string,
   fileName: string,
   mimeType: string
 ): Promise<ExtractedData | null> {
   try {
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
+    const llm = getLLM('fileParsing');
 
     // Determine file type for better context
     let fileTypeDescription = 'document';
@@ -274,6 +298,19 @@ Extract data in the following JSON format (respond with ONLY valid JSON, no mark
       "notes": "any relevant notes"
     }
   ],
+  "labResults": [
+    {
+      "name": "test name as printed",
+      "value": 5.6,
+      "unit": "unit as printed",
+      "referenceRange": "reference range as printed",
+      "referenceLow": 4.0,
+      "referenceHigh": 5.6,
+      "flag": "normal|low|high|critical|abnormal",
+      "collectionDate": "YYYY-MM-DD",
+      "panel": "panel name, e.g. Lipid Panel"
+    }
+  ],
   "summary": "Comprehensive summary of ALL data found",
   "confidence": 0.0-1.0
 }
@@ -285,20 +322,13 @@ Guidelines:
 - Use standard metric names (e.g., "steps", "calories", "heart_rate_bpm", "weight_lbs", "distance_mi", "water_oz", "glucose_mg_dl")
 - Set confidence to at least 0.8 if you can extract clear health data
 - Set confidence to 0.5-0.7 for partial or unclear data
-- Include row counts and data ranges in the summary`;
+- Include row counts and data ranges in the summary
+- For lab reports, also list every test in "labResults" with its value, unit and reference range exactly as printed (numbers as numbers, null for missing); use [] for other files`;
 
-    console.log(`[FileParser] Sending ${fileTypeDescription} content to Gemini for extraction`);
-    
-    const result = await model.generateContent(prompt);
-    const response = result.response.text();
+    console.log(`[FileParser] Sending ${fileTypeDescription} content to ${llm.name} for extraction`);
     
-    // Clean up response (remove markdown code blocks if present)
-    const cleanedResponse = response
-      .replace(/```json\n?/g, '')
-      .replace(/```\n?/g, '')
-      .trim();
-    
-    const extractedData = JSON.parse(cleanedResponse);
+    const response = await llm.generate(prompt, { json: true });
+    const extractedData = parseJSONResponse(response);
     
     console.log('[FileParser] Extracted data from', fileTypeDescription, ':', {
       dataType: extractedData.dataType,
@@ -308,31 +338,31 @@ Guidelines:
     
     return extractedData;
   } catch (error: any) {
-    console.error('[FileParser] Error extracting data with Gemini text:', error);
+    console.error('[FileParser] Error extracting data from text:', error);
     return null;
   }
 }
 
 /**
- * Extract structured health data using Gemini Vision API
+ * Extract structured health data using the file-parsing LLM's vision input
  * Handles PDFs (text-based and scanned) and all image formats with OCR
  */
-async function extractDataWithGeminiVision(
+async function extractDataWithVision(
   filePath: string,
   mimeType: string,
   fileName: string
 ): Promise<ExtractedData | null> {
   try {
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
+    const llm = getLLM('fileParsing');
 
     // Read file as base64
     const fileData = fs.readFileSync(filePath);
     const base64Data = fileData.toString('base64');
     
-    // Determine the actual mime type to send to Gemini
+    // Determine the actual mime type to send to the model
     let visionMimeType = mimeType;
     if (mimeType === 'application/pdf') {
-      visionMimeType = 'application/pdf'; // Gemini supports PDF directly
+      visionMimeType = 'application/pdf'; // Only sent when the provider accepts PDFs
     } else if (!mimeType.startsWith('image/')) {
       // For images without proper mime type, determine from extension
       const ext = filePath.split('.').pop()?.toLowerCase();
@@ -390,6 +420,19 @@ Extract the data in the following JSON format (respond with ONLY valid JSON, no
       "notes": "any relevant notes or text from the document"
     }
   ],
+  "labResults": [
+    {
+      "name": "test name as printed",
+      "value": 5.6,
+      "unit": "unit as printed",
+      "referenceRange": "reference range as printed",
+      "referenceLow": 4.0,
+      "referenceHigh": 5.6,
+      "flag": "normal|low|high|critical|abnormal",
+      "collectionDate": "YYYY-MM-DD",
+      "panel": "panel name, e.g. Lipid Panel"
+    }
+  ],
   "summary": "Comprehensive summary of ALL information found in the ${fileType}",
   "confidence": 0.0-1.0
 }
@@ -402,31 +445,24 @@ Guidelines:
 - Set confidence to 0.7-0.8 for readable but less structured data
 - Set confidence to 0.5-0.6 for partially readable or unclear data
 - Include as much detail as possible in the summary
-- List all metrics found, even if some values are unclear`;
+- List all metrics found, even if some values are unclear
+- For lab reports, also list every test in "labResults" with its value, unit and reference range exactly as printed (numbers as numbers, null for missing); use [] for other documents`;
 
-    console.log(`[FileParser] Sending ${fileType} to Gemini Vision API for OCR and extraction`);
+    console.log(`[FileParser] Sending ${fileType} to ${llm.name} vision for OCR and extraction`);
     
-    const result = await model.generateContent([
-      prompt,
+    const response = await llm.generate([
+      { text: prompt },
       {
         inlineData: {
           mimeType: visionMimeType,
           data: base64Data,
         },
       },
-    ]);
-    
-    const response = result.response.text();
-    
-    console.log('[FileParser] Gemini Vision response received, length:', response.length);
+    ], { json: true });
     
-    // Clean up response (remove markdown code blocks if present)
-    const cleanedResponse = response
-      .replace(/```json\n?/g, '')
-      .replace(/```\n?/g, '')
-      .trim();
+    console.log('[FileParser] Vision response received, length:', response.length);
     
-    const extractedData = JSON.parse(cleanedResponse);
+    const extractedData = parseJSONResponse(response);
     
     console.log('[FileParser] Extracted data from', fileType, ':', {
       dataType: extractedData.dataType,
@@ -437,7 +473,7 @@ Guidelines:
     
     return extractedData;
   } catch (error: any) {
-    console.error('[FileParser] Error extracting data with Gemini Vision:', error);
+    console.error('[FileParser] Error extracting data with vision:', error);
     console.error('[FileParser] Error details:', error.message);
     return null;
   }
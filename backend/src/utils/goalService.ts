@@ -0,0 +1,477 @@
+/**
+ * Goal Service
+ *
+ * Measurable targets on health_metrics_daily columns:
+ * 1. Goals are checked per day (sleep at least 7.5 hours) or per Monday-to-
+ *    Sunday week (150 exercise minutes); weekly goals add up additive metrics
+ *    and average the rest
+ * 2. Progress (current period, recent history, streak and adherence) is
+ *    computed from the daily rows in the user's time zone whenever goals are read
+ * 3. Suggest goals from the onboarding "main goal" answer, using the user's
+ *    last 4 weeks as a baseline (or their onboarding answers when there's no data)
+ * 4. Format active goals for the chat system prompt
+ */
+
+import { SupabaseClient } from '@supabase/supabase-js';
+import { formatDateInTimeZone, shiftDay } from './timeZone';
+import { round } from './numbers';
+
+export type GoalCadence = 'daily' | 'weekly';
+export type GoalDirection = 'at_least' | 'at_most';
+export type GoalStatus = 'active' | 'paused' | 'completed' | 'archived';
+
+interface GoalMetric {
+  label: string;
+  unit: string;
+  /** Usual direction, used when a goal doesn't give one */
+  direction: GoalDirection;
+  /** Weekly goals add up the days (steps) rather than averaging them (sleep) */
+  additive: boolean;
+  decimals: number;
+}
+
+export const GOAL_METRICS: Record<string, GoalMetric> = {
+  steps: { label: 'Steps', unit: 'steps', direction: 'at_least', additive: true, decimals: 0 },
+  exercise_minutes: { label: 'Exercise', unit: 'minutes', direction: 'at_least', additive: true, decimals: 0 },
+  active_calories: { label: 'Active calories', unit: 'kcal', direction: 'at_least', additive: true, decimals: 0 },
+  distance_mi: { label: 'Distance', unit: 'mi', direction: 'at_least', additive: true, decimals: 1 },
+  workout_count: { label: 'Workouts', unit: 'workouts', direction: 'at_least', additive: true, decimals: 0 },
+  water_oz: { label: 'Water', unit: 'oz', direction: 'at_least', additive: true, decimals: 0 },
+  protein_g: { label: 'Protein', unit: 'g', direction: 'at_least', additive: true, decimals: 0 },
+  calories_consumed: { label: 'Calories eaten', unit: 'kcal', direction: 'at_most', additive: true, decimals: 0 },
+  sleep_hours: { label: 'Sleep', unit: 'hours', direction: 'at_least', additive: false, decimals: 1 },
+  resting_heart_rate: { label: 'Resting heart rate', unit: 'bpm', direction: 'at_most', additive: false, decimals: 0 },
+  heart_rate_variability: { label: 'HRV', unit: 'ms', direction: 'at_least', additive: false, decimals: 0 },
+  weight_lbs: { label: 'Weight', unit: 'lbs', direction: 'at_most', additive: false, decimals: 1 },
+};
+
+export interface GoalPeriod {
+  start: string;
+  end: string;
+  /** Day's value, or the week's total/average; null when there's no data */
+  value: number | null;
+  met: boolean | null;
+  /** False for today or the current week, which can still change */
+  complete: boolean;
+}
+
+export interface GoalProgress {
+  current: GoalPeriod & { percent: number | null };
+  /** Completed periods, newest first */
+  history: GoalPeriod[];
+  /** Periods met in a row, up to the latest one (the current one counts once met) */
+  streak: number;
+  /** Completed periods in the history that were met, out of those with data */
+  adherence: { met: number; total: number };
+  /** The goal's end date has passed */
+  ended: boolean;
+}
+
+export interface GoalSuggestion {
+  metric: string;
+  title: string;
+  target: number;
+  direction: GoalDirection;
+  cadence: GoalCadence;
+  reason: string;
+}
+
+const HISTORY_DAYS = 30;
+const HISTORY_WEEKS = 12;
+const BASELINE_DAYS = 28;
+const MIN_BASELINE_DAYS = 7;
+const MAX_PROMPT_GOALS = 10;
+
+// Goals that serve each onboarding "main goal" answer, most relevant first
+const MAIN_GOAL_METRICS: Record<string, string[]> = {
+  'More energy': ['sleep_hours', 'steps'],
+  'Less stress': ['sleep_hours', 'exercise_minutes'],
+  'Better sleep': ['sleep_hours'],
+  'Get in shape': ['workout_count', 'exercise_minutes', 'steps'],
+  'Feel happier overall': ['exercise_minutes', 'steps'],
+};
+const DEFAULT_SUGGESTED_METRICS = ['sleep_hours', 'steps'];
+
+// Onboarding answers used when there's no synced data to set a baseline
+const SLEEP_ANSWER_TARGETS: Record<string, number> = { '<5': 6, '5–6': 7, '7–8': 8, '>8': 8 };
+const ACTIVITY_ANSWER_TARGETS: Record<string, { steps: number; exerciseMinutes: number; workouts: number }> = {
+  'Rarely': { steps: 5000, exerciseMinutes: 60, workouts: 2 },
+  '1–2× / week': { steps: 7000, exerciseMinutes: 90, workouts: 3 },
+  '3–4×': { steps: 8000, exerciseMinutes: 150, workouts: 4 },
+  '5+': { steps: 10000, exerciseMinutes: 200, workouts: 5 },
+};
+
+function weekStart(date: string): string {
+  const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return shiftDay(date, -((dayOfWeek + 6) % 7));
+}
+
+function roundUpTo(value: number, step: number): number {
+  return Math.ceil(value / step) * step;
+}
+
+function clamp(value: number, min: number, max: number): number {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * The first answer when onboarding stored a multiple-choice answer as a list
+ */
+function firstAnswer(answer: unknown): string | null {
+  if (Array.isArray(answer)) return typeof answer[0] === 'string' ? answer[0] : null;
+  return typeof answer === 'string' ? answer : null;
+}
+
+/**
+ * Default title for a goal, e.g. "Steps: at least 8,000 a day"
+ */
+export function describeGoal(metric: string, target: number, direction: GoalDirection, cadence: GoalCadence): string {
+  const rule = GOAL_METRICS[metric];
+  const amount = `${direction === 'at_least' ? 'at least' : 'at most'} ${target.toLocaleString('en-US')} ${rule.unit}`;
+  if (rule.additive) {
+    return `${rule.label}: ${amount} ${cadence === 'daily' ? 'a day' : 'a week'}`;
+  }
+  return `${rule.label}: ${amount}${cadence === 'weekly' ? ' on average each week' : ''}`;
+}
+
+function isMet(value: number, target: number, direction: GoalDirection): boolean {
+  return direction === 'at_least' ? value >= target : value <= target;
+}
+
+/**
+ * Progress on one goal from the user's daily rows (date plus the goal's
+ * metric column). `today` is the user's current date.
+ */
+export function computeGoalProgress(goal: any, rows: any[], today: string): GoalProgress {
+  const rule = GOAL_METRICS[goal.metric];
+  const target = Number(goal.target);
+  const direction: GoalDirection = goal.direction || rule.direction;
+  const ended = !!goal.end_date && goal.end_date < today;
+  const lastDay = ended ? goal.end_date : today;
+
+  const values = new Map<string, number>();
+  rows.forEach((row) => {
+    const value = row[goal.metric];
+    if (value !== null && value !== undefined && !isNaN(Number(value))) {
+      values.set(row.date, Number(value));
+    }
+  });
+
+  // Period boundaries, oldest first, clipped to the goal's start and end
+  const periods: Array<{ start: string; end: string }> = [];
+  if (goal.cadence === 'weekly') {
+    let start = weekStart(lastDay);
+    for (let i = 0; i < HISTORY_WEEKS + 1 && shiftDay(start, 6) >= goal.start_date; i++) {
+      periods.unshift({ start: start < goal.start_date ? goal.start_date : start, end: shiftDay(start, 6) });
+      start = shiftDay(start, -7);
+    }
+  } else {
+    for (let i = 0, day = lastDay; i < HISTORY_DAYS + 1 && day >= goal.start_date; i++, day = shiftDay(day, -1)) {
+      periods.unshift({ start: day, end: day });
+    }
+  }
+
+  const scored: GoalPeriod[] = periods.map((period) => {
+    const periodValues: number[] = [];
+    for (let day = period.start; day <= period.end && day <= lastDay; day = shiftDay(day, 1)) {
+      if (values.has(day)) periodValues.push(values.get(day)!);
+    }
+
+    let value: number | null = null;
+    if (periodValues.length > 0) {
+      const total = periodValues.reduce((sum, v) => sum + v, 0);
+      value = round(rule.additive ? total : total / periodValues.length, rule.decimals);
+    }
+
+    return {
+      start: period.start,
+      end: period.end,
+      value,
+      met: value === null ? null : isMet(value, target, direction),
+      complete: ended || period.end < today,
+    };
+  });
+
+  const current = scored[scored.length - 1] || { start: today, end: today, value: null, met: null, complete: false };
+  const history = scored.slice(0, -1).reverse();
+
+  // An unfinished period only counts toward the streak once it's met for sure
+  // (a floor reached; a ceiling can still be broken)
+  let streak = current.met && (current.complete || direction === 'at_least') ? 1 : 0;
+  for (const period of history) {
+    if (!period.met) break;
+    streak++;
+  }
+
+  const withData = history.filter((period) => period.met !== null);
+  let percent: number | null = null;
+  if (current.value !== null && target > 0) {
+    percent = direction === 'at_least'
+      ? Math.round((current.value / target) * 100)
+      : current.value <= target ? 100 : Math.round((target / current.value) * 100);
+  }
+
+  return {
+    current: { ...current, percent },
+    history,
+    streak,
+    adherence: { met: withData.filter((period) => period.met).length, total: withData.length },
+    ended,
+  };
+}
+
+/**
+ * The user's goals, oldest first
+ */
+export async function getGoals(
+  supabase: SupabaseClient,
+  userId: string,
+  options: { status?: GoalStatus } = {}
+): Promise<any[]> {
+  let query = supabase
+    .from('goals')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true });
+
+  query = options.status ? query.eq('status', options.status) : query.neq('status', 'archived');
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Failed to load goals: ${error.message}`);
+  }
+  return data || [];
+}
+
+/**
+ * The user's goals with their progress (archived ones only when asked for)
+ */
+export async function getGoalsWithProgress(
+  supabase: SupabaseClient,
+  userId: string,
+  timeZone: string,
+  options: { status?: GoalStatus } = {}
+): Promise<Array<any & { progress: GoalProgress }>> {
+  const goals = (await getGoals(supabase, userId, options)).filter((goal) => GOAL_METRICS[goal.metric]);
+  if (goals.length === 0) {
+    return [];
+  }
+
+  const today = formatDateInTimeZone(new Date(), timeZone);
+  // Enough days for every goal's history (weekly goals look back furthest)
+  const earliest = goals.reduce((min, goal) => {
+    const lookback = goal.cadence === 'weekly'
+      ? weekStart(shiftDay(today, -HISTORY_WEEKS * 7))
+      : shiftDay(today, -HISTORY_DAYS);
+    const from = goal.start_date > lookback ? goal.start_date : lookback;
+    return from < min ? from : min;
+  }, today);
+  const metrics = Array.from(new Set(goals.map((goal) => goal.metric)));
+
+  const { data: rows, error } = await supabase
+    .from('health_metrics_daily')
+    .select(['date', ...metrics].join(', '))
+    .eq('user_id', userId)
+    .gte('date', earliest)
+    .lte('date', today)
+    .order('date', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to load goal progress: ${error.message}`);
+  }
+
+  return goals.map((goal) => ({ ...goal, progress: computeGoalProgress(goal, rows || [], today) }));
+}
+
+/**
+ * Average per day, and per week for additive metrics, over the user's last
+ * 4 completed weeks. Null when there are too few days with data.
+ */
+async function loadBaselines(
+  supabase: SupabaseClient,
+  userId: string,
+  metrics: string[],
+  today: string
+): Promise<Record<string, { daily: number; weekly: number } | null>> {
+  const { data: rows } = await supabase
+    .from('health_metrics_daily')
+    .select(['date', ...metrics].join(', '))
+    .eq('user_id', userId)
+    .gte('date', shiftDay(today, -BASELINE_DAYS))
+    .lt('date', today);
+
+  const baselines: Record<string, { daily: number; weekly: number } | null> = {};
+  const daysWithRows = (rows || []).length;
+
+  metrics.forEach((metric) => {
+    const values = (rows || [])
+      .map((row: any) => row[metric])
+      .filter((value: any) => value !== null && value !== undefined && !isNaN(Number(value)))
+      .map(Number);
+
+    // A synced day without workouts may have no workout value; for additive
+    // metrics it counts as zero, so any synced day counts toward the baseline
+    const enough = GOAL_METRICS[metric].additive
+      ? daysWithRows >= MIN_BASELINE_DAYS && values.length > 0
+      : values.length >= MIN_BASELINE_DAYS;
+    if (!enough) {
+      baselines[metric] = null;
+      return;
+    }
+
+    const total = values.reduce((sum: number, value: number) => sum + value, 0);
+    baselines[metric] = {
+      daily: total / values.length,
+      weekly: total / (daysWithRows / 7),
+    };
+  });
+
+  return baselines;
+}
+
+/**
+ * Goals to suggest from the user's onboarding answers and recent data, leaving
+ * out metrics they already have an active goal on
+ */
+export async function suggestGoals(
+  supabase: SupabaseClient,
+  userId: string,
+  timeZone: string
+): Promise<GoalSuggestion[]> {
+  const [{ data: profile }, activeGoals] = await Promise.all([
+    supabase.from('profiles').select('onboarding_data').eq('id', userId).maybeSingle(),
+    getGoals(supabase, userId, { status: 'active' }),
+  ]);
+
+  const onboarding = profile?.onboarding_data || {};
+  const mainGoals: string[] = (Array.isArray(onboarding.mainGoal) ? onboarding.mainGoal : [onboarding.mainGoal])
+    .filter((answer: unknown) => typeof answer === 'string' && MAIN_GOAL_METRICS[answer]);
+
+  // Which main goal each metric serves (the first one that asks for it)
+  const reasons = new Map<string, string>();
+  mainGoals.forEach((mainGoal) => {
+    MAIN_GOAL_METRICS[mainGoal].forEach((metric) => {
+      if (!reasons.has(metric)) reasons.set(metric, `You said your main goal is "${mainGoal.toLowerCase()}"`);
+    });
+  });
+  if (reasons.size === 0) {
+    DEFAULT_SUGGESTED_METRICS.forEach((metric) => reasons.set(metric, 'A good place to start'));
+  }
+
+  const taken = new Set(activeGoals.map((goal) => goal.metric));
+  const metrics = Array.from(reasons.keys()).filter((metric) => !taken.has(metric));
+  if (metrics.length === 0) {
+    return [];
+  }
+
+  const today = formatDateInTimeZone(new Date(), timeZone);
+  const baselines = await loadBaselines(supabase, userId, metrics, today);
+  const activity = ACTIVITY_ANSWER_TARGETS[firstAnswer(onboarding.activityFrequency) || ''];
+  const sleepAnswer = firstAnswer(onboarding.sleepHours);
+
+  const suggestions: GoalSuggestion[] = [];
+  metrics.forEach((metric) => {
+    const baseline = baselines[metric];
+    let target: number;
+    let cadence: GoalCadence = 'daily';
+    let basis: string;
+
+    switch (metric) {
+      case 'sleep_hours':
+        if (baseline) {
+          target = clamp(Math.round((baseline.daily + 0.5) * 2) / 2, 7, 8);
+          basis = `you've averaged ${round(baseline.daily, 1)} hours a night over the last 4 weeks`;
+        } else {
+          target = (sleepAnswer && SLEEP_ANSWER_TARGETS[sleepAnswer]) || 7.5;
+          basis = sleepAnswer ? `you usually sleep ${sleepAnswer} hours` : 'most adults need 7 to 9 hours';
+        }
+        break;
+      case 'steps':
+        if (baseline) {
+          target = clamp(roundUpTo(baseline.daily * 1.1, 500), 5000, 12000);
+          basis = `you've averaged ${Math.round(baseline.daily).toLocaleString('en-US')} steps a day over the last 4 weeks`;
+        } else {
+          target = activity?.steps || 7500;
+          basis = 'a steady daily walk adds up';
+        }
+        break;
+      case 'exercise_minutes':
+        cadence = 'weekly';
+        if (baseline) {
+          target = baseline.weekly >= 150
+            ? clamp(roundUpTo(baseline.weekly * 1.1, 10), 150, 300)
+            : clamp(roundUpTo(baseline.weekly * 1.25, 10), 60, 150);
+          basis = `you've averaged ${Math.round(baseline.weekly)} exercise minutes a week over the last 4 weeks`;
+        } else {
+          target = activity?.exerciseMinutes || 150;
+          basis = 'guidelines recommend 150 minutes of moderate activity a week';
+        }
+        break;
+      case 'workout_count':
+        cadence = 'weekly';
+        if (baseline) {
+          target = clamp(Math.round(baseline.weekly) + 1, 2, 6);
+          basis = `you've averaged ${round(baseline.weekly, 1)} workouts a week over the last 4 weeks`;
+        } else {
+          target = activity?.workouts || 3;
+          basis = 'regular sessions build the habit';
+        }
+        break;
+      default:
+        return;
+    }
+
+    const direction = GOAL_METRICS[metric].direction;
+    suggestions.push({
+      metric,
+      title: describeGoal(metric, target, direction, cadence),
+      target,
+      direction,
+      cadence,
+      reason: `${reasons.get(metric)}, and ${basis}.`,
+    });
+  });
+
+  return suggestions;
+}
+
+/**
+ * Active goals and how the user is doing, for the chat system prompt
+ */
+export function formatGoalsForPrompt(goals: Array<any & { progress: GoalProgress }>): string {
+  const active = goals.filter((goal) => goal.status === 'active' && !goal.progress.ended).slice(0, MAX_PROMPT_GOALS);
+  if (active.length === 0) {
+    return '';
+  }
+
+  let text = 'The user\'s goals (progress from their synced data; refer to them when relevant and encourage without pressure):\n';
+  active.forEach((goal) => {
+    const { current, adherence, streak } = goal.progress;
+    const rule = GOAL_METRICS[goal.metric];
+    const periodName = goal.cadence === 'weekly' ? 'week' : 'day';
+
+    text += `- ${goal.title}: `;
+    text += current.value !== null
+      ? `${goal.cadence === 'weekly' ? 'this week so far' : 'today'} ${current.value} ${rule.unit}${current.percent !== null ? ` (${current.percent}% of target)` : ''}`
+      : `no data yet ${goal.cadence === 'weekly' ? 'this week' : 'today'}`;
+    if (adherence.total > 0) {
+      text += `; met ${adherence.met} of the last ${adherence.total} ${periodName}s with data`;
+    }
+    if (streak > 1) {
+      text += `; ${streak}-${periodName} streak`;
+    }
+    text += '\n';
+  });
+
+  return text;
+}
+
+export default {
+  GOAL_METRICS,
+  describeGoal,
+  computeGoalProgress,
+  getGoals,
+  getGoalsWithProgress,
+  suggestGoals,
+  formatGoalsForPrompt,
+};
@@ -6,6 +6,8 @@
  */
 
 import { SupabaseClient } from '@supabase/supabase-js';
+import { DEFAULT_TIME_ZONE, formatDateInTimeZone } from './timeZone';
+import type { TimeRange } from './queryAnalyzer';
 
 export interface DailyMetric {
   date: string;
@@ -56,14 +58,31 @@ export interface DataSummary {
   latestWeight?: number;
 }
 
+export interface MetricDelta {
+  from: number;
+  to: number;
+  change: number;
+  /** Null when the earlier value is zero */
+  changePercent: number | null;
+}
+
+export interface PeriodComparison {
+  /** Oldest first */
+  periods: Array<{ description: string; summary: DataSummary }>;
+  /** Change in each daily average between consecutive periods */
+  changes: Array<{ from: string; to: string; averages: { [key: string]: MetricDelta } }>;
+}
+
 /**
- * Get daily aggregated metrics for a date range
+ * Get daily aggregated metrics for a date range. Rows are keyed by the user's
+ * calendar date, so the range is converted to dates in their time zone.
  */
 export async function getDailyMetrics(
   supabase: SupabaseClient,
   userId: string,
   startDate: Date,
-  endDate: Date
+  endDate: Date,
+  timeZone: string = DEFAULT_TIME_ZONE
 ): Promise<{ success: boolean; data: DailyMetric[]; error?: string }> {
   try {
     console.log('[HealthDataRetrieval-getDailyMetrics] ===== QUERYING DAILY METRICS =====');
@@ -75,8 +94,8 @@ export async function getDailyMetrics(
     });
     console.log('[HealthDataRetrieval-getDailyMetrics] ===================================');
     
-    const startDateStr = startDate.toISOString().split('T')[0];
-    const endDateStr = endDate.toISOString().split('T')[0];
+    const startDateStr = formatDateInTimeZone(startDate, timeZone);
+    const endDateStr = formatDateInTimeZone(endDate, timeZone);
 
     const { data, error } = await supabase
       .from('health_metrics_daily')
@@ -151,7 +170,8 @@ export async function getDataSummary(
   supabase: SupabaseClient,
   userId: string,
   startDate: Date,
-  endDate: Date
+  endDate: Date,
+  timeZone: string = DEFAULT_TIME_ZONE
 ): Promise<{ success: boolean; summary?: DataSummary; error?: string }> {
   try {
     console.log('[HealthDataRetrieval-getDataSummary] ===== GETTING DATA SUMMARY =====');
@@ -160,7 +180,7 @@ export async function getDataSummary(
     console.log('[HealthDataRetrieval-getDataSummary] =================================');
     
     // Get daily metrics
-    const dailyMetricsResult = await getDailyMetrics(supabase, userId, startDate, endDate);
+    const dailyMetricsResult = await getDailyMetrics(supabase, userId, startDate, endDate, timeZone);
     
     if (!dailyMetricsResult.success) {
       return { success: false, error: dailyMetricsResult.error };
@@ -187,8 +207,8 @@ export async function getDataSummary(
     // Calculate summary statistics
     const summary: DataSummary = {
       dateRange: {
-        start: startDate.toISOString().split('T')[0],
-        end: endDate.toISOString().split('T')[0],
+        start: formatDateInTimeZone(startDate, timeZone),
+        end: formatDateInTimeZone(endDate, timeZone),
         days: metrics.length,
       },
       averages: {},
@@ -245,6 +265,59 @@ export async function getDataSummary(
   }
 }
 
+/**
+ * Change from one value to another, rounded like the summary averages
+ */
+export function computeDelta(from: number, to: number): MetricDelta {
+  return {
+    from,
+    to,
+    change: Math.round((to - from) * 100) / 100,
+    changePercent: from !== 0 ? Math.round(((to - from) / Math.abs(from)) * 1000) / 10 : null,
+  };
+}
+
+/**
+ * Summarize several periods side by side, with the change in each daily
+ * average from one period to the next. Averages are compared rather than
+ * totals, since periods can differ in length and in days with data.
+ */
+export async function getPeriodComparison(
+  supabase: SupabaseClient,
+  userId: string,
+  ranges: TimeRange[],
+  timeZone: string = DEFAULT_TIME_ZONE
+): Promise<{ success: boolean; comparison?: PeriodComparison; error?: string }> {
+  const sorted = [...ranges].sort((a, b) => a.startDate.getTime() - b.startDate.getTime());
+  const results = await Promise.all(
+    sorted.map((range) => getDataSummary(supabase, userId, range.startDate, range.endDate, timeZone))
+  );
+
+  const failed = results.find((result) => !result.success || !result.summary);
+  if (failed) {
+    return { success: false, error: failed.error || 'Failed to summarize period' };
+  }
+
+  const periods = sorted.map((range, index) => ({
+    description: range.description,
+    summary: results[index].summary!,
+  }));
+
+  const changes = periods.slice(1).map((period, index) => {
+    const previous = periods[index];
+    const averages: { [key: string]: MetricDelta } = {};
+    Object.entries(period.summary.averages).forEach(([field, value]) => {
+      const before = previous.summary.averages[field];
+      if (before !== undefined) {
+        averages[field] = computeDelta(before, value);
+      }
+    });
+    return { from: previous.description, to: period.description, averages };
+  });
+
+  return { success: true, comparison: { periods, changes } };
+}
+
 /**
  * Get specific metrics time-series data
  */
@@ -388,6 +461,104 @@ export function formatSummaryForContext(summary: DataSummary): string {
   return text;
 }
 
+const COMPARISON_FIELDS: Array<[string, string, (value: number) => string]> = [
+  ['steps', 'Steps', (v) => Math.round(v).toLocaleString()],
+  ['distance_mi', 'Distance', (v) => `${v.toFixed(2)} miles`],
+  ['active_calories', 'Active Calories', (v) => `${Math.round(v)} kcal`],
+  ['exercise_minutes', 'Exercise', (v) => `${Math.round(v)} minutes`],
+  ['avg_heart_rate', 'Avg Heart Rate', (v) => `${Math.round(v)} bpm`],
+  ['resting_heart_rate', 'Resting Heart Rate', (v) => `${Math.round(v)} bpm`],
+  ['heart_rate_variability', 'HRV', (v) => `${Math.round(v)} ms`],
+  ['sleep_hours', 'Sleep', (v) => `${v.toFixed(1)} hours`],
+  ['calories_consumed', 'Calories Consumed', (v) => `${Math.round(v)} kcal`],
+  ['protein_g', 'Protein', (v) => `${Math.round(v)}g`],
+  ['carbs_g', 'Carbs', (v) => `${Math.round(v)}g`],
+  ['fat_g', 'Fat', (v) => `${Math.round(v)}g`],
+  ['water_oz', 'Water', (v) => `${Math.round(v)} oz`],
+];
+
+function formatSigned(value: number, format: (value: number) => string): string {
+  return `${value < 0 ? '-' : '+'}${format(Math.abs(value))}`;
+}
+
+/**
+ * Format a period comparison into natural language for RAG context: one line
+ * per metric with each period's daily average and the change between them
+ */
+export function formatComparisonForContext(comparison: PeriodComparison): string {
+  const labels = comparison.periods.map((_, index) => String.fromCharCode(65 + index));
+  let text = `Period Comparison (${comparison.periods.map((period) => period.description).join(' vs ')}):\n\n`;
+
+  text += 'Periods:\n';
+  comparison.periods.forEach((period, index) => {
+    const { start, end, days } = period.summary.dateRange;
+    text += `  ${labels[index]}. ${period.description} (${start} to ${end}): ${days} days with data\n`;
+  });
+  text += '\n';
+
+  const averageLines: string[] = [];
+  COMPARISON_FIELDS.forEach(([field, label, format]) => {
+    const values = comparison.periods.map((period) => period.summary.averages[field]);
+    if (values.every((value) => value === undefined)) return;
+
+    let line = `  ${label}: ${values[0] !== undefined ? format(values[0]) : 'no data'}`;
+    comparison.changes.forEach((change, index) => {
+      const value = values[index + 1];
+      line += ` → ${value !== undefined ? format(value) : 'no data'}`;
+      const delta = change.averages[field];
+      if (delta) {
+        const percent = delta.changePercent !== null ? `, ${delta.changePercent >= 0 ? '+' : ''}${delta.changePercent}%` : '';
+        line += ` (${formatSigned(delta.change, format)}${percent})`;
+      }
+    });
+    averageLines.push(line);
+  });
+
+  if (averageLines.length > 0) {
+    text += `Daily Averages (${labels.join(' → ')}):\n${averageLines.join('\n')}\n\n`;
+  }
+
+  const totalFields: Array<[string, string]> = [
+    ['workout_count', 'Workouts'],
+    ['strength_sessions', 'Strength Sessions'],
+    ['cardio_sessions', 'Cardio Sessions'],
+  ];
+  const totalLines = totalFields
+    .filter(([field]) => comparison.periods.some((period) => period.summary.totals[field]))
+    .map(([field, label]) => `  ${label}: ${comparison.periods
+      .map((period, index) => `${labels[index]} ${Math.round(period.summary.totals[field] || 0)}`)
+      .join(', ')}`);
+
+  if (totalLines.length > 0) {
+    text += `Totals:\n${totalLines.join('\n')}\n\n`;
+  }
+
+  const weights = comparison.periods.map((period) => period.summary.latestWeight);
+  if (weights.some((weight) => weight !== undefined)) {
+    text += `Latest Weight: ${weights
+      .map((weight, index) => `${labels[index]} ${weight !== undefined ? `${weight.toFixed(1)} lbs` : 'no data'}`)
+      .join(', ')}\n\n`;
+  }
+
+  const eventTypes = Array.from(new Set(comparison.periods.flatMap((period) => Object.keys(period.summary.events))));
+  if (eventTypes.length > 0) {
+    text += 'Activities:\n';
+    eventTypes.forEach((type) => {
+      text += `  ${type}: ${comparison.periods
+        .map((period, index) => `${labels[index]} ${period.summary.events[type] || 0}`)
+        .join(', ')}\n`;
+    });
+    text += '\n';
+  }
+
+  const dayCounts = new Set(comparison.periods.map((period) => period.summary.dateRange.days));
+  if (dayCounts.size > 1) {
+    text += 'Note: the periods have different numbers of days with data, so compare daily averages rather than totals.\n';
+  }
+
+  return text;
+}
+
 /**
  * Format health events into natural language for RAG context
  */
@@ -429,7 +600,8 @@ export async function getUploadedFileData(
   userId: string,
   startDate: Date,
   endDate: Date,
-  categories?: string[]
+  categories?: string[],
+  timeZone: string = DEFAULT_TIME_ZONE
 ): Promise<{ success: boolean; data: any[]; error?: string }> {
   try {
     console.log('[HealthDataRetrieval-getUploadedFileData] ===== QUERYING UPLOADED FILE DATA =====');
@@ -441,13 +613,15 @@ export async function getUploadedFileData(
     });
     console.log('[HealthDataRetrieval-getUploadedFileData] =======================================');
     
-    const startDateStr = startDate.toISOString().split('T')[0];
-    const endDateStr = endDate.toISOString().split('T')[0];
+    const startDateStr = formatDateInTimeZone(startDate, timeZone);
+    const endDateStr = formatDateInTimeZone(endDate, timeZone);
 
     let query = supabase
       .from('uploaded_file_data')
-      .select('id, file_name, extracted_data, data_categories, summary, date_range_start, date_range_end, upload_date')
-      .eq('user_id', userId);
+      .select('id, file_name, extracted_data, data_categories, summary, date_range_start, date_range_end, upload_date, review_status')
+      .eq('user_id', userId)
+      .eq('processing_status', 'done')
+      .neq('review_status', 'needs_review');
 
     // For uploaded files (especially lab results), we use a more lenient date filter
     // Include files where:
@@ -457,7 +631,7 @@ export async function getUploadedFileData(
     //    This ensures recent uploads are included even if the data is older
     const sixMonthsAgo = new Date(endDate);
     sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
-    const sixMonthsAgoStr = sixMonthsAgo.toISOString().split('T')[0];
+    const sixMonthsAgoStr = formatDateInTimeZone(sixMonthsAgo, timeZone);
 
     query = query.or(
       `date_range_start.is.null,and(date_range_start.lte.${endDateStr},date_range_end.gte.${startDateStr}),upload_date.gte.${sixMonthsAgoStr}`
@@ -507,6 +681,10 @@ export function formatUploadedDataForContext(uploadedFiles: any[]): string {
 
   uploadedFiles.forEach((file) => {
     text += `File: ${file.file_name}\n`;
+
+    if (file.review_status === 'verified') {
+      text += `Verified: the user checked this data against the original file\n`;
+    }
     
     if (file.summary) {
       text += `Summary: ${file.summary}\n`;
@@ -560,8 +738,11 @@ export default {
   getDataSummary,
   getMetricTimeSeries,
   getUploadedFileData,
+  getPeriodComparison,
+  computeDelta,
   formatDailyMetricsForContext,
   formatSummaryForContext,
+  formatComparisonForContext,
   formatEventsForContext,
   formatUploadedDataForContext,
 };
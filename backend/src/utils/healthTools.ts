@@ -0,0 +1,504 @@
+/**
+ * Health Data Tools
+ *
+ * Function-calling tools offered to the chat model so it can look up the
+ * user's data itself instead of relying on pre-fetched context:
+ * 1. Tool definitions (JSON Schema) describing what the model may ask for
+ * 2. Server-side execution, always scoped to the authenticated user
+ * 3. The tool loop: stream, run requested tools, feed results back, repeat
+ *
+ * The user id never comes from the model's arguments.
+ */
+
+import { SupabaseClient } from '@supabase/supabase-js';
+import { LLMProvider, LLMToolCall, LLMToolDefinition, LLMToolRound } from './llm';
+import { RAGContext } from './ragService';
+import {
+  DailyMetric,
+  getDailyMetrics,
+  getDataSummary,
+  getHealthEvents,
+  getMetricTimeSeries,
+} from './healthDataRetrieval';
+import {
+  getLabResults,
+  loadBiomarkerCatalog,
+  normalizeNameKey,
+  resolveBiomarkerCode,
+  syncPendingLabResults,
+} from './labResultsService';
+import { DEFAULT_TIME_ZONE, formatDateInTimeZone, zonedDayBoundary } from './timeZone';
+import { round } from './numbers';
+
+export interface ToolCallRecord {
+  name: string;
+  args: Record<string, any>;
+  ok: boolean;
+  /** Number of rows/points/events returned to the model */
+  rows?: number;
+  error?: string;
+  durationMs: number;
+}
+
+export type HealthToolEvent =
+  | { type: 'text'; text: string }
+  | { type: 'tool'; record: ToolCallRecord };
+
+// Give up after this many rounds of tool calls in a single answer
+export const MAX_TOOL_ROUNDS = 5;
+const MAX_RANGE_DAYS = 366;
+const LAB_LOOKBACK_YEARS = 10;
+const MAX_EVENTS = 100;
+// Raw time-series larger than this are returned as daily aggregates
+const MAX_SERIES_POINTS = 500;
+
+const DAILY_METRIC_FIELDS: Array<keyof DailyMetric> = [
+  'steps', 'distance_mi', 'active_calories', 'resting_calories', 'exercise_minutes',
+  'flights_climbed', 'avg_heart_rate', 'resting_heart_rate', 'heart_rate_variability',
+  'sleep_hours', 'weight_lbs', 'protein_g', 'carbs_g', 'fat_g', 'calories_consumed',
+  'water_oz', 'workout_count', 'total_workout_minutes', 'strength_sessions', 'cardio_sessions',
+];
+
+const dateParam = (description: string) => ({ type: 'string', description: `${description} (YYYY-MM-DD)` });
+
+export const HEALTH_TOOLS: LLMToolDefinition[] = [
+  {
+    name: 'get_daily_metrics',
+    description: 'Daily aggregated health metrics (activity, heart, sleep, nutrition, weight, workouts) for each day in a date range.',
+    parameters: {
+      type: 'object',
+      properties: {
+        start_date: dateParam('First day, inclusive'),
+        end_date: dateParam('Last day, inclusive'),
+        metrics: {
+          type: 'array',
+          items: { type: 'string' },
+          description: `Metrics to include; omit for all. One of: ${DAILY_METRIC_FIELDS.join(', ')}`,
+        },
+      },
+      required: ['start_date', 'end_date'],
+    },
+  },
+  {
+    name: 'get_metric_timeseries',
+    description: 'Individual readings of one metric (e.g. heart_rate, weight, blood_glucose) as recorded by connected apps and devices.',
+    parameters: {
+      type: 'object',
+      properties: {
+        metric_type: { type: 'string', description: 'Data type name, e.g. heart_rate, weight, steps, blood_glucose' },
+        start_date: dateParam('First day, inclusive'),
+        end_date: dateParam('Last day, inclusive'),
+      },
+      required: ['metric_type', 'start_date', 'end_date'],
+    },
+  },
+  {
+    name: 'get_health_events',
+    description: 'Workouts, meals, sleep sessions and other logged events in a date range, newest first.',
+    parameters: {
+      type: 'object',
+      properties: {
+        start_date: dateParam('First day, inclusive'),
+        end_date: dateParam('Last day, inclusive'),
+        event_types: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Only these event types, e.g. workout, meal, sleep; omit for all',
+        },
+      },
+      required: ['start_date', 'end_date'],
+    },
+  },
+  {
+    name: 'get_lab_results',
+    description: 'Lab test results and medical report values extracted from files the user uploaded.',
+    parameters: {
+      type: 'object',
+      properties: {
+        start_date: dateParam(`Earliest result date; defaults to ${LAB_LOOKBACK_YEARS} years ago`),
+        end_date: dateParam('Latest result date; defaults to today'),
+        test_names: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Only tests whose name contains one of these (case-insensitive), e.g. ldl, a1c, vitamin d',
+        },
+      },
+    },
+  },
+  {
+    name: 'compare_periods',
+    description: 'Compare daily averages and totals between two date ranges, e.g. this week vs last week.',
+    parameters: {
+      type: 'object',
+      properties: {
+        current_start: dateParam('Start of the period of interest'),
+        current_end: dateParam('End of the period of interest'),
+        previous_start: dateParam('Start of the period to compare against'),
+        previous_end: dateParam('End of the period to compare against'),
+        metrics: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Metrics to compare; omit for all',
+        },
+      },
+      required: ['current_start', 'current_end', 'previous_start', 'previous_end'],
+    },
+  },
+];
+
+/**
+ * Thrown for bad tool arguments; the message is sent back to the model so it can retry
+ */
+class ToolArgumentError extends Error {}
+
+/**
+ * Parse a YYYY-MM-DD argument as the start or end of that day in the user's time zone
+ */
+function parseDateArg(value: unknown, name: string, boundary: 'start' | 'end', timeZone: string): Date {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    throw new ToolArgumentError(`${name} must be a date in YYYY-MM-DD format`);
+  }
+  if (isNaN(new Date(`${value}T00:00:00.000Z`).getTime())) {
+    throw new ToolArgumentError(`${name} is not a valid date`);
+  }
+  return zonedDayBoundary(value, timeZone, boundary);
+}
+
+function parseRange(args: Record<string, any>, startKey: string, endKey: string, timeZone: string, maxDays = MAX_RANGE_DAYS) {
+  const start = parseDateArg(args[startKey], startKey, 'start', timeZone);
+  const end = parseDateArg(args[endKey], endKey, 'end', timeZone);
+  if (start > end) {
+    throw new ToolArgumentError(`${startKey} must not be after ${endKey}`);
+  }
+  if ((end.getTime() - start.getTime()) / (24 * 60 * 60 * 1000) > maxDays) {
+    throw new ToolArgumentError(`Date range is too long; use at most ${maxDays} days`);
+  }
+  return { start, end };
+}
+
+function stringList(value: unknown): string[] {
+  return Array.isArray(value) ? value.filter((v): v is string => typeof v === 'string' && v.length > 0) : [];
+}
+
+async function runDailyMetrics(supabase: SupabaseClient, userId: string, args: Record<string, any>, timeZone: string) {
+  const { start, end } = parseRange(args, 'start_date', 'end_date', timeZone);
+  const requested = stringList(args.metrics);
+  const unknown = requested.filter((m) => !DAILY_METRIC_FIELDS.includes(m as keyof DailyMetric));
+  if (unknown.length > 0) {
+    throw new ToolArgumentError(`Unknown metrics: ${unknown.join(', ')}. Valid metrics: ${DAILY_METRIC_FIELDS.join(', ')}`);
+  }
+  const fields = requested.length > 0 ? requested : DAILY_METRIC_FIELDS;
+
+  const result = await getDailyMetrics(supabase, userId, start, end, timeZone);
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to load daily metrics');
+  }
+
+  const days = result.data.map((day) => {
+    const row: Record<string, any> = { date: day.date };
+    fields.forEach((field) => {
+      const value = (day as any)[field];
+      if (value != null) row[field] = value;
+    });
+    return row;
+  });
+
+  return { rows: days.length, result: { start_date: formatDateInTimeZone(start, timeZone), end_date: formatDateInTimeZone(end, timeZone), days } };
+}
+
+async function runMetricTimeSeries(supabase: SupabaseClient, userId: string, args: Record<string, any>, timeZone: string) {
+  if (typeof args.metric_type !== 'string' || !args.metric_type) {
+    throw new ToolArgumentError('metric_type is required');
+  }
+  const { start, end } = parseRange(args, 'start_date', 'end_date', timeZone);
+
+  const result = await getMetricTimeSeries(supabase, userId, args.metric_type, start, end);
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to load time series');
+  }
+
+  if (result.data.length <= MAX_SERIES_POINTS) {
+    const points = result.data.map((row: any) => ({ recorded_at: row.recorded_at, value: row.value, unit: row.unit }));
+    return { rows: points.length, result: { metric_type: args.metric_type, points } };
+  }
+
+  // Too many readings to send verbatim: summarize each day
+  const byDay = new Map<string, number[]>();
+  result.data.forEach((row: any) => {
+    const value = Number(row.value);
+    if (isNaN(value)) return;
+    const day = formatDateInTimeZone(new Date(row.recorded_at), timeZone);
+    byDay.set(day, [...(byDay.get(day) || []), value]);
+  });
+
+  const daily = Array.from(byDay.entries()).map(([date, values]) => ({
+    date,
+    count: values.length,
+    min: round(Math.min(...values)),
+    avg: round(values.reduce((a, b) => a + b, 0) / values.length),
+    max: round(Math.max(...values)),
+  }));
+
+  return {
+    rows: daily.length,
+    result: {
+      metric_type: args.metric_type,
+      unit: result.data[0]?.unit,
+      note: `${result.data.length} readings aggregated by day`,
+      daily,
+    },
+  };
+}
+
+async function runHealthEvents(supabase: SupabaseClient, userId: string, args: Record<string, any>, timeZone: string) {
+  const { start, end } = parseRange(args, 'start_date', 'end_date', timeZone);
+  const eventTypes = stringList(args.event_types);
+
+  const result = await getHealthEvents(supabase, userId, start, end, eventTypes);
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to load health events');
+  }
+
+  const events = result.data.slice(0, MAX_EVENTS).map((event) => ({
+    type: event.event_type,
+    start_time: event.start_time,
+    ...(event.duration_seconds && { duration_minutes: Math.round(event.duration_seconds / 60) }),
+    ...(event.title && { title: event.title }),
+    ...(event.description && { description: event.description }),
+    ...(event.source_app && { source: event.source_app }),
+    ...(event.metrics && { metrics: event.metrics }),
+  }));
+
+  return {
+    rows: events.length,
+    result: {
+      total: result.data.length,
+      ...(result.data.length > MAX_EVENTS && { note: `Showing the ${MAX_EVENTS} most recent events` }),
+      events,
+    },
+  };
+}
+
+async function runLabResults(supabase: SupabaseClient, userId: string, args: Record<string, any>, timeZone: string) {
+  const end = args.end_date ? parseDateArg(args.end_date, 'end_date', 'end', timeZone) : new Date();
+  const start = args.start_date
+    ? parseDateArg(args.start_date, 'start_date', 'start', timeZone)
+    : new Date(Date.UTC(end.getUTCFullYear() - LAB_LOOKBACK_YEARS, end.getUTCMonth(), end.getUTCDate()));
+  const testNames = stringList(args.test_names);
+
+  await syncPendingLabResults(supabase, userId);
+  const catalog = await loadBiomarkerCatalog(supabase);
+  const startStr = formatDateInTimeZone(start, timeZone);
+  const endStr = formatDateInTimeZone(end, timeZone);
+  const rows = await getLabResults(supabase, userId, { from: startStr, to: endStr });
+
+  // A requested name matches its canonical biomarker ("a1c" finds "Hemoglobin A1c")
+  // or any reported name containing it
+  const wantedCodes = new Set(testNames.map((name) => resolveBiomarkerCode(catalog, name)).filter(Boolean));
+  const wantedKeys = testNames.map(normalizeNameKey).filter(Boolean);
+
+  const results = rows
+    .filter((row) => testNames.length === 0 ||
+      wantedCodes.has(row.biomarker_code) ||
+      wantedKeys.some((key) => row.name_key.includes(key)))
+    .map((row) => {
+      const source = Array.isArray(row.uploaded_file_data) ? row.uploaded_file_data[0] : row.uploaded_file_data;
+      return {
+        date: row.collected_on,
+        test: row.name,
+        ...(row.biomarker_code && { code: row.biomarker_code }),
+        value: row.value ?? row.value_text,
+        ...(row.unit && { unit: row.unit }),
+        ...(row.normalized_value !== null && row.normalized_unit !== row.unit && {
+          normalized: `${row.normalized_value} ${row.normalized_unit}`,
+        }),
+        ...(row.reference_text && { reference_range: row.reference_text }),
+        ...(row.flag && { flag: row.flag }),
+        file: source?.file_name || null,
+      };
+    })
+    .reverse();
+
+  return { rows: results.length, result: { start_date: startStr, end_date: endStr, results } };
+}
+
+async function runComparePeriods(supabase: SupabaseClient, userId: string, args: Record<string, any>, timeZone: string) {
+  const current = parseRange(args, 'current_start', 'current_end', timeZone);
+  const previous = parseRange(args, 'previous_start', 'previous_end', timeZone);
+  const metrics = stringList(args.metrics);
+
+  const [currentResult, previousResult] = await Promise.all([
+    getDataSummary(supabase, userId, current.start, current.end, timeZone),
+    getDataSummary(supabase, userId, previous.start, previous.end, timeZone),
+  ]);
+  if (!currentResult.success || !previousResult.success) {
+    throw new Error(currentResult.error || previousResult.error || 'Failed to load summaries');
+  }
+
+  const pick = (values: { [key: string]: number }) =>
+    Object.fromEntries(Object.entries(values).filter(([key]) => metrics.length === 0 || metrics.includes(key)));
+
+  const currentAverages = pick(currentResult.summary!.averages);
+  const previousAverages = pick(previousResult.summary!.averages);
+
+  const changes: Record<string, { current: number; previous: number; change: number; changePercent: number | null }> = {};
+  Object.keys(currentAverages).forEach((key) => {
+    if (previousAverages[key] === undefined) return;
+    const change = currentAverages[key] - previousAverages[key];
+    changes[key] = {
+      current: currentAverages[key],
+      previous: previousAverages[key],
+      change: round(change),
+      changePercent: previousAverages[key] !== 0 ? round((change / previousAverages[key]) * 100) : null,
+    };
+  });
+
+  const describe = (summary: typeof currentResult.summary) => ({
+    start_date: summary!.dateRange.start,
+    end_date: summary!.dateRange.end,
+    days_with_data: summary!.dateRange.days,
+    averages: pick(summary!.averages),
+    totals: pick(summary!.totals),
+    events: summary!.events,
+  });
+
+  return {
+    rows: currentResult.summary!.dateRange.days + previousResult.summary!.dateRange.days,
+    result: { current: describe(currentResult.summary), previous: describe(previousResult.summary), changes },
+  };
+}
+
+const TOOL_HANDLERS: Record<
+  string,
+  (supabase: SupabaseClient, userId: string, args: Record<string, any>, timeZone: string) => Promise<{ rows: number; result: unknown }>
+> = {
+  get_daily_metrics: runDailyMetrics,
+  get_metric_timeseries: runMetricTimeSeries,
+  get_health_events: runHealthEvents,
+  get_lab_results: runLabResults,
+  compare_periods: runComparePeriods,
+};
+
+/**
+ * Run one tool call for the authenticated user. Dates in the arguments are
+ * the user's calendar days in `timeZone`. Failures are returned to the model
+ * as `{ error }` rather than thrown, so it can correct itself or explain.
+ */
+export async function executeHealthTool(
+  supabase: SupabaseClient,
+  userId: string,
+  call: LLMToolCall,
+  timeZone: string = DEFAULT_TIME_ZONE
+): Promise<{ result: unknown; record: ToolCallRecord }> {
+  const startedAt = Date.now();
+  const handler = TOOL_HANDLERS[call.name];
+
+  try {
+    if (!handler) {
+      throw new ToolArgumentError(`Unknown tool "${call.name}"`);
+    }
+
+    const { rows, result } = await handler(supabase, userId, call.args || {}, timeZone);
+    console.log('[HealthTools]', call.name, 'returned', rows, 'rows for userId:', userId);
+
+    return {
+      result,
+      record: { name: call.name, args: call.args, ok: true, rows, durationMs: Date.now() - startedAt },
+    };
+  } catch (error: any) {
+    if (!(error instanceof ToolArgumentError)) {
+      console.error('[HealthTools] Error running', call.name, 'for userId:', userId, error);
+    }
+    const message = error instanceof ToolArgumentError ? error.message : 'Failed to load data';
+
+    return {
+      result: { error: message },
+      record: { name: call.name, args: call.args, ok: false, error: message, durationMs: Date.now() - startedAt },
+    };
+  }
+}
+
+/**
+ * Stream an answer from the model, running the tools it asks for until it
+ * answers without requesting more data (or MAX_TOOL_ROUNDS is reached).
+ */
+export async function* streamWithHealthTools(
+  llm: LLMProvider,
+  supabase: SupabaseClient,
+  userId: string,
+  prompt: string,
+  options: { signal?: AbortSignal; timeZone?: string } = {}
+): AsyncIterable<HealthToolEvent> {
+  const rounds: LLMToolRound[] = [];
+
+  for (let i = 0; i <= MAX_TOOL_ROUNDS; i++) {
+    const calls: LLMToolCall[] = [];
+
+    for await (const event of llm.streamWithTools(prompt, HEALTH_TOOLS, rounds, { signal: options.signal })) {
+      if (event.type === 'text') {
+        yield event;
+      } else {
+        calls.push(event.call);
+      }
+    }
+
+    if (calls.length === 0) {
+      return;
+    }
+
+    if (i === MAX_TOOL_ROUNDS) {
+      console.warn('[HealthTools] Tool round limit reached for userId:', userId);
+      yield { type: 'text', text: "I wasn't able to finish looking up your data for this question. Could you narrow it down a little?" };
+      return;
+    }
+
+    const executed = await Promise.all(calls.map((call) => executeHealthTool(supabase, userId, call, options.timeZone)));
+    for (const { record } of executed) {
+      yield { type: 'tool', record };
+    }
+
+    rounds.push({
+      calls,
+      results: calls.map((call, index) => ({ id: call.id, name: call.name, result: executed[index].result })),
+    });
+  }
+}
+
+/**
+ * Describe tool usage in the same shape as RAG metadata, so message metadata
+ * and admin RAG-usage stats stay comparable across both retrieval modes
+ */
+export function toolCallsToRagMetadata(records: ToolCallRecord[]): RAGContext['metadata'] {
+  const successful = records.filter((record) => record.ok);
+  const dates = successful
+    .flatMap((record) => Object.entries(record.args || {}))
+    .filter(([key, value]) => /(_date|_start|_end)$/.test(key) && typeof value === 'string')
+    .map(([, value]) => value as string)
+    .sort();
+
+  const metrics = new Set<string>();
+  successful.forEach((record) => {
+    stringList(record.args?.metrics).forEach((metric) => metrics.add(metric));
+    if (typeof record.args?.metric_type === 'string') metrics.add(record.args.metric_type);
+  });
+
+  return {
+    dataRetrieved: successful.some((record) => (record.rows || 0) > 0),
+    ...(dates.length > 0 && {
+      timeRange: {
+        start: dates[0],
+        end: dates[dates.length - 1],
+        description: 'requested by the model',
+      },
+    }),
+    metricsIncluded: Array.from(metrics),
+    dataTypes: Array.from(new Set(successful.map((record) => record.name))),
+  };
+}
+
+export default {
+  HEALTH_TOOLS,
+  executeHealthTool,
+  streamWithHealthTools,
+  toolCallsToRagMetadata,
+};
@@ -0,0 +1,194 @@
+/**
+ * GPX and TCX Parsers
+ *
+ * Reads the two XML activity formats with the streaming XML reader:
+ * - GPX (Strava, Garmin Connect, most phone apps): one activity per <trk>,
+ *   with heart rate, cadence and power from the Garmin/Strava extensions
+ * - TCX (Garmin Training Center): one activity per <Activity>, with lap
+ *   totals (time, distance, calories) and trackpoints
+ *
+ * Elements are matched by local name, so namespace prefixes (gpxtpx:, ns3:)
+ * don't matter.
+ */
+
+import { Readable } from 'stream';
+import { readXmlEvents } from './xmlStream';
+import { ParsedActivity, TrackPoint } from './types';
+
+function localName(name: string): string {
+  const colon = name.indexOf(':');
+  return colon < 0 ? name : name.slice(colon + 1);
+}
+
+function parseNumber(text: string): number | undefined {
+  const value = parseFloat(text);
+  return isNaN(value) ? undefined : value;
+}
+
+function parseTime(text: string): number | null {
+  const ms = Date.parse(text.trim());
+  return isNaN(ms) ? null : ms;
+}
+
+function add(total: number | undefined, value: number | undefined): number | undefined {
+  return value === undefined ? total : (total || 0) + value;
+}
+
+/**
+ * Read the workouts in a GPX file
+ */
+export async function parseGpxActivities(stream: Readable): Promise<ParsedActivity[]> {
+  const activities: ParsedActivity[] = [];
+  const stack: string[] = [];
+  let creator: string | undefined;
+  let metadataTime: number | null = null;
+  let track: ParsedActivity | null = null;
+  let point: TrackPoint | null = null;
+
+  for await (const event of readXmlEvents(stream, { text: true })) {
+    if (event.type === 'open') {
+      const name = localName(event.name);
+
+      if (name === 'gpx') {
+        creator = event.attributes.creator || undefined;
+      } else if (name === 'trk') {
+        track = { sport: '', startTime: 0, device: creator, points: [] };
+      } else if (name === 'trkpt' && track) {
+        point = { time: null };
+        const lat = parseNumber(event.attributes.lat);
+        const lng = parseNumber(event.attributes.lon);
+        if (lat !== undefined && lng !== undefined) {
+          point.lat = lat;
+          point.lng = lng;
+        }
+        if (event.selfClosing) {
+          track.points.push(point);
+          point = null;
+        }
+      }
+
+      if (!event.selfClosing) stack.push(name);
+      continue;
+    }
+
+    if (event.type === 'close') {
+      const name = stack.pop();
+      if (name === 'trkpt' && track && point) {
+        track.points.push(point);
+        point = null;
+      } else if (name === 'trk' && track) {
+        const first = track.points.find((candidate) => candidate.time !== null);
+        const startTime = first?.time ?? metadataTime;
+        if (startTime !== null) {
+          track.startTime = startTime;
+          activities.push(track);
+        }
+        track = null;
+      }
+      continue;
+    }
+
+    const element = stack[stack.length - 1];
+    const parent = stack[stack.length - 2];
+    const text = event.text.trim();
+
+    if (point) {
+      if (element === 'ele') point.altitude = parseNumber(text);
+      else if (element === 'time') point.time = parseTime(text);
+      else if (element === 'hr') point.heartRate = parseNumber(text);
+      else if (element === 'cad') point.cadence = parseNumber(text);
+      else if (element === 'power' || element === 'PowerInWatts') point.power = parseNumber(text);
+    } else if (track && parent === 'trk') {
+      if (element === 'name') track.name = text;
+      else if (element === 'type') track.sport = text;
+    } else if (element === 'time' && parent === 'metadata') {
+      metadataTime = parseTime(text);
+    }
+  }
+
+  return activities;
+}
+
+/**
+ * Read the workouts in a TCX file
+ */
+export async function parseTcxActivities(stream: Readable): Promise<ParsedActivity[]> {
+  const activities: ParsedActivity[] = [];
+  const stack: string[] = [];
+  let activity: ParsedActivity | null = null;
+  let point: TrackPoint | null = null;
+  let maxHeartRate: number | undefined;
+
+  for await (const event of readXmlEvents(stream, { text: true })) {
+    if (event.type === 'open') {
+      const name = localName(event.name);
+
+      if (name === 'Activity') {
+        activity = { sport: event.attributes.Sport || '', startTime: 0, points: [] };
+        maxHeartRate = undefined;
+      } else if (name === 'Lap' && activity && !activity.startTime) {
+        activity.startTime = parseTime(event.attributes.StartTime || '') || 0;
+      } else if (name === 'Trackpoint' && activity) {
+        point = { time: null };
+      }
+
+      if (!event.selfClosing) stack.push(name);
+      continue;
+    }
+
+    if (event.type === 'close') {
+      const name = stack.pop();
+      if (name === 'Trackpoint' && activity && point) {
+        activity.points.push(point);
+        point = null;
+      } else if (name === 'Activity' && activity) {
+        activity.maxHeartRate = maxHeartRate;
+        if (!activity.startTime) {
+          activity.startTime = activity.points.find((candidate) => candidate.time !== null)?.time || 0;
+        }
+        if (activity.startTime) {
+          activities.push(activity);
+        }
+        activity = null;
+      }
+      continue;
+    }
+
+    if (!activity) continue;
+
+    const element = stack[stack.length - 1];
+    const parent = stack[stack.length - 2];
+    const grandparent = stack[stack.length - 3];
+    const text = event.text.trim();
+
+    if (point) {
+      if (element === 'Time') point.time = parseTime(text);
+      else if (element === 'LatitudeDegrees') point.lat = parseNumber(text);
+      else if (element === 'LongitudeDegrees') point.lng = parseNumber(text);
+      else if (element === 'AltitudeMeters') point.altitude = parseNumber(text);
+      else if (element === 'DistanceMeters') point.distance = parseNumber(text);
+      else if (element === 'Value' && parent === 'HeartRateBpm') point.heartRate = parseNumber(text);
+      else if (element === 'Cadence' || element === 'RunCadence') point.cadence = parseNumber(text);
+      else if (element === 'Watts') point.power = parseNumber(text);
+    } else if (parent === 'Lap') {
+      // Lap totals add up to the activity's
+      if (element === 'TotalTimeSeconds') activity.movingSeconds = add(activity.movingSeconds, parseNumber(text));
+      else if (element === 'DistanceMeters') activity.distanceMeters = add(activity.distanceMeters, parseNumber(text));
+      else if (element === 'Calories') activity.calories = add(activity.calories, parseNumber(text));
+    } else if (element === 'Value' && parent === 'MaximumHeartRateBpm' && grandparent === 'Lap') {
+      const value = parseNumber(text);
+      if (value !== undefined) maxHeartRate = Math.max(maxHeartRate || 0, value);
+    } else if (element === 'Notes' && parent === 'Activity') {
+      activity.name = text;
+    } else if (element === 'Name' && parent === 'Creator') {
+      activity.device = text;
+    }
+  }
+
+  return activities;
+}
+
+export default {
+  parseGpxActivities,
+  parseTcxActivities,
+};
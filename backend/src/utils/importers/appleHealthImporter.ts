@@ -0,0 +1,504 @@
+/**
+ * Apple Health Importer
+ *
+ * Imports the export.zip (or the export.xml inside it) that the Health app
+ * produces under Profile > Export All Health Data:
+ * 1. Streams export.xml out of the archive and reads it element by element,
+ *    so exports of hundreds of megabytes never sit in memory
+ * 2. Maps HKQuantityTypeIdentifier* records through
+ *    APP_METRIC_MAPPINGS[DATA_SOURCES.APPLE_HEALTH] into health_data, in each
+ *    metric's standard unit
+ * 3. Stores workouts and sleep sessions (sleep stages grouped like the app's
+ *    own sync does) in health_events
+ * 4. Rebuilds health_metrics_daily for every day in the export, bucketing
+ *    each record by the local date it was recorded on
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { Readable } from 'stream';
+import {
+  APP_METRIC_MAPPINGS,
+  DATA_CATEGORIES,
+  DATA_SOURCES,
+  getMetricMetadata,
+  getQualityScore,
+  METRIC_TYPES,
+} from '../metricTypeRegistry';
+import { round } from '../numbers';
+import { isZipFile, listZipEntries, openZipEntry } from './zipReader';
+import { readXmlEvents } from './xmlStream';
+import { DailyAggregation, DailyMetricAccumulator, HealthImportWriter, upsertDailyMetrics } from './importWriter';
+import { HealthImporter, ImportContext, ImportedSeries, ImportResult } from './types';
+
+const SOURCE = DATA_SOURCES.APPLE_HEALTH;
+const HK_TO_METRIC_TYPE = APP_METRIC_MAPPINGS[SOURCE];
+const SLEEP_TYPE = 'HKCategoryTypeIdentifierSleepAnalysis';
+/** Sleep samples less than this far apart belong to the same session */
+const SLEEP_SESSION_GAP_MS = 30 * 60 * 1000;
+/** How often (in elements) to check whether the import was cancelled */
+const ABORT_CHECK_INTERVAL = 5000;
+
+// health_metrics_daily column (and how a day's records combine) per metric type
+const DAILY_COLUMNS: Record<string, { column: string; mode: DailyAggregation }> = {
+  [METRIC_TYPES.STEPS]: { column: 'steps', mode: 'sum' },
+  [METRIC_TYPES.DISTANCE_WALKING]: { column: 'distance_mi', mode: 'sum' },
+  [METRIC_TYPES.ACTIVE_CALORIES]: { column: 'active_calories', mode: 'sum' },
+  [METRIC_TYPES.RESTING_CALORIES]: { column: 'resting_calories', mode: 'sum' },
+  [METRIC_TYPES.EXERCISE_MINUTES]: { column: 'exercise_minutes', mode: 'sum' },
+  [METRIC_TYPES.FLIGHTS_CLIMBED]: { column: 'flights_climbed', mode: 'sum' },
+  [METRIC_TYPES.HEART_RATE]: { column: 'avg_heart_rate', mode: 'avg' },
+  [METRIC_TYPES.RESTING_HEART_RATE]: { column: 'resting_heart_rate', mode: 'last' },
+  [METRIC_TYPES.HEART_RATE_VARIABILITY]: { column: 'heart_rate_variability', mode: 'avg' },
+  [METRIC_TYPES.WEIGHT]: { column: 'weight_lbs', mode: 'last' },
+  [METRIC_TYPES.CALORIES_CONSUMED]: { column: 'calories_consumed', mode: 'sum' },
+  [METRIC_TYPES.PROTEIN]: { column: 'protein_g', mode: 'sum' },
+  [METRIC_TYPES.CARBOHYDRATES]: { column: 'carbs_g', mode: 'sum' },
+  [METRIC_TYPES.FAT]: { column: 'fat_g', mode: 'sum' },
+  [METRIC_TYPES.FIBER]: { column: 'fiber_g', mode: 'sum' },
+  [METRIC_TYPES.SUGAR]: { column: 'sugar_g', mode: 'sum' },
+  [METRIC_TYPES.SODIUM]: { column: 'sodium_mg', mode: 'sum' },
+  [METRIC_TYPES.WATER]: { column: 'water_oz', mode: 'sum' },
+};
+
+// Conversion factors into each standard unit, by the unit Apple Health exported
+const FACTORS: Record<string, Record<string, number>> = {
+  mi: { mi: 1, km: 0.621371, m: 1 / 1609.344, cm: 1 / 160934.4, ft: 1 / 5280, yd: 1 / 1760 },
+  kcal: { kcal: 1, Cal: 1, cal: 0.001, kJ: 1 / 4.184, J: 1 / 4184 },
+  min: { min: 1, s: 1 / 60, ms: 1 / 60000, hr: 60, h: 60 },
+  lbs: { lb: 1, kg: 2.20462, g: 0.00220462, oz: 1 / 16, st: 14 },
+  in: { in: 1, cm: 0.393701, mm: 0.0393701, m: 39.3701, ft: 12 },
+  g: { g: 1, mg: 0.001, mcg: 0.000001, kg: 1000, oz: 28.3495 },
+  mg: { mg: 1, g: 1000, mcg: 0.001 },
+  oz: { fl_oz_us: 1, fl_oz_imp: 0.96076, mL: 0.033814, L: 33.814, cup_us: 8 },
+};
+
+const STRENGTH_WORKOUTS = new Set([
+  'TraditionalStrengthTraining', 'FunctionalStrengthTraining', 'CoreTraining', 'CrossTraining',
+]);
+const FLEXIBILITY_WORKOUTS = new Set([
+  'Yoga', 'Flexibility', 'Pilates', 'Cooldown', 'MindAndBody', 'Barre', 'TaiChi',
+]);
+const NON_CARDIO_WORKOUTS = new Set([...STRENGTH_WORKOUTS, ...FLEXIBILITY_WORKOUTS, 'Other']);
+
+// Stage names as stored in a sleep session's metrics
+const SLEEP_STAGE_NAMES: Record<string, string> = {
+  HKCategoryValueSleepAnalysisInBed: 'in_bed',
+  HKCategoryValueSleepAnalysisAwake: 'awake',
+  HKCategoryValueSleepAnalysisAsleep: 'asleep',
+  HKCategoryValueSleepAnalysisAsleepUnspecified: 'asleep',
+  HKCategoryValueSleepAnalysisAsleepCore: 'core',
+  HKCategoryValueSleepAnalysisAsleepDeep: 'deep',
+  HKCategoryValueSleepAnalysisAsleepREM: 'rem',
+};
+
+const ASLEEP_STAGES = new Set([
+  'HKCategoryValueSleepAnalysisAsleep',
+  'HKCategoryValueSleepAnalysisAsleepUnspecified',
+  'HKCategoryValueSleepAnalysisAsleepCore',
+  'HKCategoryValueSleepAnalysisAsleepDeep',
+  'HKCategoryValueSleepAnalysisAsleepREM',
+]);
+
+interface ExportDate {
+  /** Local calendar date the record was made on */
+  date: string;
+  ms: number;
+}
+
+interface SleepSample {
+  start: number;
+  end: number;
+  endDate: string;
+  stage: string;
+}
+
+interface WorkoutInProgress {
+  activityType: string;
+  start: ExportDate;
+  end: ExportDate | null;
+  sourceName: string;
+  durationMinutes: number | null;
+  distanceMi: number | null;
+  energyKcal: number | null;
+  avgHeartRate: number | null;
+}
+
+/**
+ * Parse an export timestamp ("2024-03-09 07:15:00 -0800"); null if malformed
+ */
+function parseExportDate(value: string | undefined): ExportDate | null {
+  const match = value && /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-]\d{2})(\d{2})$/.exec(value);
+  if (!match) return null;
+  const ms = Date.parse(`${match[1]}T${match[2]}${match[3]}:${match[4]}`);
+  return isNaN(ms) ? null : { date: match[1], ms };
+}
+
+/**
+ * Convert a record's value into the metric's standard unit; null when the
+ * exported unit isn't one we know how to convert
+ */
+export function toStandardUnit(value: number, unit: string, standardUnit: string): number | null {
+  const factors = FACTORS[standardUnit];
+  if (factors) {
+    return factors[unit] !== undefined ? value * factors[unit] : null;
+  }
+
+  switch (standardUnit) {
+    case '%':
+      // Health stores percentages as fractions
+      return unit === '%' && value <= 1 ? value * 100 : value;
+    case '°F':
+      if (unit === 'degC') return value * 9 / 5 + 32;
+      return unit === 'degF' ? value : null;
+    case 'mg/dL':
+      if (unit === 'mg/dL') return value;
+      return /^mmol(<[\d.]+>)?\/L$/.test(unit) ? value * 18.0156 : null;
+    default:
+      // Counts, rates and scores are exported in the standard unit already
+      return value;
+  }
+}
+
+/** "TraditionalStrengthTraining" -> "Traditional Strength Training" */
+function workoutTitle(activityType: string): string {
+  return activityType.replace(/([a-z])([A-Z])/g, '$1 $2');
+}
+
+function plural(count: number, noun: string): string {
+  return `${count.toLocaleString('en-US')} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+function formatDate(date: string): string {
+  return new Date(`${date}T12:00:00Z`).toLocaleDateString('en-US', {
+    month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC',
+  });
+}
+
+/**
+ * Open export.xml, from inside the archive when the upload is the zip
+ */
+function openExportXml(filePath: string): Readable {
+  if (!isZipFile(filePath)) {
+    return fs.createReadStream(filePath);
+  }
+
+  // The export is "apple_health_export/export.xml"; some locales translate the
+  // file name, so fall back to the largest XML file that isn't the clinical
+  // records document or a workout route
+  const xmlEntries = listZipEntries(filePath).filter((entry) =>
+    /\.xml$/i.test(entry.name) && !/(^|\/)export_cda\.xml$/i.test(entry.name) && !/workout-routes\//i.test(entry.name)
+  );
+  const entry = xmlEntries.find((candidate) => /(^|\/)export\.xml$/i.test(candidate.name)) ||
+    xmlEntries.sort((a, b) => b.uncompressedSize - a.uncompressedSize)[0];
+
+  if (!entry) {
+    throw new Error('This zip file isn\'t an Apple Health export (no export.xml inside)');
+  }
+  return openZipEntry(filePath, entry);
+}
+
+/**
+ * Group sleep samples into sessions like the app's own sync does. Asleep time
+ * is the union of the asleep stages, so overlapping samples from a watch and
+ * a phone aren't counted twice.
+ */
+function buildSleepSessions(samples: SleepSample[]) {
+  samples.sort((a, b) => a.start - b.start);
+
+  const sessions: Array<{ start: number; end: number; endDate: string; samples: SleepSample[] }> = [];
+  for (const sample of samples) {
+    const current = sessions[sessions.length - 1];
+    if (current && sample.start - current.end < SLEEP_SESSION_GAP_MS) {
+      if (sample.end > current.end) {
+        current.end = sample.end;
+        current.endDate = sample.endDate;
+      }
+      current.samples.push(sample);
+    } else {
+      sessions.push({ start: sample.start, end: sample.end, endDate: sample.endDate, samples: [sample] });
+    }
+  }
+
+  return sessions.map((session) => {
+    const stageHours: Record<string, number> = {};
+    let asleepMs = 0;
+    let coveredUntil = 0;
+
+    for (const sample of session.samples) {
+      const stage = SLEEP_STAGE_NAMES[sample.stage] || 'other';
+      stageHours[stage] = (stageHours[stage] || 0) + (sample.end - sample.start) / 3600000;
+
+      if (ASLEEP_STAGES.has(sample.stage)) {
+        const from = Math.max(sample.start, coveredUntil);
+        if (sample.end > from) {
+          asleepMs += sample.end - from;
+          coveredUntil = sample.end;
+        }
+      }
+    }
+
+    return {
+      ...session,
+      asleepHours: asleepMs / 3600000,
+      stageHours: Object.fromEntries(Object.entries(stageHours).map(([stage, hours]) => [stage, round(hours)])),
+    };
+  });
+}
+
+async function runImport({ supabase, userId, filePath, signal }: ImportContext): Promise<ImportResult> {
+  const writer = new HealthImportWriter(supabase, userId);
+  const daily = new DailyMetricAccumulator();
+  const series = new Map<string, ImportedSeries>();
+  const sleepSamples: SleepSample[] = [];
+  const qualityScore = getQualityScore(SOURCE);
+  let workout: WorkoutInProgress | null = null;
+  let workoutCount = 0;
+  let skipped = 0;
+  let elements = 0;
+  let sawRoot = false;
+
+  const track = (name: string, category: string, date: string) => {
+    const entry = series.get(name);
+    if (!entry) {
+      series.set(name, { category, name, records: 1, firstDate: date, lastDate: date });
+    } else {
+      entry.records++;
+      if (date < entry.firstDate) entry.firstDate = date;
+      if (date > entry.lastDate) entry.lastDate = date;
+    }
+  };
+
+  const finishWorkout = async (done: WorkoutInProgress) => {
+    const title = workoutTitle(done.activityType);
+    const durationMinutes = done.durationMinutes ??
+      (done.end ? (done.end.ms - done.start.ms) / 60000 : null);
+
+    await writer.addEvent({
+      event_type: 'workout',
+      start_time: new Date(done.start.ms).toISOString(),
+      end_time: done.end ? new Date(done.end.ms).toISOString() : null,
+      duration_seconds: durationMinutes !== null ? Math.round(durationMinutes * 60) : null,
+      title,
+      description: `${title} recorded by ${done.sourceName || SOURCE}`,
+      metrics: {
+        activity_type: done.activityType,
+        ...(durationMinutes !== null && { duration_minutes: round(durationMinutes, 1) }),
+        ...(done.distanceMi !== null && { distance_mi: round(done.distanceMi) }),
+        ...(done.energyKcal !== null && { active_calories: Math.round(done.energyKcal) }),
+        ...(done.avgHeartRate !== null && { avg_heart_rate: Math.round(done.avgHeartRate) }),
+      },
+      source_app: SOURCE,
+      source_device: done.sourceName || null,
+      quality_score: qualityScore,
+    });
+
+    const date = done.start.date;
+    daily.add(date, 'workout_count', 1, 'sum');
+    if (durationMinutes !== null) {
+      daily.add(date, 'total_workout_minutes', durationMinutes, 'sum');
+    }
+    if (STRENGTH_WORKOUTS.has(done.activityType)) {
+      daily.add(date, 'strength_sessions', 1, 'sum');
+    } else if (FLEXIBILITY_WORKOUTS.has(done.activityType)) {
+      daily.add(date, 'flexibility_sessions', 1, 'sum');
+    }
+    if (!NON_CARDIO_WORKOUTS.has(done.activityType)) {
+      daily.add(date, 'cardio_sessions', 1, 'sum');
+    }
+    track('Workouts', DATA_CATEGORIES.WORKOUT, date);
+    workoutCount++;
+  };
+
+  for await (const event of readXmlEvents(openExportXml(filePath))) {
+    if (++elements % ABORT_CHECK_INTERVAL === 0 && signal?.aborted) {
+      throw new Error('Import was cancelled');
+    }
+    if (event.type === 'close') {
+      if (event.name === 'Workout' && workout) {
+        await finishWorkout(workout);
+        workout = null;
+      }
+      continue;
+    }
+    if (event.type !== 'open') continue;
+
+    if (!sawRoot) {
+      if (event.name !== 'HealthData') {
+        throw new Error('This file isn\'t an Apple Health export (expected a <HealthData> document)');
+      }
+      sawRoot = true;
+      continue;
+    }
+
+    const attributes = event.attributes;
+
+    if (event.name === 'Record') {
+      const start = parseExportDate(attributes.startDate);
+      if (!start) {
+        skipped++;
+        continue;
+      }
+
+      if (attributes.type === SLEEP_TYPE) {
+        const end = parseExportDate(attributes.endDate);
+        if (end && end.ms > start.ms) {
+          sleepSamples.push({ start: start.ms, end: end.ms, endDate: end.date, stage: attributes.value || '' });
+        }
+        continue;
+      }
+
+      const metricType = HK_TO_METRIC_TYPE[attributes.type];
+      const metadata = metricType && getMetricMetadata(metricType);
+      if (!metricType || !metadata) continue;
+
+      const raw = parseFloat(attributes.value);
+      const value = isNaN(raw) ? null : toStandardUnit(raw, attributes.unit || '', metadata.unit);
+      if (value === null || !isFinite(value)) {
+        skipped++;
+        continue;
+      }
+
+      await writer.addSample({
+        data_type: metricType,
+        value: round(value, 4),
+        unit: metadata.unit,
+        recorded_at: new Date(start.ms).toISOString(),
+        source_app: SOURCE,
+        source_device: attributes.sourceName || null,
+        data_category: metadata.category,
+        quality_score: qualityScore,
+        metadata: {
+          hk_type: attributes.type,
+          hk_source: attributes.sourceName || null,
+          ...(attributes.endDate && attributes.endDate !== attributes.startDate && { end_date: attributes.endDate }),
+          imported: true,
+        },
+        is_aggregated: false,
+        is_canonical: true,
+      });
+
+      const dailyColumn = DAILY_COLUMNS[metricType];
+      if (dailyColumn) {
+        daily.add(start.date, dailyColumn.column, value, dailyColumn.mode, attributes.sourceName || '', start.ms);
+      }
+      track(metadata.displayName, metadata.category, start.date);
+    } else if (event.name === 'Workout') {
+      const start = parseExportDate(attributes.startDate);
+      if (!start) {
+        skipped++;
+        continue;
+      }
+
+      const duration = parseFloat(attributes.duration);
+      const distance = parseFloat(attributes.totalDistance);
+      const energy = parseFloat(attributes.totalEnergyBurned);
+      const current: WorkoutInProgress = {
+        activityType: (attributes.workoutActivityType || 'Other').replace('HKWorkoutActivityType', ''),
+        start,
+        end: parseExportDate(attributes.endDate),
+        sourceName: attributes.sourceName || '',
+        durationMinutes: isNaN(duration) ? null : toStandardUnit(duration, attributes.durationUnit || 'min', 'min'),
+        distanceMi: isNaN(distance) ? null : toStandardUnit(distance, attributes.totalDistanceUnit || '', 'mi'),
+        energyKcal: isNaN(energy) ? null : toStandardUnit(energy, attributes.totalEnergyBurnedUnit || '', 'kcal'),
+        avgHeartRate: null,
+      };
+
+      if (event.selfClosing) {
+        await finishWorkout(current);
+      } else {
+        workout = current;
+      }
+    } else if (event.name === 'WorkoutStatistics' && workout) {
+      // Newer exports put a workout's totals here instead of on <Workout>
+      const type = attributes.type || '';
+      const sum = parseFloat(attributes.sum);
+      if (/Distance/.test(type) && !isNaN(sum) && workout.distanceMi === null) {
+        workout.distanceMi = toStandardUnit(sum, attributes.unit || '', 'mi');
+      } else if (type === 'HKQuantityTypeIdentifierActiveEnergyBurned' && !isNaN(sum) && workout.energyKcal === null) {
+        workout.energyKcal = toStandardUnit(sum, attributes.unit || '', 'kcal');
+      } else if (type === 'HKQuantityTypeIdentifierHeartRate') {
+        const average = parseFloat(attributes.average);
+        if (!isNaN(average)) workout.avgHeartRate = average;
+      }
+    }
+  }
+
+  if (!sawRoot) {
+    throw new Error('This file isn\'t an Apple Health export (it is empty)');
+  }
+  if (signal?.aborted) {
+    throw new Error('Import was cancelled');
+  }
+
+  const sessions = buildSleepSessions(sleepSamples);
+  for (const session of sessions) {
+    await writer.addEvent({
+      event_type: 'sleep_session',
+      start_time: new Date(session.start).toISOString(),
+      end_time: new Date(session.end).toISOString(),
+      duration_seconds: Math.round((session.end - session.start) / 1000),
+      title: 'Sleep',
+      description: `Sleep session with ${session.samples.length} stages`,
+      metrics: {
+        total_duration_hours: round((session.end - session.start) / 3600000),
+        asleep_hours: round(session.asleepHours),
+        stages: session.stageHours,
+      },
+      source_app: SOURCE,
+      quality_score: qualityScore,
+    });
+
+    // A night's sleep counts toward the day the user woke up
+    if (session.asleepHours > 0) {
+      daily.add(session.endDate, 'sleep_hours', session.asleepHours, 'sum');
+    }
+    track('Sleep sessions', DATA_CATEGORIES.SLEEP, session.endDate);
+  }
+
+  await writer.flush();
+  const days = await upsertDailyMetrics(supabase, userId, daily.rows());
+
+  const seriesList = Array.from(series.values()).sort((a, b) => b.records - a.records);
+  const dates = daily.dates;
+  const dateRange = dates.length > 0 ? { start: dates[0], end: dates[dates.length - 1] } : undefined;
+  const metricCount = seriesList.filter((entry) => entry.category !== DATA_CATEGORIES.WORKOUT &&
+    entry.name !== 'Sleep sessions').length;
+
+  const parts = [`${plural(writer.sampleCount, 'sample')} across ${plural(metricCount, 'metric')}`];
+  if (workoutCount > 0) parts.push(plural(workoutCount, 'workout'));
+  if (sessions.length > 0) parts.push(plural(sessions.length, 'sleep session'));
+  const summary = `Apple Health export with ${parts.join(', ')}` +
+    (dateRange ? ` from ${formatDate(dateRange.start)} to ${formatDate(dateRange.end)}` : '') +
+    `. Daily metrics were rebuilt for ${plural(days, 'day')}.`;
+
+  console.log('[AppleHealthImport] Imported for user', userId, {
+    samples: writer.sampleCount,
+    events: writer.eventCount,
+    days,
+    skipped,
+  });
+
+  return {
+    summary,
+    dataCategories: Array.from(new Set(seriesList.map((entry) => entry.category))),
+    dateRange,
+    series: seriesList,
+    samples: writer.sampleCount,
+    events: writer.eventCount,
+    days,
+    skipped,
+  };
+}
+
+export const appleHealthImporter: HealthImporter = {
+  name: 'apple_health',
+  label: 'apple-health-export',
+  accepts(fileName: string, mimeType: string) {
+    const base = path.basename(fileName).toLowerCase();
+    return /zip/.test(mimeType) || base.endsWith('.zip') || base === 'export.xml';
+  },
+  run: runImport,
+};
+
+export default appleHealthImporter;
@@ -0,0 +1,427 @@
+/**
+ * C-CDA Importer
+ *
+ * Imports C-CDA documents (CCD, discharge summaries) exported from patient
+ * portals and EHRs:
+ * 1. Streams the document and keeps the entries of five sections, found by
+ *    their LOINC code or template id: results, vital signs, problems,
+ *    medications and immunizations
+ * 2. Builds each entry as a small element tree and reads it: result and vital
+ *    sign observations (grouped by organizer), problem observations inside
+ *    their concern acts, and medication/vaccine substance administrations
+ *
+ * Coded values are used as coded (displayName, else originalText); narrative
+ * references aren't followed. Negated entries ("no known problems") are
+ * skipped.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { ExtractedLabResult } from '../fileParsingService';
+import {
+  CodedConcept,
+  codeSystemName,
+  ConditionStatus,
+  MedicalRecordSet,
+  MedicationStatus,
+  toRecordDate,
+  toRecordTime,
+  writeMedicalRecords,
+} from './medicalRecords';
+import { readXmlEvents } from './xmlStream';
+import { HealthImporter, ImportContext, ImportResult } from './types';
+
+type SectionKind = 'results' | 'vitals' | 'problems' | 'medications' | 'immunizations';
+
+interface CdaElement {
+  name: string;
+  attributes: Record<string, string>;
+  children: CdaElement[];
+  text: string;
+}
+
+const CCDA_EXTENSIONS = ['.xml', '.cda', '.ccd', '.ccda'];
+const CCDA_MIME_TYPES = ['application/hl7-cda+xml'];
+
+const LOINC_OID = '2.16.840.1.113883.6.1';
+
+// Section LOINC codes and template ids (with and without coded entries)
+const SECTIONS: Record<string, SectionKind> = {
+  '30954-2': 'results',
+  '2.16.840.1.113883.10.20.22.2.3': 'results',
+  '2.16.840.1.113883.10.20.22.2.3.1': 'results',
+  '8716-3': 'vitals',
+  '2.16.840.1.113883.10.20.22.2.4': 'vitals',
+  '2.16.840.1.113883.10.20.22.2.4.1': 'vitals',
+  '11450-4': 'problems',
+  '2.16.840.1.113883.10.20.22.2.5': 'problems',
+  '2.16.840.1.113883.10.20.22.2.5.1': 'problems',
+  '10160-0': 'medications',
+  '2.16.840.1.113883.10.20.22.2.1': 'medications',
+  '2.16.840.1.113883.10.20.22.2.1.1': 'medications',
+  '11369-6': 'immunizations',
+  '2.16.840.1.113883.10.20.22.2.2': 'immunizations',
+  '2.16.840.1.113883.10.20.22.2.2.1': 'immunizations',
+};
+
+// Problem status observation values (SNOMED CT)
+const PROBLEM_STATUSES: Record<string, ConditionStatus> = {
+  '55561003': 'active',
+  '73425007': 'inactive',
+  '413322009': 'resolved',
+};
+
+const MEDICATION_STATUSES: Record<string, MedicationStatus> = {
+  active: 'active',
+  completed: 'completed',
+  aborted: 'stopped',
+  suspended: 'on_hold',
+  new: 'intended',
+  held: 'on_hold',
+};
+
+const VOIDED_STATUSES = ['cancelled', 'nullified'];
+
+function localName(name: string): string {
+  const colon = name.indexOf(':');
+  return colon < 0 ? name : name.slice(colon + 1);
+}
+
+function child(element: CdaElement | undefined, ...names: string[]): CdaElement | undefined {
+  let current = element;
+  for (const name of names) {
+    current = current?.children.find((candidate) => candidate.name === name);
+  }
+  return current;
+}
+
+function childrenNamed(element: CdaElement | undefined, name: string): CdaElement[] {
+  return element ? element.children.filter((candidate) => candidate.name === name) : [];
+}
+
+function xsiType(element: CdaElement | undefined): string {
+  const type = element?.attributes['xsi:type'] || '';
+  return localName(type);
+}
+
+function isNegated(element: CdaElement | undefined): boolean {
+  return element?.attributes.negationInd === 'true';
+}
+
+function numberAttribute(element: CdaElement | undefined, name = 'value'): number | null {
+  const value = parseFloat(element?.attributes[name] ?? '');
+  return isNaN(value) ? null : value;
+}
+
+/** Point in time of an effectiveTime: its value, else the start of its interval */
+function timeValue(element: CdaElement | undefined): string | undefined {
+  return element?.attributes.value || child(element, 'low')?.attributes.value;
+}
+
+function sourceId(element: CdaElement | undefined): string | null {
+  const id = child(element, 'id');
+  return id?.attributes.extension || id?.attributes.root || null;
+}
+
+/**
+ * Name and code of a coded element (code, value or material code), preferring
+ * a translation from the given systems when the main code is another one
+ */
+function toConcept(element: CdaElement | undefined, preferredSystems: string[] = []): CodedConcept | null {
+  if (!element) return null;
+
+  const candidates = [element, ...childrenNamed(element, 'translation')]
+    .filter((candidate) => candidate.attributes.code);
+  const coded = candidates.find((candidate) => preferredSystems.includes(codeSystemName(candidate.attributes.codeSystem) || '')) ||
+    candidates[0];
+
+  const name = (element.attributes.displayName || child(element, 'originalText')?.text ||
+    coded?.attributes.displayName || '').trim();
+  if (!name) return null;
+
+  return {
+    name,
+    code: coded?.attributes.code || null,
+    codeSystem: codeSystemName(coded?.attributes.codeSystem),
+  };
+}
+
+function loincCode(element: CdaElement | undefined): string | undefined {
+  if (!element) return undefined;
+  return [element, ...childrenNamed(element, 'translation')]
+    .find((candidate) => candidate.attributes.codeSystem === LOINC_OID && candidate.attributes.code)
+    ?.attributes.code;
+}
+
+/** The observations of a results or vital signs entry, with their panel */
+function entryObservations(entry: CdaElement): Array<{ observation: CdaElement; panel?: string }> {
+  const organizer = child(entry, 'organizer');
+  if (!organizer) {
+    const observation = child(entry, 'observation');
+    return observation ? [{ observation }] : [];
+  }
+  const panel = toConcept(child(organizer, 'code'))?.name;
+  return childrenNamed(organizer, 'component')
+    .map((component) => child(component, 'observation'))
+    .filter((observation): observation is CdaElement => !!observation)
+    .map((observation) => ({ observation, panel }));
+}
+
+function toLabResult(observation: CdaElement, panel: string | undefined): ExtractedLabResult | null {
+  const concept = toConcept(child(observation, 'code'), ['LOINC']);
+  const value = child(observation, 'value');
+  if (!concept || !value || value.attributes.nullFlavor) return null;
+
+  let reported: number | string | null;
+  let unit: string | undefined;
+  const type = xsiType(value);
+  if (type === 'PQ' || type === 'INT' || type === 'REAL') {
+    reported = numberAttribute(value);
+    unit = value.attributes.unit && value.attributes.unit !== '1' ? value.attributes.unit : undefined;
+  } else if (type === 'CD' || type === 'CE' || type === 'CO') {
+    reported = toConcept(value)?.name || null;
+  } else {
+    reported = value.text.trim() || null;
+  }
+  if (reported === null) return null;
+
+  const range = child(observation, 'referenceRange', 'observationRange');
+  const rangeValue = child(range, 'value');
+  return {
+    name: concept.name,
+    value: reported,
+    unit,
+    referenceLow: numberAttribute(child(rangeValue, 'low')),
+    referenceHigh: numberAttribute(child(rangeValue, 'high')),
+    referenceRange: child(range, 'text')?.text.trim() || undefined,
+    flag: child(observation, 'interpretationCode')?.attributes.code,
+    collectionDate: toRecordDate(timeValue(child(observation, 'effectiveTime'))) || undefined,
+    panel,
+    loinc: loincCode(child(observation, 'code')),
+  };
+}
+
+function readResultsEntry(entry: CdaElement, records: MedicalRecordSet) {
+  for (const { observation, panel } of entryObservations(entry)) {
+    const result = isNegated(observation) ? null : toLabResult(observation, panel);
+    if (result) records.labResults.push(result);
+    else records.skipped++;
+  }
+}
+
+function readVitalsEntry(entry: CdaElement, records: MedicalRecordSet) {
+  const organizerTime = timeValue(child(entry, 'organizer', 'effectiveTime'));
+  for (const { observation } of entryObservations(entry)) {
+    const loinc = loincCode(child(observation, 'code'));
+    const value = child(observation, 'value');
+    const number = numberAttribute(value);
+    const recordedAt = toRecordTime(timeValue(child(observation, 'effectiveTime')) || organizerTime);
+    if (!loinc || number === null || recordedAt === null || isNegated(observation)) {
+      records.skipped++;
+      continue;
+    }
+    records.vitals.push({ loinc, value: number, unit: value?.attributes.unit || null, recordedAt });
+  }
+}
+
+function readProblemsEntry(entry: CdaElement, records: MedicalRecordSet) {
+  const act = child(entry, 'act');
+  const observations = act
+    ? childrenNamed(act, 'entryRelationship').map((relationship) => child(relationship, 'observation'))
+    : [child(entry, 'observation')];
+
+  for (const observation of observations) {
+    if (!observation) continue;
+    const concept = toConcept(child(observation, 'value'), ['SNOMED', 'ICD-10-CM']);
+    if (!concept || isNegated(observation) || (child(observation, 'value')?.attributes.nullFlavor && !concept.code)) {
+      records.skipped++;
+      continue;
+    }
+
+    const time = child(observation, 'effectiveTime');
+    const abatementDate = toRecordDate(child(time, 'high')?.attributes.value);
+    const statusObservation = childrenNamed(observation, 'entryRelationship')
+      .map((relationship) => child(relationship, 'observation'))
+      .find((candidate) => child(candidate, 'code')?.attributes.code === '33999-4');
+    const concernStatus = child(act, 'statusCode')?.attributes.code;
+
+    let status: ConditionStatus | null = PROBLEM_STATUSES[child(statusObservation, 'value')?.attributes.code || ''] || null;
+    if (!status && abatementDate) status = 'resolved';
+    if (!status && concernStatus === 'active') status = 'active';
+    if (!status && concernStatus === 'completed') status = 'resolved';
+
+    records.conditions.push({
+      ...concept,
+      status,
+      onsetDate: toRecordDate(timeValue(time)),
+      abatementDate,
+      recordedDate: toRecordDate(timeValue(child(act, 'effectiveTime'))),
+      sourceId: sourceId(observation),
+    });
+  }
+}
+
+/** Drug or vaccine of a substance administration */
+function administeredMaterial(administration: CdaElement, preferredSystems: string[]): CodedConcept | null {
+  const material = child(administration, 'consumable', 'manufacturedProduct', 'manufacturedMaterial');
+  const concept = toConcept(child(material, 'code'), preferredSystems);
+  if (concept) return concept;
+  const name = child(material, 'name')?.text.trim();
+  return name ? { name, code: null, codeSystem: null } : null;
+}
+
+function readMedicationsEntry(entry: CdaElement, records: MedicalRecordSet) {
+  const administration = child(entry, 'substanceAdministration');
+  const statusCode = child(administration, 'statusCode')?.attributes.code || '';
+  const concept = administration ? administeredMaterial(administration, ['RxNorm']) : null;
+  if (!administration || !concept || isNegated(administration) || VOIDED_STATUSES.includes(statusCode)) {
+    records.skipped++;
+    return;
+  }
+
+  // One effectiveTime gives the period taken, another (PIVL_TS) the frequency
+  const times = childrenNamed(administration, 'effectiveTime');
+  const period = times.find((time) => child(time, 'low') || child(time, 'high') || xsiType(time) === 'IVL_TS') ||
+    times.find((time) => time.attributes.value);
+  const frequency = child(times.find((time) => xsiType(time) === 'PIVL_TS'), 'period');
+
+  const doseElement = child(administration, 'doseQuantity');
+  const dose = numberAttribute(doseElement);
+  const doseUnit = doseElement?.attributes.unit && doseElement.attributes.unit !== '1' ? doseElement.attributes.unit : '';
+  const dosage = [
+    dose !== null ? `${dose} ${doseUnit}`.trim() : null,
+    frequency?.attributes.value ? `every ${frequency.attributes.value} ${frequency.attributes.unit || 'h'}` : null,
+  ].filter(Boolean).join(', ');
+
+  records.medications.push({
+    ...concept,
+    status: MEDICATION_STATUSES[statusCode] || null,
+    dosage: dosage || null,
+    route: toConcept(child(administration, 'routeCode'))?.name || null,
+    startDate: toRecordDate(timeValue(period)),
+    endDate: toRecordDate(child(period, 'high')?.attributes.value),
+    sourceId: sourceId(administration),
+  });
+}
+
+function readImmunizationsEntry(entry: CdaElement, records: MedicalRecordSet) {
+  const administration = child(entry, 'substanceAdministration');
+  const statusCode = child(administration, 'statusCode')?.attributes.code || '';
+  const concept = administration ? administeredMaterial(administration, ['CVX']) : null;
+  if (!administration || !concept || isNegated(administration) || VOIDED_STATUSES.includes(statusCode)) {
+    records.skipped++;
+    return;
+  }
+
+  const material = child(administration, 'consumable', 'manufacturedProduct', 'manufacturedMaterial');
+  records.immunizations.push({
+    ...concept,
+    administeredOn: toRecordDate(timeValue(child(administration, 'effectiveTime'))),
+    lotNumber: child(material, 'lotNumberText')?.text.trim() || null,
+    sourceId: sourceId(administration),
+  });
+}
+
+const ENTRY_READERS: Record<SectionKind, (entry: CdaElement, records: MedicalRecordSet) => void> = {
+  results: readResultsEntry,
+  vitals: readVitalsEntry,
+  problems: readProblemsEntry,
+  medications: readMedicationsEntry,
+  immunizations: readImmunizationsEntry,
+};
+
+/**
+ * Read the clinical entries of a C-CDA document
+ */
+export async function readCcdaRecords(filePath: string, signal?: AbortSignal): Promise<MedicalRecordSet> {
+  const records: MedicalRecordSet = {
+    labResults: [],
+    vitals: [],
+    conditions: [],
+    medications: [],
+    immunizations: [],
+    skipped: 0,
+  };
+
+  const names: string[] = [];
+  // Kind of each open section; subsections inherit their parent's
+  const sections: Array<SectionKind | null> = [];
+  // Elements of the entry being built, outermost first
+  let entryPath: CdaElement[] = [];
+  let sawRoot = false;
+
+  for await (const event of readXmlEvents(fs.createReadStream(filePath), { text: true })) {
+    if (signal?.aborted) {
+      throw new Error('Import was cancelled');
+    }
+
+    if (event.type === 'open') {
+      const name = localName(event.name);
+      if (!sawRoot) {
+        if (name !== 'ClinicalDocument') {
+          throw new Error('This file isn\'t a C-CDA document');
+        }
+        sawRoot = true;
+      }
+
+      const parent = names[names.length - 1];
+      const kind = sections.length > 0 ? sections[sections.length - 1] : null;
+
+      if (entryPath.length > 0) {
+        const element: CdaElement = { name, attributes: event.attributes, children: [], text: '' };
+        entryPath[entryPath.length - 1].children.push(element);
+        if (!event.selfClosing) entryPath.push(element);
+      } else if (name === 'section') {
+        sections.push(kind);
+      } else if (parent === 'section' && (name === 'code' || name === 'templateId')) {
+        const key = name === 'code' ? event.attributes.code : event.attributes.root;
+        if (key && SECTIONS[key]) sections[sections.length - 1] = SECTIONS[key];
+      } else if (name === 'entry' && kind && !event.selfClosing) {
+        entryPath = [{ name, attributes: event.attributes, children: [], text: '' }];
+      }
+
+      if (!event.selfClosing) names.push(name);
+      continue;
+    }
+
+    if (event.type === 'close') {
+      const name = names.pop();
+      if (entryPath.length === 1 && name === 'entry') {
+        const kind = sections[sections.length - 1];
+        if (kind) ENTRY_READERS[kind](entryPath[0], records);
+        entryPath = [];
+      } else if (entryPath.length > 1) {
+        entryPath.pop();
+      } else if (name === 'section') {
+        sections.pop();
+      }
+      continue;
+    }
+
+    if (entryPath.length > 0) {
+      entryPath[entryPath.length - 1].text += event.text;
+    }
+  }
+
+  if (!sawRoot) {
+    throw new Error('This file isn\'t a C-CDA document (it is empty)');
+  }
+  return records;
+}
+
+async function runImport(context: ImportContext): Promise<ImportResult> {
+  const records = await readCcdaRecords(context.filePath, context.signal);
+  return writeMedicalRecords(context, records, 'ccda');
+}
+
+export const ccdaImporter: HealthImporter = {
+  name: 'ccda',
+  label: 'ccda-import',
+  accepts(fileName: string, mimeType: string) {
+    const extension = path.extname(fileName).toLowerCase();
+    return CCDA_EXTENSIONS.includes(extension) || CCDA_MIME_TYPES.includes(mimeType);
+  },
+  run: runImport,
+};
+
+export default ccdaImporter;
@@ -0,0 +1,336 @@
+/**
+ * FHIR Importer
+ *
+ * Imports FHIR R4 JSON exported from patient portals (a Bundle, a single
+ * resource, or bulk-export NDJSON with one resource per line):
+ * 1. Observations: laboratory results become lab results (with their LOINC
+ *    code, reference range, interpretation and DiagnosticReport panel), and
+ *    vital signs become metrics, blood pressure panels by component
+ * 2. Conditions, MedicationStatements (and MedicationRequests, which some
+ *    portals export instead) and Immunizations become clinical list rows,
+ *    resolving Medication references within the file
+ *
+ * Entered-in-error, refuted, cancelled and not-done resources are skipped.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { ExtractedLabResult } from '../fileParsingService';
+import {
+  CodedConcept,
+  codeSystemName,
+  ConditionStatus,
+  MedicalRecordSet,
+  MedicationStatus,
+  toRecordDate,
+  toRecordTime,
+  VITAL_SIGN_METRICS,
+  writeMedicalRecords,
+} from './medicalRecords';
+import { HealthImporter, ImportContext, ImportResult } from './types';
+
+type FhirResource = Record<string, any>;
+
+/** FHIR files are parsed in memory; portal exports are a few MB */
+const MAX_FHIR_BYTES = 256 * 1024 * 1024;
+const FHIR_EXTENSIONS = ['.json', '.ndjson'];
+const FHIR_MIME_TYPES = ['application/fhir+json', 'application/json', 'application/x-ndjson', 'application/fhir+ndjson'];
+
+const LOINC = 'http://loinc.org';
+const BLOOD_PRESSURE_PANELS = ['85354-9', '55284-4'];
+
+const ERROR_STATUSES = ['entered-in-error', 'cancelled', 'not-done', 'draft', 'not-taken'];
+
+const CONDITION_STATUSES: Record<string, ConditionStatus> = {
+  active: 'active',
+  recurrence: 'active',
+  relapse: 'active',
+  inactive: 'inactive',
+  remission: 'inactive',
+  resolved: 'resolved',
+};
+
+const MEDICATION_STATUSES: Record<string, MedicationStatus> = {
+  'active': 'active',
+  'completed': 'completed',
+  'stopped': 'stopped',
+  'on-hold': 'on_hold',
+  'intended': 'intended',
+  'unknown': 'unknown',
+};
+
+/**
+ * Every resource in the file, with Bundles (including nested ones) flattened
+ */
+function readResources(filePath: string): FhirResource[] {
+  if (fs.statSync(filePath).size > MAX_FHIR_BYTES) {
+    throw new Error('This FHIR file is too large to import');
+  }
+  const text = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+
+  let roots: FhirResource[];
+  try {
+    roots = [JSON.parse(text)];
+  } catch (error) {
+    // Bulk data exports are newline-delimited
+    try {
+      roots = text.split('\n').filter((line) => line.trim()).map((line) => JSON.parse(line));
+    } catch (lineError) {
+      throw new Error('This file isn\'t valid FHIR JSON');
+    }
+  }
+
+  const resources: FhirResource[] = [];
+  const collect = (resource: any) => {
+    if (!resource || typeof resource !== 'object' || typeof resource.resourceType !== 'string') return;
+    if (resource.resourceType === 'Bundle') {
+      (resource.entry || []).forEach((entry: any) => collect(entry?.resource));
+    } else {
+      resources.push(resource);
+    }
+  };
+  roots.forEach(collect);
+
+  if (resources.length === 0) {
+    throw new Error('This file isn\'t a FHIR bundle or resource');
+  }
+  return resources;
+}
+
+/** Id of the resource a Reference points at ("Medication/12", "urn:uuid:...", "#med1") */
+function referenceId(reference: any): string | undefined {
+  return String(reference?.reference || '').replace(/^#|^urn:uuid:/, '').split('/').pop() || undefined;
+}
+
+function codings(concept: any): any[] {
+  return Array.isArray(concept?.coding) ? concept.coding : [];
+}
+
+/**
+ * Name and code of a CodeableConcept, preferring a coding from the given
+ * systems
+ */
+function toConcept(concept: any, preferredSystems: string[] = []): CodedConcept | null {
+  const all = codings(concept);
+  const coding = all.find((candidate) => preferredSystems.includes(codeSystemName(candidate.system) || '')) ||
+    all.find((candidate) => candidate.code) ||
+    all[0];
+  const name = (concept?.text || coding?.display || all.find((candidate) => candidate.display)?.display || '').trim();
+  if (!name) return null;
+  return {
+    name,
+    code: coding?.code || null,
+    codeSystem: codeSystemName(coding?.system),
+  };
+}
+
+function loincCode(concept: any): string | undefined {
+  return codings(concept).find((coding) => coding.system === LOINC && coding.code)?.code;
+}
+
+function hasCategory(resource: FhirResource, code: string): boolean {
+  const categories = Array.isArray(resource.category) ? resource.category : [resource.category];
+  return categories.some((category: any) => codings(category).some((coding) => coding.code === code));
+}
+
+function effectiveTime(resource: FhirResource): string | undefined {
+  return resource.effectiveDateTime || resource.effectivePeriod?.start || resource.effectiveInstant || resource.issued;
+}
+
+function statusCode(value: any): string | undefined {
+  return typeof value === 'string' ? value : codings(value)[0]?.code;
+}
+
+/** Display text of a value[x] that isn't a Quantity */
+function valueText(resource: FhirResource): string | null {
+  if (typeof resource.valueString === 'string') return resource.valueString;
+  if (resource.valueCodeableConcept) return toConcept(resource.valueCodeableConcept)?.name || null;
+  if (typeof resource.valueBoolean === 'boolean') return resource.valueBoolean ? 'Positive' : 'Negative';
+  if (typeof resource.valueInteger === 'number') return String(resource.valueInteger);
+  return null;
+}
+
+function toLabResult(observation: FhirResource, panels: Map<string, string>): ExtractedLabResult | null {
+  const concept = toConcept(observation.code, ['LOINC']);
+  const quantity = observation.valueQuantity;
+  const text = valueText(observation);
+  if (!concept || (typeof quantity?.value !== 'number' && text === null)) return null;
+
+  const range = Array.isArray(observation.referenceRange) ? observation.referenceRange[0] : undefined;
+  const comparator = quantity?.comparator;
+  return {
+    name: concept.name,
+    // "<0.5" keeps its comparator, as on a printed report
+    value: typeof quantity?.value === 'number' ? (comparator ? `${comparator}${quantity.value}` : quantity.value) : text,
+    unit: quantity?.unit || quantity?.code || undefined,
+    referenceLow: typeof range?.low?.value === 'number' ? range.low.value : null,
+    referenceHigh: typeof range?.high?.value === 'number' ? range.high.value : null,
+    referenceRange: range?.text || undefined,
+    flag: codings(observation.interpretation?.[0])[0]?.code || observation.interpretation?.[0]?.text || undefined,
+    collectionDate: toRecordDate(effectiveTime(observation)) || undefined,
+    panel: panels.get(observation.id) || undefined,
+    loinc: loincCode(observation.code),
+  };
+}
+
+/**
+ * Read the clinical resources in a list of FHIR resources
+ */
+export function readFhirRecords(resources: FhirResource[]): MedicalRecordSet {
+  const records: MedicalRecordSet = {
+    labResults: [],
+    vitals: [],
+    conditions: [],
+    medications: [],
+    immunizations: [],
+    skipped: 0,
+  };
+
+  // Panels name their results; Medications are referenced by statements
+  const panels = new Map<string, string>();
+  const medications = new Map<string, FhirResource>();
+  for (const resource of resources) {
+    if (resource.resourceType === 'DiagnosticReport') {
+      const name = toConcept(resource.code)?.name;
+      (resource.result || []).forEach((reference: any) => {
+        const id = referenceId(reference);
+        if (name && id) panels.set(id, name);
+      });
+    } else if (resource.resourceType === 'Medication' && resource.id) {
+      medications.set(String(resource.id), resource);
+    }
+    (resource.contained || []).forEach((contained: any) => {
+      if (contained?.resourceType === 'Medication' && contained.id) {
+        medications.set(String(contained.id), contained);
+      }
+    });
+  }
+
+  const medicationConcept = (resource: FhirResource): CodedConcept | null => {
+    const concept = resource.medicationCodeableConcept || resource.medication?.concept;
+    if (concept) return toConcept(concept, ['RxNorm']);
+    const reference = resource.medicationReference || resource.medication?.reference;
+    const id = referenceId(reference);
+    const medication = id ? medications.get(id) : undefined;
+    return (medication && toConcept(medication.code, ['RxNorm'])) ||
+      (reference?.display ? { name: reference.display, code: null, codeSystem: null } : null);
+  };
+
+  for (const resource of resources) {
+    const status = statusCode(resource.status);
+    if (status && ERROR_STATUSES.includes(status)) {
+      records.skipped++;
+      continue;
+    }
+
+    switch (resource.resourceType) {
+      case 'Observation': {
+        const loinc = loincCode(resource.code);
+        const isVital = hasCategory(resource, 'vital-signs') ||
+          (!!loinc && (VITAL_SIGN_METRICS[loinc] !== undefined || BLOOD_PRESSURE_PANELS.includes(loinc)));
+
+        if (isVital) {
+          const recordedAt = toRecordTime(effectiveTime(resource));
+          const parts = loinc && BLOOD_PRESSURE_PANELS.includes(loinc) ? resource.component || [] : [resource];
+          let added = 0;
+          for (const part of parts) {
+            const partLoinc = loincCode(part.code);
+            const quantity = part.valueQuantity;
+            if (recordedAt !== null && partLoinc && VITAL_SIGN_METRICS[partLoinc] && typeof quantity?.value === 'number') {
+              records.vitals.push({ loinc: partLoinc, value: quantity.value, unit: quantity.code || quantity.unit || null, recordedAt });
+              added++;
+            }
+          }
+          if (added === 0) records.skipped++;
+        } else if (hasCategory(resource, 'laboratory') || !resource.category) {
+          const result = toLabResult(resource, panels);
+          if (result) records.labResults.push(result);
+          else records.skipped++;
+        } else {
+          // Social history, surveys, exam findings
+          records.skipped++;
+        }
+        break;
+      }
+
+      case 'Condition': {
+        const verification = statusCode(resource.verificationStatus);
+        const concept = toConcept(resource.code, ['SNOMED', 'ICD-10-CM']);
+        if (!concept || verification === 'entered-in-error' || verification === 'refuted') {
+          records.skipped++;
+          break;
+        }
+        const clinical = statusCode(resource.clinicalStatus);
+        const abatement = resource.abatementDateTime || resource.abatementPeriod?.end;
+        records.conditions.push({
+          ...concept,
+          status: (clinical && CONDITION_STATUSES[clinical]) || (abatement ? 'resolved' : null),
+          onsetDate: toRecordDate(resource.onsetDateTime || resource.onsetPeriod?.start),
+          abatementDate: toRecordDate(abatement),
+          recordedDate: toRecordDate(resource.recordedDate || resource.assertedDate),
+          sourceId: resource.id || null,
+        });
+        break;
+      }
+
+      case 'MedicationStatement':
+      case 'MedicationRequest': {
+        const concept = medicationConcept(resource);
+        if (!concept) {
+          records.skipped++;
+          break;
+        }
+        const dosage = (resource.dosage || resource.dosageInstruction || [])[0];
+        const dose = dosage?.doseAndRate?.[0]?.doseQuantity;
+        records.medications.push({
+          ...concept,
+          status: (status && MEDICATION_STATUSES[status]) || null,
+          dosage: dosage?.text || (typeof dose?.value === 'number' ? `${dose.value} ${dose.unit || ''}`.trim() : null),
+          route: (dosage?.route && toConcept(dosage.route)?.name) || null,
+          startDate: toRecordDate(resource.effectiveDateTime || resource.effectivePeriod?.start ||
+            resource.dispenseRequest?.validityPeriod?.start || resource.authoredOn),
+          endDate: toRecordDate(resource.effectivePeriod?.end || resource.dispenseRequest?.validityPeriod?.end),
+          sourceId: resource.id || null,
+        });
+        break;
+      }
+
+      case 'Immunization': {
+        const concept = toConcept(resource.vaccineCode, ['CVX']);
+        if (!concept || resource.notGiven === true) {
+          records.skipped++;
+          break;
+        }
+        records.immunizations.push({
+          ...concept,
+          administeredOn: toRecordDate(resource.occurrenceDateTime || resource.date),
+          lotNumber: resource.lotNumber || null,
+          sourceId: resource.id || null,
+        });
+        break;
+      }
+    }
+  }
+
+  return records;
+}
+
+async function runImport(context: ImportContext): Promise<ImportResult> {
+  const records = readFhirRecords(readResources(context.filePath));
+  if (context.signal?.aborted) {
+    throw new Error('Import was cancelled');
+  }
+  return writeMedicalRecords(context, records, 'fhir');
+}
+
+export const fhirImporter: HealthImporter = {
+  name: 'fhir',
+  label: 'fhir-import',
+  accepts(fileName: string, mimeType: string) {
+    const extension = path.extname(fileName).toLowerCase();
+    return FHIR_EXTENSIONS.includes(extension) || FHIR_MIME_TYPES.includes(mimeType);
+  },
+  run: runImport,
+};
+
+export default fhirImporter;
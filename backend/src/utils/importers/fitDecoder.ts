@@ -0,0 +1,294 @@
+/**
+ * FIT Decoder
+ *
+ * Decodes Garmin's binary FIT activity files (also written by Wahoo, Coros,
+ * Zwift and most bike computers):
+ * 1. Walks the definition and data messages of each (possibly chained) FIT
+ *    file, including compressed-timestamp records and developer fields
+ * 2. Keeps the messages an activity needs: file_id (device), session
+ *    (totals per sport), record (the samples) and activity (local time)
+ * 3. Returns one activity per session, with its records as track points
+ *
+ * Only the profile fields listed below are read; everything else is skipped
+ * by size, so newer SDK messages don't break decoding.
+ */
+
+import { ParsedActivity, TrackPoint } from './types';
+
+/** FIT timestamps count seconds from 1989-12-31T00:00:00Z */
+const FIT_EPOCH_MS = 631065600000;
+const SEMICIRCLES_TO_DEGREES = 180 / Math.pow(2, 31);
+const TIMESTAMP_FIELD = 253;
+
+const MESG_FILE_ID = 0;
+const MESG_SESSION = 18;
+const MESG_RECORD = 20;
+const MESG_ACTIVITY = 34;
+const MESSAGES_READ = new Set([MESG_FILE_ID, MESG_SESSION, MESG_RECORD, MESG_ACTIVITY]);
+
+// Base type number -> [size in bytes, invalid value]
+const BASE_TYPES: Record<number, [number, number | null]> = {
+  0x00: [1, 0xff], // enum
+  0x01: [1, 0x7f], // sint8
+  0x02: [1, 0xff], // uint8
+  0x03: [2, 0x7fff], // sint16
+  0x04: [2, 0xffff], // uint16
+  0x05: [4, 0x7fffffff], // sint32
+  0x06: [4, 0xffffffff], // uint32
+  0x08: [4, null], // float32
+  0x09: [8, null], // float64
+  0x0a: [1, 0x00], // uint8z
+  0x0b: [2, 0x0000], // uint16z
+  0x0c: [4, 0x00000000], // uint32z
+  0x0d: [1, 0xff], // byte
+};
+
+const SPORTS: Record<number, string> = {
+  0: 'generic',
+  1: 'running',
+  2: 'cycling',
+  4: 'fitness_equipment',
+  5: 'swimming',
+  10: 'training',
+  11: 'walking',
+  12: 'cross_country_skiing',
+  13: 'alpine_skiing',
+  15: 'rowing',
+  16: 'mountaineering',
+  17: 'hiking',
+  19: 'paddling',
+  37: 'stand_up_paddleboarding',
+};
+
+const SUB_SPORTS: Record<number, string> = {
+  20: 'strength_training',
+  43: 'yoga',
+  44: 'pilates',
+};
+
+const MANUFACTURERS: Record<number, string> = {
+  1: 'Garmin',
+  23: 'Suunto',
+  32: 'Wahoo',
+  89: 'Tacx',
+  123: 'Polar',
+  260: 'Zwift',
+  289: 'Hammerhead',
+  294: 'Coros',
+};
+
+interface FieldDefinition {
+  num: number;
+  size: number;
+  baseType: number;
+}
+
+interface MessageDefinition {
+  globalNum: number;
+  littleEndian: boolean;
+  fields: FieldDefinition[];
+  /** Bytes of developer fields to skip after the profile fields */
+  developerSize: number;
+}
+
+type FitMessage = Record<number, number>;
+
+interface FitMessages {
+  fileIds: FitMessage[];
+  sessions: FitMessage[];
+  records: FitMessage[];
+  activities: FitMessage[];
+}
+
+function readField(buffer: Buffer, offset: number, field: FieldDefinition, littleEndian: boolean): number | null {
+  const baseType = BASE_TYPES[field.baseType & 0x1f];
+  // Strings and arrays: only single values are used here
+  if (!baseType || field.size !== baseType[0]) return null;
+
+  let value: number;
+  switch (field.baseType & 0x1f) {
+    case 0x01: value = buffer.readInt8(offset); break;
+    case 0x03: value = littleEndian ? buffer.readInt16LE(offset) : buffer.readInt16BE(offset); break;
+    case 0x04:
+    case 0x0b: value = littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset); break;
+    case 0x05: value = littleEndian ? buffer.readInt32LE(offset) : buffer.readInt32BE(offset); break;
+    case 0x06:
+    case 0x0c: value = littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset); break;
+    case 0x08: value = littleEndian ? buffer.readFloatLE(offset) : buffer.readFloatBE(offset); break;
+    case 0x09: value = littleEndian ? buffer.readDoubleLE(offset) : buffer.readDoubleBE(offset); break;
+    default: value = buffer.readUInt8(offset);
+  }
+
+  if (baseType[1] !== null && value === baseType[1]) return null;
+  return isFinite(value) ? value : null;
+}
+
+/**
+ * Read the messages we use from every FIT file in the buffer
+ */
+function readMessages(buffer: Buffer): FitMessages {
+  const messages: FitMessages = { fileIds: [], sessions: [], records: [], activities: [] };
+  let fileStart = 0;
+
+  while (fileStart + 12 <= buffer.length) {
+    const headerSize = buffer[fileStart];
+    if ((headerSize !== 12 && headerSize !== 14) || buffer.toString('ascii', fileStart + 8, fileStart + 12) !== '.FIT') {
+      if (fileStart === 0) {
+        throw new Error('This isn\'t a valid FIT file');
+      }
+      break;
+    }
+
+    const dataEnd = Math.min(fileStart + headerSize + buffer.readUInt32LE(fileStart + 4), buffer.length);
+    const definitions = new Map<number, MessageDefinition>();
+    let lastTimestamp = 0;
+    let position = fileStart + headerSize;
+
+    while (position < dataEnd) {
+      const header = buffer[position++];
+
+      if (header & 0x40 && !(header & 0x80)) {
+        // Definition message
+        const littleEndian = buffer[position + 1] === 0;
+        const globalNum = littleEndian ? buffer.readUInt16LE(position + 2) : buffer.readUInt16BE(position + 2);
+        const fieldCount = buffer[position + 4];
+        position += 5;
+
+        const fields: FieldDefinition[] = [];
+        for (let i = 0; i < fieldCount; i++, position += 3) {
+          fields.push({ num: buffer[position], size: buffer[position + 1], baseType: buffer[position + 2] });
+        }
+
+        let developerSize = 0;
+        if (header & 0x20) {
+          const developerCount = buffer[position++];
+          for (let i = 0; i < developerCount; i++, position += 3) {
+            developerSize += buffer[position + 1];
+          }
+        }
+
+        definitions.set(header & 0x0f, { globalNum, littleEndian, fields, developerSize });
+        continue;
+      }
+
+      // Data message, with the time offset in the header when compressed
+      const compressed = (header & 0x80) !== 0;
+      const definition = definitions.get(compressed ? (header >> 5) & 0x03 : header & 0x0f);
+      if (!definition) {
+        throw new Error('This FIT file is damaged (data before its definition)');
+      }
+
+      const message: FitMessage = {};
+      for (const field of definition.fields) {
+        if (MESSAGES_READ.has(definition.globalNum)) {
+          const value = readField(buffer, position, field, definition.littleEndian);
+          if (value !== null) message[field.num] = value;
+        }
+        position += field.size;
+      }
+      position += definition.developerSize;
+
+      if (compressed) {
+        const offset = header & 0x1f;
+        let timestamp = (lastTimestamp & ~0x1f) + offset;
+        if (offset < (lastTimestamp & 0x1f)) timestamp += 0x20;
+        message[TIMESTAMP_FIELD] = timestamp;
+      }
+      if (message[TIMESTAMP_FIELD] !== undefined) {
+        lastTimestamp = message[TIMESTAMP_FIELD];
+      }
+
+      switch (definition.globalNum) {
+        case MESG_FILE_ID: messages.fileIds.push(message); break;
+        case MESG_SESSION: messages.sessions.push(message); break;
+        case MESG_RECORD: messages.records.push(message); break;
+        case MESG_ACTIVITY: messages.activities.push(message); break;
+      }
+    }
+
+    // Chained files follow this one's 2-byte CRC
+    fileStart = dataEnd + 2;
+  }
+
+  return messages;
+}
+
+function fitTimeMs(value: number | undefined): number | null {
+  return value === undefined ? null : FIT_EPOCH_MS + value * 1000;
+}
+
+function toTrackPoint(record: FitMessage): TrackPoint {
+  const point: TrackPoint = { time: fitTimeMs(record[TIMESTAMP_FIELD]) };
+  if (record[0] !== undefined && record[1] !== undefined) {
+    point.lat = record[0] * SEMICIRCLES_TO_DEGREES;
+    point.lng = record[1] * SEMICIRCLES_TO_DEGREES;
+  }
+  // enhanced_altitude, then altitude: scale 5, offset 500
+  const altitude = record[78] ?? record[2];
+  if (altitude !== undefined) point.altitude = altitude / 5 - 500;
+  if (record[5] !== undefined) point.distance = record[5] / 100;
+  if (record[3] !== undefined) point.heartRate = record[3];
+  if (record[4] !== undefined) point.cadence = record[4];
+  if (record[7] !== undefined) point.power = record[7];
+  return point;
+}
+
+/**
+ * Decode a FIT activity file into its workouts
+ */
+export function decodeFitActivities(buffer: Buffer): ParsedActivity[] {
+  const { fileIds, sessions, records, activities } = readMessages(buffer);
+  const points = records.map(toTrackPoint).filter((point) => point.time !== null);
+
+  const manufacturer = fileIds[0]?.[1];
+  const device = manufacturer !== undefined ? MANUFACTURERS[manufacturer] || 'FIT device' : undefined;
+
+  // activity.local_timestamp minus its UTC timestamp gives the local offset
+  const activity = activities[0];
+  const utcOffsetSeconds = activity?.[5] !== undefined && activity[TIMESTAMP_FIELD] !== undefined
+    ? activity[5] - activity[TIMESTAMP_FIELD]
+    : undefined;
+
+  if (sessions.length === 0) {
+    // Files cut short when a device crashed can be missing their summary
+    if (points.length === 0) return [];
+    return [{ sport: 'generic', startTime: points[0].time!, utcOffsetSeconds, device, points }];
+  }
+
+  return sessions.flatMap((session) => {
+    const startTime = fitTimeMs(session[2]) ?? fitTimeMs(session[TIMESTAMP_FIELD]);
+    if (startTime === null) return [];
+
+    const elapsedSeconds = session[7] !== undefined ? session[7] / 1000 : undefined;
+    const endTime = elapsedSeconds !== undefined ? startTime + elapsedSeconds * 1000 : Infinity;
+    const sessionPoints = sessions.length === 1
+      ? points
+      : points.filter((point) => point.time! >= startTime && point.time! <= endTime);
+
+    const sport = SUB_SPORTS[session[6]] || SPORTS[session[5]] || 'generic';
+    const parsed: ParsedActivity = {
+      sport,
+      startTime,
+      utcOffsetSeconds,
+      elapsedSeconds,
+      movingSeconds: session[8] !== undefined ? session[8] / 1000 : undefined,
+      distanceMeters: session[9] !== undefined ? session[9] / 100 : undefined,
+      calories: session[11],
+      ascentMeters: session[22],
+      descentMeters: session[23],
+      avgHeartRate: session[16],
+      maxHeartRate: session[17],
+      avgPower: session[20],
+      maxPower: session[21],
+      normalizedPower: session[34],
+      avgCadence: session[18],
+      device,
+      points: sessionPoints,
+    };
+    return [parsed];
+  });
+}
+
+export default {
+  decodeFitActivities,
+};
@@ -0,0 +1,205 @@
+/**
+ * Import Writer
+ *
+ * Shared storage side of the file importers:
+ * 1. Buffers health_data samples and health_events rows and writes them in
+ *    batches, upserting on the same keys the app's integrations use so
+ *    re-importing a file (or importing data the app already synced) doesn't
+ *    duplicate rows
+ * 2. Accumulates per-day totals and averages while a file is read, then
+ *    upserts them into health_metrics_daily for the dates the file covers
+ */
+
+import { SupabaseClient } from '@supabase/supabase-js';
+
+const DEFAULT_BATCH_SIZE = 1000;
+const DAILY_BATCH_SIZE = 500;
+
+export type DailyAggregation = 'sum' | 'avg' | 'last';
+
+// Columns stored as integers in health_metrics_daily
+const INTEGER_COLUMNS = new Set([
+  'steps', 'active_calories', 'resting_calories', 'exercise_minutes', 'flights_climbed',
+  'avg_heart_rate', 'resting_heart_rate', 'calories_consumed', 'sodium_mg',
+  'workout_count', 'total_workout_minutes', 'strength_sessions', 'cardio_sessions', 'flexibility_sessions',
+]);
+
+interface DailyValue {
+  mode: DailyAggregation;
+  /** sum: running total per source */
+  totals?: Map<string, number>;
+  /** avg: running sum and count */
+  sum?: number;
+  count?: number;
+  /** last: latest value and when it was recorded */
+  value?: number;
+  at?: number;
+}
+
+/**
+ * Per-day, per-column values gathered while reading a file
+ */
+export class DailyMetricAccumulator {
+  private readonly days = new Map<string, Map<string, DailyValue>>();
+
+  /**
+   * Add a value to a day's column. Summed columns are totalled per source and
+   * the day takes the largest source total, so a phone and a watch counting
+   * the same steps aren't added together.
+   */
+  add(date: string, column: string, value: number, mode: DailyAggregation, source = '', recordedAt = 0) {
+    if (!isFinite(value)) return;
+
+    let columns = this.days.get(date);
+    if (!columns) {
+      columns = new Map();
+      this.days.set(date, columns);
+    }
+    let entry = columns.get(column);
+    if (!entry) {
+      entry = { mode };
+      columns.set(column, entry);
+    }
+
+    if (mode === 'sum') {
+      entry.totals = entry.totals || new Map();
+      entry.totals.set(source, (entry.totals.get(source) || 0) + value);
+    } else if (mode === 'avg') {
+      entry.sum = (entry.sum || 0) + value;
+      entry.count = (entry.count || 0) + 1;
+    } else if (entry.at === undefined || recordedAt >= entry.at) {
+      entry.value = value;
+      entry.at = recordedAt;
+    }
+  }
+
+  get dates(): string[] {
+    return Array.from(this.days.keys()).sort();
+  }
+
+  /**
+   * One row per day with the columns that have values
+   */
+  rows(): Array<Record<string, any>> {
+    return this.dates.map((date) => {
+      const row: Record<string, any> = { date };
+      for (const [column, entry] of this.days.get(date)!) {
+        let value: number;
+        if (entry.mode === 'sum') {
+          value = Math.max(...entry.totals!.values());
+        } else if (entry.mode === 'avg') {
+          value = entry.sum! / entry.count!;
+        } else {
+          value = entry.value!;
+        }
+        row[column] = INTEGER_COLUMNS.has(column) ? Math.round(value) : Math.round(value * 100) / 100;
+      }
+      return row;
+    });
+  }
+}
+
+/**
+ * Upsert daily rows for a user. Rows are grouped by the columns they set so a
+ * day missing a metric in the file keeps whatever value it already had.
+ */
+export async function upsertDailyMetrics(
+  supabase: SupabaseClient,
+  userId: string,
+  rows: Array<Record<string, any>>
+): Promise<number> {
+  const groups = new Map<string, Array<Record<string, any>>>();
+  for (const row of rows) {
+    const key = Object.keys(row).sort().join(',');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key)!.push({ ...row, user_id: userId });
+  }
+
+  for (const group of groups.values()) {
+    for (let i = 0; i < group.length; i += DAILY_BATCH_SIZE) {
+      const { error } = await supabase
+        .from('health_metrics_daily')
+        .upsert(group.slice(i, i + DAILY_BATCH_SIZE), { onConflict: 'user_id,date' });
+      if (error) {
+        throw new Error(`Failed to update daily metrics: ${error.message}`);
+      }
+    }
+  }
+
+  return rows.length;
+}
+
+/**
+ * Batches health_data and health_events rows for one user
+ */
+export class HealthImportWriter {
+  private samples: Array<Record<string, any>> = [];
+  private events: Array<Record<string, any>> = [];
+  sampleCount = 0;
+  eventCount = 0;
+
+  constructor(
+    private readonly supabase: SupabaseClient,
+    private readonly userId: string,
+    private readonly batchSize = DEFAULT_BATCH_SIZE
+  ) {}
+
+  async addSample(row: Record<string, any>): Promise<void> {
+    this.samples.push({ ...row, user_id: this.userId });
+    if (this.samples.length >= this.batchSize) {
+      await this.flushSamples();
+    }
+  }
+
+  async addEvent(row: Record<string, any>): Promise<void> {
+    this.events.push({ ...row, user_id: this.userId });
+    if (this.events.length >= this.batchSize) {
+      await this.flushEvents();
+    }
+  }
+
+  async flush(): Promise<void> {
+    await this.flushSamples();
+    await this.flushEvents();
+  }
+
+  private async flushSamples() {
+    if (this.samples.length === 0) return;
+    const batch = this.samples;
+    this.samples = [];
+
+    const { error } = await this.supabase
+      .from('health_data')
+      .upsert(batch, {
+        onConflict: 'user_id,data_type,recorded_at,source_app',
+        ignoreDuplicates: true,
+      });
+    if (error) {
+      throw new Error(`Failed to store health samples: ${error.message}`);
+    }
+    this.sampleCount += batch.length;
+  }
+
+  private async flushEvents() {
+    if (this.events.length === 0) return;
+    const batch = this.events;
+    this.events = [];
+
+    const { error } = await this.supabase
+      .from('health_events')
+      .upsert(batch, {
+        onConflict: 'user_id,event_type,start_time',
+        ignoreDuplicates: true,
+      });
+    if (error) {
+      throw new Error(`Failed to store health events: ${error.message}`);
+    }
+    this.eventCount += batch.length;
+  }
+}
+
+export default {
+  DailyMetricAccumulator,
+  upsertDailyMetrics,
+  HealthImportWriter,
+};
@@ -0,0 +1,60 @@
+/**
+ * File Importers
+ *
+ * Structured health exports are imported directly instead of going through
+ * the file-parsing model:
+ *
+ *   apple_health   Apple Health export.zip / export.xml
+ *   workout_file   Garmin/Wahoo activity files (.fit, .gpx, .tcx)
+ *   fhir           Patient portal FHIR R4 JSON (.json bundles, .ndjson)
+ *   ccda           Patient portal C-CDA documents (.xml, .cda, .ccd)
+ *
+ * The upload job asks for the importer that accepts a file
+ * (`findImporter(name, type)`) and falls back to model extraction when there
+ * is none.
+ */
+
+import { appleHealthImporter } from './appleHealthImporter';
+import { workoutFileImporter } from './workoutFileImporter';
+import { fhirImporter } from './fhirImporter';
+import { ccdaImporter } from './ccdaImporter';
+import { HealthImporter } from './types';
+
+export * from './types';
+
+// Checked in order: Apple's export.xml and .gpx/.tcx files are XML too
+const IMPORTERS: HealthImporter[] = [appleHealthImporter, workoutFileImporter, fhirImporter, ccdaImporter];
+
+const DEFAULT_MAX_IMPORT_MB = 1024;
+
+/** MIME types accepted for upload only because an importer reads them */
+export const IMPORT_MIME_TYPES = [
+  'application/zip',
+  'application/x-zip-compressed',
+  'application/xml',
+  'text/xml',
+  'application/gpx+xml',
+  'application/vnd.garmin.tcx+xml',
+  'application/vnd.ant.fit',
+  'application/octet-stream',
+  'application/json',
+  'application/fhir+json',
+  'application/x-ndjson',
+  'application/hl7-cda+xml',
+];
+
+/**
+ * Largest file accepted for import (HEALTH_EXPORT_MAX_MB). Other uploads keep
+ * the 10MB model extraction limit.
+ */
+export function maxImportFileBytes(): number {
+  const megabytes = parseInt(process.env.HEALTH_EXPORT_MAX_MB || '', 10);
+  return (isNaN(megabytes) || megabytes <= 0 ? DEFAULT_MAX_IMPORT_MB : megabytes) * 1024 * 1024;
+}
+
+/**
+ * The importer for a file, or null if it should go to model extraction
+ */
+export function findImporter(fileName: string, mimeType: string): HealthImporter | null {
+  return IMPORTERS.find((importer) => importer.accepts(fileName, mimeType)) || null;
+}
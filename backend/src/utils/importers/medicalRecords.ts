@@ -0,0 +1,387 @@
+/**
+ * Medical Records
+ *
+ * Shared side of the FHIR and C-CDA importers, which both read a document
+ * into the same record lists:
+ * 1. Code systems, record dates (FHIR dateTime and HL7 TS) and the LOINC
+ *    codes of the vital signs we store as metrics
+ * 2. Writes what was read: vital signs to health_data (tagged "Medical
+ *    Record"), conditions, medications and immunizations to their tables
+ *    (replacing the upload's earlier rows), and returns lab results for
+ *    lab_results, which the upload job stores like extracted ones
+ */
+
+import { DATA_SOURCES, getMetricMetadata, getQualityScore, METRIC_TYPES } from '../metricTypeRegistry';
+import { runDeduplicationCheck } from '../dataDeduplicationService';
+import { ExtractedLabResult } from '../fileParsingService';
+import { round } from '../numbers';
+import { HealthImportWriter } from './importWriter';
+import { ImportContext, ImportedSeries, ImportResult } from './types';
+
+export type MedicalRecordFormat = 'fhir' | 'ccda';
+export type ConditionStatus = 'active' | 'inactive' | 'resolved';
+export type MedicationStatus = 'active' | 'completed' | 'stopped' | 'on_hold' | 'intended' | 'unknown';
+
+export interface CodedConcept {
+  name: string;
+  code: string | null;
+  /** Short name ("SNOMED", "RxNorm") or the URI/OID for systems we don't name */
+  codeSystem: string | null;
+}
+
+export interface ConditionRecord extends CodedConcept {
+  status: ConditionStatus | null;
+  onsetDate: string | null;
+  abatementDate: string | null;
+  recordedDate: string | null;
+  sourceId: string | null;
+}
+
+export interface MedicationRecord extends CodedConcept {
+  status: MedicationStatus | null;
+  dosage: string | null;
+  route: string | null;
+  startDate: string | null;
+  endDate: string | null;
+  sourceId: string | null;
+}
+
+export interface ImmunizationRecord extends CodedConcept {
+  administeredOn: string | null;
+  lotNumber: string | null;
+  sourceId: string | null;
+}
+
+export interface VitalReading {
+  loinc: string;
+  value: number;
+  /** Unit as the document gives it (UCUM in both formats) */
+  unit: string | null;
+  /** Epoch ms */
+  recordedAt: number;
+}
+
+export interface MedicalRecordSet {
+  labResults: ExtractedLabResult[];
+  vitals: VitalReading[];
+  conditions: ConditionRecord[];
+  medications: MedicationRecord[];
+  immunizations: ImmunizationRecord[];
+  /** Entries that were read but couldn't be used (no name, value or date) */
+  skipped: number;
+}
+
+const SOURCE = DATA_SOURCES.MEDICAL_RECORD;
+const INSERT_BATCH_SIZE = 500;
+const MEDICAL_CATEGORY = 'medical';
+
+/** FHIR system URIs and HL7 OIDs of the code systems records use */
+const CODE_SYSTEMS: Record<string, string> = {
+  'http://loinc.org': 'LOINC',
+  '2.16.840.1.113883.6.1': 'LOINC',
+  'http://snomed.info/sct': 'SNOMED',
+  '2.16.840.1.113883.6.96': 'SNOMED',
+  'http://hl7.org/fhir/sid/icd-10-cm': 'ICD-10-CM',
+  '2.16.840.1.113883.6.90': 'ICD-10-CM',
+  'http://hl7.org/fhir/sid/icd-9-cm': 'ICD-9-CM',
+  '2.16.840.1.113883.6.103': 'ICD-9-CM',
+  'http://www.nlm.nih.gov/research/umls/rxnorm': 'RxNorm',
+  '2.16.840.1.113883.6.88': 'RxNorm',
+  'http://hl7.org/fhir/sid/ndc': 'NDC',
+  '2.16.840.1.113883.6.69': 'NDC',
+  'http://hl7.org/fhir/sid/cvx': 'CVX',
+  '2.16.840.1.113883.12.292': 'CVX',
+};
+
+/** Vital sign LOINC codes -> metric type */
+export const VITAL_SIGN_METRICS: Record<string, string> = {
+  '8867-4': METRIC_TYPES.HEART_RATE,
+  '8480-6': METRIC_TYPES.BLOOD_PRESSURE_SYSTOLIC,
+  '8462-4': METRIC_TYPES.BLOOD_PRESSURE_DIASTOLIC,
+  '29463-7': METRIC_TYPES.WEIGHT,
+  '3141-9': METRIC_TYPES.WEIGHT,
+  '8302-2': METRIC_TYPES.HEIGHT,
+  '8306-3': METRIC_TYPES.HEIGHT,
+  '39156-5': METRIC_TYPES.BMI,
+  '8310-5': METRIC_TYPES.BODY_TEMPERATURE,
+  '8331-1': METRIC_TYPES.BODY_TEMPERATURE,
+  '2708-6': METRIC_TYPES.OXYGEN_SATURATION,
+  '59408-5': METRIC_TYPES.OXYGEN_SATURATION,
+  '9279-1': METRIC_TYPES.RESPIRATORY_RATE,
+};
+
+// Factors from UCUM (and common non-UCUM) units to the metric's standard unit
+const VITAL_UNIT_FACTORS: Record<string, Record<string, number>> = {
+  lbs: { 'kg': 2.20462, 'g': 0.00220462, '[lb_av]': 1, 'lb': 1, 'lbs': 1, '[oz_av]': 1 / 16, 'oz': 1 / 16 },
+  in: { 'cm': 0.393701, 'm': 39.3701, 'mm': 0.0393701, '[in_i]': 1, 'in': 1, '[ft_i]': 12, 'ft': 12 },
+};
+
+/**
+ * Short name of a FHIR system URI or HL7 OID
+ */
+export function codeSystemName(system: string | null | undefined): string | null {
+  if (!system) return null;
+  return CODE_SYSTEMS[system.replace(/^urn:oid:/, '')] || system;
+}
+
+/**
+ * Calendar date of a FHIR date/dateTime ("2023", "2023-04-05T10:00:00-05:00")
+ * or HL7 TS ("20230405103000-0500"). Partial dates fall on the first of the
+ * month or year.
+ */
+export function toRecordDate(value: string | null | undefined): string | null {
+  const match = value && /^(\d{4})-?(\d{2})?-?(\d{2})?/.exec(value.trim());
+  if (!match) return null;
+  return `${match[1]}-${match[2] || '01'}-${match[3] || '01'}`;
+}
+
+/**
+ * Epoch ms of a FHIR dateTime or HL7 TS. Times without a zone are taken as
+ * UTC, and dates without a time as noon so they stay on their day.
+ */
+export function toRecordTime(value: string | null | undefined): number | null {
+  if (!value) return null;
+  const text = value.trim();
+
+  const hl7 = /^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?(?:\.\d+)?)?([+-]\d{4})?$/.exec(text);
+  if (hl7) {
+    const [, year, month, day, hour, minute, second, zone] = hl7;
+    const time = hour ? `${hour}:${minute}:${second || '00'}` : '12:00:00';
+    const offset = zone && hour ? `${zone.slice(0, 3)}:${zone.slice(3)}` : 'Z';
+    const ms = Date.parse(`${year}-${month}-${day}T${time}${offset}`);
+    return isNaN(ms) ? null : ms;
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    return Date.parse(`${text}T12:00:00Z`);
+  }
+  const ms = Date.parse(/T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text) ? `${text}Z` : text);
+  return isNaN(ms) ? null : ms;
+}
+
+/**
+ * Convert a vital sign into its metric's standard unit; null when the unit
+ * can't be converted
+ */
+export function toVitalUnit(value: number, unit: string | null, standardUnit: string): number | null {
+  const key = (unit || '').trim();
+  const factors = VITAL_UNIT_FACTORS[standardUnit];
+  if (factors) {
+    const factor = factors[key] ?? factors[key.toLowerCase()];
+    return factor !== undefined ? value * factor : null;
+  }
+
+  switch (standardUnit) {
+    case '°F':
+      if (/^(Cel|°?C|degC)$/i.test(key)) return value * 9 / 5 + 32;
+      return /^(\[degF\]|°?F|degF)$/i.test(key) ? value : null;
+    case '%':
+      // Some systems send saturation as a fraction
+      return key !== '%' && value <= 1 ? value * 100 : value;
+    default:
+      // Rates, pressures and BMI are recorded in the standard unit
+      return value;
+  }
+}
+
+function plural(count: number, noun: string): string {
+  return `${count.toLocaleString('en-US')} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Replace an upload's rows in one of the record tables
+ */
+async function replaceUploadRows(
+  context: ImportContext,
+  table: string,
+  rows: Array<Record<string, any>>
+): Promise<void> {
+  const { supabase, uploadId } = context;
+
+  const { error: deleteError } = await supabase.from(table).delete().eq('upload_id', uploadId);
+  if (deleteError) {
+    throw new Error(`Failed to clear ${table}: ${deleteError.message}`);
+  }
+
+  for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+    const { error } = await supabase.from(table).insert(rows.slice(i, i + INSERT_BATCH_SIZE));
+    if (error) {
+      throw new Error(`Failed to store ${table}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Store the records read from a document and describe the import
+ */
+export async function writeMedicalRecords(
+  context: ImportContext,
+  records: MedicalRecordSet,
+  format: MedicalRecordFormat
+): Promise<ImportResult> {
+  const { supabase, userId, uploadId } = context;
+  const series = new Map<string, ImportedSeries>();
+  const dates: string[] = [];
+  let skipped = records.skipped;
+
+  const track = (name: string, category: string, date: string | null) => {
+    if (!date) return;
+    const entry = series.get(name);
+    if (!entry) {
+      series.set(name, { category, name, records: 1, firstDate: date, lastDate: date });
+    } else {
+      entry.records++;
+      if (date < entry.firstDate) entry.firstDate = date;
+      if (date > entry.lastDate) entry.lastDate = date;
+    }
+    dates.push(date);
+  };
+
+  const owner = { user_id: userId, upload_id: uploadId, source_format: format };
+
+  // Vital signs
+  const writer = new HealthImportWriter(supabase, userId);
+  const qualityScore = getQualityScore(SOURCE);
+  const metrics = new Set<string>();
+  let firstVital = Infinity;
+  let lastVital = -Infinity;
+
+  for (const vital of records.vitals) {
+    const metricType = VITAL_SIGN_METRICS[vital.loinc];
+    const metadata = metricType ? getMetricMetadata(metricType) : null;
+    const value = metadata ? toVitalUnit(vital.value, vital.unit, metadata.unit) : null;
+    if (!metadata || value === null) {
+      skipped++;
+      continue;
+    }
+
+    await writer.addSample({
+      data_type: metricType,
+      value: round(value, 4),
+      unit: metadata.unit,
+      recorded_at: new Date(vital.recordedAt).toISOString(),
+      source_app: SOURCE,
+      source_device: null,
+      data_category: metadata.category,
+      quality_score: qualityScore,
+      metadata: { loinc: vital.loinc, upload_id: uploadId, source_format: format, imported: true },
+      is_aggregated: false,
+      is_canonical: true,
+    });
+
+    metrics.add(metricType);
+    firstVital = Math.min(firstVital, vital.recordedAt);
+    lastVital = Math.max(lastVital, vital.recordedAt);
+    track(metadata.displayName, metadata.category, new Date(vital.recordedAt).toISOString().split('T')[0]);
+  }
+  await writer.flush();
+
+  if (metrics.size > 0) {
+    await runDeduplicationCheck(supabase, userId, SOURCE, Array.from(metrics), {
+      start: new Date(firstVital - 3600000),
+      end: new Date(lastVital + 3600000),
+    });
+  }
+
+  // Clinical lists
+  await replaceUploadRows(context, 'medical_conditions', records.conditions.map((condition) => ({
+    ...owner,
+    name: condition.name,
+    code: condition.code,
+    code_system: condition.codeSystem,
+    status: condition.status,
+    onset_date: condition.onsetDate,
+    abatement_date: condition.abatementDate,
+    recorded_date: condition.recordedDate,
+    source_id: condition.sourceId,
+  })));
+  records.conditions.forEach((condition) => {
+    track('Conditions', MEDICAL_CATEGORY, condition.onsetDate || condition.recordedDate);
+  });
+
+  await replaceUploadRows(context, 'medications', records.medications.map((medication) => ({
+    ...owner,
+    name: medication.name,
+    code: medication.code,
+    code_system: medication.codeSystem,
+    status: medication.status,
+    dosage: medication.dosage,
+    route: medication.route,
+    start_date: medication.startDate,
+    end_date: medication.endDate,
+    source_id: medication.sourceId,
+  })));
+  records.medications.forEach((medication) => track('Medications', MEDICAL_CATEGORY, medication.startDate));
+
+  await replaceUploadRows(context, 'immunizations', records.immunizations.map((immunization) => ({
+    ...owner,
+    name: immunization.name,
+    code: immunization.code,
+    code_system: immunization.codeSystem,
+    administered_on: immunization.administeredOn,
+    lot_number: immunization.lotNumber,
+    source_id: immunization.sourceId,
+  })));
+  records.immunizations.forEach((immunization) => {
+    track('Immunizations', MEDICAL_CATEGORY, immunization.administeredOn);
+  });
+
+  records.labResults.forEach((result) => track('Lab results', MEDICAL_CATEGORY, result.collectionDate || null));
+
+  // Records without a date still count, but have no line in the summary
+  const counts: Array<[string, number]> = [
+    ['Lab results', records.labResults.length],
+    ['Conditions', records.conditions.length],
+    ['Medications', records.medications.length],
+    ['Immunizations', records.immunizations.length],
+  ];
+  counts.forEach(([name, count]) => {
+    const entry = series.get(name);
+    if (entry) entry.records = count;
+  });
+
+  const parts = [
+    records.labResults.length > 0 && plural(records.labResults.length, 'lab result'),
+    writer.sampleCount > 0 && plural(writer.sampleCount, 'vital sign'),
+    records.conditions.length > 0 && plural(records.conditions.length, 'condition'),
+    records.medications.length > 0 && plural(records.medications.length, 'medication'),
+    records.immunizations.length > 0 && plural(records.immunizations.length, 'immunization'),
+  ].filter(Boolean);
+
+  const sorted = dates.sort();
+  const dateRange = sorted.length > 0 ? { start: sorted[0], end: sorted[sorted.length - 1] } : undefined;
+  const document = format === 'fhir' ? 'FHIR medical record' : 'C-CDA medical record';
+  const summary = parts.length > 0
+    ? `${document} with ${parts.join(', ')}.`
+    : `${document} with no lab results, vital signs, conditions, medications or immunizations.`;
+
+  console.log(`[MedicalRecordImport] Imported ${format} for user`, userId, {
+    labResults: records.labResults.length,
+    vitals: writer.sampleCount,
+    conditions: records.conditions.length,
+    medications: records.medications.length,
+    immunizations: records.immunizations.length,
+    skipped,
+  });
+
+  const seriesList = Array.from(series.values());
+  return {
+    summary,
+    dataCategories: Array.from(new Set(seriesList.map((entry) => entry.category))),
+    dateRange,
+    series: seriesList,
+    samples: writer.sampleCount,
+    events: 0,
+    days: 0,
+    skipped,
+    labResults: records.labResults,
+  };
+}
+
+export default {
+  codeSystemName,
+  toRecordDate,
+  toRecordTime,
+  toVitalUnit,
+  writeMedicalRecords,
+};
@@ -0,0 +1,98 @@
+import { SupabaseClient } from '@supabase/supabase-js';
+import { ExtractedLabResult } from '../fileParsingService';
+
+export type ImporterName = 'apple_health' | 'workout_file' | 'fhir' | 'ccda';
+
+export interface ImportContext {
+  supabase: SupabaseClient;
+  userId: string;
+  /** The upload being imported, recorded on rows that point back at it */
+  uploadId: string;
+  filePath: string;
+  fileName: string;
+  mimeType: string;
+  /** Aborted when the upload job gives up on the attempt (e.g. it timed out) */
+  signal?: AbortSignal;
+}
+
+/** One line of the import summary per metric or event type */
+export interface ImportedSeries {
+  category: string;
+  name: string;
+  records: number;
+  firstDate: string;
+  lastDate: string;
+  /** Extra figures shown with the line, e.g. a workout's distance */
+  details?: Record<string, string | number>;
+}
+
+export interface ImportResult {
+  summary: string;
+  dataCategories: string[];
+  dateRange?: { start: string; end: string };
+  series: ImportedSeries[];
+  samples: number;
+  events: number;
+  days: number;
+  skipped: number;
+  /** Lab results, stored in lab_results with the upload like extracted ones */
+  labResults?: ExtractedLabResult[];
+}
+
+/**
+ * Reads a structured health file (a device or app export) straight into the
+ * health tables, instead of sending it to the file-parsing model
+ */
+export interface HealthImporter {
+  name: ImporterName;
+  /** Label stored as the upload's extraction model */
+  label: string;
+  /** Whether this importer handles the file, judged from its name and type */
+  accepts(fileName: string, mimeType: string): boolean;
+  run(context: ImportContext): Promise<ImportResult>;
+}
+
+/** One sample along a recorded activity (a FIT record, GPX or TCX trackpoint) */
+export interface TrackPoint {
+  /** Epoch ms */
+  time: number | null;
+  lat?: number;
+  lng?: number;
+  /** Meters */
+  altitude?: number;
+  /** Meters from the start */
+  distance?: number;
+  heartRate?: number;
+  /** Watts */
+  power?: number;
+  cadence?: number;
+}
+
+/**
+ * A workout decoded from an activity file, in the file's units (meters,
+ * seconds). Totals the file doesn't record are worked out from the points.
+ */
+export interface ParsedActivity {
+  /** Sport as the file names it, e.g. "running" or "Biking" */
+  sport: string;
+  name?: string;
+  /** Epoch ms */
+  startTime: number;
+  /** Offset of the athlete's local time from UTC, when the file records it */
+  utcOffsetSeconds?: number;
+  elapsedSeconds?: number;
+  movingSeconds?: number;
+  distanceMeters?: number;
+  calories?: number;
+  ascentMeters?: number;
+  descentMeters?: number;
+  avgHeartRate?: number;
+  maxHeartRate?: number;
+  avgPower?: number;
+  maxPower?: number;
+  normalizedPower?: number;
+  avgCadence?: number;
+  /** Recording device or app */
+  device?: string;
+  points: TrackPoint[];
+}
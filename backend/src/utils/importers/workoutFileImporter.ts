@@ -0,0 +1,480 @@
+/**
+ * Workout File Importer
+ *
+ * Imports activity files exported from Garmin Connect, Wahoo and other
+ * devices that have no account integration:
+ * 1. Decodes .fit, .gpx and .tcx files natively (no model involved)
+ * 2. Summarizes each workout (duration, distance, elevation, heart rate and
+ *    power) from the file's totals, or from its track points when the file
+ *    has none
+ * 3. Skips workouts that are already stored (the same activity synced from
+ *    Strava or Apple Health, or an earlier import), filling in the route on
+ *    the stored one if it had none
+ * 4. Writes the rest to health_events, with a simplified route in
+ *    `location`, plus per-workout health_data samples like the Strava sync,
+ *    tagged as Garmin and run through the deduplication check
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  DATA_CATEGORIES,
+  DATA_SOURCES,
+  getMetricMetadata,
+  getQualityScore,
+  METRIC_TYPES,
+} from '../metricTypeRegistry';
+import { findMatchingWorkout, runDeduplicationCheck } from '../dataDeduplicationService';
+import { round } from '../numbers';
+import { decodeFitActivities } from './fitDecoder';
+import { parseGpxActivities, parseTcxActivities } from './activityXmlParsers';
+import { HealthImportWriter } from './importWriter';
+import { HealthImporter, ImportContext, ImportedSeries, ImportResult, ParsedActivity, TrackPoint } from './types';
+
+type WorkoutFileFormat = 'fit' | 'gpx' | 'tcx';
+
+const SOURCE = DATA_SOURCES.GARMIN;
+/** FIT files are decoded in memory; real activity files are a few MB at most */
+const MAX_FIT_BYTES = 100 * 1024 * 1024;
+/** Routes are simplified until they have at most this many points */
+const MAX_ROUTE_POINTS = 500;
+const ROUTE_TOLERANCE_METERS = 5;
+/** Elevation changes smaller than this are GPS/barometer noise */
+const ELEVATION_NOISE_METERS = 3;
+/** Slower than this between points counts as stopped */
+const MOVING_SPEED_MPS = 0.5;
+const MAX_MOVING_GAP_SECONDS = 60;
+const EARTH_RADIUS_METERS = 6371000;
+const METERS_PER_MILE = 1609.344;
+const FEET_PER_METER = 3.28084;
+
+const MIME_FORMATS: Record<string, WorkoutFileFormat> = {
+  'application/vnd.ant.fit': 'fit',
+  'application/fit': 'fit',
+  'application/gpx+xml': 'gpx',
+  'application/vnd.garmin.tcx+xml': 'tcx',
+};
+
+// Event types and titles as the Strava sync names them
+const SPORTS: Array<{ pattern: RegExp; eventType: string; title: string }> = [
+  { pattern: /run/i, eventType: 'run', title: 'Run' },
+  { pattern: /bik|cycl|ride/i, eventType: 'bike_ride', title: 'Ride' },
+  { pattern: /swim/i, eventType: 'swim', title: 'Swim' },
+  { pattern: /walk/i, eventType: 'walk', title: 'Walk' },
+  { pattern: /hik|mountaineer/i, eventType: 'hike', title: 'Hike' },
+  { pattern: /strength|weight/i, eventType: 'strength_training', title: 'Strength Training' },
+  { pattern: /yoga|pilates/i, eventType: 'yoga', title: 'Yoga' },
+];
+
+interface WorkoutSummary {
+  eventType: string;
+  title: string;
+  startMs: number;
+  endMs: number;
+  /** Local calendar date of the start */
+  date: string;
+  movingSeconds: number;
+  distanceMeters?: number;
+  ascentMeters?: number;
+  descentMeters?: number;
+  avgHeartRate?: number;
+  maxHeartRate?: number;
+  avgPower?: number;
+  maxPower?: number;
+  normalizedPower?: number;
+  avgCadence?: number;
+  calories?: number;
+  location: Record<string, any> | null;
+}
+
+function fileFormat(fileName: string, mimeType: string): WorkoutFileFormat | null {
+  const extension = path.extname(fileName).toLowerCase().slice(1);
+  if (extension === 'fit' || extension === 'gpx' || extension === 'tcx') {
+    return extension;
+  }
+  return MIME_FORMATS[mimeType] || null;
+}
+
+function haversineMeters(a: TrackPoint, b: TrackPoint): number {
+  const toRadians = Math.PI / 180;
+  const dLat = (b.lat! - a.lat!) * toRadians;
+  const dLng = (b.lng! - a.lng!) * toRadians;
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(a.lat! * toRadians) * Math.cos(b.lat! * toRadians) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+function average(values: number[]): number | undefined {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : undefined;
+}
+
+// Long rides have tens of thousands of points, too many to spread into Math.max
+function maximum(values: number[]): number | undefined {
+  return values.length > 0 ? values.reduce((max, value) => (value > max ? value : max)) : undefined;
+}
+
+function minimum(values: number[]): number | undefined {
+  return values.length > 0 ? values.reduce((min, value) => (value < min ? value : min)) : undefined;
+}
+
+/**
+ * Distance of a point from the segment a-b, in meters, on a local flat projection
+ */
+function segmentDistanceMeters(point: number[], a: number[], b: number[]): number {
+  const scale = Math.cos(a[0] * Math.PI / 180);
+  const [px, py] = [(point[1] - a[1]) * scale, point[0] - a[0]];
+  const [bx, by] = [(b[1] - a[1]) * scale, b[0] - a[0]];
+  const lengthSquared = bx * bx + by * by;
+  const t = lengthSquared > 0 ? Math.max(0, Math.min(1, (px * bx + py * by) / lengthSquared)) : 0;
+  const [dx, dy] = [px - t * bx, py - t * by];
+  return Math.sqrt(dx * dx + dy * dy) * (Math.PI / 180) * EARTH_RADIUS_METERS;
+}
+
+/**
+ * Douglas-Peucker simplification of [lat, lng] pairs
+ */
+function simplify(coordinates: number[][], toleranceMeters: number): number[][] {
+  if (coordinates.length <= 2) return coordinates;
+
+  const keep = new Uint8Array(coordinates.length);
+  keep[0] = keep[coordinates.length - 1] = 1;
+  const ranges: Array<[number, number]> = [[0, coordinates.length - 1]];
+
+  while (ranges.length > 0) {
+    const [first, last] = ranges.pop()!;
+    let farthest = -1;
+    let farthestDistance = toleranceMeters;
+    for (let i = first + 1; i < last; i++) {
+      const distance = segmentDistanceMeters(coordinates[i], coordinates[first], coordinates[last]);
+      if (distance > farthestDistance) {
+        farthest = i;
+        farthestDistance = distance;
+      }
+    }
+    if (farthest > 0) {
+      keep[farthest] = 1;
+      ranges.push([first, farthest], [farthest, last]);
+    }
+  }
+
+  return coordinates.filter((_, index) => keep[index]);
+}
+
+/**
+ * Start/end coordinates like the Strava sync stores, plus the simplified
+ * route as [lat, lng] pairs
+ */
+function buildLocation(points: TrackPoint[]): Record<string, any> | null {
+  const coordinates = points
+    .filter((point) => point.lat !== undefined && point.lng !== undefined)
+    .map((point) => [point.lat!, point.lng!]);
+  if (coordinates.length === 0) return null;
+
+  let tolerance = ROUTE_TOLERANCE_METERS;
+  let route = simplify(coordinates, tolerance);
+  while (route.length > MAX_ROUTE_POINTS) {
+    tolerance *= 2;
+    route = simplify(route, tolerance);
+  }
+
+  const lats = coordinates.map((coordinate) => coordinate[0]);
+  const lngs = coordinates.map((coordinate) => coordinate[1]);
+  const [start, end] = [coordinates[0], coordinates[coordinates.length - 1]];
+
+  return {
+    start_lat: round(start[0], 6),
+    start_lng: round(start[1], 6),
+    end_lat: round(end[0], 6),
+    end_lng: round(end[1], 6),
+    bounds: {
+      min_lat: round(minimum(lats)!, 6),
+      min_lng: round(minimum(lngs)!, 6),
+      max_lat: round(maximum(lats)!, 6),
+      max_lng: round(maximum(lngs)!, 6),
+    },
+    route: route.map(([lat, lng]) => [round(lat, 5), round(lng, 5)]),
+  };
+}
+
+/**
+ * Totals for a workout: the file's own where it has them, otherwise worked
+ * out from the track points
+ */
+function summarize(activity: ParsedActivity): WorkoutSummary {
+  const points = activity.points.filter((point) => point.time !== null).sort((a, b) => a.time! - b.time!);
+  const sport = SPORTS.find((candidate) => candidate.pattern.test(activity.sport));
+  const lastTime = points.length > 0 ? points[points.length - 1].time! : activity.startTime;
+  const elapsedSeconds = activity.elapsedSeconds ?? Math.max(0, (lastTime - activity.startTime) / 1000);
+
+  let trackDistance = 0;
+  let movingSeconds = 0;
+  const positioned = points.filter((point) => point.lat !== undefined && point.lng !== undefined);
+  for (let i = 1; i < positioned.length; i++) {
+    const meters = haversineMeters(positioned[i - 1], positioned[i]);
+    const seconds = (positioned[i].time! - positioned[i - 1].time!) / 1000;
+    trackDistance += meters;
+    if (seconds > 0 && seconds <= MAX_MOVING_GAP_SECONDS && meters / seconds >= MOVING_SPEED_MPS) {
+      movingSeconds += seconds;
+    }
+  }
+
+  const lastDistance = [...points].reverse().find((point) => point.distance !== undefined)?.distance;
+  const distanceMeters = activity.distanceMeters ?? lastDistance ?? (positioned.length > 1 ? trackDistance : undefined);
+
+  let { ascentMeters, descentMeters } = activity;
+  if (ascentMeters === undefined || descentMeters === undefined) {
+    let gain = 0;
+    let loss = 0;
+    let reference: number | undefined;
+    for (const point of points) {
+      if (point.altitude === undefined) continue;
+      if (reference === undefined) {
+        reference = point.altitude;
+      } else if (Math.abs(point.altitude - reference) >= ELEVATION_NOISE_METERS) {
+        if (point.altitude > reference) gain += point.altitude - reference;
+        else loss += reference - point.altitude;
+        reference = point.altitude;
+      }
+    }
+    if (reference !== undefined) {
+      ascentMeters = ascentMeters ?? gain;
+      descentMeters = descentMeters ?? loss;
+    }
+  }
+
+  const heartRates = points.map((point) => point.heartRate).filter((value): value is number => !!value);
+  const powers = points.map((point) => point.power).filter((value): value is number => value !== undefined);
+  const cadences = points.map((point) => point.cadence).filter((value): value is number => !!value);
+  const localStart = new Date(activity.startTime + (activity.utcOffsetSeconds || 0) * 1000);
+
+  return {
+    eventType: sport?.eventType || 'workout',
+    title: activity.name || sport?.title || 'Workout',
+    startMs: activity.startTime,
+    endMs: activity.startTime + elapsedSeconds * 1000,
+    date: localStart.toISOString().slice(0, 10),
+    movingSeconds: activity.movingSeconds ?? (movingSeconds > 0 ? movingSeconds : elapsedSeconds),
+    distanceMeters,
+    ascentMeters,
+    descentMeters,
+    avgHeartRate: activity.avgHeartRate ?? average(heartRates),
+    maxHeartRate: activity.maxHeartRate ?? maximum(heartRates),
+    avgPower: activity.avgPower ?? average(powers),
+    maxPower: activity.maxPower ?? maximum(powers),
+    normalizedPower: activity.normalizedPower,
+    avgCadence: activity.avgCadence ?? average(cadences),
+    calories: activity.calories,
+    location: buildLocation(points),
+  };
+}
+
+function workoutMetrics(summary: WorkoutSummary, activity: ParsedActivity, format: WorkoutFileFormat) {
+  const metrics: Record<string, string | number> = {
+    activity_type: activity.sport || 'unknown',
+    duration_minutes: round(summary.movingSeconds / 60, 1),
+    elapsed_minutes: round((summary.endMs - summary.startMs) / 60000, 1),
+    file_format: format,
+  };
+  const optional: Array<[string, number | undefined, number]> = [
+    ['distance_mi', summary.distanceMeters !== undefined ? summary.distanceMeters / METERS_PER_MILE : undefined, 2],
+    ['elevation_gain_ft', summary.ascentMeters !== undefined ? summary.ascentMeters * FEET_PER_METER : undefined, 0],
+    ['elevation_loss_ft', summary.descentMeters !== undefined ? summary.descentMeters * FEET_PER_METER : undefined, 0],
+    ['avg_speed_mph', summary.distanceMeters && summary.movingSeconds > 0
+      ? (summary.distanceMeters / METERS_PER_MILE) / (summary.movingSeconds / 3600)
+      : undefined, 1],
+    ['avg_heart_rate', summary.avgHeartRate, 0],
+    ['max_heart_rate', summary.maxHeartRate, 0],
+    ['avg_power_w', summary.avgPower, 0],
+    ['max_power_w', summary.maxPower, 0],
+    ['normalized_power_w', summary.normalizedPower, 0],
+    ['avg_cadence', summary.avgCadence, 0],
+    ['active_calories', summary.calories, 0],
+  ];
+  for (const [key, value, decimals] of optional) {
+    if (value !== undefined && isFinite(value)) metrics[key] = round(value, decimals);
+  }
+  return metrics;
+}
+
+async function parseActivities(filePath: string, format: WorkoutFileFormat): Promise<ParsedActivity[]> {
+  if (format === 'fit') {
+    if (fs.statSync(filePath).size > MAX_FIT_BYTES) {
+      throw new Error('This FIT file is too large to be an activity file');
+    }
+    return decodeFitActivities(fs.readFileSync(filePath));
+  }
+  const stream = fs.createReadStream(filePath);
+  return format === 'gpx' ? parseGpxActivities(stream) : parseTcxActivities(stream);
+}
+
+function formatDate(date: string): string {
+  return new Date(`${date}T12:00:00Z`).toLocaleDateString('en-US', {
+    month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC',
+  });
+}
+
+async function runImport({ supabase, userId, filePath, fileName, mimeType, signal }: ImportContext): Promise<ImportResult> {
+  const format = fileFormat(fileName, mimeType)!;
+  const activities = await parseActivities(filePath, format);
+  if (activities.length === 0) {
+    throw new Error(`No workouts found in this ${format.toUpperCase()} file`);
+  }
+
+  const writer = new HealthImportWriter(supabase, userId);
+  const qualityScore = getQualityScore(SOURCE);
+  const series: ImportedSeries[] = [];
+  const syncedMetrics = new Set<string>();
+  const duplicates: string[] = [];
+  let rangeStart = Infinity;
+  let rangeEnd = -Infinity;
+
+  for (const activity of activities) {
+    if (signal?.aborted) {
+      throw new Error('Import was cancelled');
+    }
+
+    const summary = summarize(activity);
+    const metrics = workoutMetrics(summary, activity, format);
+    const details: Record<string, string | number> = { ...metrics };
+
+    const existing = await findMatchingWorkout(supabase, userId, summary.startMs, summary.endMs);
+    if (existing) {
+      // Keep the stored copy, but give it the route if it came without one
+      if (!existing.location?.route && summary.location) {
+        await supabase
+          .from('health_events')
+          .update({ location: { ...(existing.location || {}), ...summary.location } })
+          .eq('id', existing.id);
+      }
+      details.duplicate_of = existing.source_app || 'existing workout';
+      duplicates.push(existing.source_app || 'an earlier upload');
+      series.push({
+        category: DATA_CATEGORIES.WORKOUT,
+        name: summary.title,
+        records: 0,
+        firstDate: summary.date,
+        lastDate: summary.date,
+        details,
+      });
+      continue;
+    }
+
+    const startTime = new Date(summary.startMs).toISOString();
+    await writer.addEvent({
+      event_type: summary.eventType,
+      start_time: startTime,
+      end_time: new Date(summary.endMs).toISOString(),
+      duration_seconds: Math.round(summary.movingSeconds),
+      title: summary.title,
+      description: `${summary.title} imported from ${fileName}`,
+      metrics,
+      source_app: SOURCE,
+      source_device: activity.device || null,
+      location: summary.location,
+      quality_score: qualityScore,
+    });
+
+    // Per-workout samples, as the Strava sync writes them
+    const samples: Array<[string, number | undefined]> = [
+      [METRIC_TYPES.DISTANCE, summary.distanceMeters !== undefined ? summary.distanceMeters / METERS_PER_MILE : undefined],
+      [METRIC_TYPES.ACTIVE_CALORIES, summary.calories],
+      [METRIC_TYPES.ACTIVE_MINUTES, summary.movingSeconds / 60],
+      [METRIC_TYPES.ELEVATION_GAIN, summary.ascentMeters !== undefined ? summary.ascentMeters * FEET_PER_METER : undefined],
+      [METRIC_TYPES.HEART_RATE, summary.avgHeartRate],
+    ];
+    for (const [metricType, value] of samples) {
+      const metadata = getMetricMetadata(metricType);
+      if (value === undefined || !isFinite(value) || !metadata) continue;
+      await writer.addSample({
+        data_type: metricType,
+        value: round(value),
+        unit: metadata.unit,
+        recorded_at: startTime,
+        source_app: SOURCE,
+        source_device: activity.device || null,
+        data_category: metadata.category,
+        quality_score: qualityScore,
+        metadata: {
+          activity_type: activity.sport || 'unknown',
+          activity_name: summary.title,
+          file_name: fileName,
+          imported: true,
+        },
+        is_aggregated: false,
+        is_canonical: true,
+      });
+      syncedMetrics.add(metricType);
+    }
+
+    rangeStart = Math.min(rangeStart, summary.startMs);
+    rangeEnd = Math.max(rangeEnd, summary.endMs);
+    series.push({
+      category: DATA_CATEGORIES.WORKOUT,
+      name: summary.title,
+      records: 1,
+      firstDate: summary.date,
+      lastDate: summary.date,
+      details,
+    });
+  }
+
+  await writer.flush();
+
+  if (syncedMetrics.size > 0) {
+    await runDeduplicationCheck(supabase, userId, SOURCE, Array.from(syncedMetrics), {
+      start: new Date(rangeStart - 3600000),
+      end: new Date(rangeEnd + 3600000),
+    });
+  }
+
+  const dates = series.map((entry) => entry.firstDate).sort();
+  const dateRange = { start: dates[0], end: dates[dates.length - 1] };
+  const imported = series.filter((entry) => entry.records > 0);
+
+  let summaryText: string;
+  if (series.length === 1) {
+    const only = series[0].details!;
+    const figures = [
+      only.distance_mi !== undefined ? `${only.distance_mi} mi` : null,
+      `${only.duration_minutes} min`,
+      only.avg_heart_rate !== undefined ? `avg HR ${only.avg_heart_rate} bpm` : null,
+      only.avg_power_w !== undefined ? `avg power ${only.avg_power_w} W` : null,
+    ].filter(Boolean).join(', ');
+    summaryText = `${series[0].name} on ${formatDate(series[0].firstDate)} (${figures}) from a ${format.toUpperCase()} file.`;
+  } else {
+    summaryText = `${format.toUpperCase()} file with ${series.length} workouts from ${formatDate(dateRange.start)}` +
+      ` to ${formatDate(dateRange.end)}.`;
+  }
+  if (duplicates.length > 0) {
+    summaryText += duplicates.length === series.length
+      ? ` Already synced from ${duplicates[0]}, so nothing new was added.`
+      : ` ${duplicates.length} of them were already synced and were skipped.`;
+  }
+
+  console.log('[WorkoutImport] Imported', format, 'file for user', userId, {
+    workouts: imported.length,
+    duplicates: duplicates.length,
+  });
+
+  return {
+    summary: summaryText,
+    dataCategories: [DATA_CATEGORIES.WORKOUT],
+    dateRange,
+    series,
+    samples: writer.sampleCount,
+    events: writer.eventCount,
+    days: 0,
+    skipped: duplicates.length,
+  };
+}
+
+export const workoutFileImporter: HealthImporter = {
+  name: 'workout_file',
+  label: 'workout-file-import',
+  accepts(fileName: string, mimeType: string) {
+    return fileFormat(fileName, mimeType) !== null;
+  },
+  run: runImport,
+};
+
+export default workoutFileImporter;
@@ -0,0 +1,221 @@
+/**
+ * Streaming XML Reader
+ *
+ * Turns an XML byte stream into open/close/text events without building a
+ * document, so exports of hundreds of megabytes are read in constant memory.
+ * It understands what health exports contain (elements, attributes, entities,
+ * comments, CDATA, processing instructions and a DOCTYPE with an internal
+ * subset) and does not validate.
+ */
+
+import { Readable } from 'stream';
+import { StringDecoder } from 'string_decoder';
+
+export interface XmlOpenTag {
+  type: 'open';
+  name: string;
+  attributes: Record<string, string>;
+  selfClosing: boolean;
+}
+
+export interface XmlCloseTag {
+  type: 'close';
+  name: string;
+}
+
+export interface XmlText {
+  type: 'text';
+  text: string;
+}
+
+export type XmlEvent = XmlOpenTag | XmlCloseTag | XmlText;
+
+export interface XmlReaderOptions {
+  /** Emit text content (off by default; attribute-only formats don't need it) */
+  text?: boolean;
+}
+
+const NAMED_ENTITIES: Record<string, string> = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+};
+
+const ATTRIBUTE_PATTERN = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+export function decodeEntities(value: string): string {
+  if (!value.includes('&')) return value;
+  return value.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, entity: string) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return NAMED_ENTITIES[entity] ?? match;
+  });
+}
+
+/**
+ * Index of the `>` closing a tag that starts at `start`, skipping any inside
+ * quoted attribute values; -1 if the tag isn't complete yet
+ */
+function findTagEnd(buffer: string, start: number): number {
+  let quote: string | null = null;
+  for (let i = start; i < buffer.length; i++) {
+    const char = buffer[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '>') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Index just past the end of a DOCTYPE starting at `start`, or -1 if incomplete
+ */
+function findDoctypeEnd(buffer: string, start: number): number {
+  const bracket = buffer.indexOf('[', start);
+  const close = buffer.indexOf('>', start);
+  if (close < 0) return -1;
+  if (bracket < 0 || close < bracket) return close + 1;
+
+  const subsetEnd = /\]\s*>/g;
+  subsetEnd.lastIndex = bracket;
+  const match = subsetEnd.exec(buffer);
+  return match ? match.index + match[0].length : -1;
+}
+
+/**
+ * Incremental tokenizer: feed it text as it arrives and collect the events
+ * completed so far
+ */
+export class XmlEventReader {
+  private buffer = '';
+  private readonly emitText: boolean;
+
+  constructor(options: XmlReaderOptions = {}) {
+    this.emitText = !!options.text;
+  }
+
+  feed(chunk: string): XmlEvent[] {
+    this.buffer += chunk;
+    const events: XmlEvent[] = [];
+    let position = 0;
+
+    while (position < this.buffer.length) {
+      const tagStart = this.buffer.indexOf('<', position);
+      if (tagStart < 0) {
+        // Text runs to the next tag, which hasn't arrived yet
+        break;
+      }
+      if (tagStart > position) {
+        this.pushText(events, this.buffer.slice(position, tagStart));
+        position = tagStart;
+      }
+
+      let end: number;
+      if (this.buffer.startsWith('<!--', tagStart)) {
+        const close = this.buffer.indexOf('-->', tagStart + 4);
+        if (close < 0) break;
+        end = close + 3;
+      } else if (this.buffer.startsWith('<![CDATA[', tagStart)) {
+        const close = this.buffer.indexOf(']]>', tagStart + 9);
+        if (close < 0) break;
+        if (this.emitText) {
+          events.push({ type: 'text', text: this.buffer.slice(tagStart + 9, close) });
+        }
+        end = close + 3;
+      } else if (this.buffer.startsWith('<!', tagStart)) {
+        end = findDoctypeEnd(this.buffer, tagStart);
+        if (end < 0) break;
+      } else if (this.buffer.startsWith('<?', tagStart)) {
+        const close = this.buffer.indexOf('?>', tagStart + 2);
+        if (close < 0) break;
+        end = close + 2;
+      } else {
+        const close = findTagEnd(this.buffer, tagStart + 1);
+        if (close < 0) break;
+        events.push(this.parseTag(this.buffer.slice(tagStart + 1, close)));
+        end = close + 1;
+      }
+      position = end;
+    }
+
+    this.buffer = this.buffer.slice(position);
+    return events;
+  }
+
+  /**
+   * Flush trailing text once the input has ended
+   */
+  end(): XmlEvent[] {
+    const events: XmlEvent[] = [];
+    if (this.buffer && !this.buffer.includes('<')) {
+      this.pushText(events, this.buffer);
+    }
+    this.buffer = '';
+    return events;
+  }
+
+  private pushText(events: XmlEvent[], raw: string) {
+    if (this.emitText && raw.trim()) {
+      events.push({ type: 'text', text: decodeEntities(raw) });
+    }
+  }
+
+  private parseTag(body: string): XmlEvent {
+    if (body[0] === '/') {
+      return { type: 'close', name: body.slice(1).trim() };
+    }
+
+    const selfClosing = body.endsWith('/');
+    const content = selfClosing ? body.slice(0, -1) : body;
+    const nameEnd = content.search(/[\s]/);
+    const name = nameEnd < 0 ? content : content.slice(0, nameEnd);
+    const attributes: Record<string, string> = {};
+
+    if (nameEnd >= 0) {
+      ATTRIBUTE_PATTERN.lastIndex = nameEnd;
+      let match: RegExpExecArray | null;
+      while ((match = ATTRIBUTE_PATTERN.exec(content))) {
+        attributes[match[1]] = decodeEntities(match[2] ?? match[3]);
+      }
+    }
+
+    return { type: 'open', name, attributes, selfClosing };
+  }
+}
+
+/**
+ * Read a UTF-8 XML stream as events. Consuming it with `for await` applies
+ * backpressure, so the source is only read as fast as events are handled.
+ */
+export async function* readXmlEvents(stream: Readable, options: XmlReaderOptions = {}): AsyncGenerator<XmlEvent> {
+  const reader = new XmlEventReader(options);
+  const decoder = new StringDecoder('utf8');
+
+  for await (const chunk of stream) {
+    const text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    for (const event of reader.feed(text)) {
+      yield event;
+    }
+  }
+
+  for (const event of reader.feed(decoder.end())) {
+    yield event;
+  }
+  for (const event of reader.end()) {
+    yield event;
+  }
+}
+
+export default {
+  decodeEntities,
+  XmlEventReader,
+  readXmlEvents,
+};
@@ -0,0 +1,182 @@
+/**
+ * Zip Reader
+ *
+ * Reads a zip archive's directory and streams single entries out of it with
+ * node's zlib, so an entry can be parsed without unpacking (or loading) the
+ * whole archive. Supports stored and deflated entries and zip64 archives,
+ * which is what phone and device exports produce.
+ */
+
+import * as fs from 'fs';
+import * as zlib from 'zlib';
+import { Readable } from 'stream';
+
+export interface ZipEntry {
+  name: string;
+  /** 0 = stored, 8 = deflated */
+  method: number;
+  compressedSize: number;
+  uncompressedSize: number;
+  localHeaderOffset: number;
+}
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const ZIP64_EXTRA_ID = 0x0001;
+/** End of central directory record plus the longest possible comment */
+const EOCD_SEARCH_BYTES = 22 + 0xffff;
+
+function readAt(fd: number, position: number, length: number): Buffer {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Whether the file starts like a zip archive
+ */
+export function isZipFile(filePath: string): boolean {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const header = readAt(fd, 0, 4);
+    return header.length === 4 && header.readUInt32LE(0) === LOCAL_HEADER_SIGNATURE;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * List the entries in a zip archive
+ */
+export function listZipEntries(filePath: string): ZipEntry[] {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const fileSize = fs.fstatSync(fd).size;
+    const tailStart = Math.max(0, fileSize - EOCD_SEARCH_BYTES);
+    const tail = readAt(fd, tailStart, fileSize - tailStart);
+
+    let eocd = -1;
+    for (let i = tail.length - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd < 0) {
+      throw new Error('Not a zip archive (no end of central directory)');
+    }
+
+    let entryCount = tail.readUInt16LE(eocd + 10);
+    let directorySize = tail.readUInt32LE(eocd + 12);
+    let directoryOffset = tail.readUInt32LE(eocd + 16);
+
+    // Large archives keep the real values in the zip64 end of central directory
+    const locator = eocd - 20;
+    if (locator >= 0 && tail.readUInt32LE(locator) === ZIP64_EOCD_LOCATOR_SIGNATURE) {
+      const zip64Offset = Number(tail.readBigUInt64LE(locator + 8));
+      const zip64 = readAt(fd, zip64Offset, 56);
+      if (zip64.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) {
+        throw new Error('Corrupt zip64 archive');
+      }
+      entryCount = Number(zip64.readBigUInt64LE(32));
+      directorySize = Number(zip64.readBigUInt64LE(40));
+      directoryOffset = Number(zip64.readBigUInt64LE(48));
+    }
+
+    const directory = readAt(fd, directoryOffset, directorySize);
+    const entries: ZipEntry[] = [];
+    let position = 0;
+
+    for (let i = 0; i < entryCount; i++) {
+      if (directory.readUInt32LE(position) !== CENTRAL_HEADER_SIGNATURE) {
+        throw new Error('Corrupt zip central directory');
+      }
+      const nameLength = directory.readUInt16LE(position + 28);
+      const extraLength = directory.readUInt16LE(position + 30);
+      const commentLength = directory.readUInt16LE(position + 32);
+      const entry: ZipEntry = {
+        method: directory.readUInt16LE(position + 10),
+        compressedSize: directory.readUInt32LE(position + 20),
+        uncompressedSize: directory.readUInt32LE(position + 24),
+        localHeaderOffset: directory.readUInt32LE(position + 42),
+        name: directory.toString('utf8', position + 46, position + 46 + nameLength),
+      };
+
+      // Zip64 extra field: only the values saturated in the header are present, in this order
+      let extra = position + 46 + nameLength;
+      const extraEnd = extra + extraLength;
+      while (extra + 4 <= extraEnd) {
+        const id = directory.readUInt16LE(extra);
+        const size = directory.readUInt16LE(extra + 2);
+        if (id === ZIP64_EXTRA_ID) {
+          let field = extra + 4;
+          if (entry.uncompressedSize === 0xffffffff) {
+            entry.uncompressedSize = Number(directory.readBigUInt64LE(field));
+            field += 8;
+          }
+          if (entry.compressedSize === 0xffffffff) {
+            entry.compressedSize = Number(directory.readBigUInt64LE(field));
+            field += 8;
+          }
+          if (entry.localHeaderOffset === 0xffffffff) {
+            entry.localHeaderOffset = Number(directory.readBigUInt64LE(field));
+          }
+        }
+        extra += 4 + size;
+      }
+
+      entries.push(entry);
+      position = extraEnd + commentLength;
+    }
+
+    return entries;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Stream one entry's uncompressed contents
+ */
+export function openZipEntry(filePath: string, entry: ZipEntry): Readable {
+  if (entry.method !== 0 && entry.method !== 8) {
+    throw new Error(`Unsupported zip compression method ${entry.method} for ${entry.name}`);
+  }
+
+  const fd = fs.openSync(filePath, 'r');
+  let dataStart: number;
+  try {
+    const header = readAt(fd, entry.localHeaderOffset, 30);
+    if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) {
+      throw new Error(`Corrupt zip entry ${entry.name}`);
+    }
+    dataStart = entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  if (entry.compressedSize === 0) {
+    return Readable.from([]);
+  }
+
+  const raw = fs.createReadStream(filePath, {
+    start: dataStart,
+    end: dataStart + entry.compressedSize - 1,
+  });
+  if (entry.method === 0) {
+    return raw;
+  }
+
+  const inflate = zlib.createInflateRaw();
+  raw.on('error', (error) => inflate.destroy(error));
+  return raw.pipe(inflate);
+}
+
+export default {
+  isZipFile,
+  listZipEntries,
+  openZipEntry,
+};
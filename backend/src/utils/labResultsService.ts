@@ -0,0 +1,484 @@
+/**
+ * Lab Results Service
+ *
+ * Normalized biomarker store built from uploaded lab reports:
+ * 1. Turn a file's extraction (structured `labResults`, or the free-form
+ *    `entries[].metrics` of older extractions) into one row per biomarker
+ * 2. Resolve reported names to a canonical code through biomarker_synonyms
+ *    ("HbA1c", "A1C" and "Hemoglobin A1c" all become `hba1c`), or through
+ *    the LOINC code when the result came from a coded medical record
+ * 3. Convert values to the biomarker's canonical unit through
+ *    biomarker_unit_conversions
+ * 4. Store rows in lab_results and read a biomarker's history across uploads
+ */
+
+import { SupabaseClient } from '@supabase/supabase-js';
+import { ExtractedData, ExtractedLabResult } from './fileParsingService';
+
+export type LabFlag = 'normal' | 'low' | 'high' | 'critical' | 'abnormal';
+
+export interface BiomarkerDefinition {
+  code: string;
+  name: string;
+  category: string;
+  canonical_unit: string | null;
+  loinc: string | null;
+}
+
+export interface BiomarkerCatalog {
+  definitions: Map<string, BiomarkerDefinition>;
+  /** name key -> code */
+  synonyms: Map<string, string>;
+  /** LOINC code -> code */
+  loincCodes: Map<string, string>;
+  /** `${code}|${unit key}` -> conversion to the canonical unit */
+  conversions: Map<string, { factor: number; offset: number }>;
+}
+
+export interface LabResultRow {
+  user_id: string;
+  upload_id: string;
+  name: string;
+  value: number | null;
+  value_text: string | null;
+  unit: string | null;
+  reference_low: number | null;
+  reference_high: number | null;
+  reference_text: string | null;
+  flag: LabFlag | null;
+  collected_on: string | null;
+  panel: string | null;
+  name_key: string;
+  biomarker_code: string | null;
+  normalized_value: number | null;
+  normalized_unit: string | null;
+}
+
+const LAB_DATA_TYPES = ['lab_results', 'medical_report'];
+const FLAGS: LabFlag[] = ['normal', 'low', 'high', 'critical', 'abnormal'];
+const CATALOG_TTL_MS = 10 * 60 * 1000;
+// Uploads processed per catch-up pass
+const PENDING_BATCH_SIZE = 20;
+const PAGE_SIZE = 1000; // PostgREST's default max rows per request
+
+// Spelling variants of the same unit, mapped to the keys used in the conversion table.
+// Units that differ by a factor (mIU/mL is 1000 µIU/mL) belong in the table instead.
+const UNIT_ALIASES: Record<string, string> = {
+  'percent': '%',
+  'pct': '%',
+  'mcg/dl': 'ug/dl',
+  'mcg/l': 'ug/l',
+  'µg/dl': 'ug/dl',
+  'µg/l': 'ug/l',
+  'µmol/l': 'umol/l',
+  'µiu/ml': 'uiu/ml',
+  'μiu/ml': 'uiu/ml',
+  'k/ul': '10^3/ul',
+  'k/µl': '10^3/ul',
+  'thou/ul': '10^3/ul',
+  'x10e3/ul': '10^3/ul',
+  '10*3/ul': '10^3/ul',
+  'x10^3/ul': '10^3/ul',
+  'x10^9/l': '10^9/l',
+  'm/ul': '10^6/ul',
+  'mil/ul': '10^6/ul',
+  'x10e6/ul': '10^6/ul',
+  '10*6/ul': '10^6/ul',
+  'x10^6/ul': '10^6/ul',
+  'x10^12/l': '10^12/l',
+  'iu/l': 'u/l',
+  'ml/min/1.73': 'ml/min/1.73m2',
+  'ml/min/1.73m^2': 'ml/min/1.73m2',
+};
+
+// Trailing tokens of snake_case metric keys that are units ("glucose_mg_dl")
+const UNIT_TOKENS = new Set([
+  'mg', 'dl', 'mmol', 'mol', 'l', 'g', 'ug', 'mcg', 'ng', 'pg', 'ml', 'u', 'iu', 'miu', 'uiu',
+  'pct', 'percent', 'meq', 'umol', 'pmol', 'nmol', 'fl',
+]);
+
+let catalogCache: { loadedAt: number; catalog: BiomarkerCatalog } | null = null;
+
+/**
+ * Lookup key for a reported biomarker name: lowercase letters and digits only
+ */
+export function normalizeNameKey(name: string): string {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Lookup key for a unit: lowercase, no spaces, common spellings unified
+ */
+export function normalizeUnit(unit: string | null | undefined): string | null {
+  if (!unit) return null;
+  const key = unit.toLowerCase().replace(/\s+/g, '').replace(/μ/g, 'µ');
+  if (!key) return null;
+  return UNIT_ALIASES[key] || UNIT_ALIASES[key.replace(/µ/g, 'u')] || key.replace(/µ/g, 'u');
+}
+
+/**
+ * Load definitions, synonyms and unit conversions (cached for a few minutes)
+ */
+export async function loadBiomarkerCatalog(supabase: SupabaseClient): Promise<BiomarkerCatalog> {
+  if (catalogCache && Date.now() - catalogCache.loadedAt < CATALOG_TTL_MS) {
+    return catalogCache.catalog;
+  }
+
+  const [definitions, synonyms, conversions] = await Promise.all([
+    supabase.from('biomarker_definitions').select('code, name, category, canonical_unit, loinc'),
+    supabase.from('biomarker_synonyms').select('synonym, code'),
+    supabase.from('biomarker_unit_conversions').select('code, from_unit, factor, offset_value'),
+  ]);
+
+  const error = definitions.error || synonyms.error || conversions.error;
+  if (error) {
+    throw new Error(`Failed to load biomarker catalog: ${error.message}`);
+  }
+
+  const catalog: BiomarkerCatalog = {
+    definitions: new Map((definitions.data || []).map((d: any) => [d.code, d as BiomarkerDefinition])),
+    synonyms: new Map((synonyms.data || []).map((s: any) => [s.synonym, s.code])),
+    loincCodes: new Map((definitions.data || []).filter((d: any) => d.loinc).map((d: any) => [d.loinc, d.code])),
+    conversions: new Map((conversions.data || []).map((c: any) => [
+      `${c.code}|${c.from_unit}`,
+      { factor: Number(c.factor), offset: Number(c.offset_value) },
+    ])),
+  };
+
+  catalogCache = { loadedAt: Date.now(), catalog };
+  return catalog;
+}
+
+/**
+ * Canonical code for a reported name, or null for biomarkers we don't know yet
+ */
+export function resolveBiomarkerCode(catalog: BiomarkerCatalog, name: string): string | null {
+  const key = normalizeNameKey(name);
+  return catalog.synonyms.get(key) || (catalog.definitions.has(key) ? key : null);
+}
+
+/**
+ * Split a snake_case metric key like "glucose_mg_dl" into its name and unit
+ */
+function splitMetricKey(key: string): { name: string; unit: string | null } {
+  const tokens = key.toLowerCase().split(/[_\s]+/).filter(Boolean);
+  const unitTokens: string[] = [];
+  while (tokens.length > 1 && UNIT_TOKENS.has(tokens[tokens.length - 1])) {
+    unitTokens.unshift(tokens.pop()!);
+  }
+
+  let unit: string | null = null;
+  if (unitTokens.length === 1) {
+    unit = unitTokens[0];
+  } else if (unitTokens.length > 1) {
+    unit = `${unitTokens.slice(0, -1).join('')}/${unitTokens[unitTokens.length - 1]}`;
+  }
+
+  return { name: tokens.join(' '), unit };
+}
+
+/**
+ * Parse a reported value such as 5.6, "5.6", "130 mg/dL", "<0.5" or "7.2 H"
+ */
+function parseValue(raw: unknown): { value: number | null; text: string | null; unit: string | null } {
+  if (typeof raw === 'number') {
+    return { value: isFinite(raw) ? raw : null, text: null, unit: null };
+  }
+  if (typeof raw !== 'string' || !raw.trim()) {
+    return { value: null, text: raw == null ? null : String(raw), unit: null };
+  }
+
+  const text = raw.trim();
+  const match = text.match(/^([<>]=?)?\s*(-?\d+(?:[.,]\d+)?)\s*([a-zA-Zµμ%/^*0-9.]+(?:\/[a-zA-Z0-9.^]+)?)?/);
+  if (!match) {
+    return { value: null, text, unit: null };
+  }
+
+  const value = parseFloat(match[2].replace(',', '.'));
+  const unit = match[3] && !/^[HLA]$/i.test(match[3]) ? match[3] : null;
+  // Keep the text when the number alone loses meaning ("<0.5")
+  return { value, text: match[1] ? text : null, unit };
+}
+
+/**
+ * Parse "4.0-5.6", "4.0 - 5.6 %", "<100" or ">40"
+ */
+export function parseReferenceRange(text: string | null | undefined): { low: number | null; high: number | null } {
+  if (!text) return { low: null, high: null };
+
+  const range = text.match(/(-?\d+(?:\.\d+)?)\s*(?:-|–|to)\s*(-?\d+(?:\.\d+)?)/i);
+  if (range) {
+    return { low: parseFloat(range[1]), high: parseFloat(range[2]) };
+  }
+  const below = text.match(/^\s*(?:<|≤|<=|less than|under)\s*(-?\d+(?:\.\d+)?)/i);
+  if (below) {
+    return { low: null, high: parseFloat(below[1]) };
+  }
+  const above = text.match(/^\s*(?:>|≥|>=|greater than|over)\s*(-?\d+(?:\.\d+)?)/i);
+  if (above) {
+    return { low: parseFloat(above[1]), high: null };
+  }
+  return { low: null, high: null };
+}
+
+function toNumber(value: unknown): number | null {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(String(value));
+  return isFinite(number) ? number : null;
+}
+
+function normalizeFlag(flag: unknown, value: number | null, low: number | null, high: number | null): LabFlag | null {
+  if (typeof flag === 'string') {
+    const lower = flag.trim().toLowerCase();
+    if (FLAGS.includes(lower as LabFlag)) return lower as LabFlag;
+    if (lower === 'h' || lower === 'hi') return 'high';
+    if (lower === 'l' || lower === 'lo') return 'low';
+    if (lower === 'n') return 'normal';
+    if (lower === 'a' || lower === 'abn') return 'abnormal';
+    if (lower.startsWith('crit') || lower === 'hh' || lower === 'll') return 'critical';
+  }
+
+  if (value === null || (low === null && high === null)) return null;
+  if (low !== null && value < low) return 'low';
+  if (high !== null && value > high) return 'high';
+  return 'normal';
+}
+
+function validDate(value: unknown): string | null {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : null;
+}
+
+/**
+ * Lab results reported in an extraction. Prefers the structured `labResults`
+ * list; older extractions only have free-form metrics on lab/medical entries.
+ */
+function collectReportedResults(extracted: ExtractedData): ExtractedLabResult[] {
+  if (Array.isArray(extracted.labResults) && extracted.labResults.length > 0) {
+    return extracted.labResults;
+  }
+  // Importer entries hold record counts, not test values
+  if (extracted.dataType === 'health_export') {
+    return [];
+  }
+
+  const isLabFile = LAB_DATA_TYPES.includes(extracted.dataType);
+  const results: ExtractedLabResult[] = [];
+
+  (extracted.entries || []).forEach((entry) => {
+    if (!isLabFile && entry.category !== 'medical') return;
+
+    Object.entries(entry.metrics || {}).forEach(([key, raw]) => {
+      const { name, unit } = splitMetricKey(key);
+      const parsed = parseValue(raw);
+      results.push({
+        name,
+        value: raw as any,
+        unit: parsed.unit || unit || undefined,
+        collectionDate: entry.date,
+      });
+    });
+  });
+
+  return results;
+}
+
+/**
+ * Build lab_results rows for one uploaded file
+ */
+export function buildLabResultRows(catalog: BiomarkerCatalog, upload: any): LabResultRow[] {
+  const extracted: ExtractedData | null = upload.extracted_data;
+  if (!extracted) return [];
+
+  const fallbackDate = validDate(extracted.dateRange?.start) ||
+    validDate(upload.date_range_start) ||
+    (upload.upload_date ? String(upload.upload_date).split('T')[0] : null);
+
+  return collectReportedResults(extracted)
+    .filter((result) => typeof result.name === 'string' && result.name.trim())
+    .map((result) => {
+      const parsed = parseValue(result.value);
+      const value = typeof result.value === 'number' ? result.value : parsed.value;
+      const unit = result.unit || parsed.unit || null;
+
+      const range = parseReferenceRange(result.referenceRange);
+      const referenceLow = toNumber(result.referenceLow) ?? range.low;
+      const referenceHigh = toNumber(result.referenceHigh) ?? range.high;
+
+      const code = (result.loinc && catalog.loincCodes.get(result.loinc)) || resolveBiomarkerCode(catalog, result.name);
+      const definition = code ? catalog.definitions.get(code) : undefined;
+      const unitKey = normalizeUnit(unit);
+
+      // Convert to the canonical unit when we know how. A missing unit is left
+      // unconverted rather than guessed (5.4 could be mg/dL or mmol/L).
+      let normalizedValue: number | null = null;
+      let normalizedUnit: string | null = null;
+      if (definition && value !== null) {
+        if (!definition.canonical_unit || unitKey === definition.canonical_unit) {
+          normalizedValue = value;
+          normalizedUnit = definition.canonical_unit;
+        } else {
+          const conversion = unitKey ? catalog.conversions.get(`${definition.code}|${unitKey}`) : undefined;
+          if (conversion) {
+            normalizedValue = Math.round((value * conversion.factor + conversion.offset) * 1000) / 1000;
+            normalizedUnit = definition.canonical_unit;
+          }
+        }
+      }
+
+      return {
+        user_id: upload.user_id,
+        upload_id: upload.id,
+        name: result.name.trim(),
+        value,
+        value_text: parsed.text ?? (value === null && result.value != null ? String(result.value) : null),
+        unit,
+        reference_low: referenceLow,
+        reference_high: referenceHigh,
+        reference_text: result.referenceRange || null,
+        flag: normalizeFlag(result.flag, value, referenceLow, referenceHigh),
+        collected_on: validDate(result.collectionDate) || fallbackDate,
+        panel: result.panel || null,
+        name_key: normalizeNameKey(result.name),
+        biomarker_code: code,
+        normalized_value: normalizedValue,
+        normalized_unit: normalizedUnit,
+      };
+    });
+}
+
+/**
+ * Replace the lab results stored for one upload and mark it as processed
+ */
+export async function saveLabResults(supabase: SupabaseClient, upload: any): Promise<number> {
+  const catalog = await loadBiomarkerCatalog(supabase);
+  const rows = buildLabResultRows(catalog, upload);
+
+  const { error: deleteError } = await supabase.from('lab_results').delete().eq('upload_id', upload.id);
+  if (deleteError) {
+    throw new Error(`Failed to clear lab results: ${deleteError.message}`);
+  }
+
+  if (rows.length > 0) {
+    const { error: insertError } = await supabase.from('lab_results').insert(rows);
+    if (insertError) {
+      throw new Error(`Failed to store lab results: ${insertError.message}`);
+    }
+  }
+
+  const { error: markError } = await supabase
+    .from('uploaded_file_data')
+    .update({ labs_extracted_at: new Date().toISOString() })
+    .eq('id', upload.id);
+  if (markError) {
+    throw new Error(`Failed to mark upload as processed: ${markError.message}`);
+  }
+
+  console.log('[LabResults] Stored', rows.length, 'lab results for upload', upload.id);
+  return rows.length;
+}
+
+/**
+ * Process the user's uploads that predate the biomarker store (or whose
+ * processing failed), so history covers every upload
+ */
+export async function syncPendingLabResults(supabase: SupabaseClient, userId: string): Promise<void> {
+  const { data: uploads, error } = await supabase
+    .from('uploaded_file_data')
+    .select('id, user_id, extracted_data, date_range_start, upload_date')
+    .eq('user_id', userId)
+    .eq('processing_status', 'done')
+    .neq('review_status', 'needs_review')
+    .is('labs_extracted_at', null)
+    .limit(PENDING_BATCH_SIZE);
+
+  if (error) {
+    console.error('[LabResults] Error loading pending uploads:', error);
+    return;
+  }
+
+  for (const upload of uploads || []) {
+    try {
+      await saveLabResults(supabase, upload);
+    } catch (uploadError) {
+      console.error('[LabResults] Error processing upload', upload.id, uploadError);
+    }
+  }
+}
+
+/**
+ * Resolve a biomarker given by code, synonym or reported name to the filter
+ * used for its history: the canonical code when known, else the name key
+ */
+export async function resolveBiomarker(
+  supabase: SupabaseClient,
+  codeOrName: string
+): Promise<{ definition: BiomarkerDefinition | null; nameKey: string }> {
+  const catalog = await loadBiomarkerCatalog(supabase);
+  const code = catalog.definitions.has(codeOrName) ? codeOrName : resolveBiomarkerCode(catalog, codeOrName);
+
+  return {
+    definition: code ? catalog.definitions.get(code) || null : null,
+    nameKey: normalizeNameKey(codeOrName),
+  };
+}
+
+export interface LabHistoryFilter {
+  biomarkerCode?: string | null;
+  nameKey?: string;
+  from?: string;
+  to?: string;
+}
+
+/**
+ * Stored lab results for one user, oldest first, with the source upload.
+ * Filter by canonical code, or by name key for biomarkers not in the catalog.
+ */
+export async function getLabResults(
+  supabase: SupabaseClient,
+  userId: string,
+  filter: LabHistoryFilter = {}
+): Promise<any[]> {
+  const rows: any[] = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    let query = supabase
+      .from('lab_results')
+      .select('id, name, value, value_text, unit, reference_low, reference_high, reference_text, flag, collected_on, panel, name_key, biomarker_code, normalized_value, normalized_unit, upload_id, uploaded_file_data(file_name, upload_date)')
+      .eq('user_id', userId);
+
+    if (filter.biomarkerCode) {
+      query = query.eq('biomarker_code', filter.biomarkerCode);
+    } else if (filter.nameKey) {
+      query = query.eq('name_key', filter.nameKey);
+    }
+    if (filter.from) query = query.gte('collected_on', filter.from);
+    if (filter.to) query = query.lte('collected_on', filter.to);
+
+    const { data, error } = await query
+      .order('collected_on', { ascending: true, nullsFirst: true })
+      .order('id', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to fetch lab results: ${error.message}`);
+    }
+
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+}
+
+export default {
+  normalizeNameKey,
+  normalizeUnit,
+  parseReferenceRange,
+  loadBiomarkerCatalog,
+  resolveBiomarkerCode,
+  buildLabResultRows,
+  saveLabResults,
+  syncPendingLabResults,
+  resolveBiomarker,
+  getLabResults,
+};
@@ -0,0 +1,319 @@
+/**
+ * Lab Trends Service
+ *
+ * Compares the user's blood panels over time using the biomarker store:
+ * 1. Group stored results per biomarker and keep those seen in two or more uploads
+ * 2. Compute direction, change since the previous panel and rate of change
+ * 3. Mark each result against its reference range and flag range crossings
+ * 4. Format a compact "lab changes" block for chat context
+ */
+
+import { SupabaseClient } from '@supabase/supabase-js';
+import {
+  BiomarkerCatalog,
+  getLabResults,
+  loadBiomarkerCatalog,
+  normalizeUnit,
+  syncPendingLabResults,
+} from './labResultsService';
+import { round } from './numbers';
+
+export type RangeStatus = 'low' | 'normal' | 'high' | 'abnormal';
+export type TrendDirection = 'rising' | 'falling' | 'stable';
+
+export interface LabTrendPoint {
+  date: string;
+  value: number;
+  uploadId: string;
+  status: RangeStatus | null;
+  referenceText: string | null;
+}
+
+export interface RangeCrossing {
+  date: string;
+  from: RangeStatus;
+  to: RangeStatus;
+}
+
+export interface LabTrend {
+  key: string;
+  code: string | null;
+  name: string;
+  unit: string | null;
+  direction: TrendDirection;
+  first: LabTrendPoint;
+  previous: LabTrendPoint;
+  latest: LabTrendPoint;
+  /** Latest minus previous value */
+  change: number;
+  /** Change since the previous panel, in percent of the previous value */
+  changePercent: number | null;
+  /** Least-squares slope over all panels, in units per 30 days */
+  ratePerMonth: number | null;
+  points: LabTrendPoint[];
+  crossings: RangeCrossing[];
+}
+
+export interface LabAlert {
+  type: 'new_out_of_range' | 'persistent_out_of_range' | 'back_in_range';
+  key: string;
+  name: string;
+  date: string;
+  value: number;
+  unit: string | null;
+  status: RangeStatus;
+  referenceText: string | null;
+}
+
+// Overall change (first to latest panel) below this percent counts as stable
+const STABLE_THRESHOLD_PERCENT = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Trends listed in the chat context block
+const CONTEXT_TREND_LIMIT = 10;
+
+/**
+ * Where a result sits against its reference range. The range is compared with
+ * the reported value (both are in the lab's units); the lab's own flag is the
+ * fallback when no numeric range was extracted.
+ */
+function rangeStatus(row: any): RangeStatus | null {
+  const low = row.reference_low;
+  const high = row.reference_high;
+  if (row.value !== null && (low !== null || high !== null)) {
+    if (low !== null && row.value < low) return 'low';
+    if (high !== null && row.value > high) return 'high';
+    return 'normal';
+  }
+
+  switch (row.flag) {
+    case 'low':
+    case 'high':
+    case 'normal':
+      return row.flag;
+    case 'critical':
+    case 'abnormal':
+      return 'abnormal';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Comparable value and unit for a row: the canonical unit when the value could
+ * be converted, otherwise the reported unit
+ */
+function comparableValue(row: any): { value: number; unit: string | null } | null {
+  if (row.normalized_value !== null && row.normalized_value !== undefined) {
+    return { value: Number(row.normalized_value), unit: row.normalized_unit };
+  }
+  if (row.value === null || row.value === undefined) return null;
+  return { value: Number(row.value), unit: normalizeUnit(row.unit) };
+}
+
+function slopePerMonth(points: LabTrendPoint[]): number | null {
+  const origin = new Date(points[0].date).getTime();
+  const xs = points.map((point) => (new Date(point.date).getTime() - origin) / DAY_MS);
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = points.reduce((sum, point) => sum + point.value, 0) / points.length;
+
+  let numerator = 0;
+  let denominator = 0;
+  xs.forEach((x, i) => {
+    numerator += (x - meanX) * (points[i].value - meanY);
+    denominator += (x - meanX) * (x - meanX);
+  });
+
+  return denominator > 0 ? round((numerator / denominator) * 30, 3) : null;
+}
+
+function buildTrend(key: string, name: string, code: string | null, unit: string | null, rows: any[]): LabTrend | null {
+  // One point per upload and date; a panel repeated in the same file counts once
+  const byPanel = new Map<string, LabTrendPoint>();
+  rows.forEach((row) => {
+    const comparable = comparableValue(row)!;
+    byPanel.set(`${row.upload_id}|${row.collected_on}`, {
+      date: row.collected_on,
+      value: round(comparable.value, 3),
+      uploadId: row.upload_id,
+      status: rangeStatus(row),
+      referenceText: row.reference_text,
+    });
+  });
+
+  const points = Array.from(byPanel.values()).sort((a, b) => a.date.localeCompare(b.date));
+  if (new Set(points.map((point) => point.uploadId)).size < 2) {
+    return null;
+  }
+
+  const first = points[0];
+  const previous = points[points.length - 2];
+  const latest = points[points.length - 1];
+  const overallPercent = first.value !== 0 ? ((latest.value - first.value) / Math.abs(first.value)) * 100 : null;
+
+  let direction: TrendDirection = 'stable';
+  if (overallPercent === null ? latest.value !== first.value : Math.abs(overallPercent) >= STABLE_THRESHOLD_PERCENT) {
+    direction = latest.value > first.value ? 'rising' : 'falling';
+  }
+
+  const crossings: RangeCrossing[] = [];
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1].status;
+    const to = points[i].status;
+    if (from && to && from !== to) {
+      crossings.push({ date: points[i].date, from, to });
+    }
+  }
+
+  return {
+    key,
+    code,
+    name,
+    unit,
+    direction,
+    first,
+    previous,
+    latest,
+    change: round(latest.value - previous.value, 3),
+    changePercent: previous.value !== 0 ? round(((latest.value - previous.value) / Math.abs(previous.value)) * 100, 1) : null,
+    ratePerMonth: slopePerMonth(points),
+    points,
+    crossings,
+  };
+}
+
+/**
+ * Trends for every biomarker with comparable results in two or more uploads.
+ * `rows` are lab_results rows as returned by getLabResults.
+ */
+export function computeLabTrends(catalog: BiomarkerCatalog, rows: any[]): LabTrend[] {
+  // Group by biomarker, then by unit so values in units we can't convert aren't mixed
+  const groups = new Map<string, Map<string | null, any[]>>();
+  rows.forEach((row) => {
+    if (!row.collected_on) return;
+    const comparable = comparableValue(row);
+    if (!comparable || !isFinite(comparable.value)) return;
+
+    const key = row.biomarker_code || row.name_key;
+    const byUnit = groups.get(key) || new Map<string | null, any[]>();
+    const unitRows = byUnit.get(comparable.unit) || [];
+    unitRows.push(row);
+    byUnit.set(comparable.unit, unitRows);
+    groups.set(key, byUnit);
+  });
+
+  const trends: LabTrend[] = [];
+  groups.forEach((byUnit, key) => {
+    // The unit with the most results wins
+    const [unit, unitRows] = Array.from(byUnit.entries()).sort((a, b) => b[1].length - a[1].length)[0];
+    const code = unitRows[0].biomarker_code || null;
+    const name = (code && catalog.definitions.get(code)?.name) || unitRows[unitRows.length - 1].name;
+
+    const trend = buildTrend(key, name, code, unit, unitRows);
+    if (trend) trends.push(trend);
+  });
+
+  return trends.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Out-of-range results worth surfacing, based on each biomarker's latest panel
+ */
+export function findLabAlerts(trends: LabTrend[]): LabAlert[] {
+  const alerts: LabAlert[] = [];
+
+  trends.forEach((trend) => {
+    const { latest, previous } = trend;
+    if (!latest.status) return;
+
+    let type: LabAlert['type'] | null = null;
+    if (latest.status !== 'normal') {
+      type = previous.status && previous.status !== 'normal' ? 'persistent_out_of_range' : 'new_out_of_range';
+    } else if (previous.status && previous.status !== 'normal') {
+      type = 'back_in_range';
+    }
+
+    if (type) {
+      alerts.push({
+        type,
+        key: trend.key,
+        name: trend.name,
+        date: latest.date,
+        value: latest.value,
+        unit: trend.unit,
+        status: latest.status,
+        referenceText: latest.referenceText,
+      });
+    }
+  });
+
+  // Newly out of range first
+  const order: Record<LabAlert['type'], number> = { new_out_of_range: 0, persistent_out_of_range: 1, back_in_range: 2 };
+  return alerts.sort((a, b) => order[a.type] - order[b.type] || b.date.localeCompare(a.date));
+}
+
+/**
+ * Load the user's lab results and compute trends and alerts
+ */
+export async function getLabTrends(
+  supabase: SupabaseClient,
+  userId: string,
+  options: { from?: string; to?: string } = {}
+): Promise<{ trends: LabTrend[]; alerts: LabAlert[] }> {
+  await syncPendingLabResults(supabase, userId);
+  const [catalog, rows] = await Promise.all([
+    loadBiomarkerCatalog(supabase),
+    getLabResults(supabase, userId, options),
+  ]);
+
+  const trends = computeLabTrends(catalog, rows);
+  return { trends, alerts: findLabAlerts(trends) };
+}
+
+function describeStatus(point: LabTrendPoint): string {
+  if (!point.status) return '';
+  const range = point.referenceText ? ` (ref ${point.referenceText})` : '';
+  return point.status === 'normal' ? `within range${range}` : `${point.status}${range}`;
+}
+
+/**
+ * Format trends as a compact context block, biomarkers with alerts first and
+ * then by size of the latest change
+ */
+export function formatLabChangesForContext(trends: LabTrend[], alerts: LabAlert[]): string {
+  if (trends.length === 0) return '';
+
+  const alerted = new Set(alerts.map((alert) => alert.key));
+  const ranked = [...trends].sort((a, b) =>
+    Number(alerted.has(b.key)) - Number(alerted.has(a.key)) ||
+    Math.abs(b.changePercent ?? 0) - Math.abs(a.changePercent ?? 0)
+  );
+
+  let context = 'Lab changes across uploaded blood panels:\n';
+  ranked.slice(0, CONTEXT_TREND_LIMIT).forEach((trend) => {
+    const unit = trend.unit ? ` ${trend.unit}` : '';
+    const percent = trend.changePercent !== null
+      ? ` (${trend.changePercent > 0 ? '+' : ''}${trend.changePercent}%)`
+      : '';
+    const status = describeStatus(trend.latest);
+    const crossing = trend.crossings.find((c) => c.date === trend.latest.date);
+
+    context += `- ${trend.name}: ${trend.previous.value} → ${trend.latest.value}${unit}${percent}, ` +
+      `${trend.previous.date} → ${trend.latest.date}; ${trend.direction} over ${trend.points.length} panels since ${trend.first.date}`;
+    if (status) context += `; now ${status}`;
+    if (crossing) context += `, was ${crossing.from}`;
+    context += '\n';
+  });
+
+  if (ranked.length > CONTEXT_TREND_LIMIT) {
+    context += `(${ranked.length - CONTEXT_TREND_LIMIT} more biomarkers with repeated results not shown)\n`;
+  }
+
+  return context;
+}
+
+export default {
+  computeLabTrends,
+  findLabAlerts,
+  getLabTrends,
+  formatLabChangesForContext,
+};
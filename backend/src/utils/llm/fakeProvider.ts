@@ -0,0 +1,205 @@
+/**
+ * Fake Provider
+ *
+ * Deterministic, offline stand-in for a real model so CI can exercise the chat
+ * and upload flows without network access. Responses depend only on the
+ * feature and the prompt.
+ *
+ * Canned responses can be supplied through LLM_FAKE_FIXTURES, a path to a JSON
+ * file keyed by feature. Each value is a response (string or JSON value) or a
+ * list of `{ "match": "substring", "response": ... }` rules; the first rule
+ * whose `match` appears in the prompt wins, and a rule without `match` is the
+ * fallback:
+ *
+ *   {
+ *     "chat": [{ "match": "sleep", "response": "You slept 7.5 hours." }],
+ *     "fileParsing": { "dataType": "lab_results", "entries": [], "summary": "", "confidence": 0.9 }
+ *   }
+ */
+
+import * as fs from 'fs';
+import {
+  EmbedOptions,
+  GenerateOptions,
+  LLMFeature,
+  LLMPrompt,
+  LLMProvider,
+  LLMToolDefinition,
+  LLMToolRound,
+  LLMToolStreamEvent,
+  promptText,
+  toParts,
+} from './types';
+
+export const FAKE_DEFAULT_MODEL = 'fake-1';
+export const FAKE_DEFAULT_EMBEDDING_MODEL = 'fake-embedding-1';
+const FAKE_EMBEDDING_DIMENSIONS = 768;
+
+type FixtureRule = { match?: string; response: unknown };
+type Fixtures = Partial<Record<LLMFeature, unknown>>;
+
+let cachedFixtures: { path: string; fixtures: Fixtures } | null = null;
+
+function loadFixtures(): Fixtures {
+  const fixturePath = process.env.LLM_FAKE_FIXTURES;
+  if (!fixturePath) {
+    return {};
+  }
+  if (cachedFixtures?.path !== fixturePath) {
+    cachedFixtures = { path: fixturePath, fixtures: JSON.parse(fs.readFileSync(fixturePath, 'utf-8')) };
+  }
+  return cachedFixtures.fixtures;
+}
+
+function serialize(response: unknown): string {
+  return typeof response === 'string' ? response : JSON.stringify(response);
+}
+
+export class FakeProvider implements LLMProvider {
+  readonly name = 'fake' as const;
+
+  constructor(
+    readonly model: string,
+    readonly feature: LLMFeature
+  ) {}
+
+  isConfigured(): boolean {
+    return true;
+  }
+
+  supportsInlineData(): boolean {
+    return true;
+  }
+
+  private fixtureResponse(text: string): string | null {
+    const fixture = loadFixtures()[this.feature];
+    if (fixture === undefined) {
+      return null;
+    }
+    if (!Array.isArray(fixture)) {
+      return serialize(fixture);
+    }
+
+    const rule = (fixture as FixtureRule[]).find((r) => !r.match || text.includes(r.match));
+    return rule ? serialize(rule.response) : null;
+  }
+
+  private defaultResponse(prompt: LLMPrompt, options: GenerateOptions): string {
+    const text = promptText(prompt);
+
+    if (this.feature === 'queryAnalysis') {
+      // null fields make ragService keep its rule-based analysis
+      return JSON.stringify({ needsHealthData: null, timeReference: null, metrics: [] });
+    }
+
+    if (this.feature === 'fileParsing') {
+      const attachments = toParts(prompt).filter((part) => 'inlineData' in part);
+      const bytes = attachments.reduce(
+        (sum, part) => sum + ('inlineData' in part ? Buffer.from(part.inlineData.data, 'base64').length : 0),
+        0
+      );
+      return JSON.stringify({
+        dataType: 'other',
+        entries: [
+          {
+            category: 'other',
+            metrics: attachments.length > 0 ? { attachment_bytes: bytes } : { characters: text.length },
+            notes: 'Extracted by the fake LLM provider',
+          },
+        ],
+        summary: `Fake extraction (${attachments.length > 0 ? `${bytes} bytes attached` : `${text.length} characters`})`,
+        confidence: 0.9,
+      });
+    }
+
+    if (this.feature === 'summarization') {
+      // One line per user message in the transcript being folded in
+      const userLines = text.match(/^User: .*$/gm) || [];
+      return `Earlier the user asked about: ${userLines.map((line) => line.slice(6, 86)).join('; ') || 'nothing yet'}.`;
+    }
+
+    // chat: echo the latest user message so tests can assert on it
+    const lastUserMessage = text.match(/User: ([\s\S]*?)\n\nYou-i:\s*$/)?.[1] ?? text.slice(-200);
+    const hasHealthData = text.includes('=== USER HEALTH DATA CONTEXT ===');
+    const reply = `This is a test reply. You said: "${lastUserMessage.trim()}".` +
+      (hasHealthData ? ' Health data was included in the prompt.' : '');
+
+    return options.json ? JSON.stringify({ reply }) : reply;
+  }
+
+  async generate(prompt: LLMPrompt, options: GenerateOptions = {}): Promise<string> {
+    if (options.signal?.aborted) {
+      throw new Error('Request aborted');
+    }
+    return this.fixtureResponse(promptText(prompt)) ?? this.defaultResponse(prompt, options);
+  }
+
+  async *stream(prompt: LLMPrompt, options: GenerateOptions = {}): AsyncIterable<string> {
+    const response = await this.generate(prompt, options);
+
+    // Emit word by word so clients see several token events
+    for (const chunk of response.match(/\S+\s*/g) || []) {
+      if (options.signal?.aborted) {
+        return;
+      }
+      yield chunk;
+    }
+  }
+
+  /**
+   * Hashed bag-of-words vectors: texts sharing words come out similar, which is
+   * enough to exercise retrieval without a model
+   */
+  async embed(texts: string[], options: EmbedOptions = {}): Promise<number[][]> {
+    const dimensions = options.dimensions || FAKE_EMBEDDING_DIMENSIONS;
+
+    return texts.map((text) => {
+      const vector = new Array<number>(dimensions).fill(0);
+      for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+        // FNV-1a
+        let hash = 2166136261;
+        for (let i = 0; i < word.length; i++) {
+          hash = Math.imul(hash ^ word.charCodeAt(i), 16777619);
+        }
+        vector[(hash >>> 0) % dimensions] += 1;
+      }
+      const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+      return vector.map((v) => v / norm);
+    });
+  }
+
+  /**
+   * On the first round, calls the first offered tool for the last 7 days;
+   * afterwards answers like `generate` and notes which tools returned data.
+   */
+  async *streamWithTools(
+    prompt: LLMPrompt,
+    tools: LLMToolDefinition[],
+    rounds: LLMToolRound[],
+    options: GenerateOptions = {}
+  ): AsyncIterable<LLMToolStreamEvent> {
+    if (rounds.length === 0 && tools.length > 0) {
+      const end = new Date();
+      const start = new Date(end.getTime() - 6 * 24 * 60 * 60 * 1000);
+      yield {
+        type: 'toolCall',
+        call: {
+          id: '0-0',
+          name: tools[0].name,
+          args: { start_date: start.toISOString().split('T')[0], end_date: end.toISOString().split('T')[0] },
+        },
+      };
+      return;
+    }
+
+    const toolNames = rounds.flatMap((round) => round.calls.map((call) => call.name));
+    const suffix = toolNames.length > 0 ? ` Tools used: ${toolNames.join(', ')}.` : '';
+
+    for await (const chunk of this.stream(prompt, options)) {
+      yield { type: 'text', text: chunk };
+    }
+    if (suffix) {
+      yield { type: 'text', text: suffix };
+    }
+  }
+}
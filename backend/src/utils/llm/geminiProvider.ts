@@ -0,0 +1,151 @@
+/**
+ * Gemini Provider
+ *
+ * Google Gemini via @google/generative-ai. Supports text, streaming, JSON mode
+ * (responseMimeType), inline images/PDFs, function calling and embeddings.
+ */
+
+import {
+  Content,
+  FunctionDeclarationSchema,
+  GoogleGenerativeAI,
+  GenerationConfig,
+  Part,
+  TaskType,
+} from '@google/generative-ai';
+import {
+  EmbedOptions,
+  GenerateOptions,
+  LLMFeature,
+  LLMPrompt,
+  LLMProvider,
+  LLMToolDefinition,
+  LLMToolRound,
+  LLMToolStreamEvent,
+  toParts,
+} from './types';
+
+export const GEMINI_DEFAULT_MODEL = 'gemini-2.5-flash';
+export const GEMINI_DEFAULT_EMBEDDING_MODEL = 'text-embedding-004';
+
+export class GeminiProvider implements LLMProvider {
+  readonly name = 'gemini' as const;
+  private readonly client: GoogleGenerativeAI;
+
+  constructor(
+    readonly model: string,
+    readonly feature: LLMFeature,
+    private readonly apiKey: string = process.env.GEMINI_API_KEY || ''
+  ) {
+    this.client = new GoogleGenerativeAI(apiKey);
+  }
+
+  isConfigured(): boolean {
+    return !!this.apiKey;
+  }
+
+  supportsInlineData(mimeType: string): boolean {
+    return mimeType === 'application/pdf' || mimeType.startsWith('image/');
+  }
+
+  private getModel(options: GenerateOptions, tools: LLMToolDefinition[] = []) {
+    const generationConfig: GenerationConfig = {};
+    if (options.json) generationConfig.responseMimeType = 'application/json';
+    if (options.temperature !== undefined) generationConfig.temperature = options.temperature;
+    if (options.maxOutputTokens !== undefined) generationConfig.maxOutputTokens = options.maxOutputTokens;
+
+    return this.client.getGenerativeModel({
+      model: this.model,
+      generationConfig,
+      ...(tools.length > 0 && {
+        tools: [{
+          functionDeclarations: tools.map((tool) => ({
+            name: tool.name,
+            description: tool.description,
+            // Gemini takes the same lowercase JSON Schema type names
+            parameters: tool.parameters as unknown as FunctionDeclarationSchema,
+          })),
+        }],
+      }),
+    });
+  }
+
+  private toGeminiParts(prompt: LLMPrompt): Part[] {
+    return toParts(prompt).map((part) =>
+      'text' in part ? { text: part.text } : { inlineData: part.inlineData }
+    );
+  }
+
+  async generate(prompt: LLMPrompt, options: GenerateOptions = {}): Promise<string> {
+    const result = await this.getModel(options).generateContent(
+      this.toGeminiParts(prompt),
+      { signal: options.signal }
+    );
+    return result.response.text();
+  }
+
+  async *stream(prompt: LLMPrompt, options: GenerateOptions = {}): AsyncIterable<string> {
+    const result = await this.getModel(options).generateContentStream(
+      this.toGeminiParts(prompt),
+      { signal: options.signal }
+    );
+
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) {
+        yield text;
+      }
+    }
+  }
+
+  async embed(texts: string[], options: EmbedOptions = {}): Promise<number[][]> {
+    const taskType = options.taskType === 'query' ? TaskType.RETRIEVAL_QUERY : TaskType.RETRIEVAL_DOCUMENT;
+    const result = await this.client.getGenerativeModel({ model: this.model }).batchEmbedContents(
+      { requests: texts.map((text) => ({ content: { role: 'user', parts: [{ text }] }, taskType })) },
+      { signal: options.signal }
+    );
+    return result.embeddings.map((embedding) => embedding.values);
+  }
+
+  async *streamWithTools(
+    prompt: LLMPrompt,
+    tools: LLMToolDefinition[],
+    rounds: LLMToolRound[],
+    options: GenerateOptions = {}
+  ): AsyncIterable<LLMToolStreamEvent> {
+    const contents: Content[] = [{ role: 'user', parts: this.toGeminiParts(prompt) }];
+    for (const round of rounds) {
+      contents.push({
+        role: 'model',
+        parts: round.calls.map((call) => ({ functionCall: { name: call.name, args: call.args } })),
+      });
+      contents.push({
+        role: 'function',
+        parts: round.results.map((result) => ({
+          functionResponse: { name: result.name, response: { result: result.result } },
+        })),
+      });
+    }
+
+    const result = await this.getModel(options, tools).generateContentStream(
+      { contents },
+      { signal: options.signal }
+    );
+
+    // Gemini doesn't assign call ids, so number them within the round
+    let callIndex = 0;
+    for await (const chunk of result.stream) {
+      for (const call of chunk.functionCalls() || []) {
+        yield {
+          type: 'toolCall',
+          call: { id: `${rounds.length}-${callIndex++}`, name: call.name, args: (call.args as Record<string, any>) || {} },
+        };
+      }
+
+      const text = chunk.text();
+      if (text) {
+        yield { type: 'text', text };
+      }
+    }
+  }
+}
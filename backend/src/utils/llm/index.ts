@@ -0,0 +1,152 @@
+/**
+ * LLM Provider Layer
+ *
+ * Picks the model backend for each feature from configuration:
+ *
+ *   LLM_PROVIDER=gemini|openai|fake      default provider (gemini)
+ *   LLM_MODEL=...                        default model for that provider
+ *   LLM_CHAT_PROVIDER / LLM_CHAT_MODEL                     per-feature overrides
+ *   LLM_QUERY_ANALYSIS_PROVIDER / LLM_QUERY_ANALYSIS_MODEL
+ *   LLM_FILE_PARSING_PROVIDER / LLM_FILE_PARSING_MODEL
+ *   LLM_SUMMARIZATION_PROVIDER / LLM_SUMMARIZATION_MODEL
+ *   LLM_EMBEDDINGS_PROVIDER / LLM_EMBEDDINGS_MODEL       (never uses LLM_MODEL)
+ *
+ * Callers ask for a feature (`getLLM('chat')`) and never construct SDK clients
+ * themselves.
+ */
+
+import { GeminiProvider, GEMINI_DEFAULT_MODEL, GEMINI_DEFAULT_EMBEDDING_MODEL } from './geminiProvider';
+import {
+  OpenAICompatibleProvider,
+  OPENAI_DEFAULT_MODEL,
+  OPENAI_DEFAULT_EMBEDDING_MODEL,
+} from './openaiCompatibleProvider';
+import { FakeProvider, FAKE_DEFAULT_MODEL, FAKE_DEFAULT_EMBEDDING_MODEL } from './fakeProvider';
+import { LLMFeature, LLMProvider, LLMProviderConfig, LLMProviderName } from './types';
+
+export * from './types';
+
+const PROVIDERS: LLMProviderName[] = ['gemini', 'openai', 'fake'];
+
+const FEATURE_ENV_PREFIX: Record<LLMFeature, string> = {
+  chat: 'LLM_CHAT',
+  queryAnalysis: 'LLM_QUERY_ANALYSIS',
+  fileParsing: 'LLM_FILE_PARSING',
+  summarization: 'LLM_SUMMARIZATION',
+  embeddings: 'LLM_EMBEDDINGS',
+};
+
+const DEFAULT_MODELS: Record<LLMProviderName, string> = {
+  gemini: GEMINI_DEFAULT_MODEL,
+  openai: OPENAI_DEFAULT_MODEL,
+  fake: FAKE_DEFAULT_MODEL,
+};
+
+const DEFAULT_EMBEDDING_MODELS: Record<LLMProviderName, string> = {
+  gemini: GEMINI_DEFAULT_EMBEDDING_MODEL,
+  openai: OPENAI_DEFAULT_EMBEDDING_MODEL,
+  fake: FAKE_DEFAULT_EMBEDDING_MODEL,
+};
+
+const providerCache = new Map<string, LLMProvider>();
+
+/**
+ * Resolve which provider and model a feature should use
+ */
+export function resolveLLMConfig(feature: LLMFeature): LLMProviderConfig {
+  const prefix = FEATURE_ENV_PREFIX[feature];
+  const requested = (process.env[`${prefix}_PROVIDER`] || process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+
+  if (!PROVIDERS.includes(requested as LLMProviderName)) {
+    throw new Error(`Unknown LLM provider "${requested}". Expected one of: ${PROVIDERS.join(', ')}`);
+  }
+  const provider = requested as LLMProviderName;
+
+  // A global LLM_MODEL only applies when the feature uses the global provider,
+  // and never to embeddings (a generation model can't embed)
+  const isEmbeddings = feature === 'embeddings';
+  const usesGlobalProvider = !process.env[`${prefix}_PROVIDER`];
+  const model = process.env[`${prefix}_MODEL`] ||
+    (usesGlobalProvider && !isEmbeddings ? process.env.LLM_MODEL : undefined) ||
+    (isEmbeddings ? DEFAULT_EMBEDDING_MODELS : DEFAULT_MODELS)[provider];
+
+  return { provider, model, feature };
+}
+
+/**
+ * Get the configured provider for a feature
+ */
+export function getLLM(feature: LLMFeature): LLMProvider {
+  const config = resolveLLMConfig(feature);
+  const cacheKey = `${config.feature}:${config.provider}:${config.model}`;
+
+  let provider = providerCache.get(cacheKey);
+  if (!provider) {
+    switch (config.provider) {
+      case 'openai':
+        provider = new OpenAICompatibleProvider(config.model, feature);
+        break;
+      case 'fake':
+        provider = new FakeProvider(config.model, feature);
+        break;
+      default:
+        provider = new GeminiProvider(config.model, feature);
+    }
+    providerCache.set(cacheKey, provider);
+  }
+
+  return provider;
+}
+
+/**
+ * Human-readable hint for a provider that has no credentials
+ */
+export function missingCredentialsMessage(provider: LLMProvider): string {
+  switch (provider.name) {
+    case 'openai':
+      return 'OpenAI-compatible provider is not configured. Please set OPENAI_API_KEY (and OPENAI_BASE_URL for other endpoints) in your .env file.';
+    case 'gemini':
+      return 'Gemini API key is not configured. Please set GEMINI_API_KEY in your .env file.';
+    default:
+      return `${provider.name} provider is not configured.`;
+  }
+}
+
+/**
+ * Configuration problems for every feature, used by the startup check
+ */
+export function getLLMConfigIssues(): string[] {
+  const issues: string[] = [];
+
+  for (const feature of Object.keys(FEATURE_ENV_PREFIX) as LLMFeature[]) {
+    try {
+      const provider = getLLM(feature);
+      if (!provider.isConfigured()) {
+        issues.push(`❌ ${missingCredentialsMessage(provider)}`);
+      }
+    } catch (error: any) {
+      issues.push(`❌ ${FEATURE_ENV_PREFIX[feature]}_PROVIDER: ${error.message}`);
+    }
+  }
+
+  return Array.from(new Set(issues));
+}
+
+/**
+ * Parse a model's JSON answer, tolerating markdown code fences
+ */
+export function parseJSONResponse<T = any>(response: string): T {
+  const cleaned = response
+    .replace(/```json\n?/g, '')
+    .replace(/```\n?/g, '')
+    .trim();
+  return JSON.parse(cleaned);
+}
+
+export default {
+  getLLM,
+  resolveLLMConfig,
+  getLLMConfigIssues,
+  missingCredentialsMessage,
+  parseJSONResponse,
+};
@@ -0,0 +1,226 @@
+/**
+ * OpenAI-Compatible Provider
+ *
+ * Talks to any `/chat/completions` HTTP API that follows the OpenAI format
+ * (OpenAI, Azure-style gateways, OpenRouter, vLLM, Ollama, LM Studio, ...).
+ * Configure with OPENAI_API_KEY and optionally OPENAI_BASE_URL.
+ */
+
+import {
+  EmbedOptions,
+  GenerateOptions,
+  LLMFeature,
+  LLMPrompt,
+  LLMProvider,
+  LLMToolCall,
+  LLMToolDefinition,
+  LLMToolRound,
+  LLMToolStreamEvent,
+  toParts,
+} from './types';
+
+export const OPENAI_DEFAULT_MODEL = 'gpt-4o-mini';
+export const OPENAI_DEFAULT_EMBEDDING_MODEL = 'text-embedding-3-small';
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+export class OpenAICompatibleProvider implements LLMProvider {
+  readonly name = 'openai' as const;
+
+  constructor(
+    readonly model: string,
+    readonly feature: LLMFeature,
+    private readonly apiKey: string = process.env.OPENAI_API_KEY || '',
+    private readonly baseUrl: string = process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL
+  ) {}
+
+  isConfigured(): boolean {
+    // Local servers (Ollama, vLLM) often need no key, only a base URL
+    return !!this.apiKey || !!process.env.OPENAI_BASE_URL;
+  }
+
+  supportsInlineData(mimeType: string): boolean {
+    // Chat completions accept images as data URLs; PDFs are not part of the common API
+    return mimeType.startsWith('image/');
+  }
+
+  private buildContent(prompt: LLMPrompt) {
+    const parts = toParts(prompt);
+    return parts.every((part) => 'text' in part)
+      ? parts.map((part) => ('text' in part ? part.text : '')).join('\n')
+      : parts.map((part) => {
+          if ('text' in part) {
+            return { type: 'text', text: part.text };
+          }
+          if (!this.supportsInlineData(part.inlineData.mimeType)) {
+            throw new Error(`${this.model} cannot read ${part.inlineData.mimeType} input`);
+          }
+          return {
+            type: 'image_url',
+            image_url: { url: `data:${part.inlineData.mimeType};base64,${part.inlineData.data}` },
+          };
+        });
+  }
+
+  private buildBody(prompt: LLMPrompt, options: GenerateOptions, stream: boolean, toolMessages: object[] = []) {
+    return {
+      model: this.model,
+      messages: [{ role: 'user', content: this.buildContent(prompt) }, ...toolMessages],
+      stream,
+      ...(options.json && { response_format: { type: 'json_object' } }),
+      ...(options.temperature !== undefined && { temperature: options.temperature }),
+      ...(options.maxOutputTokens !== undefined && { max_tokens: options.maxOutputTokens }),
+    };
+  }
+
+  private async post(body: object, signal?: AbortSignal, path = '/chat/completions'): Promise<Response> {
+    const response = await fetch(`${this.baseUrl.replace(/\/$/, '')}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }),
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!response.ok) {
+      let message = response.statusText;
+      try {
+        const data: any = await response.json();
+        message = data?.error?.message || message;
+      } catch (e) {
+        // Non-JSON error body
+      }
+      throw new Error(`OpenAI-compatible API error (${response.status}): ${message}`);
+    }
+
+    return response;
+  }
+
+  async generate(prompt: LLMPrompt, options: GenerateOptions = {}): Promise<string> {
+    const response = await this.post(this.buildBody(prompt, options, false), options.signal);
+    const data: any = await response.json();
+    return data?.choices?.[0]?.message?.content || '';
+  }
+
+  async embed(texts: string[], options: EmbedOptions = {}): Promise<number[][]> {
+    const body = {
+      model: this.model,
+      input: texts,
+      ...(options.dimensions !== undefined && { dimensions: options.dimensions }),
+    };
+    const response = await this.post(body, options.signal, '/embeddings');
+    const data: any = await response.json();
+
+    // Results carry their input index; don't rely on response order
+    return [...(data?.data || [])]
+      .sort((a: any, b: any) => a.index - b.index)
+      .map((item: any) => item.embedding);
+  }
+
+  /**
+   * Parse the `data:` payloads of a streamed response
+   */
+  private async *readEvents(response: Response): AsyncIterable<any> {
+    if (!response.body) {
+      return;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') return;
+
+        try {
+          yield JSON.parse(payload);
+        } catch (e) {
+          // Ignore keep-alive or malformed lines
+        }
+      }
+    }
+  }
+
+  async *stream(prompt: LLMPrompt, options: GenerateOptions = {}): AsyncIterable<string> {
+    const response = await this.post(this.buildBody(prompt, options, true), options.signal);
+
+    for await (const event of this.readEvents(response)) {
+      const text = event?.choices?.[0]?.delta?.content;
+      if (text) {
+        yield text;
+      }
+    }
+  }
+
+  async *streamWithTools(
+    prompt: LLMPrompt,
+    tools: LLMToolDefinition[],
+    rounds: LLMToolRound[],
+    options: GenerateOptions = {}
+  ): AsyncIterable<LLMToolStreamEvent> {
+    const messages = rounds.flatMap((round) => [
+      {
+        role: 'assistant',
+        content: null,
+        tool_calls: round.calls.map((call) => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.args) },
+        })),
+      },
+      ...round.results.map((result) => ({
+        role: 'tool',
+        tool_call_id: result.id,
+        content: JSON.stringify(result.result),
+      })),
+    ]);
+
+    const body = {
+      ...this.buildBody(prompt, options, true, messages),
+      tools: tools.map((tool) => ({ type: 'function', function: tool })),
+    };
+    const response = await this.post(body, options.signal);
+
+    // Tool call names and arguments arrive in fragments keyed by index
+    const pending = new Map<number, { id: string; name: string; arguments: string }>();
+
+    for await (const event of this.readEvents(response)) {
+      const delta = event?.choices?.[0]?.delta;
+      if (delta?.content) {
+        yield { type: 'text', text: delta.content };
+      }
+
+      for (const fragment of delta?.tool_calls || []) {
+        const call = pending.get(fragment.index) || { id: '', name: '', arguments: '' };
+        if (fragment.id) call.id = fragment.id;
+        if (fragment.function?.name) call.name += fragment.function.name;
+        if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+        pending.set(fragment.index, call);
+      }
+    }
+
+    for (const [index, call] of pending) {
+      let args: Record<string, any> = {};
+      try {
+        args = call.arguments ? JSON.parse(call.arguments) : {};
+      } catch (e) {
+        // Leave args empty; the tool reports the missing parameters back to the model
+      }
+      const toolCall: LLMToolCall = { id: call.id || `${rounds.length}-${index}`, name: call.name, args };
+      yield { type: 'toolCall', call: toolCall };
+    }
+  }
+}
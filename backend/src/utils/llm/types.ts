@@ -0,0 +1,128 @@
+/**
+ * LLM Provider Types
+ *
+ * Shared contract implemented by every model backend (Gemini, OpenAI-compatible
+ * HTTP APIs and the deterministic fake used for offline testing).
+ */
+
+/**
+ * Features that can be pointed at different providers/models via configuration
+ */
+export type LLMFeature = 'chat' | 'queryAnalysis' | 'fileParsing' | 'summarization' | 'embeddings';
+
+export type LLMProviderName = 'gemini' | 'openai' | 'fake';
+
+/**
+ * One piece of a multimodal prompt: plain text or inline binary data
+ * (base64), e.g. an image or PDF for vision extraction.
+ */
+export type LLMPart =
+  | { text: string }
+  | { inlineData: { mimeType: string; data: string } };
+
+export type LLMPrompt = string | LLMPart[];
+
+export interface GenerateOptions {
+  /** Ask the model to answer with a single JSON value */
+  json?: boolean;
+  temperature?: number;
+  maxOutputTokens?: number;
+  /** Abort an in-flight request (e.g. when the client disconnects) */
+  signal?: AbortSignal;
+}
+
+export interface EmbedOptions {
+  /** Texts being indexed, or a search query to match against them */
+  taskType?: 'document' | 'query';
+  /** Requested vector size, for models that support shortening their output */
+  dimensions?: number;
+  signal?: AbortSignal;
+}
+
+/**
+ * A function the model may call, described with a JSON Schema object
+ */
+export interface LLMToolDefinition {
+  name: string;
+  description: string;
+  parameters: {
+    type: 'object';
+    properties: Record<string, any>;
+    required?: string[];
+  };
+}
+
+export interface LLMToolCall {
+  /** Provider-assigned id (generated when the provider has none) */
+  id: string;
+  name: string;
+  args: Record<string, any>;
+}
+
+/**
+ * One round of tool use: the calls the model made and what they returned.
+ * Passed back on the next request so the model sees its earlier calls.
+ */
+export interface LLMToolRound {
+  calls: LLMToolCall[];
+  results: Array<{ id: string; name: string; result: unknown }>;
+}
+
+export type LLMToolStreamEvent =
+  | { type: 'text'; text: string }
+  | { type: 'toolCall'; call: LLMToolCall };
+
+export interface LLMProvider {
+  readonly name: LLMProviderName;
+  readonly model: string;
+  readonly feature: LLMFeature;
+
+  /** Whether credentials are present; callers return a clear error when not */
+  isConfigured(): boolean;
+
+  /** Whether inline image/PDF parts are accepted for the given MIME type */
+  supportsInlineData(mimeType: string): boolean;
+
+  /** Generate a complete response */
+  generate(prompt: LLMPrompt, options?: GenerateOptions): Promise<string>;
+
+  /** Generate a response as a stream of text chunks */
+  stream(prompt: LLMPrompt, options?: GenerateOptions): AsyncIterable<string>;
+
+  /** Embed each text as a vector, in input order */
+  embed(texts: string[], options?: EmbedOptions): Promise<number[][]>;
+
+  /**
+   * Stream a response while offering tools. Yields text chunks and, when the
+   * model wants data, tool calls; the caller runs them and calls again with
+   * the completed rounds appended.
+   */
+  streamWithTools(
+    prompt: LLMPrompt,
+    tools: LLMToolDefinition[],
+    rounds: LLMToolRound[],
+    options?: GenerateOptions
+  ): AsyncIterable<LLMToolStreamEvent>;
+}
+
+export interface LLMProviderConfig {
+  provider: LLMProviderName;
+  model: string;
+  feature: LLMFeature;
+}
+
+/**
+ * Normalize a prompt into parts
+ */
+export function toParts(prompt: LLMPrompt): LLMPart[] {
+  return typeof prompt === 'string' ? [{ text: prompt }] : prompt;
+}
+
+/**
+ * Concatenate the text parts of a prompt
+ */
+export function promptText(prompt: LLMPrompt): string {
+  return toParts(prompt)
+    .map((part) => ('text' in part ? part.text : ''))
+    .join('\n');
+}
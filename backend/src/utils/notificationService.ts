@@ -0,0 +1,516 @@
+/**
+ * Notification Service
+ *
+ * Push notifications to the user's devices:
+ * 1. Register and remove Expo push tokens, one row per device
+ * 2. Render each notification type from a template
+ * 3. Respect per-user preferences (all notifications, or one type) and quiet
+ *    hours in the user's time zone; notifications due during quiet hours are
+ *    queued until they end
+ * 4. Log every notification, deduplicated by an event key, and disable tokens
+ *    the push service reports as no longer registered
+ * 5. Triggers: health data that stopped syncing (checked on an interval), new
+ *    insights (from the anomaly scan) and parsed uploads (from the upload flow)
+ *
+ * Delivery goes through the configured push transport (see ./push).
+ */
+
+import { SupabaseClient, createClient } from '@supabase/supabase-js';
+import { getPushTransport, PushTicket } from './push';
+import { fromZonedWallClock, getUserTimeZone, toZonedWallClock } from './timeZone';
+
+export type NotificationType = 'sync_stale' | 'new_insight' | 'upload_parsed' | 'test';
+export type NotificationStatus = 'queued' | 'sending' | 'sent' | 'skipped' | 'failed';
+
+export interface NotificationPreferences {
+  enabled: boolean;
+  syncStale: boolean;
+  newInsight: boolean;
+  uploadParsed: boolean;
+  /** HH:MM in the user's time zone, or null for no quiet hours */
+  quietHoursStart: string | null;
+  quietHoursEnd: string | null;
+}
+
+export const DEFAULT_PREFERENCES: NotificationPreferences = {
+  enabled: true,
+  syncStale: true,
+  newInsight: true,
+  uploadParsed: true,
+  quietHoursStart: null,
+  quietHoursEnd: null,
+};
+
+// Which preference turns each type on or off (test notifications always go out)
+const PREFERENCE_FOR_TYPE: Record<NotificationType, keyof NotificationPreferences | null> = {
+  sync_stale: 'syncStale',
+  new_insight: 'newInsight',
+  upload_parsed: 'uploadParsed',
+  test: null,
+};
+
+const TEMPLATES: Record<NotificationType, (data: Record<string, any>) => { title: string; body: string }> = {
+  sync_stale: (data) => ({
+    title: 'Your health data is out of date',
+    body: `You-i hasn't received new health data in ${data.days} days. Open the app to sync.`,
+  }),
+  new_insight: (data) => ({
+    title: data.title,
+    body: data.explanation,
+  }),
+  upload_parsed: (data) => (data.needsReview
+    ? {
+        title: 'Please review your file',
+        body: `${data.fileName} has been analyzed. Check what was read from it before it's used in your chats.`,
+      }
+    : {
+        title: 'Your file is ready',
+        body: `${data.fileName} has been analyzed.${data.summary ? ` ${truncate(data.summary, 120)}` : ''}`,
+      }),
+  test: () => ({
+    title: 'Notifications are on',
+    body: 'This is a test notification from You-i.',
+  }),
+};
+
+const DEFAULT_CHECK_INTERVAL_MINUTES = 15;
+const DEFAULT_SYNC_STALE_HOURS = 48;
+const FLUSH_BATCH_SIZE = 500;
+const PAGE_SIZE = 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const UNIQUE_VIOLATION = '23505';
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)/;
+
+function truncate(text: string, maxLength: number): string {
+  return text.length <= maxLength ? text : `${text.substring(0, maxLength - 1).trimEnd()}…`;
+}
+
+/**
+ * HH:MM from a time value ("22:00", or "22:00:00" as Postgres returns it)
+ */
+export function normalizeTime(value: unknown): string | null {
+  const match = typeof value === 'string' ? value.match(TIME_PATTERN) : null;
+  return match ? `${match[1]}:${match[2]}` : null;
+}
+
+function toMinutes(time: string): number {
+  const [hours, minutes] = time.split(':').map((part) => parseInt(part, 10));
+  return hours * 60 + minutes;
+}
+
+/**
+ * When the user's quiet hours end, if `now` falls inside them; null otherwise.
+ * A start after the end (22:00-07:00) wraps past midnight.
+ */
+export function quietHoursEndAt(
+  now: Date,
+  timeZone: string,
+  start: string | null,
+  end: string | null
+): Date | null {
+  if (!start || !end || start === end) {
+    return null;
+  }
+
+  const wallClock = toZonedWallClock(now, timeZone);
+  const current = wallClock.getHours() * 60 + wallClock.getMinutes();
+  const startMinutes = toMinutes(start);
+  const endMinutes = toMinutes(end);
+  const inside = startMinutes < endMinutes
+    ? current >= startMinutes && current < endMinutes
+    : current >= startMinutes || current < endMinutes;
+
+  if (!inside) {
+    return null;
+  }
+
+  const endWallClock = new Date(wallClock.getFullYear(), wallClock.getMonth(), wallClock.getDate(),
+    Math.floor(endMinutes / 60), endMinutes % 60);
+  if (endWallClock <= wallClock) {
+    endWallClock.setDate(endWallClock.getDate() + 1);
+  }
+  return fromZonedWallClock(endWallClock, timeZone);
+}
+
+function formatPreferences(row: any): NotificationPreferences {
+  if (!row) {
+    return { ...DEFAULT_PREFERENCES };
+  }
+  return {
+    enabled: row.enabled,
+    syncStale: row.sync_stale,
+    newInsight: row.new_insight,
+    uploadParsed: row.upload_parsed,
+    quietHoursStart: normalizeTime(row.quiet_hours_start),
+    quietHoursEnd: normalizeTime(row.quiet_hours_end),
+  };
+}
+
+/**
+ * The user's notification preferences, or the defaults if they never changed them
+ */
+export async function getNotificationPreferences(
+  supabase: SupabaseClient,
+  userId: string
+): Promise<NotificationPreferences> {
+  const { data, error } = await supabase
+    .from('notification_preferences')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load notification preferences: ${error.message}`);
+  }
+  return formatPreferences(data);
+}
+
+/**
+ * Save changes to the user's preferences; fields left out keep their value
+ */
+export async function updateNotificationPreferences(
+  supabase: SupabaseClient,
+  userId: string,
+  changes: Partial<NotificationPreferences>
+): Promise<NotificationPreferences> {
+  const preferences = { ...(await getNotificationPreferences(supabase, userId)), ...changes };
+
+  const { data, error } = await supabase
+    .from('notification_preferences')
+    .upsert({
+      user_id: userId,
+      enabled: preferences.enabled,
+      sync_stale: preferences.syncStale,
+      new_insight: preferences.newInsight,
+      upload_parsed: preferences.uploadParsed,
+      quiet_hours_start: preferences.quietHoursStart,
+      quiet_hours_end: preferences.quietHoursEnd,
+      updated_at: new Date().toISOString(),
+    }, { onConflict: 'user_id' })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to save notification preferences: ${error.message}`);
+  }
+  return formatPreferences(data);
+}
+
+/**
+ * Save a device's push token for the user. A token already registered to
+ * another account (a different user signed in on the device) moves to this one.
+ */
+export async function registerPushToken(
+  supabase: SupabaseClient,
+  userId: string,
+  device: { token: string; platform?: string | null; deviceName?: string | null }
+): Promise<void> {
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from('push_tokens')
+    .upsert({
+      user_id: userId,
+      token: device.token,
+      platform: device.platform || null,
+      device_name: device.deviceName || null,
+      enabled: true,
+      last_registered_at: now,
+      updated_at: now,
+    }, { onConflict: 'token' });
+
+  if (error) {
+    throw new Error(`Failed to register push token: ${error.message}`);
+  }
+}
+
+/**
+ * Stop sending to a device, e.g. when the user signs out on it
+ */
+export async function unregisterPushToken(supabase: SupabaseClient, userId: string, token: string): Promise<void> {
+  const { error } = await supabase
+    .from('push_tokens')
+    .delete()
+    .eq('user_id', userId)
+    .eq('token', token);
+
+  if (error) {
+    throw new Error(`Failed to remove push token: ${error.message}`);
+  }
+}
+
+/**
+ * Send a logged notification to every enabled device of its user and record
+ * the outcome
+ */
+async function deliverNotification(supabase: SupabaseClient, notification: any): Promise<NotificationStatus> {
+  let status: NotificationStatus = 'failed';
+  const update: Record<string, any> = {};
+
+  try {
+    const { data: tokens, error } = await supabase
+      .from('push_tokens')
+      .select('token')
+      .eq('user_id', notification.user_id)
+      .eq('enabled', true);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    if (!tokens || tokens.length === 0) {
+      status = 'skipped';
+      update.error = 'No registered devices';
+    } else {
+      const transport = getPushTransport();
+      const tickets: PushTicket[] = await transport.send(tokens.map((row: any) => ({
+        to: row.token,
+        title: notification.title,
+        body: notification.body,
+        data: { ...notification.data, notificationId: notification.id },
+      })));
+
+      const unregistered = tokens
+        .filter((_: any, index: number) => tickets[index]?.details?.error === 'DeviceNotRegistered')
+        .map((row: any) => row.token);
+      if (unregistered.length > 0) {
+        await supabase
+          .from('push_tokens')
+          .update({ enabled: false, updated_at: new Date().toISOString() })
+          .in('token', unregistered);
+        console.log('[Notifications] Disabled', unregistered.length, 'unregistered push tokens for userId:', notification.user_id);
+      }
+
+      const failures = tickets.filter((ticket) => ticket.status !== 'ok');
+      status = failures.length < tickets.length ? 'sent' : 'failed';
+      update.transport = transport.name;
+      update.tickets = tickets;
+      update.sent_at = status === 'sent' ? new Date().toISOString() : null;
+      update.error = failures.length > 0 ? failures.map((ticket) => ticket.message).join('; ') : null;
+    }
+  } catch (error: any) {
+    console.error('[Notifications] Error delivering notification', notification.id, error);
+    update.error = error.message;
+  }
+
+  await supabase
+    .from('notifications')
+    .update({ ...update, status })
+    .eq('id', notification.id);
+
+  return status;
+}
+
+/**
+ * Notify the user about an event, unless their preferences turn it off.
+ * `dedupeKey` identifies the event so it's only ever sent once; during quiet
+ * hours the notification is queued until they end. Never throws, so triggers
+ * can't break the flow that raised them.
+ */
+export async function notifyUser(
+  supabase: SupabaseClient,
+  userId: string,
+  type: NotificationType,
+  data: Record<string, any> = {},
+  options: { dedupeKey?: string; now?: Date } = {}
+): Promise<{ status: NotificationStatus | 'disabled' | 'duplicate'; notificationId?: string; error?: string }> {
+  const now = options.now || new Date();
+
+  try {
+    const preferences = await getNotificationPreferences(supabase, userId);
+    const preference = PREFERENCE_FOR_TYPE[type];
+    if (preference && (!preferences.enabled || !preferences[preference])) {
+      return { status: 'disabled' };
+    }
+
+    const timeZone = await getUserTimeZone(supabase, userId);
+    const quietUntil = type === 'test'
+      ? null
+      : quietHoursEndAt(now, timeZone, preferences.quietHoursStart, preferences.quietHoursEnd);
+    const { title, body } = TEMPLATES[type](data);
+
+    const { data: notification, error } = await supabase
+      .from('notifications')
+      .insert({
+        user_id: userId,
+        type,
+        title,
+        body,
+        data: { ...data, type },
+        dedupe_key: options.dedupeKey || null,
+        // Sent right away unless quiet hours hold it back; a `sending` row is
+        // never picked up by the scheduler's flush
+        status: quietUntil ? 'queued' : 'sending',
+        send_after: (quietUntil || now).toISOString(),
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return { status: 'duplicate' };
+      }
+      throw new Error(error.message);
+    }
+
+    if (quietUntil) {
+      console.log('[Notifications] Queued', type, 'for userId:', userId, 'until', quietUntil.toISOString());
+      return { status: 'queued', notificationId: notification.id };
+    }
+
+    const status = await deliverNotification(supabase, notification);
+    return { status, notificationId: notification.id };
+  } catch (error: any) {
+    console.error('[Notifications] Error notifying userId:', userId, type, error);
+    return { status: 'failed', error: error.message };
+  }
+}
+
+/**
+ * Move a queued notification to `sending`, unless another flush got to it first
+ */
+async function claimNotification(supabase: SupabaseClient, id: string): Promise<any | null> {
+  const { data } = await supabase
+    .from('notifications')
+    .update({ status: 'sending' })
+    .eq('id', id)
+    .eq('status', 'queued')
+    .select()
+    .maybeSingle();
+
+  return data || null;
+}
+
+/**
+ * Send notifications whose quiet hours have ended
+ */
+export async function flushQueuedNotifications(supabase: SupabaseClient, now: Date = new Date()): Promise<number> {
+  const { data, error } = await supabase
+    .from('notifications')
+    .select('*')
+    .eq('status', 'queued')
+    .lte('send_after', now.toISOString())
+    .order('send_after', { ascending: true })
+    .limit(FLUSH_BATCH_SIZE);
+
+  if (error) {
+    throw new Error(`Failed to load queued notifications: ${error.message}`);
+  }
+
+  let delivered = 0;
+  for (const candidate of data || []) {
+    const notification = await claimNotification(supabase, candidate.id);
+    if (!notification) continue;
+
+    await deliverNotification(supabase, notification);
+    delivered++;
+  }
+  return delivered;
+}
+
+/**
+ * Remind users with a registered device whose health data stopped arriving
+ * (no daily metrics updated for SYNC_STALE_HOURS). One reminder per stale
+ * period: the event key is the time of the last update.
+ */
+export async function checkStaleSyncs(supabase: SupabaseClient, now: Date = new Date()): Promise<number> {
+  const staleHours = parseInt(process.env.SYNC_STALE_HOURS || String(DEFAULT_SYNC_STALE_HOURS), 10);
+  const userIds = new Set<string>();
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('push_tokens')
+      .select('user_id')
+      .eq('enabled', true)
+      .order('user_id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to list users with push tokens: ${error.message}`);
+    }
+    (data || []).forEach((row: any) => userIds.add(row.user_id));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  let reminded = 0;
+  for (const userId of userIds) {
+    const { data: latest } = await supabase
+      .from('health_metrics_daily')
+      .select('updated_at')
+      .eq('user_id', userId)
+      .order('updated_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    // Users who never synced have nothing to fall behind on
+    if (!latest?.updated_at) continue;
+
+    const hoursSince = (now.getTime() - new Date(latest.updated_at).getTime()) / HOUR_MS;
+    if (hoursSince < staleHours) continue;
+
+    const result = await notifyUser(supabase, userId, 'sync_stale', {
+      lastSyncedAt: latest.updated_at,
+      days: Math.floor(hoursSince / 24),
+    }, { dedupeKey: `sync_stale:${latest.updated_at}`, now });
+    if (result.status === 'sent' || result.status === 'queued') reminded++;
+  }
+
+  return reminded;
+}
+
+let checkInProgress = false;
+
+/**
+ * Send queued notifications and check for stale syncs every
+ * NOTIFICATION_CHECK_INTERVAL_MINUTES (default 15; 0 turns the schedule off).
+ * The timer doesn't keep the process alive on shutdown.
+ */
+export function startNotificationScheduler(): void {
+  const minutes = parseInt(process.env.NOTIFICATION_CHECK_INTERVAL_MINUTES || String(DEFAULT_CHECK_INTERVAL_MINUTES), 10);
+  if (!minutes || minutes <= 0 || !process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    console.log('[Notifications] Scheduled notification checks disabled');
+    return;
+  }
+
+  let transportName: string;
+  try {
+    transportName = getPushTransport().name;
+  } catch (error: any) {
+    console.error('[Notifications] Scheduled notification checks disabled:', error.message);
+    return;
+  }
+
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+  const run = async () => {
+    if (checkInProgress) return;
+    checkInProgress = true;
+    try {
+      const flushed = await flushQueuedNotifications(supabase);
+      const reminded = await checkStaleSyncs(supabase);
+      if (flushed > 0 || reminded > 0) {
+        console.log('[Notifications] Scheduled check: sent', flushed, 'queued,', reminded, 'stale sync reminders');
+      }
+    } catch (error) {
+      console.error('[Notifications] Scheduled check failed:', error);
+    } finally {
+      checkInProgress = false;
+    }
+  };
+
+  setTimeout(run, 2 * 60 * 1000).unref();
+  setInterval(run, minutes * 60 * 1000).unref();
+  console.log('[Notifications] Checking notifications every', minutes, 'minutes via', transportName, 'transport');
+}
+
+export default {
+  normalizeTime,
+  quietHoursEndAt,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  registerPushToken,
+  unregisterPushToken,
+  notifyUser,
+  flushQueuedNotifications,
+  checkStaleSyncs,
+  startNotificationScheduler,
+};
@@ -0,0 +1,18 @@
+/**
+ * Number Utilities
+ *
+ * Rounding shared by the analytics services, chat tools and importers, so
+ * values come out the same wherever they're computed.
+ */
+
+/**
+ * `value` rounded to `decimals` decimal places
+ */
+export function round(value: number, decimals = 2): number {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+export default {
+  round,
+};
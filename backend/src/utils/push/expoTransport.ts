@@ -0,0 +1,54 @@
+/**
+ * Expo Push Transport
+ *
+ * Sends through Expo's push service, which forwards to APNs and FCM. An access
+ * token (EXPO_ACCESS_TOKEN) is only needed when enhanced push security is
+ * turned on for the project.
+ */
+
+import { PushMessage, PushTicket, PushTransport } from './types';
+
+const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+// Expo accepts at most 100 messages per request
+const CHUNK_SIZE = 100;
+// A request that hangs would hold up the notification and the scheduler's flush
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+
+export class ExpoTransport implements PushTransport {
+  readonly name = 'expo' as const;
+  private readonly accessToken = process.env.EXPO_ACCESS_TOKEN;
+
+  async send(messages: PushMessage[]): Promise<PushTicket[]> {
+    const tickets: PushTicket[] = [];
+
+    for (let i = 0; i < messages.length; i += CHUNK_SIZE) {
+      const chunk = messages.slice(i, i + CHUNK_SIZE);
+      const response = await fetch(EXPO_PUSH_URL, {
+        method: 'POST',
+        headers: {
+          Accept: 'application/json',
+          'Content-Type': 'application/json',
+          ...(this.accessToken && { Authorization: `Bearer ${this.accessToken}` }),
+        },
+        body: JSON.stringify(chunk.map((message) => ({ sound: 'default', ...message }))),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+
+      let payload: any = null;
+      try {
+        payload = await response.json();
+      } catch (e) {
+        // Non-JSON error body
+      }
+
+      if (!response.ok || !Array.isArray(payload?.data)) {
+        const message = payload?.errors?.[0]?.message || response.statusText;
+        throw new Error(`Expo push API error (${response.status}): ${message}`);
+      }
+
+      tickets.push(...payload.data);
+    }
+
+    return tickets;
+  }
+}
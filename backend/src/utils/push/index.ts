@@ -0,0 +1,44 @@
+/**
+ * Push Transport Layer
+ *
+ * Picks how notifications are delivered from configuration:
+ *
+ *   PUSH_TRANSPORT=expo|local     default expo
+ *
+ * Callers ask for the transport (`getPushTransport()`) and never call Expo's
+ * API themselves.
+ */
+
+import { ExpoTransport } from './expoTransport';
+import { LocalTransport } from './localTransport';
+import { PushTransport, PushTransportName } from './types';
+
+export * from './types';
+export { getLocalOutbox, clearLocalOutbox } from './localTransport';
+
+const TRANSPORTS: PushTransportName[] = ['expo', 'local'];
+
+let cachedTransport: PushTransport | null = null;
+
+/**
+ * Get the configured transport
+ */
+export function getPushTransport(): PushTransport {
+  const requested = (process.env.PUSH_TRANSPORT || 'expo').toLowerCase();
+
+  if (!TRANSPORTS.includes(requested as PushTransportName)) {
+    throw new Error(`Unknown push transport "${requested}". Expected one of: ${TRANSPORTS.join(', ')}`);
+  }
+
+  if (cachedTransport?.name !== requested) {
+    cachedTransport = requested === 'local' ? new LocalTransport() : new ExpoTransport();
+  }
+  return cachedTransport;
+}
+
+/**
+ * Whether `token` looks like an Expo push token
+ */
+export function isExpoPushToken(token: unknown): token is string {
+  return typeof token === 'string' && /^(ExponentPushToken|ExpoPushToken)\[[^\]]{1,200}\]$/.test(token);
+}
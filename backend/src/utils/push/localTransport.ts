@@ -0,0 +1,61 @@
+/**
+ * Local Transport
+ *
+ * Offline stand-in for Expo's push service so notification flows can be
+ * exercised without a device or network access. Messages are kept in memory
+ * (see getLocalOutbox) and, when PUSH_LOCAL_OUTBOX is set, appended to that
+ * file as JSON lines for tests running outside the process.
+ *
+ * Tokens containing "Unregistered" get a DeviceNotRegistered error, like a
+ * token from an uninstalled app.
+ */
+
+import * as fs from 'fs';
+import { PushMessage, PushTicket, PushTransport } from './types';
+
+// Enough for a test run; older messages are dropped first
+const MAX_OUTBOX_SIZE = 500;
+
+const outbox: Array<PushMessage & { sentAt: string }> = [];
+let nextTicketId = 1;
+
+export class LocalTransport implements PushTransport {
+  readonly name = 'local' as const;
+
+  async send(messages: PushMessage[]): Promise<PushTicket[]> {
+    const sentAt = new Date().toISOString();
+    const outboxPath = process.env.PUSH_LOCAL_OUTBOX;
+
+    return messages.map((message) => {
+      if (message.to.includes('Unregistered')) {
+        return {
+          status: 'error',
+          message: `"${message.to}" is not a registered push notification recipient`,
+          details: { error: 'DeviceNotRegistered' },
+        };
+      }
+
+      outbox.push({ ...message, sentAt });
+      if (outbox.length > MAX_OUTBOX_SIZE) {
+        outbox.shift();
+      }
+      if (outboxPath) {
+        fs.appendFileSync(outboxPath, JSON.stringify({ ...message, sentAt }) + '\n');
+      }
+      console.log('[Push:local]', message.to, '-', message.title, '-', message.body);
+
+      return { status: 'ok', id: `local-${nextTicketId++}` };
+    });
+  }
+}
+
+/**
+ * Messages delivered by the local transport, oldest first
+ */
+export function getLocalOutbox(): Array<PushMessage & { sentAt: string }> {
+  return [...outbox];
+}
+
+export function clearLocalOutbox(): void {
+  outbox.length = 0;
+}
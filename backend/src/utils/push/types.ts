@@ -0,0 +1,40 @@
+/**
+ * Push Transport Types
+ *
+ * Shared contract implemented by every delivery backend (Expo's push service
+ * and the local stand-in used for offline testing).
+ */
+
+export type PushTransportName = 'expo' | 'local';
+
+/**
+ * One notification for one device
+ */
+export interface PushMessage {
+  /** Expo push token, e.g. "ExponentPushToken[xxxx]" */
+  to: string;
+  title: string;
+  body: string;
+  /** Delivered to the app with the notification (used to open the right screen) */
+  data?: Record<string, any>;
+  sound?: 'default' | null;
+}
+
+/**
+ * Result for one message, in the same order as the messages sent
+ */
+export interface PushTicket {
+  status: 'ok' | 'error';
+  /** Receipt id from the push service */
+  id?: string;
+  message?: string;
+  details?: {
+    /** e.g. "DeviceNotRegistered" when the app was uninstalled */
+    error?: string;
+  };
+}
+
+export interface PushTransport {
+  readonly name: PushTransportName;
+  send(messages: PushMessage[]): Promise<PushTicket[]>;
+}
@@ -3,10 +3,15 @@
  * 
  * Parses natural language queries to extract:
  * - Time references (last week, yesterday, this month, etc.)
+ * - The periods being compared in comparative questions (this week vs last week)
+ * - The metrics in "what affects my HRV" style questions
  * - Metric types mentioned (steps, sleep, heart rate, etc.)
  * - Whether health data is needed
  */
 
+import { parseDateExpression } from './dateExpressionParser';
+import { toZonedWallClock, fromZonedWallClock } from './timeZone';
+
 export interface TimeRange {
   startDate: Date;
   endDate: Date;
@@ -18,144 +23,203 @@ export interface QueryAnalysis {
   timeRange: TimeRange | null;
   metrics: string[];
   rawQuery: string;
+  /** Periods to summarize side by side, oldest first (comparative questions only) */
+  comparisonRanges?: TimeRange[] | null;
+}
+
+function fromWallClockRange(range: TimeRange, timeZone: string): TimeRange {
+  return {
+    startDate: fromZonedWallClock(range.startDate, timeZone),
+    endDate: fromZonedWallClock(range.endDate, timeZone),
+    description: range.description,
+  };
 }
 
 /**
- * Parse natural language time references into Date objects
- * Supports: today, yesterday, this week, last week, this month, last month,
- * last X days, past X days, last X weeks, last X months, etc.
+ * Parse natural language time references into Date objects.
+ * Supports relative periods (today, last week, last 3 months, 2 days ago),
+ * named months, weekdays, quarters, years and holidays, absolute dates and
+ * explicit ranges; see dateExpressionParser for the full list.
+ *
+ * Days are the user's days in `timeZone` (server local time when omitted).
  */
-export function parseTimeReference(query: string): TimeRange | null {
-  const now = new Date();
-  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-  
-  const lowerQuery = query.toLowerCase();
-  
-  // Today
-  if (lowerQuery.includes('today')) {
-    return {
-      startDate: today,
-      endDate: now,
-      description: 'today',
-    };
+export function parseTimeReference(query: string, now: Date = new Date(), timeZone?: string): TimeRange | null {
+  if (timeZone) {
+    const range = parseTimeReference(query, toZonedWallClock(now, timeZone));
+    return range && fromWallClockRange(range, timeZone);
   }
-  
-  // Yesterday
-  if (lowerQuery.includes('yesterday')) {
-    const yesterday = new Date(today);
-    yesterday.setDate(yesterday.getDate() - 1);
-    const yesterdayEnd = new Date(yesterday);
-    yesterdayEnd.setHours(23, 59, 59, 999);
-    return {
-      startDate: yesterday,
-      endDate: yesterdayEnd,
-      description: 'yesterday',
-    };
+
+  const range = parseDateExpression(query, now);
+  if (range) {
+    return range;
   }
-  
-  // This week (Monday to today)
-  if (lowerQuery.match(/this week/)) {
-    const dayOfWeek = now.getDay();
-    const daysFromMonday = dayOfWeek === 0 ? 6 : dayOfWeek - 1;
-    const monday = new Date(today);
-    monday.setDate(monday.getDate() - daysFromMonday);
+
+  // Default: last 7 days if no specific time reference found
+  // but only if the query seems to be asking about recent data
+  if (query.toLowerCase().match(/recent|lately|currently|now/)) {
+    const startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    startDate.setDate(startDate.getDate() - 7);
     return {
-      startDate: monday,
+      startDate,
       endDate: now,
-      description: 'this week',
+      description: 'last 7 days (default)',
     };
   }
   
-  // Last week (previous Monday to Sunday)
-  if (lowerQuery.match(/last week|past week|previous week/)) {
-    const dayOfWeek = now.getDay();
-    const daysFromMonday = dayOfWeek === 0 ? 6 : dayOfWeek - 1;
-    const lastSunday = new Date(today);
-    lastSunday.setDate(lastSunday.getDate() - daysFromMonday - 1);
-    lastSunday.setHours(23, 59, 59, 999);
-    const lastMonday = new Date(lastSunday);
-    lastMonday.setDate(lastMonday.getDate() - 6);
-    lastMonday.setHours(0, 0, 0, 0);
-    return {
-      startDate: lastMonday,
-      endDate: lastSunday,
-      description: 'last week',
-    };
+  return null;
+}
+
+// Comparative wording. "than" only counts when a period follows it directly
+// ("more this week than last week"), not in "more than 8 hours last week".
+const COMPARISON_PATTERN = /\b(compare|compared|comparing|comparison|versus|vs\.?|against|relative to|difference|differ|year over year|yoy)\b|\bthan\s+(?:(?:in|during|on|over|for)\s+)?(?:the\s+)?(?:last|previous|past|this|yesterday|today)\b/i;
+// Connectors that always separate the compared periods
+const COMPARISON_CONNECTOR = /\s(?:compared?\s+(?:to|with)|as opposed to|relative to|versus|vs\.?|than|against)\s/i;
+// Looser separators, tried for "compare X to Y" and "difference between X and Y"
+const LIST_SEPARATOR = /\s(?:to|with|and|vs\.?)\s|,\s*/i;
+const SAME_PERIOD_LAST_YEAR = /\b(?:same\s+(?:\w+\s+)?(?:last|a|the previous)\s+year|year over year|yoy)\b/i;
+const MAX_COMPARISON_RANGES = 4;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+type PeriodShift = { months: number } | { days: number };
+
+/** `date` moved by whole months; month ends stay month ends */
+function shiftMonths(date: Date, months: number): Date {
+  const lastDay = (year: number, month: number) => new Date(year, month + 1, 0).getDate();
+  const isMonthEnd = date.getDate() === lastDay(date.getFullYear(), date.getMonth());
+  const shifted = new Date(date.getFullYear(), date.getMonth() + months, 1,
+    date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds());
+  const maxDay = lastDay(shifted.getFullYear(), shifted.getMonth());
+  shifted.setDate(isMonthEnd ? maxDay : Math.min(date.getDate(), maxDay));
+  return shifted;
+}
+
+function shiftDate(date: Date, shift: PeriodShift, direction: 1 | -1): Date {
+  if ('months' in shift) {
+    return shiftMonths(date, shift.months * direction);
   }
-  
-  // This month
-  if (lowerQuery.match(/this month/)) {
-    const firstDay = new Date(now.getFullYear(), now.getMonth(), 1);
-    return {
-      startDate: firstDay,
-      endDate: now,
-      description: 'this month',
-    };
+  const shifted = new Date(date);
+  shifted.setDate(shifted.getDate() + shift.days * direction);
+  return shifted;
+}
+
+/**
+ * How far apart adjacent periods of this kind are: a week for "this week",
+ * a month for "last month" or "March 2025", the range's own length for
+ * trailing windows like "last 30 days"
+ */
+function periodShift(range: TimeRange): { shift: PeriodShift; label: string; trailing?: boolean } {
+  const description = range.description.toLowerCase();
+  const endDay = new Date(range.endDate.getFullYear(), range.endDate.getMonth(), range.endDate.getDate());
+  const days = Math.round((endDay.getTime() - range.startDate.getTime()) / DAY_MS);
+
+  if (/^(last|past) \d+ |^past year$/.test(description)) {
+    return { shift: { days }, label: description.replace(/^(last|past) /, ''), trailing: true };
   }
-  
-  // Last month
-  if (lowerQuery.match(/last month|past month|previous month/)) {
-    const firstDayLastMonth = new Date(now.getFullYear(), now.getMonth() - 1, 1);
-    const lastDayLastMonth = new Date(now.getFullYear(), now.getMonth(), 0, 23, 59, 59, 999);
-    return {
-      startDate: firstDayLastMonth,
-      endDate: lastDayLastMonth,
-      description: 'last month',
-    };
+  if (/\bweek/.test(description) || /^(monday|tuesday|wednesday|thursday|friday|saturday|sunday),/.test(description)) {
+    return { shift: { days: 7 }, label: 'one week' };
   }
-  
-  // Last/Past X days
-  const daysMatch = lowerQuery.match(/(?:last|past|previous)\s+(\d+)\s+days?/);
-  if (daysMatch) {
-    const days = parseInt(daysMatch[1], 10);
-    const startDate = new Date(today);
-    startDate.setDate(startDate.getDate() - days);
-    return {
-      startDate,
-      endDate: now,
-      description: `last ${days} days`,
-    };
+  if (/^q[1-4] /.test(description)) {
+    return { shift: { months: 3 }, label: 'one quarter' };
   }
-  
-  // Last/Past X weeks
-  const weeksMatch = lowerQuery.match(/(?:last|past|previous)\s+(\d+)\s+weeks?/);
-  if (weeksMatch) {
-    const weeks = parseInt(weeksMatch[1], 10);
-    const startDate = new Date(today);
-    startDate.setDate(startDate.getDate() - (weeks * 7));
-    return {
-      startDate,
-      endDate: now,
-      description: `last ${weeks} weeks`,
-    };
+  if (/\bmonth\b|^[a-z]+ \d{4}$/.test(description)) {
+    return { shift: { months: 1 }, label: 'one month' };
   }
-  
-  // Last/Past X months
-  const monthsMatch = lowerQuery.match(/(?:last|past|previous)\s+(\d+)\s+months?/);
-  if (monthsMatch) {
-    const months = parseInt(monthsMatch[1], 10);
-    const startDate = new Date(now);
-    startDate.setMonth(startDate.getMonth() - months);
-    return {
-      startDate,
-      endDate: now,
-      description: `last ${months} months`,
-    };
+  if (/\byear\b|^\d{4}$|^(christmas|thanksgiving|new year's|holidays) /.test(description)) {
+    return { shift: { months: 12 }, label: 'one year' };
   }
-  
-  // Default: last 7 days if no specific time reference found
-  // but only if the query seems to be asking about recent data
-  if (lowerQuery.match(/recent|lately|currently|now/)) {
-    const startDate = new Date(today);
-    startDate.setDate(startDate.getDate() - 7);
-    return {
-      startDate,
-      endDate: now,
-      description: 'last 7 days (default)',
-    };
+  const spanned = days + 1;
+  return { shift: { days: spanned }, label: spanned === 1 ? 'one day' : `${spanned} days` };
+}
+
+/**
+ * The period adjacent to `range`: the one before it, or the one after it
+ * (capped at now) when `range` is the baseline ("... compared to last month").
+ * `shift` overrides the step, e.g. a year for "same month last year".
+ */
+function adjacentPeriod(range: TimeRange, direction: 1 | -1, now: Date, shift?: PeriodShift): TimeRange | null {
+  const period: ReturnType<typeof periodShift> = shift ? { shift, label: 'one year' } : periodShift(range);
+  const startDate = shiftDate(range.startDate, period.shift, direction);
+  let endDate = shiftDate(range.endDate, period.shift, direction);
+
+  if (startDate > now) {
+    return null;
   }
-  
-  return null;
+  if (endDate > now) {
+    endDate = now;
+  }
+
+  if (period.trailing) {
+    // Trailing windows end now, so the previous one ends where this one starts
+    if (direction > 0) {
+      return null;
+    }
+    return { startDate, endDate: new Date(range.startDate.getTime() - 1), description: `previous ${period.label}` };
+  }
+
+  return { startDate, endDate, description: `same period ${period.label} ${direction < 0 ? 'earlier' : 'later'}` };
+}
+
+function parseSegment(segment: string, now: Date): TimeRange | null {
+  // Bare month names only parse after a preposition ("in March")
+  const text = segment.replace(/\b(?:between|compare|comparing)\s+/i, 'in ');
+  return parseDateExpression(text, now) || parseDateExpression(`in ${text.trim()}`, now);
+}
+
+/**
+ * Find the periods a comparative question is about ("this week vs last week",
+ * "compare January, February and March", "is my sleep better than last
+ * month?"). When only one period is named, the adjacent period of the same
+ * kind is added: the previous one, or the following one when the named period
+ * comes after the comparison word. Returns 2-4 ranges, oldest first, or null
+ * when the query isn't comparative.
+ *
+ * Days are the user's days in `timeZone` (server local time when omitted).
+ */
+export function parseComparisonRanges(query: string, now: Date = new Date(), timeZone?: string): TimeRange[] | null {
+  if (timeZone) {
+    const ranges = parseComparisonRanges(query, toZonedWallClock(now, timeZone));
+    return ranges && ranges.map((range) => fromWallClockRange(range, timeZone));
+  }
+
+  if (!COMPARISON_PATTERN.test(query)) {
+    return null;
+  }
+
+  let segments = query.split(COMPARISON_CONNECTOR);
+  if (segments.length < 2) {
+    segments = query.split(LIST_SEPARATOR);
+  }
+
+  const ranges: TimeRange[] = [];
+  let firstSegment = -1;
+  segments.forEach((segment, index) => {
+    const range = ranges.length > 0 && SAME_PERIOD_LAST_YEAR.test(segment)
+      ? adjacentPeriod(ranges[ranges.length - 1], -1, now, { months: 12 })
+      : parseSegment(segment, now);
+    if (range && !ranges.some((r) => r.startDate.getTime() === range.startDate.getTime() && r.endDate.getTime() === range.endDate.getTime())) {
+      ranges.push(range);
+      if (firstSegment < 0) firstSegment = index;
+    }
+  });
+
+  if (ranges.length === 1) {
+    const yearOverYear = SAME_PERIOD_LAST_YEAR.test(query) ? { months: 12 } : undefined;
+    // "X vs Y" with one period: a period after the connector is the baseline
+    const isBaseline = firstSegment > 0 && !yearOverYear;
+    const adjacent = adjacentPeriod(ranges[0], isBaseline ? 1 : -1, now, yearOverYear);
+    if (!adjacent) {
+      return null;
+    }
+    ranges.push(adjacent);
+  }
+
+  if (ranges.length < 2) {
+    return null;
+  }
+
+  return ranges
+    .sort((a, b) => a.startDate.getTime() - b.startDate.getTime())
+    .slice(-MAX_COMPARISON_RANGES);
 }
 
 /**
@@ -199,6 +263,75 @@ export function extractMetrics(query: string): string[] {
   return metrics;
 }
 
+// Lab work and medical test keywords
+export const LAB_KEYWORDS = [
+  'blood work', 'bloodwork', 'lab results', 'lab test', 'labs', 'test results',
+  'cholesterol', 'ldl', 'hdl', 'triglyceride', 'glucose', 'a1c', 'hemoglobin',
+  'thyroid', 'tsh', 'vitamin', 'lipid', 'metabolic', 'cbc', 'cmp', 'bmp', 'panel',
+  'biomarker', 'biomarkers',
+  'testosterone', 'estrogen', 'hormone', 'cortisol', 'ferritin', 'iron',
+  'kidney', 'liver', 'creatinine', 'bun', 'alt', 'ast', 'egfr',
+];
+
+const LAB_KEYWORD_PATTERN = new RegExp(`\\b(${LAB_KEYWORDS.join('|')})s?\\b`, 'i');
+
+/**
+ * Determine if a query is about lab work. Whole words only, so short
+ * keywords like "alt" or "ast" don't match "last" or "salt" (plurals are allowed).
+ */
+export function mentionsLabWork(query: string): boolean {
+  return LAB_KEYWORD_PATTERN.test(query);
+}
+
+// Relationship wording: "what affects my HRV", "does caffeine impact my sleep"
+const CORRELATION_PATTERN = /\b(affects?|affected|affecting|impacts?|impacted|influences?|influenced|correlat\w*|related to|relationship|linked to|connection between|drives?|driving)\b/i;
+
+// Metrics stored only in health_data (no health_metrics_daily column), for
+// relationship questions
+const HEALTH_DATA_METRIC_PATTERNS: { [key: string]: RegExp } = {
+  caffeine_mg: /\b(caffeine|coffee|espresso|energy drinks?)\b/,
+  sugar_g: /\b(sugar|sweets)\b/,
+  sodium_mg: /\b(sodium|salt)\b/,
+  mindful_minutes: /\b(meditat\w*|mindful\w*)\b/,
+  stress_level_0_10: /\b(stress|stressed)\b/,
+};
+
+function extractCorrelationMetrics(text: string): string[] {
+  const lowerText = text.toLowerCase();
+  const metrics = extractMetrics(lowerText);
+  // "resting heart rate" and "heart rate variability" also match plain heart rate
+  const specific = metrics.includes('resting_heart_rate') || metrics.includes('heart_rate_variability');
+  return [
+    ...metrics.filter((metric) => !(specific && metric === 'avg_heart_rate')),
+    ...Object.entries(HEALTH_DATA_METRIC_PATTERNS)
+      .filter(([, pattern]) => pattern.test(lowerText))
+      .map(([metric]) => metric),
+  ];
+}
+
+/**
+ * Parse a question about what relates to a metric. The target is the metric
+ * named after the relationship word ("what affects my HRV"), or the last one
+ * before it ("is my HRV related to ..."); metrics named elsewhere become the
+ * candidates to test. Returns null when the query isn't about a relationship.
+ */
+export function parseCorrelationQuestion(query: string): { target: string; metrics: string[] } | null {
+  const match = query.match(CORRELATION_PATTERN);
+  if (!match || match.index === undefined) {
+    return null;
+  }
+
+  const before = extractCorrelationMetrics(query.slice(0, match.index));
+  const after = extractCorrelationMetrics(query.slice(match.index + match[0].length));
+  const target = after[0] || before[before.length - 1];
+  if (!target) {
+    return null;
+  }
+
+  const metrics = Array.from(new Set([...before, ...after])).filter((metric) => metric !== target);
+  return { target, metrics };
+}
+
 /**
  * Determine if a query needs health data
  * Uses keyword matching to identify health-related questions
@@ -214,11 +347,7 @@ export function needsHealthData(query: string): boolean {
     'water', 'hydration', 'hrv', 'variability', 'flights', 'stairs',
     
     // Lab work and medical tests
-    'blood work', 'bloodwork', 'lab results', 'lab test', 'labs', 'test results',
-    'cholesterol', 'glucose', 'a1c', 'hemoglobin', 'thyroid', 'tsh', 'vitamin',
-    'lipid', 'metabolic', 'cbc', 'cmp', 'bmp', 'panel', 'biomarker', 'biomarkers',
-    'testosterone', 'estrogen', 'hormone', 'cortisol', 'ferritin', 'iron',
-    'kidney', 'liver', 'creatinine', 'bun', 'alt', 'ast', 'egfr',
+    ...LAB_KEYWORDS,
     
     // Questions about data
     'how much', 'how many', 'how long', 'how often',
@@ -250,23 +379,28 @@ export function needsHealthData(query: string): boolean {
 /**
  * Analyze a query to determine if health data is needed and what data to retrieve
  */
-export function analyzeQuery(query: string): QueryAnalysis {
+export function analyzeQuery(query: string, timeZone?: string): QueryAnalysis {
   const needsData = needsHealthData(query);
-  const timeRange = needsData ? parseTimeReference(query) : null;
+  const timeRange = needsData ? parseTimeReference(query, new Date(), timeZone) : null;
   const metrics = needsData ? extractMetrics(query) : [];
+  const comparisonRanges = needsData ? parseComparisonRanges(query, new Date(), timeZone) : null;
   
   return {
     needsHealthData: needsData,
     timeRange,
     metrics,
     rawQuery: query,
+    comparisonRanges,
   };
 }
 
 export default {
   analyzeQuery,
   parseTimeReference,
+  parseComparisonRanges,
+  parseCorrelationQuestion,
   extractMetrics,
   needsHealthData,
+  mentionsLabWork,
 };
 
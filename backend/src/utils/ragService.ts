@@ -3,24 +3,44 @@
  * 
  * Orchestrates the RAG flow for chat:
  * 1. Analyze user query to determine if health data is needed
- * 2. Retrieve relevant health data from database
+ * 2. Retrieve relevant health data from database (side-by-side summaries
+ *    when the question compares periods)
  * 3. Format data as context for AI
- * 4. Return enriched context for prompt augmentation
+ * 4. Add the uploaded documents, events and past answers most similar to the
+ *    question (vector search)
+ * 5. Add changes across blood panels when the question is about lab work
+ * 6. Add computed correlations when the question asks what affects a metric
+ * 7. Add recently detected anomalies for health questions
+ * 8. Return enriched context for prompt augmentation
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { SupabaseClient } from '@supabase/supabase-js';
-import { analyzeQuery, QueryAnalysis } from './queryAnalyzer';
+import {
+  analyzeQuery,
+  mentionsLabWork,
+  needsHealthData,
+  parseCorrelationQuestion,
+  parseTimeReference,
+  QueryAnalysis,
+} from './queryAnalyzer';
+import { LLMProvider, parseJSONResponse } from './llm';
 import {
   getDailyMetrics,
   getHealthEvents,
   getDataSummary,
   getUploadedFileData,
+  getPeriodComparison,
   formatDailyMetricsForContext,
   formatSummaryForContext,
+  formatComparisonForContext,
   formatEventsForContext,
   formatUploadedDataForContext,
 } from './healthDataRetrieval';
+import { isEmbeddingEnabled, searchEmbeddings, formatMatchesForContext } from './embeddingService';
+import { getLabTrends, formatLabChangesForContext } from './labTrendsService';
+import { getMetricCorrelations, formatCorrelationsForContext } from './correlationService';
+import { getInsights, formatInsightsForContext } from './anomalyDetectionService';
+import { DEFAULT_TIME_ZONE, formatDateInTimeZone } from './timeZone';
 
 export interface RAGContext {
   hasHealthData: boolean;
@@ -34,6 +54,16 @@ export interface RAGContext {
     };
     metricsIncluded: string[];
     dataTypes: string[];
+    /** Chunks added by semantic search */
+    documentsRetrieved?: number;
+    /** Biomarkers with repeated results summarized in the lab changes block */
+    labTrendsIncluded?: number;
+    /** Periods summarized side by side for a comparative question, oldest first */
+    comparedPeriods?: string[];
+    /** Significant correlations in the correlations block */
+    correlationsIncluded?: number;
+    /** Detected anomalies in the recent anomalies block */
+    insightsIncluded?: number;
   };
 }
 
@@ -44,13 +74,15 @@ export interface RAGResult {
 }
 
 /**
- * Main RAG function: Analyze query and retrieve relevant health data
+ * Main RAG function: Analyze query and retrieve relevant health data.
+ * Time references ("today", "last Tuesday") are read in the user's time zone.
  */
 export async function retrieveHealthContext(
   supabase: SupabaseClient,
-  genAI: GoogleGenerativeAI,
+  llm: LLMProvider,
   userId: string,
-  query: string
+  query: string,
+  timeZone: string = DEFAULT_TIME_ZONE
 ): Promise<RAGResult> {
   try {
     console.log('[RAG] ===== RETRIEVING HEALTH CONTEXT =====');
@@ -63,11 +95,12 @@ export async function retrieveHealthContext(
     console.log('[RAG] Analyzing query:', query);
 
     // Step 1: Analyze the query using local pattern matching
-    const analysis = analyzeQuery(query);
+    const analysis = analyzeQuery(query, timeZone);
     
     console.log('[RAG] Query analysis:', {
       needsHealthData: analysis.needsHealthData,
       timeRange: analysis.timeRange?.description,
+      comparisonRanges: analysis.comparisonRanges?.map((range) => range.description),
       metrics: analysis.metrics,
     });
 
@@ -87,9 +120,15 @@ export async function retrieveHealthContext(
       };
     }
 
-    // Step 2: Use Gemini to refine the analysis if needed
+    // Comparative questions get a side-by-side summary of each period instead
+    // of a single window
+    if (analysis.comparisonRanges && analysis.comparisonRanges.length >= 2) {
+      return await retrieveComparisonContext(supabase, userId, analysis, timeZone);
+    }
+
+    // Step 2: Use the LLM to refine the analysis if needed
     // This helps with ambiguous queries or when we need to understand intent better
-    const refinedAnalysis = await refineQueryAnalysis(genAI, query, analysis);
+    const refinedAnalysis = await refineQueryAnalysis(llm, query, analysis);
     
     // Step 3: Determine time range (use refined or default to last 7 days)
     let timeRange = refinedAnalysis.timeRange || analysis.timeRange;
@@ -123,7 +162,8 @@ export async function retrieveHealthContext(
       userId,
       timeRange.startDate,
       timeRange.endDate,
-      refinedAnalysis.metrics.length > 0 ? refinedAnalysis.metrics : analysis.metrics
+      refinedAnalysis.metrics.length > 0 ? refinedAnalysis.metrics : analysis.metrics,
+      timeZone
     );
 
     if (!healthContext.success) {
@@ -179,10 +219,10 @@ export async function retrieveHealthContext(
 }
 
 /**
- * Use Gemini to refine query analysis for ambiguous cases
+ * Use the query-analysis model to refine query analysis for ambiguous cases
  */
 async function refineQueryAnalysis(
-  genAI: GoogleGenerativeAI,
+  llm: LLMProvider,
   query: string,
   initialAnalysis: QueryAnalysis
 ): Promise<QueryAnalysis> {
@@ -193,8 +233,10 @@ async function refineQueryAnalysis(
       return initialAnalysis;
     }
 
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-    
+    if (!llm.isConfigured()) {
+      return initialAnalysis;
+    }
+
     const analysisPrompt = `Analyze this health-related query and extract structured information.
 
 Query: "${query}"
@@ -212,12 +254,8 @@ Rules:
 - List only metrics explicitly mentioned or strongly implied
 - Return empty array for metrics if none are specifically mentioned`;
 
-    const result = await model.generateContent(analysisPrompt);
-    const response = result.response.text();
-    
-    // Parse the JSON response
-    const cleanedResponse = response.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    const aiAnalysis = JSON.parse(cleanedResponse);
+    const response = await llm.generate(analysisPrompt, { json: true });
+    const aiAnalysis = parseJSONResponse(response);
     
     console.log('[RAG] AI refined analysis:', aiAnalysis);
 
@@ -229,6 +267,7 @@ Rules:
         ? aiAnalysis.metrics 
         : initialAnalysis.metrics,
       rawQuery: query,
+      comparisonRanges: initialAnalysis.comparisonRanges,
     };
   } catch (error) {
     console.error('[RAG] Error in AI refinement, using initial analysis:', error);
@@ -236,6 +275,64 @@ Rules:
   }
 }
 
+/**
+ * Summarize each compared period and the change between them. Events and
+ * uploads are left to the other context blocks, since the question is about
+ * how the numbers moved.
+ */
+async function retrieveComparisonContext(
+  supabase: SupabaseClient,
+  userId: string,
+  analysis: QueryAnalysis,
+  timeZone: string
+): Promise<RAGResult> {
+  const ranges = analysis.comparisonRanges!;
+  console.log('[RAG] Comparing periods:', ranges.map((range) => range.description));
+
+  const result = await getPeriodComparison(supabase, userId, ranges, timeZone);
+
+  if (!result.success || !result.comparison) {
+    return {
+      success: false,
+      context: {
+        hasHealthData: false,
+        healthContext: '',
+        metadata: {
+          dataRetrieved: false,
+          metricsIncluded: [],
+          dataTypes: [],
+        },
+      },
+      error: result.error,
+    };
+  }
+
+  const { periods } = result.comparison;
+  const hasData = periods.some((period) => period.summary.dateRange.days > 0);
+  const healthContext = hasData
+    ? formatComparisonForContext(result.comparison)
+    : `No health data available for ${periods.map((period) => period.description).join(' or ')}. The user may not have synced their health data yet.`;
+
+  return {
+    success: true,
+    context: {
+      hasHealthData: true,
+      healthContext,
+      metadata: {
+        dataRetrieved: true,
+        timeRange: {
+          start: ranges[0].startDate.toISOString(),
+          end: ranges[ranges.length - 1].endDate.toISOString(),
+          description: periods.map((period) => period.description).join(' vs '),
+        },
+        metricsIncluded: analysis.metrics,
+        dataTypes: hasData ? ['period_comparison'] : [],
+        comparedPeriods: periods.map((period) => period.description),
+      },
+    },
+  };
+}
+
 /**
  * Retrieve and format health data based on query analysis
  */
@@ -244,7 +341,8 @@ async function retrieveHealthData(
   userId: string,
   startDate: Date,
   endDate: Date,
-  metrics: string[]
+  metrics: string[],
+  timeZone: string
 ): Promise<{
   success: boolean;
   formattedContext: string;
@@ -274,7 +372,7 @@ async function retrieveHealthData(
 
     if (useDetailedView) {
       // Get daily metrics with details
-      const dailyResult = await getDailyMetrics(supabase, userId, startDate, endDate);
+      const dailyResult = await getDailyMetrics(supabase, userId, startDate, endDate, timeZone);
       
       if (dailyResult.success && dailyResult.data.length > 0) {
         formattedContext += formatDailyMetricsForContext(dailyResult.data);
@@ -290,7 +388,7 @@ async function retrieveHealthData(
       }
     } else {
       // Get summary for longer periods
-      const summaryResult = await getDataSummary(supabase, userId, startDate, endDate);
+      const summaryResult = await getDataSummary(supabase, userId, startDate, endDate, timeZone);
       
       if (summaryResult.success && summaryResult.summary) {
         formattedContext += formatSummaryForContext(summaryResult.summary);
@@ -306,10 +404,13 @@ async function retrieveHealthData(
       }
     }
 
-    // Get uploaded file data (always retrieve, regardless of date range)
-    const uploadedResult = await getUploadedFileData(supabase, userId, startDate, endDate);
+    // Without embeddings, include uploaded files by date overlap
+    // (with embeddings, withSemanticContext adds only the relevant passages)
+    const uploadedResult = isEmbeddingEnabled()
+      ? null
+      : await getUploadedFileData(supabase, userId, startDate, endDate, undefined, timeZone);
     
-    if (uploadedResult.success && uploadedResult.data.length > 0) {
+    if (uploadedResult?.success && uploadedResult.data.length > 0) {
       formattedContext += formatUploadedDataForContext(uploadedResult.data);
       dataTypes.push('uploaded_files');
       console.log('[RAG] Retrieved', uploadedResult.data.length, 'uploaded files');
@@ -317,7 +418,7 @@ async function retrieveHealthData(
 
     // If no data was retrieved, provide a helpful message
     if (formattedContext === '') {
-      formattedContext = `No health data available for the period ${startDate.toISOString().split('T')[0]} to ${endDate.toISOString().split('T')[0]}. The user may not have synced their health data yet.`;
+      formattedContext = `No health data available for the period ${formatDateInTimeZone(startDate, timeZone)} to ${formatDateInTimeZone(endDate, timeZone)}. The user may not have synced their health data yet.`;
     }
 
     return {
@@ -337,13 +438,190 @@ async function retrieveHealthData(
 }
 
 /**
- * Build the complete prompt with RAG context
+ * Add the passages most similar to the question (uploaded documents, event
+ * notes, earlier answers) to a RAG context. Used in both retrieval modes, since
+ * tools cover structured data but not free-text records.
+ */
+export async function withSemanticContext(
+  supabase: SupabaseClient,
+  userId: string,
+  query: string,
+  context: RAGContext
+): Promise<RAGContext> {
+  const result = await searchEmbeddings(supabase, userId, query);
+
+  if (!result.success || result.matches.length === 0) {
+    return context;
+  }
+
+  console.log('[RAG] Semantic search matched', result.matches.length, 'chunks:', result.matches.map((m) => ({
+    source: m.source_type,
+    similarity: Math.round(m.similarity * 100) / 100,
+  })));
+
+  // Most specific information first, so the token budget trims summaries before it
+  return {
+    hasHealthData: true,
+    healthContext: [formatMatchesForContext(result.matches), context.healthContext].filter(Boolean).join('\n'),
+    metadata: {
+      ...context.metadata,
+      dataRetrieved: true,
+      dataTypes: Array.from(new Set([...context.metadata.dataTypes, 'semantic_search'])),
+      documentsRetrieved: result.matches.length,
+    },
+  };
+}
+
+/**
+ * Add how the user's biomarkers changed between uploaded panels when the
+ * question is about lab work. Individual results come from the uploaded file
+ * context or the lab results tool; this block adds the comparison.
+ */
+export async function withLabChanges(
+  supabase: SupabaseClient,
+  userId: string,
+  query: string,
+  context: RAGContext
+): Promise<RAGContext> {
+  if (!mentionsLabWork(query)) {
+    return context;
+  }
+
+  try {
+    const { trends, alerts } = await getLabTrends(supabase, userId);
+    if (trends.length === 0) {
+      return context;
+    }
+
+    console.log('[RAG] Lab changes:', trends.length, 'biomarkers,', alerts.length, 'alerts');
+
+    return {
+      hasHealthData: true,
+      healthContext: [formatLabChangesForContext(trends, alerts), context.healthContext].filter(Boolean).join('\n'),
+      metadata: {
+        ...context.metadata,
+        dataRetrieved: true,
+        dataTypes: Array.from(new Set([...context.metadata.dataTypes, 'lab_trends'])),
+        labTrendsIncluded: trends.length,
+      },
+    };
+  } catch (error: any) {
+    console.error('[RAG] Error loading lab changes:', error);
+    return context;
+  }
+}
+
+// Correlations need weeks of overlapping days, so short windows are widened
+const CORRELATION_WINDOW_DAYS = 90;
+const MIN_CORRELATION_WINDOW_DAYS = 28;
+
+/**
+ * Add correlations computed from the user's data when the question asks what
+ * relates to a metric ("what affects my HRV", "does caffeine hurt my sleep"),
+ * so the answer cites real numbers instead of general advice.
+ */
+export async function withCorrelations(
+  supabase: SupabaseClient,
+  userId: string,
+  query: string,
+  context: RAGContext,
+  timeZone: string = DEFAULT_TIME_ZONE
+): Promise<RAGContext> {
+  const question = parseCorrelationQuestion(query);
+  if (!question) {
+    return context;
+  }
+
+  try {
+    const now = new Date();
+    const dayMs = 24 * 60 * 60 * 1000;
+    const requested = parseTimeReference(query, now, timeZone);
+    const window = requested && (requested.endDate.getTime() - requested.startDate.getTime()) / dayMs >= MIN_CORRELATION_WINDOW_DAYS
+      ? requested
+      : { startDate: new Date(now.getTime() - CORRELATION_WINDOW_DAYS * dayMs), endDate: now };
+
+    const analysis = await getMetricCorrelations(supabase, userId, {
+      target: question.target,
+      metrics: question.metrics.length > 0 ? question.metrics : undefined,
+      startDate: window.startDate,
+      endDate: window.endDate,
+      maxLag: 1,
+      timeZone,
+    });
+    const significant = analysis.results.filter((result) => result.significant);
+
+    console.log('[RAG] Correlations for', analysis.target, ':', significant.length, 'significant of', analysis.results.length);
+
+    return {
+      hasHealthData: true,
+      healthContext: [formatCorrelationsForContext(analysis), context.healthContext].filter(Boolean).join('\n'),
+      metadata: {
+        ...context.metadata,
+        dataRetrieved: true,
+        dataTypes: Array.from(new Set([...context.metadata.dataTypes, 'correlations'])),
+        correlationsIncluded: significant.length,
+      },
+    };
+  } catch (error: any) {
+    console.error('[RAG] Error computing correlations:', error);
+    return context;
+  }
+}
+
+const INSIGHT_CONTEXT_DAYS = 14;
+const INSIGHT_CONTEXT_LIMIT = 5;
+
+/**
+ * Add anomalies detected in the last two weeks (a resting heart rate spike,
+ * several short nights) to health questions, so answers can bring them up
+ * even when the user didn't ask about that metric
+ */
+export async function withRecentInsights(
+  supabase: SupabaseClient,
+  userId: string,
+  query: string,
+  context: RAGContext,
+  timeZone: string = DEFAULT_TIME_ZONE
+): Promise<RAGContext> {
+  if (!needsHealthData(query)) {
+    return context;
+  }
+
+  try {
+    const since = formatDateInTimeZone(new Date(Date.now() - INSIGHT_CONTEXT_DAYS * 24 * 60 * 60 * 1000), timeZone);
+    const insights = await getInsights(supabase, userId, { since, limit: INSIGHT_CONTEXT_LIMIT });
+    if (insights.length === 0) {
+      return context;
+    }
+
+    console.log('[RAG] Recent insights:', insights.length);
+
+    return {
+      hasHealthData: true,
+      healthContext: [context.healthContext, formatInsightsForContext(insights)].filter(Boolean).join('\n'),
+      metadata: {
+        ...context.metadata,
+        dataRetrieved: true,
+        dataTypes: Array.from(new Set([...context.metadata.dataTypes, 'insights'])),
+        insightsIncluded: insights.length,
+      },
+    };
+  } catch (error: any) {
+    console.error('[RAG] Error loading insights:', error);
+    return context;
+  }
+}
+
+/**
+ * Build the complete prompt with RAG context and, for long conversations,
+ * the running summary of turns no longer included verbatim
  */
 export function buildPromptWithContext(
   systemPrompt: string,
   ragContext: RAGContext,
   conversationHistory: Array<{ role: string; content: string }>,
-  currentMessage: string
+  currentMessage: string,
+  conversationSummary?: string | null
 ): string {
   let fullPrompt = systemPrompt + '\n\n';
 
@@ -355,6 +633,13 @@ export function buildPromptWithContext(
     fullPrompt += 'Use the above health data to provide personalized, data-driven responses. Reference specific metrics and dates when relevant.\n\n';
   }
 
+  // Add the summary of earlier turns
+  if (conversationSummary) {
+    fullPrompt += 'Summary of earlier conversation:\n';
+    fullPrompt += conversationSummary;
+    fullPrompt += '\n\n';
+  }
+
   // Add conversation history
   if (conversationHistory.length > 0) {
     fullPrompt += 'Previous conversation:\n';
@@ -372,6 +657,10 @@ export function buildPromptWithContext(
 
 export default {
   retrieveHealthContext,
+  withSemanticContext,
+  withLabChanges,
+  withCorrelations,
+  withRecentInsights,
   buildPromptWithContext,
 };
 
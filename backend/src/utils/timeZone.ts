@@ -0,0 +1,188 @@
+/**
+ * Time Zone Utilities
+ *
+ * Per-user time zones (IANA names such as "America/Los_Angeles"):
+ * 1. Read the user's zone from profiles, updating it when the app reports a
+ *    different one (the user travelled)
+ * 2. Convert between instants and the user's wall-clock time, so "today" and
+ *    "yesterday" mean the user's days rather than the server's
+ * 3. Format instants as the user's calendar date (the key of health_metrics_daily)
+ * 4. Step through and label calendar dates (YYYY-MM-DD), which have no zone
+ *
+ * Uses Intl only; no time zone database is bundled.
+ */
+
+import { SupabaseClient } from '@supabase/supabase-js';
+
+export const DEFAULT_TIME_ZONE = 'UTC';
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map<string, Intl.DateTimeFormat>();
+
+function getFormatter(timeZone: string): Intl.DateTimeFormat {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * Whether `value` is an IANA time zone this runtime knows
+ */
+export function isValidTimeZone(value: unknown): value is string {
+  if (typeof value !== 'string' || !value || value.length > 64) return false;
+  try {
+    getFormatter(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function zonedParts(date: Date, timeZone: string) {
+  const parts: Record<string, number> = {};
+  getFormatter(timeZone).formatToParts(date).forEach((part) => {
+    if (part.type !== 'literal') parts[part.type] = parseInt(part.value, 10);
+  });
+  return parts;
+}
+
+/**
+ * Offset of the zone from UTC at `date`, in milliseconds (positive east of UTC)
+ */
+export function getTimeZoneOffset(date: Date, timeZone: string): number {
+  const parts = zonedParts(date, timeZone);
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The user's wall-clock time at `date`, as a Date whose local fields
+ * (getFullYear, getDate, getHours...) read as that time in `timeZone`
+ */
+export function toZonedWallClock(date: Date, timeZone: string): Date {
+  const parts = zonedParts(date, timeZone);
+  return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, date.getMilliseconds());
+}
+
+/**
+ * Inverse of toZonedWallClock: the instant at which the clock in `timeZone`
+ * shows `wallClock`'s local fields. Times skipped by a DST change resolve to
+ * the instant after the gap.
+ */
+export function fromZonedWallClock(wallClock: Date, timeZone: string): Date {
+  const asUTC = Date.UTC(
+    wallClock.getFullYear(), wallClock.getMonth(), wallClock.getDate(),
+    wallClock.getHours(), wallClock.getMinutes(), wallClock.getSeconds(), wallClock.getMilliseconds()
+  );
+  // The offset may differ either side of a DST change, so check it at the result
+  const firstGuess = asUTC - getTimeZoneOffset(new Date(asUTC), timeZone);
+  const offset = getTimeZoneOffset(new Date(firstGuess), timeZone);
+  return new Date(asUTC - offset);
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) of `date` in `timeZone`
+ */
+export function formatDateInTimeZone(date: Date, timeZone: string = DEFAULT_TIME_ZONE): string {
+  const parts = zonedParts(date, timeZone);
+  return `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+}
+
+/**
+ * First (or last) instant of a calendar day in `timeZone`
+ */
+export function zonedDayBoundary(dateString: string, timeZone: string, boundary: 'start' | 'end' = 'start'): Date {
+  const [year, month, day] = dateString.split('-').map((part) => parseInt(part, 10));
+  const wallClock = boundary === 'start'
+    ? new Date(year, month - 1, day)
+    : new Date(year, month - 1, day, 23, 59, 59, 999);
+  return fromZonedWallClock(wallClock, timeZone);
+}
+
+/**
+ * The calendar date `days` after `date` (before it when negative)
+ */
+export function shiftDay(date: string, days: number): string {
+  const shifted = new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS);
+  return shifted.toISOString().split('T')[0];
+}
+
+/**
+ * Short label for a calendar date, e.g. "Oct 5"
+ */
+export function formatDay(date: string): string {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * The user's saved time zone, or UTC when none is saved
+ */
+export async function getUserTimeZone(supabase: SupabaseClient, userId: string): Promise<string> {
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('time_zone')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[TimeZone] Error loading time zone:', error);
+  }
+
+  return isValidTimeZone(data?.time_zone) ? data!.time_zone : DEFAULT_TIME_ZONE;
+}
+
+/**
+ * Time zone for a request: the zone the app reports for the device (the
+ * X-Time-Zone header) wins, since it follows the user when they travel, and is
+ * saved to the profile for work that runs without a request. Falls back to the
+ * saved zone, then UTC.
+ */
+export async function resolveUserTimeZone(
+  supabase: SupabaseClient,
+  userId: string,
+  reported?: string | null
+): Promise<string> {
+  const saved = await getUserTimeZone(supabase, userId);
+
+  if (!isValidTimeZone(reported) || reported === saved) {
+    return saved;
+  }
+
+  const { error } = await supabase
+    .from('profiles')
+    .update({ time_zone: reported, time_zone_updated_at: new Date().toISOString() })
+    .eq('id', userId);
+
+  if (error) {
+    console.error('[TimeZone] Error saving time zone:', error);
+  } else {
+    console.log('[TimeZone] User', userId, 'time zone changed from', saved, 'to', reported);
+  }
+
+  return reported;
+}
+
+export default {
+  isValidTimeZone,
+  getTimeZoneOffset,
+  toZonedWallClock,
+  fromZonedWallClock,
+  formatDateInTimeZone,
+  zonedDayBoundary,
+  shiftDay,
+  formatDay,
+  getUserTimeZone,
+  resolveUserTimeZone,
+};
@@ -0,0 +1,487 @@
+/**
+ * Upload Job Queue
+ *
+ * Extracts health data from uploaded files outside the upload request:
+ * 1. The upload endpoint stores the file, inserts a `pending` uploaded_file_data
+ *    row and queues an upload_jobs row for it
+ * 2. A worker in this process polls for due jobs (and is nudged right after a
+ *    new one is queued), claiming each by moving it from queued to extracting
+ * 3. Each attempt downloads the file from storage and runs the extraction with
+ *    a timeout; failures are retried with a growing backoff until the job runs
+ *    out of attempts. Structured exports (see ./importers) are imported
+ *    straight into the health tables, with a longer timeout, instead of being
+ *    sent to the file-parsing model.
+ * 4. Extractions whose worker stopped responding (e.g. the server restarted
+ *    mid-job) are picked up again once they are well past the timeout
+ * 5. A finished job fills in the upload row, stores lab results, indexes the
+ *    file for chat and notifies the user. Low-confidence extractions are left
+ *    for the user to review first.
+ */
+
+import { SupabaseClient, createClient } from '@supabase/supabase-js';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { Readable } from 'stream';
+import { ReadableStream } from 'stream/web';
+import { pipeline } from 'stream/promises';
+import { parseFile, ParseResult } from './fileParsingService';
+import { findImporter, HealthImporter, ImportResult } from './importers';
+import { indexUploadedFile } from './embeddingService';
+import { saveLabResults } from './labResultsService';
+import { notifyUser } from './notificationService';
+import { initialReviewStatus } from './uploadReviewService';
+
+export type UploadJobStatus = 'queued' | 'extracting' | 'done' | 'failed';
+
+export interface UploadJob {
+  id: string;
+  user_id: string;
+  upload_id: string;
+  storage_path: string;
+  status: UploadJobStatus;
+  attempts: number;
+  last_error: string | null;
+  run_after: string;
+  started_at: string | null;
+  finished_at: string | null;
+}
+
+const STORAGE_BUCKET = 'user-uploads';
+const DEFAULT_POLL_SECONDS = 10;
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_TIMEOUT_SECONDS = 120;
+const DEFAULT_IMPORT_TIMEOUT_SECONDS = 1800;
+const DEFAULT_MAX_ATTEMPTS = 3;
+/** Delay before the first retry; doubles with each further attempt */
+const RETRY_BASE_SECONDS = 30;
+/** An extraction this far past its timeout is assumed to have been abandoned */
+const STALLED_GRACE_SECONDS = 60;
+
+function envInt(name: string, fallback: number): number {
+  const value = parseInt(process.env[name] || '', 10);
+  return isNaN(value) ? fallback : value;
+}
+
+function extractionTimeoutMs(): number {
+  return Math.max(1, envInt('UPLOAD_EXTRACTION_TIMEOUT_SECONDS', DEFAULT_TIMEOUT_SECONDS)) * 1000;
+}
+
+function importTimeoutMs(): number {
+  return Math.max(1, envInt('UPLOAD_IMPORT_TIMEOUT_SECONDS', DEFAULT_IMPORT_TIMEOUT_SECONDS)) * 1000;
+}
+
+function maxAttempts(): number {
+  return Math.max(1, envInt('UPLOAD_MAX_ATTEMPTS', DEFAULT_MAX_ATTEMPTS));
+}
+
+/**
+ * Queue extraction of an uploaded file. The upload row must already exist.
+ */
+export async function enqueueUploadJob(
+  supabase: SupabaseClient,
+  upload: { id: string; user_id: string },
+  storagePath: string
+): Promise<UploadJob> {
+  const { data, error } = await supabase
+    .from('upload_jobs')
+    .insert({
+      user_id: upload.user_id,
+      upload_id: upload.id,
+      storage_path: storagePath,
+    })
+    .select()
+    .single();
+
+  if (error || !data) {
+    throw new Error(`Failed to queue upload job: ${error?.message}`);
+  }
+
+  kickUploadWorker();
+  return data as UploadJob;
+}
+
+/**
+ * Reject with a timeout error if the promise hasn't settled in time. Model
+ * extraction can't be cancelled and its result is ignored once late; imports
+ * watch the controller's signal and stop writing.
+ */
+function withTimeout<T>(promise: Promise<T>, ms: number, controller?: AbortController): Promise<T> {
+  let timer: NodeJS.Timeout;
+  const timeout = new Promise<never>((_, reject) => {
+    timer = setTimeout(() => {
+      controller?.abort();
+      reject(new Error(`Extraction timed out after ${Math.round(ms / 1000)}s`));
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Stream the stored file to a local path. Health exports can be hundreds of
+ * megabytes, so the file never sits in memory.
+ */
+async function downloadUpload(supabase: SupabaseClient, storagePath: string, destination: string): Promise<void> {
+  const { data, error } = await supabase.storage.from(STORAGE_BUCKET).createSignedUrl(storagePath, 300);
+  if (error || !data) {
+    throw new Error(`Failed to download file from storage: ${error?.message}`);
+  }
+
+  const response = await fetch(data.signedUrl);
+  if (!response.ok || !response.body) {
+    throw new Error(`Failed to download file from storage: HTTP ${response.status}`);
+  }
+  await pipeline(Readable.fromWeb(response.body as ReadableStream), fs.createWriteStream(destination));
+}
+
+/**
+ * Describe an import the way model extraction describes a file, one entry per
+ * imported metric or event type
+ */
+function importParseResult(importer: HealthImporter, result: ImportResult): ParseResult {
+  return {
+    success: true,
+    model: importer.label,
+    dataCategories: result.dataCategories,
+    extractedData: {
+      dataType: 'health_export',
+      dateRange: result.dateRange,
+      entries: result.series.map((series) => ({
+        date: series.lastDate,
+        category: series.category,
+        metrics: {
+          records: series.records,
+          first_date: series.firstDate,
+          last_date: series.lastDate,
+          ...series.details,
+        },
+        notes: series.name,
+      })),
+      labResults: result.labResults,
+      import: {
+        importer: importer.name,
+        samples: result.samples,
+        events: result.events,
+        days: result.days,
+        skipped: result.skipped,
+      },
+      summary: result.summary,
+      confidence: 1,
+    },
+  };
+}
+
+/**
+ * Download the stored file to a temporary path and extract its data, with the
+ * importer for it when there is one
+ */
+async function extractUpload(
+  supabase: SupabaseClient,
+  job: UploadJob,
+  upload: any,
+  importer: HealthImporter | null,
+  signal: AbortSignal
+): Promise<ParseResult> {
+  const tempPath = path.join(os.tmpdir(), `upload-job-${job.id}-${job.attempts}${path.extname(upload.file_name)}`);
+
+  try {
+    await downloadUpload(supabase, job.storage_path, tempPath);
+
+    if (importer) {
+      const result = await importer.run({
+        supabase,
+        userId: upload.user_id,
+        uploadId: upload.id,
+        filePath: tempPath,
+        fileName: upload.file_name,
+        mimeType: upload.file_type,
+        signal,
+      });
+      return importParseResult(importer, result);
+    }
+
+    return await parseFile(tempPath, upload.file_name, upload.file_type);
+  } finally {
+    fs.rm(tempPath, { force: true }, () => {});
+  }
+}
+
+/**
+ * Record a failed attempt: queue a retry after a backoff, or fail the job and
+ * its upload once it has used all its attempts
+ */
+async function failAttempt(supabase: SupabaseClient, job: UploadJob, message: string): Promise<UploadJobStatus> {
+  const now = new Date();
+
+  if (job.attempts < maxAttempts()) {
+    const delaySeconds = RETRY_BASE_SECONDS * Math.pow(2, job.attempts - 1);
+    await supabase
+      .from('upload_jobs')
+      .update({
+        status: 'queued',
+        last_error: message,
+        run_after: new Date(now.getTime() + delaySeconds * 1000).toISOString(),
+        updated_at: now.toISOString(),
+      })
+      .eq('id', job.id);
+    console.warn('[UploadJobs] Attempt', job.attempts, 'failed for job', job.id, `(retrying in ${delaySeconds}s):`, message);
+    return 'queued';
+  }
+
+  await supabase
+    .from('upload_jobs')
+    .update({
+      status: 'failed',
+      last_error: message,
+      finished_at: now.toISOString(),
+      updated_at: now.toISOString(),
+    })
+    .eq('id', job.id);
+  await supabase
+    .from('uploaded_file_data')
+    .update({
+      processing_status: 'failed',
+      extraction_metadata: { error: message, attempts: job.attempts, timestamp: now.toISOString() },
+    })
+    .eq('id', job.upload_id);
+  console.error('[UploadJobs] Job', job.id, 'failed after', job.attempts, 'attempts:', message);
+  return 'failed';
+}
+
+/**
+ * Run one attempt of a claimed job. Never throws; returns the job's new status.
+ */
+export async function processUploadJob(supabase: SupabaseClient, job: UploadJob): Promise<UploadJobStatus> {
+  const { data: upload } = await supabase
+    .from('uploaded_file_data')
+    .select('id, user_id, file_name, file_type')
+    .eq('id', job.upload_id)
+    .maybeSingle();
+
+  // The upload was deleted while queued; its job goes with it
+  if (!upload) {
+    return 'failed';
+  }
+
+  const importer = findImporter(upload.file_name, upload.file_type);
+  const controller = new AbortController();
+  let parseResult: ParseResult;
+  try {
+    parseResult = await withTimeout(
+      extractUpload(supabase, job, upload, importer, controller.signal),
+      importer ? importTimeoutMs() : extractionTimeoutMs(),
+      controller
+    );
+  } catch (error: any) {
+    return failAttempt(supabase, job, error.message || 'Extraction failed');
+  }
+
+  if (!parseResult.success || !parseResult.extractedData) {
+    return failAttempt(supabase, job, parseResult.error || 'Failed to extract data from file');
+  }
+
+  const extractedData = parseResult.extractedData;
+  const reviewStatus = initialReviewStatus(extractedData);
+  const { data: saved, error: saveError } = await supabase
+    .from('uploaded_file_data')
+    .update({
+      processing_status: 'done',
+      extracted_data: extractedData,
+      extraction_metadata: {
+        model: parseResult.model,
+        timestamp: new Date().toISOString(),
+        confidence: extractedData.confidence,
+        attempts: job.attempts,
+      },
+      data_categories: parseResult.dataCategories || [],
+      date_range_start: extractedData.dateRange?.start || null,
+      date_range_end: extractedData.dateRange?.end || null,
+      summary: extractedData.summary,
+      review_status: reviewStatus,
+    })
+    .eq('id', job.upload_id)
+    .select()
+    .maybeSingle();
+
+  if (saveError) {
+    return failAttempt(supabase, job, `Failed to save extracted data: ${saveError.message}`);
+  }
+  if (!saved) {
+    return 'failed';
+  }
+
+  const finishedAt = new Date().toISOString();
+  await supabase
+    .from('upload_jobs')
+    .update({ status: 'done', last_error: null, finished_at: finishedAt, updated_at: finishedAt })
+    .eq('id', job.id);
+
+  console.log('[UploadJobs] Processed upload', saved.id, 'in', job.attempts, job.attempts === 1 ? 'attempt' : 'attempts');
+
+  // Low-confidence extractions get lab results and embeddings once the user
+  // has reviewed them (see uploadReviewService)
+  if (reviewStatus !== 'needs_review') {
+    // Biomarker rows failing to save shouldn't fail the upload; they are
+    // retried on the next lab results read
+    try {
+      await saveLabResults(supabase, saved);
+    } catch (labError) {
+      console.error('[UploadJobs] Error storing lab results:', labError);
+    }
+
+    void indexUploadedFile(supabase, saved);
+  }
+
+  // Lets the user know even if they left the app while the file was parsed
+  void notifyUser(supabase, saved.user_id, 'upload_parsed', {
+    fileId: saved.id,
+    fileName: saved.file_name,
+    summary: extractedData.summary,
+    needsReview: reviewStatus === 'needs_review',
+  }, { dedupeKey: `upload:${saved.id}` });
+
+  return 'done';
+}
+
+/**
+ * Move a queued job to extracting. Returns the claimed job, or null when
+ * another worker got to it first.
+ */
+async function claimJob(supabase: SupabaseClient, job: UploadJob): Promise<UploadJob | null> {
+  const now = new Date().toISOString();
+  const { data } = await supabase
+    .from('upload_jobs')
+    .update({ status: 'extracting', attempts: job.attempts + 1, started_at: now, updated_at: now })
+    .eq('id', job.id)
+    .eq('status', 'queued')
+    .select()
+    .maybeSingle();
+
+  return (data as UploadJob) || null;
+}
+
+/**
+ * Count extractions that stopped responding as failed attempts, so they are
+ * retried (or failed) instead of staying in extracting forever. Imports get
+ * their own, longer timeout before they count as stalled.
+ */
+async function recoverStalledJobs(supabase: SupabaseClient): Promise<number> {
+  const graceMs = STALLED_GRACE_SECONDS * 1000;
+  const cutoff = new Date(Date.now() - extractionTimeoutMs() - graceMs).toISOString();
+  const importCutoff = new Date(Date.now() - importTimeoutMs() - graceMs).toISOString();
+  const { data: stalled, error } = await supabase
+    .from('upload_jobs')
+    .select('*, uploaded_file_data(file_name, file_type)')
+    .eq('status', 'extracting')
+    .lt('started_at', cutoff)
+    .limit(50);
+
+  if (error) {
+    console.error('[UploadJobs] Error loading stalled jobs:', error);
+    return 0;
+  }
+
+  let recovered = 0;
+  for (const { uploaded_file_data: upload, ...job } of stalled || []) {
+    if (upload && findImporter(upload.file_name, upload.file_type) && job.started_at >= importCutoff) {
+      continue;
+    }
+    await failAttempt(supabase, job as UploadJob, 'Extraction was interrupted');
+    recovered++;
+  }
+  return recovered;
+}
+
+let workerClient: SupabaseClient | null = null;
+let activeJobs = 0;
+let pollInProgress = false;
+let pollRequested = false;
+
+/**
+ * Claim due jobs up to the concurrency limit and process them in the background
+ */
+async function pollJobs(supabase: SupabaseClient): Promise<void> {
+  if (pollInProgress) {
+    pollRequested = true;
+    return;
+  }
+  pollInProgress = true;
+
+  try {
+    await recoverStalledJobs(supabase);
+
+    const slots = Math.max(1, envInt('UPLOAD_WORKER_CONCURRENCY', DEFAULT_CONCURRENCY)) - activeJobs;
+    if (slots <= 0) return;
+
+    const { data: due, error } = await supabase
+      .from('upload_jobs')
+      .select('*')
+      .eq('status', 'queued')
+      .lte('run_after', new Date().toISOString())
+      .order('run_after', { ascending: true })
+      .limit(slots);
+
+    if (error) {
+      console.error('[UploadJobs] Error loading queued jobs:', error);
+      return;
+    }
+
+    for (const candidate of (due || []) as UploadJob[]) {
+      const job = await claimJob(supabase, candidate);
+      if (!job) continue;
+
+      activeJobs++;
+      void processUploadJob(supabase, job)
+        .catch((jobError) => console.error('[UploadJobs] Error processing job', job.id, jobError))
+        .finally(() => {
+          activeJobs--;
+          // A slot opened up; pick up anything else that's waiting
+          kickUploadWorker();
+        });
+    }
+  } catch (error) {
+    console.error('[UploadJobs] Poll failed:', error);
+  } finally {
+    pollInProgress = false;
+    if (pollRequested) {
+      pollRequested = false;
+      kickUploadWorker();
+    }
+  }
+}
+
+/**
+ * Check for work now rather than at the next poll (no-op if the worker isn't running)
+ */
+export function kickUploadWorker(): void {
+  if (workerClient) {
+    const supabase = workerClient;
+    setImmediate(() => void pollJobs(supabase));
+  }
+}
+
+/**
+ * Start the in-process upload worker. UPLOAD_WORKER_POLL_SECONDS=0 disables
+ * it, e.g. when another instance runs the worker.
+ */
+export function startUploadWorker(): void {
+  const seconds = envInt('UPLOAD_WORKER_POLL_SECONDS', DEFAULT_POLL_SECONDS);
+  if (!seconds || seconds <= 0 || !process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    console.log('[UploadJobs] Upload worker disabled');
+    return;
+  }
+
+  workerClient = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+  const supabase = workerClient;
+
+  setInterval(() => void pollJobs(supabase), seconds * 1000).unref();
+  kickUploadWorker();
+  console.log('[UploadJobs] Polling for upload jobs every', seconds, 'seconds');
+}
+
+export default {
+  enqueueUploadJob,
+  processUploadJob,
+  kickUploadWorker,
+  startUploadWorker,
+};
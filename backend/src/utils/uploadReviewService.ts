@@ -0,0 +1,144 @@
+/**
+ * Upload Review Service
+ *
+ * Review and correction of what the file-parsing model read from an upload:
+ * 1. Decide whether a new extraction needs review: model extractions below
+ *    UPLOAD_REVIEW_MIN_CONFIDENCE are kept out of chat context, embeddings
+ *    and lab_results until the user verifies them
+ * 2. Apply corrections to an extraction's entries, metrics and lab results
+ * 3. Rebuild what is derived from an upload (lab_results rows, embeddings)
+ *    once it is corrected or verified
+ */
+
+import { SupabaseClient } from '@supabase/supabase-js';
+import { ExtractedData, ExtractedLabResult } from './fileParsingService';
+import { saveLabResults } from './labResultsService';
+import { indexUploadedFile } from './embeddingService';
+
+export type ReviewStatus = 'not_required' | 'needs_review' | 'verified';
+
+export type ExtractedEntry = ExtractedData['entries'][number];
+
+export interface EntryEdit {
+  date?: string | null;
+  category?: string;
+  notes?: string | null;
+  /** Metrics to set; a null value removes the metric */
+  metrics?: Record<string, number | string | boolean | null>;
+}
+
+export type LabResultEdit = Partial<ExtractedLabResult>;
+
+const DEFAULT_REVIEW_MIN_CONFIDENCE = 0.8;
+
+/**
+ * Confidence below which a model extraction waits for the user's review
+ * (UPLOAD_REVIEW_MIN_CONFIDENCE, 0-1)
+ */
+export function reviewMinConfidence(): number {
+  const value = parseFloat(process.env.UPLOAD_REVIEW_MIN_CONFIDENCE || '');
+  return isNaN(value) || value < 0 || value > 1 ? DEFAULT_REVIEW_MIN_CONFIDENCE : value;
+}
+
+/**
+ * Whether an extraction is the model's reading of a document, which the user
+ * can correct. Structured imports record counts, not readings.
+ */
+export function isReviewable(extracted: ExtractedData | null | undefined): boolean {
+  return !!extracted && extracted.dataType !== 'health_export';
+}
+
+/**
+ * Review status of a freshly extracted upload
+ */
+export function initialReviewStatus(extracted: ExtractedData): ReviewStatus {
+  if (!isReviewable(extracted)) {
+    return 'not_required';
+  }
+  const confidence = typeof extracted.confidence === 'number' ? extracted.confidence : 0;
+  return confidence < reviewMinConfidence() ? 'needs_review' : 'not_required';
+}
+
+/**
+ * Date range of the extraction's dated entries and lab results, or the one
+ * the model reported when nothing is dated
+ */
+function withDateRange(extracted: ExtractedData): ExtractedData {
+  const dates = [
+    ...extracted.entries.map((entry) => entry.date),
+    ...(extracted.labResults || []).map((result) => result.collectionDate),
+  ].filter((date): date is string => typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)).sort();
+
+  if (dates.length === 0) {
+    return extracted;
+  }
+  return { ...extracted, dateRange: { start: dates[0], end: dates[dates.length - 1] } };
+}
+
+/**
+ * Extraction with one entry corrected
+ */
+export function applyEntryEdit(extracted: ExtractedData, index: number, edit: EntryEdit): ExtractedData {
+  const entries = extracted.entries.map((entry, i) => {
+    if (i !== index) return entry;
+
+    const updated: ExtractedEntry = { ...entry, metrics: { ...entry.metrics } };
+    if (edit.date !== undefined) updated.date = edit.date || undefined;
+    if (edit.category !== undefined) updated.category = edit.category;
+    if (edit.notes !== undefined) updated.notes = edit.notes || undefined;
+    Object.entries(edit.metrics || {}).forEach(([key, value]) => {
+      if (value === null) delete updated.metrics[key];
+      else updated.metrics[key] = value;
+    });
+    return updated;
+  });
+
+  return withDateRange({ ...extracted, entries });
+}
+
+export function removeEntry(extracted: ExtractedData, index: number): ExtractedData {
+  return withDateRange({ ...extracted, entries: extracted.entries.filter((_, i) => i !== index) });
+}
+
+/**
+ * Extraction with one lab result corrected
+ */
+export function applyLabResultEdit(extracted: ExtractedData, index: number, edit: LabResultEdit): ExtractedData {
+  const labResults = (extracted.labResults || []).map((result, i) => (i === index ? { ...result, ...edit } : result));
+  return withDateRange({ ...extracted, labResults });
+}
+
+export function removeLabResult(extracted: ExtractedData, index: number): ExtractedData {
+  const labResults = (extracted.labResults || []).filter((_, i) => i !== index);
+  return withDateRange({ ...extracted, labResults });
+}
+
+/**
+ * Rebuild an upload's lab_results rows and embeddings from its current
+ * extraction. Uploads waiting for review have neither.
+ */
+export async function refreshUploadDerivedData(supabase: SupabaseClient, upload: any): Promise<void> {
+  if (upload.review_status === 'needs_review') {
+    return;
+  }
+
+  try {
+    // Cleared first so a failed save is retried on the next lab results read
+    await supabase.from('uploaded_file_data').update({ labs_extracted_at: null }).eq('id', upload.id);
+    await saveLabResults(supabase, upload);
+  } catch (error) {
+    console.error('[UploadReview] Error storing lab results for upload', upload.id, error);
+  }
+  void indexUploadedFile(supabase, upload);
+}
+
+export default {
+  reviewMinConfidence,
+  isReviewable,
+  initialReviewStatus,
+  applyEntryEdit,
+  removeEntry,
+  applyLabResultEdit,
+  removeLabResult,
+  refreshUploadDerivedData,
+};
@@ -0,0 +1,254 @@
+/**
+ * Weekly Digest Service
+ *
+ * Writes each active user a short recap of their week without them asking:
+ * 1. Work out the last completed week (Monday to Sunday) in the user's time zone
+ * 2. Summarize it against the week before, with workouts and other events and
+ *    any anomalies detected during it
+ * 3. Ask the LLM for a short, friendly digest
+ * 4. Store it as a `digest` conversation (one per user per week, keyed by
+ *    digest_week), so it shows up in the conversation list and can be replied to
+ * 5. Check every recently synced user on an interval; users who already have
+ *    that week's digest, or have no data for it, are skipped
+ */
+
+import { SupabaseClient, createClient } from '@supabase/supabase-js';
+import { getLLM, LLMProvider } from './llm';
+import {
+  getHealthEvents,
+  getPeriodComparison,
+  formatComparisonForContext,
+  formatEventsForContext,
+} from './healthDataRetrieval';
+import { getInsights, formatInsightsForContext } from './anomalyDetectionService';
+import { formatDateInTimeZone, formatDay, getUserTimeZone, shiftDay, zonedDayBoundary } from './timeZone';
+
+export type DigestResult = 'created' | 'exists' | 'no_data' | 'failed';
+
+// Hourly, so each user's digest arrives soon after their Monday begins
+const DEFAULT_DIGEST_INTERVAL_MINUTES = 60;
+const DIGEST_MAX_WORDS = 180;
+// Users with daily metrics this recently are checked for a digest
+const ACTIVE_DAYS = 8;
+const PAGE_SIZE = 1000;
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * First and last day (YYYY-MM-DD) of the most recent Monday-to-Sunday week
+ * that has ended in `timeZone`
+ */
+export function lastCompletedWeek(now: Date, timeZone: string): { start: string; end: string } {
+  const today = formatDateInTimeZone(now, timeZone);
+  const daysSinceMonday = (new Date(`${today}T00:00:00Z`).getUTCDay() + 6) % 7;
+  const thisMonday = shiftDay(today, -daysSinceMonday);
+  return { start: shiftDay(thisMonday, -7), end: shiftDay(thisMonday, -1) };
+}
+
+function buildDigestPrompt(weekLabel: string, context: string): string {
+  return `You are You-i, a wellness assistant. Write the user's weekly digest for ${weekLabel} from their health data below.
+
+${context}
+Write under ${DIGEST_MAX_WORDS} words, speaking to the user directly. Open with one sentence on how the week went, then cover the two or three most notable points (changes from the previous week, workouts, anything unusual) with their numbers, and end with one practical suggestion for the coming week. Only mention numbers that appear in the data. Don't diagnose; if something unusual stands out, suggest keeping an eye on it. Plain text, no heading.`;
+}
+
+/**
+ * Write the user's digest for their last completed week, unless it already
+ * exists or the week has no data. Safe to re-run: a week gets one digest.
+ */
+export async function generateWeeklyDigest(
+  supabase: SupabaseClient,
+  llm: LLMProvider,
+  userId: string,
+  now: Date = new Date()
+): Promise<{ result: DigestResult; conversationId?: string; error?: string }> {
+  try {
+    const timeZone = await getUserTimeZone(supabase, userId);
+    const week = lastCompletedWeek(now, timeZone);
+
+    const { data: existing, error: existingError } = await supabase
+      .from('chat_conversations')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('digest_week', week.start)
+      .maybeSingle();
+
+    if (existingError) {
+      throw new Error(existingError.message);
+    }
+    if (existing) {
+      return { result: 'exists', conversationId: existing.id };
+    }
+
+    const weekStart = zonedDayBoundary(week.start, timeZone, 'start');
+    const weekEnd = zonedDayBoundary(week.end, timeZone, 'end');
+    const weekLabel = `${formatDay(week.start)} – ${formatDay(week.end)}`;
+
+    const comparisonResult = await getPeriodComparison(supabase, userId, [
+      {
+        startDate: zonedDayBoundary(shiftDay(week.start, -7), timeZone, 'start'),
+        endDate: zonedDayBoundary(shiftDay(week.end, -7), timeZone, 'end'),
+        description: 'previous week',
+      },
+      { startDate: weekStart, endDate: weekEnd, description: `week of ${weekLabel}` },
+    ], timeZone);
+
+    if (!comparisonResult.success || !comparisonResult.comparison) {
+      throw new Error(comparisonResult.error || 'Failed to summarize week');
+    }
+
+    const weekSummary = comparisonResult.comparison.periods[1].summary;
+    const eventsResult = await getHealthEvents(supabase, userId, weekStart, weekEnd);
+    const events = eventsResult.success ? eventsResult.data : [];
+
+    if (weekSummary.dateRange.days === 0 && events.length === 0) {
+      return { result: 'no_data' };
+    }
+
+    // Anomalies that started or were still running during the week
+    const insights = (await getInsights(supabase, userId, { since: week.start, limit: 10 }))
+      .filter((insight) => insight.start_date <= week.end);
+
+    let context = formatComparisonForContext(comparisonResult.comparison) + '\n';
+    context += formatEventsForContext(events);
+    const insightsText = formatInsightsForContext(insights);
+    if (insightsText) {
+      context += '\n' + insightsText;
+    }
+
+    const digest = (await llm.generate(buildDigestPrompt(weekLabel, context), { temperature: 0.5 })).trim();
+    if (!digest) {
+      throw new Error('Empty digest from model');
+    }
+
+    const { data: conversation, error: createError } = await supabase
+      .from('chat_conversations')
+      .insert({
+        user_id: userId,
+        title: `Weekly digest: ${weekLabel}`,
+        kind: 'digest',
+        digest_week: week.start,
+      })
+      .select('id')
+      .single();
+
+    if (createError) {
+      // Another run wrote this week's digest first
+      if (createError.code === UNIQUE_VIOLATION) {
+        return { result: 'exists' };
+      }
+      throw new Error(createError.message);
+    }
+
+    const { error: messageError } = await supabase
+      .from('chat_messages')
+      .insert({
+        conversation_id: conversation.id,
+        role: 'assistant',
+        content: digest,
+        metadata: {
+          digest: {
+            weekStart: week.start,
+            weekEnd: week.end,
+            timeZone,
+            daysWithData: weekSummary.dateRange.days,
+            events: events.length,
+            insights: insights.map((insight) => insight.id),
+          },
+          model: llm.model,
+        },
+      });
+
+    if (messageError) {
+      // Remove the empty conversation so the next run tries again
+      await supabase.from('chat_conversations').delete().eq('id', conversation.id);
+      throw new Error(messageError.message);
+    }
+
+    console.log('[Digest] Created digest for week of', week.start, 'for userId:', userId);
+    return { result: 'created', conversationId: conversation.id };
+  } catch (error: any) {
+    console.error('[Digest] Error generating digest for userId:', userId, error);
+    return { result: 'failed', error: error.message };
+  }
+}
+
+/**
+ * Check every user with recent daily metrics and write any digests that are due
+ */
+export async function generateAllDigests(supabase: SupabaseClient, llm: LLMProvider): Promise<Record<DigestResult, number>> {
+  const since = shiftDay(new Date().toISOString().split('T')[0], -ACTIVE_DAYS);
+  const userIds = new Set<string>();
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('health_metrics_daily')
+      .select('user_id')
+      .gte('date', since)
+      .order('user_id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to list users for digests: ${error.message}`);
+    }
+    (data || []).forEach((row: any) => userIds.add(row.user_id));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  const counts: Record<DigestResult, number> = { created: 0, exists: 0, no_data: 0, failed: 0 };
+  for (const userId of userIds) {
+    const { result } = await generateWeeklyDigest(supabase, llm, userId);
+    counts[result]++;
+  }
+
+  return counts;
+}
+
+let digestRunInProgress = false;
+
+/**
+ * Check for due digests every WEEKLY_DIGEST_INTERVAL_MINUTES (default hourly;
+ * 0 turns the schedule off). The timer doesn't keep the process alive on shutdown.
+ */
+export function startDigestScheduler(): void {
+  const minutes = parseInt(process.env.WEEKLY_DIGEST_INTERVAL_MINUTES || String(DEFAULT_DIGEST_INTERVAL_MINUTES), 10);
+  if (!minutes || minutes <= 0 || !process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    console.log('[Digest] Scheduled weekly digests disabled');
+    return;
+  }
+
+  const llm = getLLM('summarization');
+  if (!llm.isConfigured()) {
+    console.log('[Digest] Scheduled weekly digests disabled: no model configured for summarization');
+    return;
+  }
+
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+  const run = async () => {
+    if (digestRunInProgress) return;
+    digestRunInProgress = true;
+    const startedAt = Date.now();
+    try {
+      const counts = await generateAllDigests(supabase, llm);
+      if (counts.created > 0 || counts.failed > 0) {
+        console.log('[Digest] Scheduled run:', counts, 'in', Date.now() - startedAt, 'ms');
+      }
+    } catch (error) {
+      console.error('[Digest] Scheduled run failed:', error);
+    } finally {
+      digestRunInProgress = false;
+    }
+  };
+
+  // First run a few minutes after startup (after the first anomaly scan), then on the interval
+  setTimeout(run, 5 * 60 * 1000).unref();
+  setInterval(run, minutes * 60 * 1000).unref();
+  console.log('[Digest] Checking for weekly digests every', minutes, 'minutes');
+}
+
+export default {
+  lastCompletedWeek,
+  generateWeeklyDigest,
+  generateAllDigests,
+  startDigestScheduler,
+};
@@ -18,8 +18,8 @@ import { BlurView } from 'expo-blur';
 import { Ionicons } from '@expo/vector-icons';
 import Markdown from 'react-native-markdown-display';
 import * as DocumentPicker from 'expo-document-picker';
-import { sendMessage, getConversation } from '../services/chatService';
-import { uploadFile } from '../services/uploadService';
+import { streamMessage, getConversation } from '../services/chatService';
+import { uploadFile, UPLOAD_FILE_TYPES, getUploadSizeError } from '../services/uploadService';
 import useAuthStore from '../store/authStore';
 
 export default function ChatOverlay({ 
@@ -34,15 +34,17 @@ export default function ChatOverlay({
   const [currentConversationId, setCurrentConversationId] = useState(conversationId);
   const [streamingMessageId, setStreamingMessageId] = useState(null);
   const [streamingText, setStreamingText] = useState('');
-  const [isUserScrolling, setIsUserScrolling] = useState(false);
   const [isUploading, setIsUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
   const scrollViewRef = useRef(null);
   const slideAnim = useRef(new Animated.Value(1000)).current;
   const streamingIntervalRef = useRef(null);
+  const activeStreamRef = useRef(null);
   const typingDotAnim = useRef(new Animated.Value(1)).current;
   const cursorBlinkAnim = useRef(new Animated.Value(1)).current;
   const userScrollTimeoutRef = useRef(null);
+  // A ref rather than state so the streaming callbacks see the current value
+  const isUserScrollingRef = useRef(false);
   const { user } = useAuthStore();
 
   // Animate typing indicator
@@ -130,6 +132,9 @@ export default function ChatOverlay({
       if (streamingIntervalRef.current) {
         clearInterval(streamingIntervalRef.current);
       }
+      if (activeStreamRef.current) {
+        activeStreamRef.current.abort();
+      }
       if (userScrollTimeoutRef.current) {
         clearTimeout(userScrollTimeoutRef.current);
       }
@@ -177,7 +182,7 @@ export default function ChatOverlay({
     
     setStreamingMessageId(messageId);
     setStreamingText('');
-    setIsUserScrolling(false); // Reset scroll state
+    isUserScrollingRef.current = false; // Reset scroll state
 
     const streamNextWord = () => {
       if (currentIndex < words.length) {
@@ -194,7 +199,7 @@ export default function ChatOverlay({
         setStreamingText(prev => {
           const newText = prev + (prev ? ' ' : '') + words[currentIndex];
           // Only auto-scroll if user hasn't manually scrolled
-          if (!isUserScrolling) {
+          if (!isUserScrollingRef.current) {
             scrollViewRef.current?.scrollToEnd({ animated: false });
           }
           return newText;
@@ -206,7 +211,7 @@ export default function ChatOverlay({
         streamingIntervalRef.current = null;
         setStreamingMessageId(null);
         setStreamingText('');
-        setIsUserScrolling(false);
+        isUserScrollingRef.current = false;
       }
     };
 
@@ -226,7 +231,7 @@ export default function ChatOverlay({
     
     if (distanceFromBottom > 50) {
       // User has scrolled up
-      setIsUserScrolling(true);
+      isUserScrollingRef.current = true;
       
       // Clear any existing timeout
       if (userScrollTimeoutRef.current) {
@@ -235,11 +240,11 @@ export default function ChatOverlay({
       
       // After 3 seconds of no scrolling, resume auto-scroll
       userScrollTimeoutRef.current = setTimeout(() => {
-        setIsUserScrolling(false);
+        isUserScrollingRef.current = false;
       }, 3000);
     } else {
       // User is at or near the bottom
-      setIsUserScrolling(false);
+      isUserScrollingRef.current = false;
     }
   };
 
@@ -277,36 +282,80 @@ export default function ChatOverlay({
     console.log('[ChatOverlay] Message:', textToSend.substring(0, 100));
     console.log('[ChatOverlay] =======================================');
     
-    const result = await sendMessage(currentConversationId, textToSend, user.id);
+    // Stream the AI response token by token from the backend
+    const aiMessageId = (Date.now() + 1).toString();
+    let aiMessageAdded = false;
+
+    const stream = streamMessage(currentConversationId, textToSend, user.id, {
+      onStart: (newConversationId) => {
+        // Update conversation ID if it was just created
+        if (!currentConversationId) {
+          setCurrentConversationId(newConversationId);
+        }
+
+        setIsLoading(false);
+        aiMessageAdded = true;
+        setMessages(prev => [...prev, {
+          id: aiMessageId,
+          role: 'assistant',
+          content: '',
+          created_at: new Date().toISOString(),
+        }]);
+        setStreamingMessageId(aiMessageId);
+        setStreamingText('');
+        isUserScrollingRef.current = false;
+      },
+      onToken: (token, fullText) => {
+        setStreamingText(fullText);
+        // Only auto-scroll if user hasn't manually scrolled
+        if (!isUserScrollingRef.current) {
+          scrollViewRef.current?.scrollToEnd({ animated: false });
+        }
+      },
+    });
+    activeStreamRef.current = stream;
+
+    const result = await stream;
+    activeStreamRef.current = null;
 
     setIsLoading(false);
+    setStreamingMessageId(null);
+    setStreamingText('');
+    isUserScrollingRef.current = false;
+
+    if (result.aborted) {
+      // Overlay was closed mid-stream; keep whatever was received
+      if (aiMessageAdded) {
+        setMessages(prev => prev.map(m =>
+          m.id === aiMessageId ? { ...m, content: result.partialMessage } : m
+        ).filter(m => m.id !== aiMessageId || m.content));
+      }
+      return;
+    }
 
     if (result.success) {
-      // Update conversation ID if it was just created
-      if (!currentConversationId) {
+      if (!currentConversationId && result.conversationId) {
         setCurrentConversationId(result.conversationId);
       }
 
-      // Add AI response to UI with streaming effect
-      const aiMessageId = (Date.now() + 1).toString();
-      const aiMessage = {
-        id: aiMessageId,
-        role: 'assistant',
-        content: result.message,
-        created_at: new Date().toISOString(),
-      };
-      
-      setMessages(prev => [...prev, aiMessage]);
-
-      // Start streaming the text
-      streamText(result.message, aiMessageId);
+      setMessages(prev => prev.map(m =>
+        m.id === aiMessageId ? { ...m, content: result.message } : m
+      ));
     } else {
       // Log detailed error information
       console.error('[ChatOverlay] Message send failed:', {
         error: result.error,
         details: result.details,
       });
-      
+
+      if (result.partialMessage) {
+        // Keep the partial answer that already streamed in
+        setMessages(prev => prev.map(m =>
+          m.id === aiMessageId ? { ...m, content: result.partialMessage } : m
+        ));
+        return;
+      }
+
       // Show error message with more details in development
       const isDevelopment = __DEV__;
       let errorContent = 'Sorry, I encountered an error. Please try again.';
@@ -316,13 +365,13 @@ export default function ChatOverlay({
       }
       
       const errorMessage = {
-        id: (Date.now() + 1).toString(),
+        id: aiMessageId,
         role: 'assistant',
         content: errorContent,
         created_at: new Date().toISOString(),
       };
       
-      setMessages(prev => [...prev, errorMessage]);
+      setMessages(prev => [...prev.filter(m => m.id !== aiMessageId), errorMessage]);
     }
   };
 
@@ -330,18 +379,7 @@ export default function ChatOverlay({
     try {
       // Pick a document
       const result = await DocumentPicker.getDocumentAsync({
-        type: [
-          'application/pdf',
-          'image/jpeg',
-          'image/png',
-          'text/plain',
-          'text/csv',
-          'text/rtf',
-          'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-          'application/vnd.ms-excel',
-          'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-          'application/msword',
-        ],
+        type: UPLOAD_FILE_TYPES,
         copyToCacheDirectory: true,
       });
 
@@ -351,9 +389,10 @@ export default function ChatOverlay({
 
       const file = result.assets[0];
       
-      // Validate file size (10MB)
-      if (file.size > 10 * 1024 * 1024) {
-        Alert.alert('File Too Large', 'Please select a file under 10MB.');
+      // Validate file size (10MB, larger for health exports)
+      const sizeError = getUploadSizeError(file);
+      if (sizeError) {
+        Alert.alert('File Too Large', sizeError);
         return;
       }
 
@@ -392,9 +431,14 @@ export default function ChatOverlay({
           setUploadProgress(progressData.progress);
           
           // Update message with progress
+          const content = progressData.status === 'extracting'
+            ? `Analyzing ${file.name}...`
+            : progressData.status === 'queued'
+              ? `Waiting to analyze ${file.name}...`
+              : `Uploading ${file.name}... ${Math.round(progressData.progress * 100)}%`;
           setMessages(prev => prev.map(m => 
             m.id === uploadingMessage.id 
-              ? { ...m, content: `Uploading ${file.name}... ${Math.round(progressData.progress * 100)}%` }
+              ? { ...m, content }
               : m
           ));
         }
@@ -429,7 +473,9 @@ export default function ChatOverlay({
       const aiMessage = {
         id: aiMessageId,
         role: 'assistant',
-        content: `I've analyzed your file "${file.name}". ${uploadResult.extractedData.summary}\n\nI found ${uploadResult.extractedData.entries?.length || 0} data entries. You can now ask me questions about this data!`,
+        content: uploadResult.pending
+          ? `I've received your file "${file.name}" and I'm still analyzing it. I'll let you know when it's ready, and then you can ask me questions about it.`
+          : `I've analyzed your file "${file.name}". ${uploadResult.extractedData.summary}\n\nI found ${uploadResult.extractedData.entries?.length || 0} data entries. You can now ask me questions about this data!`,
         created_at: new Date().toISOString(),
       };
       setMessages(prev => [...prev, aiMessage]);
@@ -450,6 +496,9 @@ export default function ChatOverlay({
   };
 
   const handleClose = () => {
+    if (activeStreamRef.current) {
+      activeStreamRef.current.abort();
+    }
     setInputText('');
     onClose();
   };
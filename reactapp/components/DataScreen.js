@@ -15,30 +15,37 @@ import { BlurView } from 'expo-blur';
 import { Ionicons } from '@expo/vector-icons';
 import * as DocumentPicker from 'expo-document-picker';
 import Background from './Background';
-import { uploadFile } from '../services/uploadService';
+import UploadReviewModal from './UploadReviewModal';
+import { uploadFile, getUploadedFiles, UPLOAD_FILE_TYPES, getUploadSizeError } from '../services/uploadService';
 import useAuthStore from '../store/authStore';
 
 export default function DataScreen() {
   const [isUploading, setIsUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [files, setFiles] = useState([]);
+  const [filesLoading, setFilesLoading] = useState(true);
+  const [reviewFileId, setReviewFileId] = useState(null);
   const { user } = useAuthStore();
 
+  useEffect(() => {
+    if (user?.id) {
+      loadFiles();
+    }
+  }, [user?.id]);
+
+  const loadFiles = async () => {
+    const result = await getUploadedFiles(user.id);
+    if (result.success) {
+      setFiles(result.files);
+    }
+    setFilesLoading(false);
+  };
+
   const handleFileUpload = async () => {
     try {
       // Pick a document
       const result = await DocumentPicker.getDocumentAsync({
-        type: [
-          'application/pdf',
-          'image/jpeg',
-          'image/png',
-          'text/plain',
-          'text/csv',
-          'text/rtf',
-          'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-          'application/vnd.ms-excel',
-          'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-          'application/msword',
-        ],
+        type: UPLOAD_FILE_TYPES,
         copyToCacheDirectory: true,
       });
 
@@ -48,9 +55,10 @@ export default function DataScreen() {
 
       const file = result.assets[0];
       
-      // Validate file size (10MB)
-      if (file.size > 10 * 1024 * 1024) {
-        Alert.alert('File Too Large', 'Please select a file under 10MB.');
+      // Validate file size (10MB, larger for health exports)
+      const sizeError = getUploadSizeError(file);
+      if (sizeError) {
+        Alert.alert('File Too Large', sizeError);
         return;
       }
 
@@ -80,12 +88,34 @@ export default function DataScreen() {
 
       setIsUploading(false);
       setUploadProgress(0);
+      loadFiles();
 
       if (!uploadResult.success) {
         Alert.alert('Upload Failed', uploadResult.error || 'Failed to upload file');
         return;
       }
 
+      if (uploadResult.pending) {
+        Alert.alert(
+          'Still Analyzing',
+          `${file.name} was uploaded and is still being analyzed. We'll let you know when it's ready.`,
+          [{ text: 'OK' }]
+        );
+        return;
+      }
+
+      if (uploadResult.reviewStatus === 'needs_review') {
+        Alert.alert(
+          'Please Review',
+          `${file.name} has been analyzed, but some values may have been misread. Check them before they're used in your conversations.`,
+          [
+            { text: 'Later', style: 'cancel' },
+            { text: 'Review', onPress: () => setReviewFileId(uploadResult.fileId) },
+          ]
+        );
+        return;
+      }
+
       // Show success alert
       Alert.alert(
         'File Uploaded Successfully',
@@ -147,20 +177,70 @@ export default function DataScreen() {
             </BlurView>
           </TouchableOpacity>
 
-          {/* Placeholder content */}
-          <View style={styles.placeholderContainer}>
-            <BlurView intensity={100} tint="systemUltraThinMaterial" style={styles.placeholderBlur}>
-              <View style={styles.placeholderContent}>
-                <Ionicons name="bar-chart-outline" size={64} color="#eaff61" />
-                <Text style={styles.placeholderTitle}>Coming Soon</Text>
-                <Text style={styles.placeholderText}>
-                  This page will display your health data, charts, and analytics from your connected apps.
-                </Text>
-              </View>
-            </BlurView>
-          </View>
+          {/* Uploaded files */}
+          <Text style={styles.sectionTitle}>Uploaded Files</Text>
+          {filesLoading ? (
+            <ActivityIndicator size="small" color="#eaff61" />
+          ) : files.length === 0 ? (
+            <View style={styles.placeholderContainer}>
+              <BlurView intensity={100} tint="systemUltraThinMaterial" style={styles.placeholderBlur}>
+                <View style={styles.placeholderContent}>
+                  <Ionicons name="document-text-outline" size={64} color="#eaff61" />
+                  <Text style={styles.placeholderTitle}>No Files Yet</Text>
+                  <Text style={styles.placeholderText}>
+                    Upload lab reports, health exports and other documents to use them in your conversations.
+                  </Text>
+                </View>
+              </BlurView>
+            </View>
+          ) : (
+            files.map((uploaded) => {
+              const needsReview = uploaded.review_status === 'needs_review';
+              const done = uploaded.processing_status === 'done';
+              // Health exports are imported as-is, so there's nothing to review
+              const reviewable = done && uploaded.data_type !== 'health_export';
+
+              return (
+                <TouchableOpacity
+                  key={uploaded.id}
+                  style={styles.fileRow}
+                  onPress={() => setReviewFileId(uploaded.id)}
+                  disabled={!reviewable}
+                  activeOpacity={0.85}
+                >
+                  <BlurView intensity={100} tint="systemUltraThinMaterial" style={styles.fileRowBlur}>
+                    <View style={styles.fileRowContent}>
+                      <Ionicons
+                        name={needsReview ? 'alert-circle-outline' : 'document-text-outline'}
+                        size={22}
+                        color="#eaff61"
+                      />
+                      <View style={styles.fileRowText}>
+                        <Text style={styles.fileName} numberOfLines={1}>{uploaded.file_name}</Text>
+                        <Text style={styles.fileStatus}>
+                          {needsReview
+                            ? 'Needs review'
+                            : done
+                              ? uploaded.review_status === 'verified' ? 'Verified' : 'Analyzed'
+                              : uploaded.processing_status === 'failed' ? 'Failed' : 'Processing...'}
+                        </Text>
+                      </View>
+                      {reviewable && <Ionicons name="chevron-forward" size={20} color="rgba(255, 255, 255, 0.6)" />}
+                    </View>
+                  </BlurView>
+                </TouchableOpacity>
+              );
+            })
+          )}
         </ScrollView>
       </Background>
+
+      <UploadReviewModal
+        visible={!!reviewFileId}
+        fileId={reviewFileId}
+        onClose={() => setReviewFileId(null)}
+        onChanged={loadFiles}
+      />
     </KeyboardAvoidingView>
   );
 }
@@ -298,6 +378,42 @@ const styles = StyleSheet.create({
   uploadButton: {
     marginBottom: 24,
   },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#ffffff',
+    marginBottom: 12,
+  },
+  fileRow: {
+    marginBottom: 10,
+  },
+  fileRowBlur: {
+    borderRadius: 16,
+    overflow: 'hidden',
+    borderWidth: 0.5,
+    borderColor: 'rgba(255, 255, 255, 0.3)',
+  },
+  fileRowContent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    gap: 12,
+  },
+  fileRowText: {
+    flex: 1,
+  },
+  fileName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#ffffff',
+  },
+  fileStatus: {
+    fontSize: 13,
+    color: 'rgba(255, 255, 255, 0.6)',
+    marginTop: 2,
+  },
   uploadButtonBlur: {
     borderRadius: 16,
     overflow: 'hidden',
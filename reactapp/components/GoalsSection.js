@@ -0,0 +1,353 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Platform,
+  Alert,
+  ActionSheetIOS,
+} from 'react-native';
+import { BlurView } from 'expo-blur';
+import { Ionicons } from '@expo/vector-icons';
+import { getGoals, getGoalSuggestions, createGoal, updateGoal, deleteGoal } from '../services/goalsService';
+import useAuthStore from '../store/authStore';
+
+const METRIC_ICONS = {
+  steps: 'walk',
+  exercise_minutes: 'barbell',
+  active_calories: 'flame',
+  distance_mi: 'map',
+  workout_count: 'fitness',
+  water_oz: 'water',
+  protein_g: 'nutrition',
+  calories_consumed: 'restaurant',
+  sleep_hours: 'moon',
+  resting_heart_rate: 'heart',
+  heart_rate_variability: 'pulse',
+  weight_lbs: 'scale',
+};
+
+function formatValue(value, unit) {
+  if (value === null || value === undefined) return 'No data yet';
+  return `${value.toLocaleString()}${unit ? ` ${unit}` : ''}`;
+}
+
+export default function GoalsSection() {
+  const [goals, setGoals] = useState([]);
+  const [suggestions, setSuggestions] = useState([]);
+  const [addingMetric, setAddingMetric] = useState(null);
+  const { user } = useAuthStore();
+
+  useEffect(() => {
+    if (user?.id) {
+      loadGoals();
+    }
+  }, [user]);
+
+  const loadGoals = async () => {
+    const result = await getGoals();
+    if (!result.success) return;
+
+    setGoals(result.goals);
+
+    // Suggestions are only offered until the user has a goal of their own
+    if (result.goals.length === 0) {
+      const suggestionResult = await getGoalSuggestions();
+      setSuggestions(suggestionResult.suggestions);
+    } else {
+      setSuggestions([]);
+    }
+  };
+
+  const handleAddSuggestion = async (suggestion) => {
+    setAddingMetric(suggestion.metric);
+    const result = await createGoal({
+      metric: suggestion.metric,
+      target: suggestion.target,
+      direction: suggestion.direction,
+      cadence: suggestion.cadence,
+      source: 'suggested',
+    });
+    setAddingMetric(null);
+
+    if (result.success) {
+      loadGoals();
+    } else {
+      Alert.alert('Error', result.error || 'Failed to add goal');
+    }
+  };
+
+  const handleSetStatus = async (goal, status) => {
+    const result = await updateGoal(goal.id, { status });
+    if (result.success) {
+      loadGoals();
+    } else {
+      Alert.alert('Error', 'Failed to update goal');
+    }
+  };
+
+  const handleDelete = async (goal) => {
+    const result = await deleteGoal(goal.id);
+    if (result.success) {
+      loadGoals();
+    } else {
+      Alert.alert('Error', 'Failed to delete goal');
+    }
+  };
+
+  const handleLongPress = (goal) => {
+    const pauseLabel = goal.status === 'paused' ? 'Resume Goal' : 'Pause Goal';
+    const nextStatus = goal.status === 'paused' ? 'active' : 'paused';
+
+    if (Platform.OS === 'ios') {
+      ActionSheetIOS.showActionSheetWithOptions(
+        {
+          options: ['Cancel', pauseLabel, 'Mark as Completed', 'Delete Goal'],
+          destructiveButtonIndex: 3,
+          cancelButtonIndex: 0,
+          title: goal.title,
+        },
+        (buttonIndex) => {
+          if (buttonIndex === 1) {
+            handleSetStatus(goal, nextStatus);
+          } else if (buttonIndex === 2) {
+            handleSetStatus(goal, 'completed');
+          } else if (buttonIndex === 3) {
+            handleDelete(goal);
+          }
+        }
+      );
+    } else {
+      // Android fallback - show options menu
+      Alert.alert(
+        goal.title,
+        'Choose an action',
+        [
+          {
+            text: pauseLabel,
+            onPress: () => handleSetStatus(goal, nextStatus),
+          },
+          {
+            text: 'Completed',
+            onPress: () => handleSetStatus(goal, 'completed'),
+          },
+          {
+            text: 'Delete',
+            style: 'destructive',
+            onPress: () => handleDelete(goal),
+          },
+        ],
+        { cancelable: true }
+      );
+    }
+  };
+
+  const renderGoalItem = (goal) => {
+    const { current, streak, adherence } = goal.progress || {};
+    const percent = Math.min(100, current?.percent || 0);
+    const periodLabel = goal.cadence === 'weekly' ? 'This week' : 'Today';
+    const unitLabel = goal.cadence === 'weekly' ? 'week' : 'day';
+
+    return (
+      <TouchableOpacity
+        key={goal.id}
+        style={styles.goalItem}
+        onLongPress={() => handleLongPress(goal)}
+        activeOpacity={0.8}
+      >
+        <BlurView intensity={80} tint="systemUltraThinMaterial" style={styles.goalBlur}>
+          <View style={[styles.goalContent, goal.status !== 'active' && styles.goalInactive]}>
+            <View style={styles.goalHeader}>
+              <View style={styles.goalIcon}>
+                <Ionicons name={METRIC_ICONS[goal.metric] || 'flag'} size={20} color="#eaff61" />
+              </View>
+              <View style={styles.goalInfo}>
+                <Text style={styles.goalTitle} numberOfLines={2}>
+                  {goal.title}
+                </Text>
+                <Text style={styles.goalDetail}>
+                  {goal.status === 'active'
+                    ? `${periodLabel}: ${formatValue(current?.value, goal.unit)}`
+                    : goal.status === 'paused' ? 'Paused' : 'Completed'}
+                </Text>
+              </View>
+              {current?.met && (
+                <Ionicons name="checkmark-circle" size={22} color="#eaff61" />
+              )}
+            </View>
+
+            <View style={styles.progressTrack}>
+              <View style={[styles.progressFill, { width: `${percent}%` }]} />
+            </View>
+
+            <View style={styles.goalFooter}>
+              <Text style={styles.goalStat}>
+                {streak > 0 ? `${streak}-${unitLabel} streak` : 'No streak yet'}
+              </Text>
+              {adherence?.total > 0 && (
+                <Text style={styles.goalStat}>
+                  Met {adherence.met} of {adherence.total} {unitLabel}s
+                </Text>
+              )}
+            </View>
+          </View>
+        </BlurView>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderSuggestionItem = (suggestion) => (
+    <BlurView
+      key={suggestion.metric}
+      intensity={80}
+      tint="systemUltraThinMaterial"
+      style={[styles.goalBlur, styles.goalItem]}
+    >
+      <View style={styles.goalContent}>
+        <View style={styles.goalHeader}>
+          <View style={styles.goalIcon}>
+            <Ionicons name={METRIC_ICONS[suggestion.metric] || 'flag'} size={20} color="#eaff61" />
+          </View>
+          <View style={styles.goalInfo}>
+            <Text style={styles.goalTitle} numberOfLines={2}>
+              {suggestion.title}
+            </Text>
+            <Text style={styles.goalDetail} numberOfLines={3}>
+              {suggestion.reason}
+            </Text>
+          </View>
+          <TouchableOpacity
+            style={styles.addButton}
+            onPress={() => handleAddSuggestion(suggestion)}
+            disabled={addingMetric !== null}
+            activeOpacity={0.8}
+          >
+            <Text style={styles.addButtonText}>
+              {addingMetric === suggestion.metric ? 'Adding…' : 'Add'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </BlurView>
+  );
+
+  if (goals.length === 0 && suggestions.length === 0) {
+    return null;
+  }
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>
+        {goals.length > 0 ? 'Your Goals' : 'Suggested Goals'}
+      </Text>
+      <View style={styles.list}>
+        {goals.length > 0
+          ? goals.map(renderGoalItem)
+          : suggestions.map(renderSuggestionItem)}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  section: {
+    marginTop: 40,
+    width: '100%',
+    maxWidth: 400,
+    alignSelf: 'center',
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#fff',
+    marginBottom: 16,
+    paddingHorizontal: 8,
+  },
+  list: {
+    gap: 12,
+  },
+  goalItem: {
+    marginBottom: 3,
+  },
+  goalBlur: {
+    borderRadius: 16,
+    overflow: 'hidden',
+    borderWidth: 0.5,
+    borderColor: 'rgba(255, 255, 255, 0.3)',
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 4,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 12,
+    elevation: 4,
+  },
+  goalContent: {
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    padding: 16,
+  },
+  goalInactive: {
+    opacity: 0.6,
+  },
+  goalHeader: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 12,
+  },
+  goalIcon: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: 'rgba(234, 255, 97, 0.2)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  goalInfo: {
+    flex: 1,
+  },
+  goalTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#fff',
+    marginBottom: 4,
+  },
+  goalDetail: {
+    fontSize: 14,
+    color: 'rgba(255, 255, 255, 0.7)',
+    lineHeight: 18,
+  },
+  progressTrack: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: 'rgba(255, 255, 255, 0.15)',
+    marginTop: 14,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+    borderRadius: 3,
+    backgroundColor: '#eaff61',
+  },
+  goalFooter: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 8,
+  },
+  goalStat: {
+    fontSize: 12,
+    color: 'rgba(255, 255, 255, 0.6)',
+  },
+  addButton: {
+    backgroundColor: '#eaff61',
+    borderRadius: 14,
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+  },
+  addButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#222021',
+  },
+});
@@ -16,12 +16,15 @@ import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
 import ConnectButton from './ConnectButton';
 import Background from './Background';
 import ChatOverlay from './ChatOverlay';
+import NotificationSettingsModal from './NotificationSettingsModal';
+import GoalsSection from './GoalsSection';
 import useAuthStore from '../store/authStore';
 
 export default function HomeScreen({ onNavigate }) {
   const [healthQuestion, setHealthQuestion] = useState('');
   const [showChatOverlay, setShowChatOverlay] = useState(false);
   const [initialMessage, setInitialMessage] = useState(null);
+  const [showNotificationSettings, setShowNotificationSettings] = useState(false);
   
   const { user, signOut, startOnboarding } = useAuthStore();
 
@@ -54,8 +57,8 @@ export default function HomeScreen({ onNavigate }) {
     if (Platform.OS === 'ios') {
       ActionSheetIOS.showActionSheetWithOptions(
         {
-          options: ['Cancel', 'Update You-i Profile', 'Sign Out'],
-          destructiveButtonIndex: 2,
+          options: ['Cancel', 'Update You-i Profile', 'Notifications', 'Sign Out'],
+          destructiveButtonIndex: 3,
           cancelButtonIndex: 0,
         },
         (buttonIndex) => {
@@ -63,6 +66,8 @@ export default function HomeScreen({ onNavigate }) {
             // Update You-i Profile
             startOnboarding();
           } else if (buttonIndex === 2) {
+            setShowNotificationSettings(true);
+          } else if (buttonIndex === 3) {
             // Sign Out
             handleLogout();
           }
@@ -78,6 +83,10 @@ export default function HomeScreen({ onNavigate }) {
             text: 'Update You-i Profile',
             onPress: () => startOnboarding(),
           },
+          {
+            text: 'Notifications',
+            onPress: () => setShowNotificationSettings(true),
+          },
           {
             text: 'Sign Out',
             style: 'destructive',
@@ -202,6 +211,8 @@ export default function HomeScreen({ onNavigate }) {
               </BlurView>
             </View>
 
+            <GoalsSection />
+
             {/* Bottom Connect Section */}
             <View style={styles.connectSection}>
               <BlurView intensity={100} tint="systemUltraThinMaterial" style={styles.connectBadge}>
@@ -236,6 +247,11 @@ export default function HomeScreen({ onNavigate }) {
         onClose={handleCloseChatOverlay}
         initialMessage={initialMessage}
       />
+
+      <NotificationSettingsModal
+        visible={showNotificationSettings}
+        onClose={() => setShowNotificationSettings(false)}
+      />
     </View>
   );
 }
@@ -22,7 +22,8 @@ import * as DocumentPicker from 'expo-document-picker';
 import Background from './Background';
 import ChatOverlay from './ChatOverlay';
 import { getConversations, deleteConversation, updateConversation } from '../services/chatService';
-import { uploadFile } from '../services/uploadService';
+import { uploadFile, UPLOAD_FILE_TYPES, getUploadSizeError } from '../services/uploadService';
+import { getInsights, updateInsightStatus } from '../services/insightsService';
 import { API_BASE_URL, isProduction, isLocalhost } from '../config/api';
 import useAuthStore from '../store/authStore';
 
@@ -38,6 +39,8 @@ export default function InsightsScreen({ onOpenOnboarding = () => {} }) {
   const [renameConversation, setRenameConversation] = useState(null);
   const [renameText, setRenameText] = useState('');
   const [searchQuery, setSearchQuery] = useState('');
+  const [insights, setInsights] = useState([]);
+  const [chatInitialMessage, setChatInitialMessage] = useState(null);
   const { user } = useAuthStore();
   
   // Animation refs for staggered fade-in
@@ -47,6 +50,7 @@ export default function InsightsScreen({ onOpenOnboarding = () => {} }) {
   useEffect(() => {
     if (user?.id) {
       loadConversations(false); // false = not a refresh action
+      loadInsights();
     } else {
       setIsInitialLoad(false); // If no user, stop loading
     }
@@ -121,32 +125,58 @@ export default function InsightsScreen({ onOpenOnboarding = () => {} }) {
     setIsRefreshing(false);
   };
 
+  const loadInsights = async () => {
+    const result = await getInsights({ limit: 10 });
+    if (result.success) {
+      setInsights(result.insights);
+    } else {
+      // Insights are optional on this screen; conversations still load
+      console.error('[InsightsScreen] Failed to load insights:', result.error);
+    }
+  };
+
+  const handleRefresh = () => {
+    loadConversations(true);
+    loadInsights();
+  };
+
   const handleOpenConversation = (conversationId) => {
     setSelectedConversationId(conversationId);
+    setChatInitialMessage(null);
     setShowChatOverlay(true);
   };
 
   const handleNewConversation = () => {
     setSelectedConversationId(null);
+    setChatInitialMessage(null);
+    setShowChatOverlay(true);
+  };
+
+  // Start a conversation about the insight
+  const handleOpenInsight = (insight) => {
+    if (insight.status === 'new') {
+      updateInsightStatus(insight.id, 'seen');
+      setInsights(current => current.map(item => (item.id === insight.id ? { ...item, status: 'seen' } : item)));
+    }
+    setSelectedConversationId(null);
+    setChatInitialMessage(`${insight.explanation} What might be behind this?`);
     setShowChatOverlay(true);
   };
 
+  const handleDismissInsight = async (insight) => {
+    setInsights(current => current.filter(item => item.id !== insight.id));
+    const result = await updateInsightStatus(insight.id, 'dismissed');
+    if (!result.success) {
+      Alert.alert('Error', 'Failed to dismiss insight');
+      loadInsights();
+    }
+  };
+
   const handleFileUpload = async () => {
     try {
       // Pick a document
       const result = await DocumentPicker.getDocumentAsync({
-        type: [
-          'application/pdf',
-          'image/jpeg',
-          'image/png',
-          'text/plain',
-          'text/csv',
-          'text/rtf',
-          'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-          'application/vnd.ms-excel',
-          'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-          'application/msword',
-        ],
+        type: UPLOAD_FILE_TYPES,
         copyToCacheDirectory: true,
       });
 
@@ -156,9 +186,10 @@ export default function InsightsScreen({ onOpenOnboarding = () => {} }) {
 
       const file = result.assets[0];
       
-      // Validate file size (10MB)
-      if (file.size > 10 * 1024 * 1024) {
-        Alert.alert('File Too Large', 'Please select a file under 10MB.');
+      // Validate file size (10MB, larger for health exports)
+      const sizeError = getUploadSizeError(file);
+      if (sizeError) {
+        Alert.alert('File Too Large', sizeError);
         return;
       }
 
@@ -197,6 +228,15 @@ export default function InsightsScreen({ onOpenOnboarding = () => {} }) {
         return;
       }
 
+      if (uploadResult.pending) {
+        Alert.alert(
+          'Still Analyzing',
+          `${file.name} was uploaded and is still being analyzed. We'll let you know when it's ready.`,
+          [{ text: 'OK' }]
+        );
+        return;
+      }
+
       // Show success alert
       Alert.alert(
         'File Uploaded Successfully',
@@ -214,6 +254,7 @@ export default function InsightsScreen({ onOpenOnboarding = () => {} }) {
   const handleCloseChatOverlay = () => {
     setShowChatOverlay(false);
     setSelectedConversationId(null);
+    setChatInitialMessage(null);
     // Refresh conversations when chat closes - this is a refresh action
     loadConversations(true);
   };
@@ -381,6 +422,50 @@ export default function InsightsScreen({ onOpenOnboarding = () => {} }) {
     );
   });
 
+  const severityColors = {
+    high: '#ff6b6b',
+    medium: '#ffb347',
+    low: '#eaff61',
+  };
+
+  const renderInsightItem = (insight) => (
+    <TouchableOpacity
+      key={insight.id}
+      style={styles.conversationItem}
+      onPress={() => handleOpenInsight(insight)}
+      activeOpacity={0.8}
+    >
+      <BlurView intensity={80} tint="systemUltraThinMaterial" style={styles.conversationBlur}>
+        <View style={styles.conversationContent}>
+          <View style={styles.conversationHeader}>
+            <View style={[styles.conversationIcon, { backgroundColor: `${severityColors[insight.severity]}33` }]}>
+              <Ionicons
+                name={insight.direction === 'high' ? 'trending-up' : 'trending-down'}
+                size={20}
+                color={severityColors[insight.severity]}
+              />
+            </View>
+            <View style={styles.conversationInfo}>
+              <Text style={styles.conversationTitle} numberOfLines={1}>
+                {insight.status === 'new' ? '• ' : ''}{insight.title}
+              </Text>
+              <Text style={styles.conversationPreview} numberOfLines={3}>
+                {insight.explanation}
+              </Text>
+            </View>
+            <TouchableOpacity
+              onPress={() => handleDismissInsight(insight)}
+              hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+              activeOpacity={0.7}
+            >
+              <Ionicons name="close" size={18} color="rgba(255, 255, 255, 0.6)" />
+            </TouchableOpacity>
+          </View>
+        </View>
+      </BlurView>
+    </TouchableOpacity>
+  );
+
   const renderConversationItem = (conversation) => {
     // Get or create animation value for this conversation
     if (!animationRefs.current[conversation.id]) {
@@ -411,7 +496,11 @@ export default function InsightsScreen({ onOpenOnboarding = () => {} }) {
             <View style={styles.conversationContent}>
               <View style={styles.conversationHeader}>
                 <View style={styles.conversationIcon}>
-                  <Ionicons name="chatbubbles" size={20} color="#eaff61" />
+                  <Ionicons
+                    name={conversation.kind === 'digest' ? 'newspaper' : 'chatbubbles'}
+                    size={20}
+                    color="#eaff61"
+                  />
                 </View>
                 <View style={styles.conversationInfo}>
                   <Text style={styles.conversationTitle} numberOfLines={1}>
@@ -448,7 +537,7 @@ export default function InsightsScreen({ onOpenOnboarding = () => {} }) {
           refreshControl={
             <RefreshControl
               refreshing={isRefreshing}
-              onRefresh={() => loadConversations(true)}
+              onRefresh={handleRefresh}
               tintColor="#fff"
             />
           }
@@ -511,6 +600,16 @@ export default function InsightsScreen({ onOpenOnboarding = () => {} }) {
             </TouchableOpacity>
           </View>
 
+          {/* Anomalies the backend noticed in the user's daily metrics */}
+          {insights.length > 0 && (
+            <View style={styles.conversationsSection}>
+              <Text style={styles.sectionTitle}>Notable Changes</Text>
+              <View style={styles.conversationsList}>
+                {insights.map(insight => renderInsightItem(insight))}
+              </View>
+            </View>
+          )}
+
           {/* Conversations Section */}
           <View style={styles.conversationsSection}>
             <Text style={styles.sectionTitle}>Your Wellness Conversations</Text>
@@ -571,6 +670,7 @@ export default function InsightsScreen({ onOpenOnboarding = () => {} }) {
         visible={showChatOverlay}
         onClose={handleCloseChatOverlay}
         conversationId={selectedConversationId}
+        initialMessage={chatInitialMessage}
       />
 
       {/* Rename Modal (Android) */}
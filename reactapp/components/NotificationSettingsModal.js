@@ -0,0 +1,260 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Modal,
+  Switch,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { getNotificationPreferences, updateNotificationPreferences } from '../services/notificationService';
+
+const DEFAULT_QUIET_HOURS = { quietHoursStart: '22:00', quietHoursEnd: '07:00' };
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const NOTIFICATION_TYPES = [
+  { key: 'newInsight', label: 'New insights', description: 'Unusual changes in your health data' },
+  { key: 'uploadParsed', label: 'Uploaded files', description: 'When a file you uploaded has been analyzed' },
+  { key: 'syncStale', label: 'Sync reminders', description: 'When your health data hasn\'t synced for a while' },
+];
+
+export default function NotificationSettingsModal({ visible, onClose }) {
+  const [preferences, setPreferences] = useState(null);
+  const [quietHours, setQuietHours] = useState(DEFAULT_QUIET_HOURS);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      loadPreferences();
+    }
+  }, [visible]);
+
+  const loadPreferences = async () => {
+    setLoading(true);
+    const result = await getNotificationPreferences();
+    if (result.success) {
+      setPreferences(result.preferences);
+      if (result.preferences.quietHoursStart) {
+        setQuietHours({
+          quietHoursStart: result.preferences.quietHoursStart,
+          quietHoursEnd: result.preferences.quietHoursEnd,
+        });
+      }
+    } else {
+      Alert.alert('Error', 'Failed to load notification settings');
+    }
+    setLoading(false);
+  };
+
+  // Save immediately; put the previous value back if saving fails
+  const savePreferences = async (changes) => {
+    const previous = preferences;
+    setPreferences({ ...preferences, ...changes });
+
+    const result = await updateNotificationPreferences(changes);
+    if (result.success) {
+      setPreferences(result.preferences);
+    } else {
+      setPreferences(previous);
+      Alert.alert('Error', result.error || 'Failed to save notification settings');
+    }
+  };
+
+  const handleQuietHoursToggle = (enabled) => {
+    savePreferences(enabled ? quietHours : { quietHoursStart: null, quietHoursEnd: null });
+  };
+
+  const handleQuietHoursBlur = () => {
+    if (!TIME_PATTERN.test(quietHours.quietHoursStart) || !TIME_PATTERN.test(quietHours.quietHoursEnd)) {
+      Alert.alert('Invalid time', 'Enter quiet hours as HH:MM, e.g. 22:00');
+      return;
+    }
+    savePreferences(quietHours);
+  };
+
+  const quietHoursEnabled = !!preferences?.quietHoursStart;
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <View style={styles.backdrop}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Notifications</Text>
+            <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+              <Ionicons name="close" size={28} color="#ffffff" />
+            </TouchableOpacity>
+          </View>
+
+          {loading || !preferences ? (
+            <View style={styles.loadingContainer}>
+              <ActivityIndicator size="large" color="#eaff61" />
+            </View>
+          ) : (
+            <ScrollView contentContainerStyle={styles.content}>
+              <View style={styles.row}>
+                <View style={styles.rowText}>
+                  <Text style={styles.rowLabel}>Allow notifications</Text>
+                </View>
+                <Switch
+                  value={preferences.enabled}
+                  onValueChange={(value) => savePreferences({ enabled: value })}
+                  trackColor={{ true: '#eaff61' }}
+                />
+              </View>
+
+              {NOTIFICATION_TYPES.map((type) => (
+                <View key={type.key} style={[styles.row, !preferences.enabled && styles.rowDisabled]}>
+                  <View style={styles.rowText}>
+                    <Text style={styles.rowLabel}>{type.label}</Text>
+                    <Text style={styles.rowDescription}>{type.description}</Text>
+                  </View>
+                  <Switch
+                    value={preferences[type.key]}
+                    disabled={!preferences.enabled}
+                    onValueChange={(value) => savePreferences({ [type.key]: value })}
+                    trackColor={{ true: '#eaff61' }}
+                  />
+                </View>
+              ))}
+
+              <View style={styles.row}>
+                <View style={styles.rowText}>
+                  <Text style={styles.rowLabel}>Quiet hours</Text>
+                  <Text style={styles.rowDescription}>Notifications wait until quiet hours end</Text>
+                </View>
+                <Switch
+                  value={quietHoursEnabled}
+                  onValueChange={handleQuietHoursToggle}
+                  trackColor={{ true: '#eaff61' }}
+                />
+              </View>
+
+              {quietHoursEnabled && (
+                <View style={styles.quietHoursRow}>
+                  <TextInput
+                    style={styles.timeInput}
+                    value={quietHours.quietHoursStart}
+                    onChangeText={(text) => setQuietHours({ ...quietHours, quietHoursStart: text })}
+                    onBlur={handleQuietHoursBlur}
+                    placeholder="22:00"
+                    placeholderTextColor="rgba(255, 255, 255, 0.4)"
+                    maxLength={5}
+                  />
+                  <Text style={styles.rowDescription}>to</Text>
+                  <TextInput
+                    style={styles.timeInput}
+                    value={quietHours.quietHoursEnd}
+                    onChangeText={(text) => setQuietHours({ ...quietHours, quietHoursEnd: text })}
+                    onBlur={handleQuietHoursBlur}
+                    placeholder="07:00"
+                    placeholderTextColor="rgba(255, 255, 255, 0.4)"
+                    maxLength={5}
+                  />
+                </View>
+              )}
+            </ScrollView>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  container: {
+    height: '70%',
+    backgroundColor: '#222021',
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    overflow: 'hidden',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 24,
+    paddingTop: 24,
+    paddingBottom: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(255, 255, 255, 0.1)',
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#ffffff',
+  },
+  closeButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: 'rgba(255, 255, 255, 0.15)',
+    borderWidth: 0.5,
+    borderColor: 'rgba(255, 255, 255, 0.3)',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    padding: 24,
+    paddingBottom: 60,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 14,
+    borderBottomWidth: 0.5,
+    borderBottomColor: 'rgba(255, 255, 255, 0.1)',
+  },
+  rowDisabled: {
+    opacity: 0.5,
+  },
+  rowText: {
+    flex: 1,
+    marginRight: 12,
+  },
+  rowLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#ffffff',
+  },
+  rowDescription: {
+    fontSize: 13,
+    color: 'rgba(255, 255, 255, 0.6)',
+    marginTop: 2,
+  },
+  quietHoursRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    paddingVertical: 14,
+  },
+  timeInput: {
+    width: 80,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 10,
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    color: '#ffffff',
+    fontSize: 16,
+    textAlign: 'center',
+  },
+});
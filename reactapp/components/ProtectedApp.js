@@ -7,8 +7,16 @@ import InsightsScreen from '../components/InsightsScreen';
 import DataScreen from '../components/DataScreen';
 import DevicesScreen from '../components/DevicesScreen';
 import BottomNavigation from '../components/BottomNavigation';
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import useAuthStore from '../store/authStore';
+import { registerForPushNotifications, addNotificationTapListener } from '../services/notificationService';
+
+// Screen a tapped notification opens, by notification type
+const NOTIFICATION_SCREENS = {
+  new_insight: 'Insights',
+  upload_parsed: 'Insights',
+  sync_stale: 'Home',
+};
 
 const ProtectedApp = () => {
   const [currentScreen, setCurrentScreen] = useState('Home');
@@ -18,6 +26,20 @@ const ProtectedApp = () => {
     setCurrentScreen(screen);
   };
 
+  useEffect(() => {
+    registerForPushNotifications();
+
+    return addNotificationTapListener((data) => {
+      // Files waiting for review open the Data screen, where they're listed
+      const screen = data.type === 'upload_parsed' && data.needsReview
+        ? 'Data'
+        : NOTIFICATION_SCREENS[data.type];
+      if (screen) {
+        setCurrentScreen(screen);
+      }
+    });
+  }, []);
+
   const renderScreen = () => {
     switch (currentScreen) {
       case 'Home':
@@ -0,0 +1,450 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Modal,
+  Image,
+  Linking,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  getUploadReview,
+  updateUploadEntry,
+  deleteUploadEntry,
+  updateUploadLabResult,
+  deleteUploadLabResult,
+  updateUploadSummary,
+  verifyUpload,
+} from '../services/uploadService';
+
+/**
+ * Value typed into a field, kept a number when it reads as one
+ */
+function parseValue(text) {
+  const trimmed = text.trim();
+  if (trimmed === '') return null;
+  const number = Number(trimmed);
+  return isFinite(number) ? number : trimmed;
+}
+
+function formatValue(value) {
+  return value === null || value === undefined ? '' : String(value);
+}
+
+export default function UploadReviewModal({ visible, fileId, onClose, onChanged }) {
+  const [review, setReview] = useState(null);
+  const [drafts, setDrafts] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (visible && fileId) {
+      loadReview();
+    } else {
+      setReview(null);
+      setDrafts({});
+    }
+  }, [visible, fileId]);
+
+  const loadReview = async () => {
+    setLoading(true);
+    const result = await getUploadReview(fileId);
+    if (result.success) {
+      setReview(result);
+    } else {
+      Alert.alert('Error', result.error || 'Failed to load file');
+      onClose();
+    }
+    setLoading(false);
+  };
+
+  // Every change answers with the updated review, which replaces the local one
+  const applyChange = async (request) => {
+    setSaving(true);
+    const result = await request();
+    setSaving(false);
+
+    if (result.success) {
+      setReview(result);
+      setDrafts({});
+      onChanged?.();
+    } else {
+      Alert.alert('Error', result.error || 'Failed to save changes');
+    }
+  };
+
+  const draftValue = (key, value) => (key in drafts ? drafts[key] : formatValue(value));
+  const setDraft = (key, text) => setDrafts({ ...drafts, [key]: text });
+
+  const handleMetricBlur = (index, metric) => {
+    const key = `entry-${index}-${metric}`;
+    const original = review.entries[index].metrics[metric];
+    if (!(key in drafts) || drafts[key] === formatValue(original)) return;
+
+    const value = parseValue(drafts[key]);
+    if (value === null) {
+      Alert.alert('Missing value', 'Use the remove button to delete a metric.');
+      return;
+    }
+    applyChange(() => updateUploadEntry(fileId, index, { metrics: { [metric]: value } }));
+  };
+
+  const handleLabResultBlur = (index, field) => {
+    const key = `lab-${index}-${field}`;
+    const original = review.labResults[index][field];
+    if (!(key in drafts) || drafts[key] === formatValue(original)) return;
+
+    const value = field === 'value' ? parseValue(drafts[key]) : drafts[key].trim();
+    applyChange(() => updateUploadLabResult(fileId, index, { [field]: value }));
+  };
+
+  const handleSummaryBlur = () => {
+    if (!('summary' in drafts) || drafts.summary === formatValue(review.file.summary)) return;
+    if (!drafts.summary.trim()) {
+      Alert.alert('Missing summary', 'The summary can\'t be empty.');
+      return;
+    }
+    applyChange(() => updateUploadSummary(fileId, drafts.summary));
+  };
+
+  const confirmDelete = (title, onConfirm) => {
+    Alert.alert(title, 'This can\'t be undone.', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Delete', style: 'destructive', onPress: onConfirm },
+    ]);
+  };
+
+  const handleVerify = () => {
+    applyChange(() => verifyUpload(fileId));
+  };
+
+  const renderOriginal = () => {
+    if (!review.fileUrl) return null;
+
+    if ((review.file.fileType || '').startsWith('image/')) {
+      return <Image source={{ uri: review.fileUrl }} style={styles.preview} resizeMode="contain" />;
+    }
+    return (
+      <TouchableOpacity style={styles.secondaryButton} onPress={() => Linking.openURL(review.fileUrl)}>
+        <Ionicons name="document-text-outline" size={18} color="#eaff61" />
+        <Text style={styles.secondaryButtonText}>Open original file</Text>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderEntry = (entry, index) => (
+    <View key={`entry-${index}`} style={styles.card}>
+      <View style={styles.cardHeader}>
+        <Text style={styles.cardTitle}>
+          {entry.category}{entry.date ? ` · ${entry.date}` : ''}
+        </Text>
+        <TouchableOpacity
+          onPress={() => confirmDelete('Delete entry?', () => applyChange(() => deleteUploadEntry(fileId, index)))}
+          disabled={saving}
+        >
+          <Ionicons name="trash-outline" size={20} color="rgba(255, 255, 255, 0.6)" />
+        </TouchableOpacity>
+      </View>
+
+      {Object.entries(entry.metrics || {}).map(([metric, value]) => (
+        <View key={metric} style={styles.fieldRow}>
+          <Text style={styles.fieldLabel}>{metric}</Text>
+          <TextInput
+            style={styles.fieldInput}
+            value={draftValue(`entry-${index}-${metric}`, value)}
+            onChangeText={(text) => setDraft(`entry-${index}-${metric}`, text)}
+            onBlur={() => handleMetricBlur(index, metric)}
+            editable={!saving}
+          />
+          <TouchableOpacity
+            onPress={() => applyChange(() => updateUploadEntry(fileId, index, { metrics: { [metric]: null } }))}
+            disabled={saving}
+          >
+            <Ionicons name="close-circle-outline" size={20} color="rgba(255, 255, 255, 0.6)" />
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      {entry.notes ? <Text style={styles.notes}>{entry.notes}</Text> : null}
+    </View>
+  );
+
+  const renderLabResult = (result, index) => (
+    <View key={`lab-${index}`} style={styles.card}>
+      <View style={styles.cardHeader}>
+        <Text style={styles.cardTitle}>
+          {result.name}{result.collectionDate ? ` · ${result.collectionDate}` : ''}
+        </Text>
+        <TouchableOpacity
+          onPress={() => confirmDelete('Delete lab result?', () => applyChange(() => deleteUploadLabResult(fileId, index)))}
+          disabled={saving}
+        >
+          <Ionicons name="trash-outline" size={20} color="rgba(255, 255, 255, 0.6)" />
+        </TouchableOpacity>
+      </View>
+
+      {['value', 'unit', 'referenceRange'].map((field) => (
+        <View key={field} style={styles.fieldRow}>
+          <Text style={styles.fieldLabel}>{field === 'referenceRange' ? 'reference range' : field}</Text>
+          <TextInput
+            style={styles.fieldInput}
+            value={draftValue(`lab-${index}-${field}`, result[field])}
+            onChangeText={(text) => setDraft(`lab-${index}-${field}`, text)}
+            onBlur={() => handleLabResultBlur(index, field)}
+            editable={!saving}
+          />
+        </View>
+      ))}
+    </View>
+  );
+
+  const needsReview = review?.file.reviewStatus === 'needs_review';
+  const verified = review?.file.reviewStatus === 'verified';
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <View style={styles.backdrop}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title} numberOfLines={1}>
+              {review?.file.fileName || 'Review file'}
+            </Text>
+            <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+              <Ionicons name="close" size={28} color="#ffffff" />
+            </TouchableOpacity>
+          </View>
+
+          {loading || !review ? (
+            <View style={styles.loadingContainer}>
+              <ActivityIndicator size="large" color="#eaff61" />
+            </View>
+          ) : (
+            <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+              {needsReview && (
+                <View style={styles.banner}>
+                  <Ionicons name="alert-circle-outline" size={20} color="#eaff61" />
+                  <Text style={styles.bannerText}>
+                    Some values may have been misread. Check them against the original file; this data
+                    isn't used in your chats until you confirm it.
+                  </Text>
+                </View>
+              )}
+              {verified && (
+                <View style={styles.banner}>
+                  <Ionicons name="checkmark-circle-outline" size={20} color="#eaff61" />
+                  <Text style={styles.bannerText}>You've checked this file's data.</Text>
+                </View>
+              )}
+
+              {renderOriginal()}
+
+              <Text style={styles.sectionTitle}>Summary</Text>
+              <TextInput
+                style={[styles.fieldInput, styles.summaryInput]}
+                value={draftValue('summary', review.file.summary)}
+                onChangeText={(text) => setDraft('summary', text)}
+                onBlur={handleSummaryBlur}
+                editable={!saving}
+                multiline
+              />
+
+              {review.labResults.length > 0 && (
+                <>
+                  <Text style={styles.sectionTitle}>Lab results ({review.labResults.length})</Text>
+                  {review.labResults.map(renderLabResult)}
+                </>
+              )}
+
+              {review.entries.length > 0 && (
+                <>
+                  <Text style={styles.sectionTitle}>Entries ({review.entries.length})</Text>
+                  {review.entries.map(renderEntry)}
+                </>
+              )}
+
+              {!verified && (
+                <TouchableOpacity style={styles.verifyButton} onPress={handleVerify} disabled={saving}>
+                  {saving ? (
+                    <ActivityIndicator color="#222021" />
+                  ) : (
+                    <Text style={styles.verifyButtonText}>Everything looks correct</Text>
+                  )}
+                </TouchableOpacity>
+              )}
+            </ScrollView>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  container: {
+    height: '85%',
+    backgroundColor: '#222021',
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    overflow: 'hidden',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 24,
+    paddingTop: 24,
+    paddingBottom: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(255, 255, 255, 0.1)',
+  },
+  title: {
+    flex: 1,
+    marginRight: 12,
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#ffffff',
+  },
+  closeButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: 'rgba(255, 255, 255, 0.15)',
+    borderWidth: 0.5,
+    borderColor: 'rgba(255, 255, 255, 0.3)',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    padding: 24,
+    paddingBottom: 60,
+  },
+  banner: {
+    flexDirection: 'row',
+    gap: 10,
+    padding: 14,
+    marginBottom: 16,
+    borderRadius: 12,
+    backgroundColor: 'rgba(234, 255, 97, 0.1)',
+    borderWidth: 0.5,
+    borderColor: 'rgba(234, 255, 97, 0.4)',
+  },
+  bannerText: {
+    flex: 1,
+    fontSize: 14,
+    lineHeight: 20,
+    color: '#ffffff',
+  },
+  preview: {
+    width: '100%',
+    height: 320,
+    borderRadius: 12,
+    marginBottom: 8,
+    backgroundColor: 'rgba(255, 255, 255, 0.05)',
+  },
+  secondaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    paddingVertical: 12,
+    marginBottom: 8,
+    borderRadius: 12,
+    borderWidth: 0.5,
+    borderColor: 'rgba(255, 255, 255, 0.3)',
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+  },
+  secondaryButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#ffffff',
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#ffffff',
+    marginTop: 20,
+    marginBottom: 10,
+  },
+  card: {
+    padding: 14,
+    marginBottom: 10,
+    borderRadius: 12,
+    backgroundColor: 'rgba(255, 255, 255, 0.08)',
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  cardTitle: {
+    flex: 1,
+    marginRight: 12,
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#ffffff',
+  },
+  fieldRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    paddingVertical: 4,
+  },
+  fieldLabel: {
+    flex: 1,
+    fontSize: 14,
+    color: 'rgba(255, 255, 255, 0.6)',
+  },
+  fieldInput: {
+    flex: 1,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 10,
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    color: '#ffffff',
+    fontSize: 15,
+  },
+  summaryInput: {
+    flex: 0,
+    minHeight: 80,
+    textAlignVertical: 'top',
+  },
+  notes: {
+    fontSize: 13,
+    color: 'rgba(255, 255, 255, 0.6)',
+    marginTop: 6,
+  },
+  verifyButton: {
+    alignItems: 'center',
+    paddingVertical: 16,
+    marginTop: 24,
+    borderRadius: 16,
+    backgroundColor: '#eaff61',
+  },
+  verifyButtonText: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#222021',
+  },
+});
@@ -0,0 +1,58 @@
+import { supabase } from './supabase';
+
+/**
+ * IANA time zone of the device (e.g. "America/Chicago"), or null if the
+ * runtime can't tell
+ */
+export function getDeviceTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) of `date` on the device's clock.
+ * Unlike toISOString(), this doesn't shift late-evening times to the next UTC day.
+ */
+export function toLocalDateString(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Save the device time zone on the user's profile when it changed (first
+ * launch, or the user travelled), so the backend reads "today" in their zone
+ */
+export async function syncProfileTimeZone(userId) {
+  const timeZone = getDeviceTimeZone();
+  if (!userId || !timeZone) {
+    return;
+  }
+
+  try {
+    const { data } = await supabase
+      .from('profiles')
+      .select('time_zone')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (data?.time_zone === timeZone) {
+      return;
+    }
+
+    const { error } = await supabase
+      .from('profiles')
+      .update({ time_zone: timeZone, time_zone_updated_at: new Date().toISOString() })
+      .eq('id', userId);
+
+    if (error) {
+      console.error('Error saving time zone:', error);
+    }
+  } catch (error) {
+    console.error('Error saving time zone:', error);
+  }
+}
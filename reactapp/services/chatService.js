@@ -6,6 +6,7 @@
  */
 
 import { supabase } from '../lib/supabase';
+import { getDeviceTimeZone } from '../lib/timeZone';
 import { API_BASE_URL } from '../config/api';
 
 /**
@@ -64,9 +65,13 @@ function getNetworkErrorMessage(error, apiUrl) {
 async function getAuthHeaders() {
   const { data: { session } } = await supabase.auth.getSession();
   
+  const timeZone = getDeviceTimeZone();
+
   return {
     'Content-Type': 'application/json',
     'Authorization': session?.access_token ? `Bearer ${session.access_token}` : '',
+    // Lets the backend read "today" and "last week" in the user's current zone
+    ...(timeZone && { 'X-Time-Zone': timeZone }),
   };
 }
 
@@ -111,7 +116,7 @@ export async function sendMessage(conversationId, message, userId) {
 
     if (!response.ok) {
       console.error('[ChatService] Server error:', data);
-      throw new Error(data.error || 'Failed to send message');
+      throw new Error(data.error || data.message || 'Failed to send message');
     }
 
     console.log('[ChatService] Message sent successfully');
@@ -146,9 +151,201 @@ export async function sendMessage(conversationId, message, userId) {
   }
 }
 
+/**
+ * Parse a chunk of Server-Sent Events text into { event, data } objects.
+ * Returns the parsed events and any trailing partial event text.
+ */
+function parseSSEChunk(buffer) {
+  const events = [];
+  const blocks = buffer.split('\n\n');
+  const remainder = blocks.pop();
+
+  blocks.forEach((block) => {
+    let event = 'message';
+    let data = '';
+    block.split('\n').forEach((line) => {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        data += line.slice(5).trim();
+      }
+    });
+    if (data) {
+      try {
+        events.push({ event, data: JSON.parse(data) });
+      } catch (parseError) {
+        console.warn('[ChatService] Skipping malformed stream event:', data);
+      }
+    }
+  });
+
+  return { events, remainder };
+}
+
+/**
+ * Send a message and stream the AI response token by token
+ *
+ * Uses XMLHttpRequest because React Native's fetch does not expose a readable
+ * response body; onprogress gives us the incrementally received text instead.
+ *
+ * @param {string} conversationId - Optional conversation ID (creates new if not provided)
+ * @param {string} message - User message
+ * @param {string} userId - User ID
+ * @param {object} callbacks - { onStart(conversationId), onToken(text, fullText) }
+ * @returns {Promise<object>} Resolves with { success, conversationId, message } when the stream ends;
+ *   the returned promise also has an abort() method to cancel the request
+ */
+export function streamMessage(conversationId, message, userId, callbacks = {}) {
+  const { onStart, onToken } = callbacks;
+  let xhr = null;
+  // abort() can come while the auth headers are still being read, before
+  // there is a request to cancel
+  let aborted = false;
+
+  const promise = (async () => {
+    let headers;
+    try {
+      headers = await getAuthHeaders();
+    } catch (error) {
+      console.error('[ChatService] Error preparing stream request:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+
+    if (aborted) {
+      return {
+        success: false,
+        aborted: true,
+        conversationId,
+        partialMessage: '',
+      };
+    }
+
+    return new Promise((resolve) => {
+      xhr = new XMLHttpRequest();
+      let processedLength = 0;
+      let buffer = '';
+      let streamedText = '';
+      let resultConversationId = conversationId;
+      let settled = false;
+
+      const finish = (result) => {
+        if (settled) return;
+        settled = true;
+        resolve(result);
+      };
+
+      const fail = (error) => {
+        console.error('[ChatService] Stream error:', error);
+        const errorInfo = getNetworkErrorMessage(error, API_BASE_URL);
+        finish({
+          success: false,
+          conversationId: resultConversationId,
+          partialMessage: streamedText,
+          error: errorInfo.message,
+          errorTitle: errorInfo.title,
+          details: {
+            originalError: error.message,
+            technical: errorInfo.technical,
+            apiUrl: API_BASE_URL,
+          },
+        });
+      };
+
+      const handleEvent = ({ event, data }) => {
+        if (event === 'start') {
+          resultConversationId = data.conversationId;
+          onStart?.(data.conversationId);
+        } else if (event === 'token') {
+          streamedText += data.text;
+          onToken?.(data.text, streamedText);
+        } else if (event === 'done') {
+          finish({
+            success: true,
+            conversationId: data.conversationId,
+            message: data.message,
+          });
+        } else if (event === 'error') {
+          fail(new Error(data.error || 'Failed to stream message'));
+        }
+      };
+
+      const consumeResponse = () => {
+        const text = xhr.responseText || '';
+        if (text.length <= processedLength) return;
+        buffer += text.slice(processedLength);
+        processedLength = text.length;
+
+        const { events, remainder } = parseSSEChunk(buffer);
+        buffer = remainder;
+        events.forEach(handleEvent);
+      };
+
+      xhr.open('POST', `${API_BASE_URL}/chat/message/stream`);
+      Object.entries(headers).forEach(([key, value]) => xhr.setRequestHeader(key, value));
+      xhr.setRequestHeader('Accept', 'text/event-stream');
+
+      xhr.onprogress = () => {
+        if (xhr.status === 200) {
+          consumeResponse();
+        }
+      };
+
+      xhr.onload = () => {
+        if (xhr.status !== 200) {
+          let errorMessage = 'Failed to send message';
+          try {
+            const errorBody = JSON.parse(xhr.responseText);
+            errorMessage = errorBody.error || errorBody.message || errorMessage;
+          } catch (parseError) {
+            // Non-JSON error body
+          }
+          fail(new Error(errorMessage));
+          return;
+        }
+
+        consumeResponse();
+        // Stream closed without a done event
+        if (!settled) {
+          fail(new Error('Stream ended unexpectedly'));
+        }
+      };
+
+      xhr.onerror = () => fail(new Error('Network request failed'));
+      xhr.ontimeout = () => fail(new Error('Request timed out'));
+      xhr.onabort = () => finish({
+        success: false,
+        aborted: true,
+        conversationId: resultConversationId,
+        partialMessage: streamedText,
+      });
+
+      console.log('[ChatService] Opening message stream:', {
+        conversationId,
+        messageLength: message?.length,
+        apiUrl: API_BASE_URL,
+      });
+
+      xhr.send(JSON.stringify({
+        conversationId,
+        message,
+        userId,
+      }));
+    });
+  })();
+
+  promise.abort = () => {
+    aborted = true;
+    xhr?.abort();
+  };
+  return promise;
+}
+
 /**
  * Get all conversations for a user
- * 
+ *
  * @param {string} userId - User ID
  * @returns {Promise<object>} List of conversations
  */
@@ -170,7 +367,7 @@ export async function getConversations(userId) {
     console.log('[ChatService] Response data:', JSON.stringify(data, null, 2));
 
     if (!response.ok) {
-      throw new Error(data.error || 'Failed to fetch conversations');
+      throw new Error(data.error || data.message || 'Failed to fetch conversations');
     }
 
     console.log('[ChatService] Conversations count:', data.conversations?.length || 0);
@@ -223,7 +420,7 @@ export async function getConversation(conversationId, userId) {
     const data = await response.json();
 
     if (!response.ok) {
-      throw new Error(data.error || 'Failed to fetch conversation');
+      throw new Error(data.error || data.message || 'Failed to fetch conversation');
     }
 
     return {
@@ -262,7 +459,7 @@ export async function createConversation(userId, title) {
     const data = await response.json();
 
     if (!response.ok) {
-      throw new Error(data.error || 'Failed to create conversation');
+      throw new Error(data.error || data.message || 'Failed to create conversation');
     }
 
     return {
@@ -302,7 +499,7 @@ export async function updateConversation(conversationId, userId, title) {
     const data = await response.json();
 
     if (!response.ok) {
-      throw new Error(data.error || 'Failed to update conversation');
+      throw new Error(data.error || data.message || 'Failed to update conversation');
     }
 
     return {
@@ -338,7 +535,7 @@ export async function deleteConversation(conversationId, userId) {
     const data = await response.json();
 
     if (!response.ok) {
-      throw new Error(data.error || 'Failed to delete conversation');
+      throw new Error(data.error || data.message || 'Failed to delete conversation');
     }
 
     return {
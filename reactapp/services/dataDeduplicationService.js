@@ -8,6 +8,9 @@
  * 
  * All data is preserved, but non-canonical records are marked for filtering
  * during AI analysis.
+ *
+ * The backend file importers apply the same rules with
+ * backend/src/utils/dataDeduplicationService.ts; keep the two in step.
  */
 
 import { supabase } from '../lib/supabase';
@@ -0,0 +1,198 @@
+/**
+ * Goals Service
+ *
+ * API client for the backend goals endpoints: the user's goals with their
+ * progress, goals suggested from onboarding answers, and creating, changing
+ * and removing goals.
+ */
+
+import { supabase } from '../lib/supabase';
+import { getDeviceTimeZone } from '../lib/timeZone';
+import { API_BASE_URL } from '../config/api';
+
+/**
+ * Get authentication headers with Supabase token
+ */
+async function getAuthHeaders() {
+  const { data: { session } } = await supabase.auth.getSession();
+
+  const timeZone = getDeviceTimeZone();
+
+  return {
+    'Content-Type': 'application/json',
+    'Authorization': session?.access_token ? `Bearer ${session.access_token}` : '',
+    ...(timeZone && { 'X-Time-Zone': timeZone }),
+  };
+}
+
+/**
+ * Get the user's goals with progress (archived goals are left out)
+ *
+ * @param {string} status - Optional filter: 'active' | 'paused' | 'completed' | 'archived'
+ * @returns {Promise<object>} List of goals
+ */
+export async function getGoals(status) {
+  try {
+    const headers = await getAuthHeaders();
+
+    const response = await fetch(`${API_BASE_URL}/goals${status ? `?status=${status}` : ''}`, {
+      method: 'GET',
+      headers,
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || data.message || 'Failed to fetch goals');
+    }
+
+    return {
+      success: true,
+      goals: data.goals || [],
+    };
+  } catch (error) {
+    console.error('[GoalsService] Error fetching goals:', error);
+    return {
+      success: false,
+      error: error.message,
+      goals: [],
+    };
+  }
+}
+
+/**
+ * Get goals suggested from the user's onboarding answers and recent data
+ *
+ * @returns {Promise<object>} List of suggestions (metric, title, target, direction, cadence, reason)
+ */
+export async function getGoalSuggestions() {
+  try {
+    const headers = await getAuthHeaders();
+
+    const response = await fetch(`${API_BASE_URL}/goals/suggestions`, {
+      method: 'GET',
+      headers,
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || data.message || 'Failed to fetch goal suggestions');
+    }
+
+    return {
+      success: true,
+      suggestions: data.suggestions || [],
+    };
+  } catch (error) {
+    console.error('[GoalsService] Error fetching goal suggestions:', error);
+    return {
+      success: false,
+      error: error.message,
+      suggestions: [],
+    };
+  }
+}
+
+/**
+ * Create a goal
+ *
+ * @param {object} goal - metric and target, plus optional direction, cadence,
+ *   title, startDate, endDate and source ('suggested' for an accepted suggestion)
+ * @returns {Promise<object>} The created goal with its progress
+ */
+export async function createGoal(goal) {
+  try {
+    const headers = await getAuthHeaders();
+
+    const response = await fetch(`${API_BASE_URL}/goals`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(goal),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || data.message || 'Failed to create goal');
+    }
+
+    return {
+      success: true,
+      goal: data.goal,
+    };
+  } catch (error) {
+    console.error('[GoalsService] Error creating goal:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Change a goal's target, cadence, dates, title or status
+ *
+ * @param {string} goalId - Goal ID
+ * @param {object} changes - Fields to change
+ * @returns {Promise<object>} The updated goal with its progress
+ */
+export async function updateGoal(goalId, changes) {
+  try {
+    const headers = await getAuthHeaders();
+
+    const response = await fetch(`${API_BASE_URL}/goals/${goalId}`, {
+      method: 'PATCH',
+      headers,
+      body: JSON.stringify(changes),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || data.message || 'Failed to update goal');
+    }
+
+    return {
+      success: true,
+      goal: data.goal,
+    };
+  } catch (error) {
+    console.error('[GoalsService] Error updating goal:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Delete a goal
+ *
+ * @param {string} goalId - Goal ID
+ * @returns {Promise<object>} Result
+ */
+export async function deleteGoal(goalId) {
+  try {
+    const headers = await getAuthHeaders();
+
+    const response = await fetch(`${API_BASE_URL}/goals/${goalId}`, {
+      method: 'DELETE',
+      headers,
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || data.message || 'Failed to delete goal');
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('[GoalsService] Error deleting goal:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
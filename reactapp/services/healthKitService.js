@@ -8,6 +8,7 @@ import {
 } from '@kingstinct/react-native-healthkit';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { supabase } from '../lib/supabase';
+import { getDeviceTimeZone, toLocalDateString } from '../lib/timeZone';
 
 // Toggle verbose HealthKit logging here
 const DEBUG_HEALTHKIT = __DEV__ && false;
@@ -1039,7 +1040,8 @@ class HealthKitService {
       };
 
       const metrics = {
-        date: date.toISOString().split('T')[0], // YYYY-MM-DD format
+        date: toLocalDateString(date), // Device-local YYYY-MM-DD, the day the user lived
+        time_zone: getDeviceTimeZone(),
         steps: Math.round(sumQuantities(steps) || 0),
         distance_mi: (sumQuantities(distance) / 1609.34) || null, // Convert meters to miles
         active_calories: Math.round(sumQuantities(activeCalories) || 0),
@@ -1118,8 +1120,8 @@ class HealthKitService {
         .from('health_metrics_daily')
         .select('*')
         .eq('user_id', user.id)
-        .gte('date', startDate.toISOString().split('T')[0])
-        .lte('date', endDate.toISOString().split('T')[0])
+        .gte('date', toLocalDateString(startDate))
+        .lte('date', toLocalDateString(endDate))
         .order('date', { ascending: false });
 
       if (error) {
@@ -1160,11 +1162,27 @@ class HealthKitService {
         console.log(`[HealthKit] Syncing ${days} days of health data...`);
       }
 
+      // Days already stored under another time zone (the user has since
+      // travelled) keep their original boundaries once complete (before
+      // yesterday); re-bucketing them here would shift hours between days
+      const timeZone = getDeviceTimeZone();
+      const storedZones = new Map(
+        (await this.fetchCloudMetrics(startDate, endDate)).map((row) => [row.date, row.time_zone])
+      );
+
       // Aggregate and sync each day
       const syncPromises = [];
       for (let i = 0; i < days; i++) {
         const date = new Date(endDate);
         date.setDate(date.getDate() - i);
+
+        const storedZone = storedZones.get(toLocalDateString(date));
+        if (i > 1 && storedZone && timeZone && storedZone !== timeZone) {
+          if (DEBUG_HEALTHKIT) {
+            console.log(`[HealthKit] Keeping ${toLocalDateString(date)} as recorded in ${storedZone}`);
+          }
+          continue;
+        }
         
         syncPromises.push(
           this.aggregateDailyMetrics(date)
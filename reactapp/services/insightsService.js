@@ -0,0 +1,102 @@
+/**
+ * Insights Service
+ *
+ * API client for the backend insights endpoints: anomalies the backend
+ * detected in the user's daily metrics (a resting heart rate spike, several
+ * short nights), and marking them seen or dismissed.
+ */
+
+import { supabase } from '../lib/supabase';
+import { getDeviceTimeZone } from '../lib/timeZone';
+import { API_BASE_URL } from '../config/api';
+
+/**
+ * Get authentication headers with Supabase token
+ */
+async function getAuthHeaders() {
+  const { data: { session } } = await supabase.auth.getSession();
+
+  const timeZone = getDeviceTimeZone();
+
+  return {
+    'Content-Type': 'application/json',
+    'Authorization': session?.access_token ? `Bearer ${session.access_token}` : '',
+    ...(timeZone && { 'X-Time-Zone': timeZone }),
+  };
+}
+
+/**
+ * Get the user's insights, newest first (dismissed ones are left out)
+ *
+ * @param {object} options - Optional filters: status ('new' | 'seen'), since (YYYY-MM-DD), limit
+ * @returns {Promise<object>} List of insights
+ */
+export async function getInsights(options = {}) {
+  try {
+    const headers = await getAuthHeaders();
+    const params = new URLSearchParams();
+    if (options.status) params.append('status', options.status);
+    if (options.since) params.append('since', options.since);
+    if (options.limit) params.append('limit', String(options.limit));
+    const query = params.toString();
+
+    const response = await fetch(`${API_BASE_URL}/insights${query ? `?${query}` : ''}`, {
+      method: 'GET',
+      headers,
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || data.message || 'Failed to fetch insights');
+    }
+
+    return {
+      success: true,
+      insights: data.insights || [],
+    };
+  } catch (error) {
+    console.error('[InsightsService] Error fetching insights:', error);
+    return {
+      success: false,
+      error: error.message,
+      insights: [],
+    };
+  }
+}
+
+/**
+ * Mark an insight seen or dismissed
+ *
+ * @param {string} insightId - Insight ID
+ * @param {'seen' | 'dismissed'} status - New status
+ * @returns {Promise<object>} Updated insight
+ */
+export async function updateInsightStatus(insightId, status) {
+  try {
+    const headers = await getAuthHeaders();
+
+    const response = await fetch(`${API_BASE_URL}/insights/${insightId}`, {
+      method: 'PATCH',
+      headers,
+      body: JSON.stringify({ status }),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || data.message || 'Failed to update insight');
+    }
+
+    return {
+      success: true,
+      insight: data.insight,
+    };
+  } catch (error) {
+    console.error('[InsightsService] Error updating insight:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
@@ -5,6 +5,8 @@
  * for universal health data storage across multiple sources.
  * 
  * This service ensures data consistency and enables cross-app data analysis.
+ * backend/src/utils/metricTypeRegistry.ts mirrors it for backend file imports;
+ * change both together.
  */
 
 // Standard metric types with their canonical units
@@ -205,6 +207,7 @@ export const DATA_SOURCES = {
   GARMIN: 'Garmin',
   WHOOP: 'Whoop',
   OURA: 'Oura',
+  MEDICAL_RECORD: 'Medical Record',
 };
 
 // Quality scores by source type
@@ -218,6 +221,7 @@ export const QUALITY_SCORES = {
   [DATA_SOURCES.GARMIN]: 0.95,
   [DATA_SOURCES.WHOOP]: 0.95,
   [DATA_SOURCES.OURA]: 0.95,
+  [DATA_SOURCES.MEDICAL_RECORD]: 0.95,
   [DATA_SOURCES.MYFITNESSPAL]: 0.7,
   MANUAL_ENTRY: 0.7,
   ESTIMATED: 0.5,
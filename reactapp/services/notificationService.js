@@ -0,0 +1,226 @@
+/**
+ * Notification Service
+ *
+ * Push notifications on this device: asks for permission, registers the
+ * device's Expo push token with the backend (and removes it on sign out), and
+ * reads and saves the user's notification preferences.
+ */
+
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import * as Device from 'expo-device';
+import Constants from 'expo-constants';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { supabase } from '../lib/supabase';
+import { getDeviceTimeZone } from '../lib/timeZone';
+import { API_BASE_URL } from '../config/api';
+
+// Token registered for the signed-in user, so it can be removed on sign out
+const PUSH_TOKEN_KEY = '@youphoria:push_token';
+
+// Show notifications that arrive while the app is open
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowBanner: true,
+    shouldShowList: true,
+    shouldPlaySound: false,
+    shouldSetBadge: false,
+  }),
+});
+
+/**
+ * Get authentication headers with Supabase token
+ */
+async function getAuthHeaders() {
+  const { data: { session } } = await supabase.auth.getSession();
+
+  const timeZone = getDeviceTimeZone();
+
+  return {
+    'Content-Type': 'application/json',
+    'Authorization': session?.access_token ? `Bearer ${session.access_token}` : '',
+    ...(timeZone && { 'X-Time-Zone': timeZone }),
+  };
+}
+
+/**
+ * Ask for permission and register this device's push token with the backend.
+ * Does nothing on simulators or when the user declines.
+ *
+ * @returns {Promise<object>} The registered token, or why none was registered
+ */
+export async function registerForPushNotifications() {
+  try {
+    if (!Device.isDevice) {
+      return { success: false, error: 'Push notifications need a physical device' };
+    }
+
+    if (Platform.OS === 'android') {
+      await Notifications.setNotificationChannelAsync('default', {
+        name: 'default',
+        importance: Notifications.AndroidImportance.DEFAULT,
+      });
+    }
+
+    let { status } = await Notifications.getPermissionsAsync();
+    if (status !== 'granted') {
+      ({ status } = await Notifications.requestPermissionsAsync());
+    }
+    if (status !== 'granted') {
+      return { success: false, error: 'Notification permission not granted' };
+    }
+
+    const projectId = Constants.expoConfig?.extra?.eas?.projectId;
+    const { data: token } = await Notifications.getExpoPushTokenAsync({ projectId });
+
+    const headers = await getAuthHeaders();
+    const response = await fetch(`${API_BASE_URL}/notifications/tokens`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        token,
+        platform: Platform.OS,
+        deviceName: Device.deviceName || null,
+      }),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || data.message || 'Failed to register for notifications');
+    }
+
+    await AsyncStorage.setItem(PUSH_TOKEN_KEY, token);
+
+    return {
+      success: true,
+      token,
+    };
+  } catch (error) {
+    console.error('[NotificationService] Error registering for push notifications:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Stop notifications to this device for the signed-in user. Call before
+ * signing out, while the session is still valid.
+ *
+ * @returns {Promise<object>} Result
+ */
+export async function unregisterPushToken() {
+  try {
+    const token = await AsyncStorage.getItem(PUSH_TOKEN_KEY);
+    if (!token) {
+      return { success: true };
+    }
+
+    const headers = await getAuthHeaders();
+    const response = await fetch(`${API_BASE_URL}/notifications/tokens`, {
+      method: 'DELETE',
+      headers,
+      body: JSON.stringify({ token }),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || data.message || 'Failed to unregister device');
+    }
+
+    await AsyncStorage.removeItem(PUSH_TOKEN_KEY);
+
+    return { success: true };
+  } catch (error) {
+    console.error('[NotificationService] Error unregistering push token:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Get the user's notification preferences
+ *
+ * @returns {Promise<object>} Preferences: enabled, syncStale, newInsight,
+ *   uploadParsed, quietHoursStart and quietHoursEnd (HH:MM or null)
+ */
+export async function getNotificationPreferences() {
+  try {
+    const headers = await getAuthHeaders();
+
+    const response = await fetch(`${API_BASE_URL}/notifications/preferences`, {
+      method: 'GET',
+      headers,
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || data.message || 'Failed to fetch notification preferences');
+    }
+
+    return {
+      success: true,
+      preferences: data.preferences,
+    };
+  } catch (error) {
+    console.error('[NotificationService] Error fetching preferences:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Save changes to the user's notification preferences
+ *
+ * @param {object} changes - Any of the preference fields
+ * @returns {Promise<object>} The saved preferences
+ */
+export async function updateNotificationPreferences(changes) {
+  try {
+    const headers = await getAuthHeaders();
+
+    const response = await fetch(`${API_BASE_URL}/notifications/preferences`, {
+      method: 'PUT',
+      headers,
+      body: JSON.stringify(changes),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || data.message || 'Failed to save notification preferences');
+    }
+
+    return {
+      success: true,
+      preferences: data.preferences,
+    };
+  } catch (error) {
+    console.error('[NotificationService] Error saving preferences:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Call `handler` with a notification's data when the user taps it
+ *
+ * @param {function} handler - Receives the notification data ({ type, ... })
+ * @returns {function} Removes the listener
+ */
+export function addNotificationTapListener(handler) {
+  const subscription = Notifications.addNotificationResponseReceivedListener((response) => {
+    handler(response.notification.request.content.data || {});
+  });
+  return () => subscription.remove();
+}
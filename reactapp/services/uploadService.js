@@ -2,7 +2,8 @@
  * Upload Service
  * 
  * API client for file upload and management endpoints.
- * Handles uploading files, tracking progress, and managing uploaded files.
+ * Handles uploading files, following their processing status, and managing
+ * uploaded files.
  */
 
 import { supabase } from '../lib/supabase';
@@ -20,15 +21,95 @@ async function getAuthHeaders() {
   };
 }
 
+// Share of the progress bar for sending the file; the rest follows the
+// server-side processing status
+const UPLOAD_PROGRESS_SHARE = 0.3;
+const STATUS_PROGRESS = {
+  queued: 0.4,
+  extracting: 0.7,
+  done: 1,
+};
+// Status polls start a few seconds apart and back off as extraction runs long
+const STATUS_POLL_INITIAL_MS = 5000;
+const STATUS_POLL_MAX_MS = 30000;
+const STATUS_POLL_BACKOFF = 1.5;
+// Stop waiting after this long; the file keeps processing and the user is
+// notified when it's ready
+const STATUS_WAIT_TIMEOUT_MS = 3 * 60 * 1000;
+
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+// Health exports and workout files are imported directly by the backend and
+// can be much larger
+const MAX_HEALTH_EXPORT_BYTES = 1024 * 1024 * 1024;
+const HEALTH_EXPORT_EXTENSIONS = ['.zip', '.xml', '.fit', '.gpx', '.tcx', '.json', '.ndjson', '.cda', '.ccd', '.ccda'];
+
+/**
+ * File types offered by the upload pickers
+ */
+export const UPLOAD_FILE_TYPES = [
+  'application/pdf',
+  'image/jpeg',
+  'image/png',
+  'text/plain',
+  'text/csv',
+  'text/rtf',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/msword',
+  // Apple Health export.zip / export.xml
+  'application/zip',
+  'application/xml',
+  'text/xml',
+  // Garmin/Wahoo workout files (.fit has no registered type)
+  'application/gpx+xml',
+  'application/vnd.garmin.tcx+xml',
+  'application/octet-stream',
+  // Patient portal medical records (FHIR .json, C-CDA .xml)
+  'application/json',
+  'application/fhir+json',
+];
+
+/**
+ * Whether a picked file is a health export (e.g. Apple Health's export.zip, a
+ * .fit workout or a FHIR/C-CDA medical record) rather than a document for AI
+ * extraction
+ *
+ * @param {object} file - Picked file with name and mimeType
+ * @returns {boolean}
+ */
+export function isHealthExportFile(file) {
+  const name = (file?.name || '').toLowerCase();
+  return /zip/.test(file?.mimeType || '') || HEALTH_EXPORT_EXTENSIONS.some((extension) => name.endsWith(extension));
+}
+
 /**
- * Upload a file and extract health data with progress tracking
+ * Check a picked file against the upload size limits
+ *
+ * @param {object} file - Picked file with name, mimeType and size
+ * @returns {string|null} Message for the user if the file is too large
+ */
+export function getUploadSizeError(file) {
+  if (isHealthExportFile(file)) {
+    return file.size > MAX_HEALTH_EXPORT_BYTES ? 'Please select a health export under 1GB.' : null;
+  }
+  return file.size > MAX_FILE_BYTES ? 'Please select a file under 10MB.' : null;
+}
+
+/**
+ * Upload a file and wait for its health data to be extracted
+ * 
+ * The backend accepts the file right away and extracts it in the background,
+ * so progress covers sending the file, then the processing status
+ * (queued, extracting, done).
  * 
  * @param {string} fileUri - Local file URI
  * @param {string} fileName - Original file name
  * @param {string} mimeType - File MIME type
  * @param {string} userId - User ID
- * @param {function} onProgress - Progress callback (receives object with totalBytesSent, totalBytesExpectedToSend, progress)
- * @returns {Promise<object>} Upload result with extracted data
+ * @param {function} onProgress - Progress callback (receives object with totalBytesSent, totalBytesExpectedToSend, progress, status)
+ * @returns {Promise<object>} Upload result with extracted data, or pending: true
+ *   if the file is still being processed when the wait times out
  */
 export async function uploadFile(fileUri, fileName, mimeType, userId, onProgress = null) {
   try {
@@ -46,38 +127,15 @@ export async function uploadFile(fileUri, fileName, mimeType, userId, onProgress
         totalBytesSent: 0,
         totalBytesExpectedToSend: 100,
         progress: 0,
+        status: 'uploading',
       });
     }
 
-    let uploadComplete = false;
-    let simulatedProgress = 0;
-    
-    // Start simulated progress for AI processing (30% to 95%)
-    // This runs while waiting for the server response
-    const progressInterval = setInterval(() => {
-      if (uploadComplete) {
-        clearInterval(progressInterval);
-        return;
-      }
-      
-      // Increment progress to show AI is working
-      // Start at 30% (after upload) and move to 95%
-      if (simulatedProgress < 0.95) {
-        simulatedProgress += 0.03; // Increment by 5% every interval
-        if (onProgress) {
-          console.log('[UploadService] Simulated AI processing progress:', Math.round(simulatedProgress * 100) + '%');
-          onProgress({
-            totalBytesSent: Math.round(simulatedProgress * 100),
-            totalBytesExpectedToSend: 100,
-            progress: simulatedProgress,
-          });
-        }
-      }
-    }, 200); // Update every 200ms
-
     // Create upload task with progress callback
+    // Health exports have their own endpoint with a larger size limit
+    const endpoint = isHealthExportFile({ name: fileName, mimeType }) ? 'import' : 'file';
     const uploadTask = FileSystem.createUploadTask(
-      `${API_BASE_URL}/upload/file`,
+      `${API_BASE_URL}/upload/${endpoint}`,
       fileUri,
       {
         fieldName: 'file',
@@ -93,64 +151,75 @@ export async function uploadFile(fileUri, fileName, mimeType, userId, onProgress
       (progressData) => {
         if (onProgress && progressData.totalBytesExpectedToSend > 0) {
           const progress = progressData.totalBytesSent / progressData.totalBytesExpectedToSend;
-          // Upload is typically fast (0-30%), then AI processing takes over
-          const adjustedProgress = progress * 0.3; // Scale upload to 0-30%
-          console.log('[UploadService] Upload progress:', {
-            sent: progressData.totalBytesSent,
-            total: progressData.totalBytesExpectedToSend,
-            percent: Math.round(adjustedProgress * 100) + '%',
+          onProgress({
+            totalBytesSent: progressData.totalBytesSent,
+            totalBytesExpectedToSend: progressData.totalBytesExpectedToSend,
+            progress: progress * UPLOAD_PROGRESS_SHARE,
+            status: 'uploading',
           });
-          
-          // Only update if higher than simulated progress
-          if (adjustedProgress > simulatedProgress) {
-            simulatedProgress = adjustedProgress;
-            onProgress({
-              totalBytesSent: progressData.totalBytesSent,
-              totalBytesExpectedToSend: progressData.totalBytesExpectedToSend,
-              progress: adjustedProgress,
-            });
-          }
         }
       }
     );
 
-    // Execute the upload (this includes waiting for server processing)
     const uploadResult = await uploadTask.uploadAsync();
-    
-    // Mark upload as complete and stop simulated progress
-    uploadComplete = true;
-    clearInterval(progressInterval);
 
     console.log('[UploadService] Upload status:', uploadResult.status);
 
-    if (uploadResult.status !== 200) {
+    if (uploadResult.status !== 200 && uploadResult.status !== 202) {
       const errorData = JSON.parse(uploadResult.body);
-      throw new Error(errorData.error || 'Upload failed');
+      throw new Error(errorData.error || errorData.message || 'Upload failed');
     }
 
     const data = JSON.parse(uploadResult.body);
 
-    console.log('[UploadService] File uploaded and processed successfully:', {
+    console.log('[UploadService] File uploaded, waiting for processing:', {
       fileId: data.fileId,
-      dataCategories: data.dataCategories,
+      jobId: data.jobId,
     });
 
-    // Call progress callback with 100% when complete
-    if (onProgress) {
-      onProgress({
-        totalBytesSent: 100,
-        totalBytesExpectedToSend: 100,
-        progress: 1,
-      });
+    const finalStatus = await waitForUploadProcessing(data.fileId, (status) => {
+      if (onProgress && STATUS_PROGRESS[status.status]) {
+        onProgress({
+          totalBytesSent: 100,
+          totalBytesExpectedToSend: 100,
+          progress: STATUS_PROGRESS[status.status],
+          status: status.status,
+        });
+      }
+    });
+
+    if (finalStatus.status === 'failed') {
+      throw new Error(finalStatus.error || 'Failed to extract data from file');
     }
 
+    if (finalStatus.status !== 'done') {
+      return {
+        success: true,
+        pending: true,
+        fileId: data.fileId,
+        fileName: data.fileName,
+        status: finalStatus.status,
+      };
+    }
+
+    const fileResult = await getUploadedFile(data.fileId, userId);
+    if (!fileResult.success) {
+      throw new Error(fileResult.error || 'Failed to fetch file');
+    }
+
+    console.log('[UploadService] File processed successfully:', {
+      fileId: data.fileId,
+      dataCategories: fileResult.file.data_categories,
+    });
+
     return {
       success: true,
       fileId: data.fileId,
       fileName: data.fileName,
-      extractedData: data.extractedData,
-      dataCategories: data.dataCategories,
-      message: data.message,
+      extractedData: fileResult.file.extracted_data,
+      dataCategories: fileResult.file.data_categories,
+      reviewStatus: fileResult.file.review_status,
+      message: 'File uploaded and analyzed successfully',
     };
   } catch (error) {
     console.error('[UploadService] Error uploading file:', error);
@@ -167,6 +236,88 @@ export async function uploadFile(fileUri, fileName, mimeType, userId, onProgress
   }
 }
 
+/**
+ * Get the processing status of an uploaded file
+ * 
+ * @param {string} fileId - File ID
+ * @returns {Promise<object>} Status: queued | extracting | done | failed, with error when failed
+ */
+export async function getUploadStatus(fileId) {
+  try {
+    const headers = await getAuthHeaders();
+
+    const response = await fetch(`${API_BASE_URL}/upload/files/${fileId}/status`, {
+      method: 'GET',
+      headers,
+    });
+
+    // Rate limit and proxy errors can come back as plain text
+    const data = await response.json().catch(() => ({}));
+
+    if (response.status === 429) {
+      const retryAfterSeconds = Number(response.headers.get('Retry-After'));
+      return {
+        success: false,
+        error: data.error || 'Too many status checks',
+        retryAfterMs: retryAfterSeconds > 0 ? retryAfterSeconds * 1000 : null,
+      };
+    }
+
+    if (!response.ok) {
+      throw new Error(data.error || data.message || 'Failed to fetch upload status');
+    }
+
+    return {
+      success: true,
+      status: data.status,
+      attempts: data.attempts,
+      error: data.error,
+      summary: data.summary,
+    };
+  } catch (error) {
+    console.error('[UploadService] Error fetching upload status:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Poll an uploaded file's status until it is done or failed, checking less
+ * often the longer it takes
+ * 
+ * @param {string} fileId - File ID
+ * @param {function} onStatus - Called with each status result
+ * @param {number} timeoutMs - Give up waiting after this long
+ * @returns {Promise<object>} The last status seen
+ */
+export async function waitForUploadProcessing(fileId, onStatus = null, timeoutMs = STATUS_WAIT_TIMEOUT_MS) {
+  const deadline = Date.now() + timeoutMs;
+  let lastStatus = { success: true, status: 'queued' };
+  let interval = STATUS_POLL_INITIAL_MS;
+
+  while (Date.now() < deadline) {
+    const result = await getUploadStatus(fileId);
+
+    // Transient errors keep the last known status and try again
+    if (result.success) {
+      lastStatus = result;
+      onStatus?.(result);
+
+      if (result.status === 'done' || result.status === 'failed') {
+        return result;
+      }
+    }
+
+    const delay = Math.max(interval, result.retryAfterMs || 0);
+    await new Promise(resolve => setTimeout(resolve, Math.min(delay, Math.max(deadline - Date.now(), 0))));
+    interval = Math.min(interval * STATUS_POLL_BACKOFF, STATUS_POLL_MAX_MS);
+  }
+
+  return lastStatus;
+}
+
 /**
  * Get user's uploaded files
  * 
@@ -187,7 +338,7 @@ export async function getUploadedFiles(userId) {
     const data = await response.json();
 
     if (!response.ok) {
-      throw new Error(data.error || 'Failed to fetch uploaded files');
+      throw new Error(data.error || data.message || 'Failed to fetch uploaded files');
     }
 
     console.log('[UploadService] Files count:', data.files?.length || 0);
@@ -225,7 +376,7 @@ export async function getUploadedFile(fileId, userId) {
     const data = await response.json();
 
     if (!response.ok) {
-      throw new Error(data.error || 'Failed to fetch file');
+      throw new Error(data.error || data.message || 'Failed to fetch file');
     }
 
     return {
@@ -262,7 +413,7 @@ export async function deleteUploadedFile(fileId, userId) {
     const data = await response.json();
 
     if (!response.ok) {
-      throw new Error(data.error || 'Failed to delete file');
+      throw new Error(data.error || data.message || 'Failed to delete file');
     }
 
     console.log('[UploadService] File deleted successfully');
@@ -280,3 +431,122 @@ export async function deleteUploadedFile(fileId, userId) {
   }
 }
 
+
+/**
+ * Call one of an uploaded file's review endpoints. They all answer with the
+ * file's current review: file info, a link to the original, entries and
+ * lab results.
+ */
+async function sendReviewRequest(fileId, path, method, body, failureMessage) {
+  try {
+    const headers = await getAuthHeaders();
+
+    const response = await fetch(`${API_BASE_URL}/upload/files/${fileId}/${path}`, {
+      method,
+      headers: {
+        ...headers,
+        ...(body && { 'Content-Type': 'application/json' }),
+      },
+      ...(body && { body: JSON.stringify(body) }),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || data.message || failureMessage);
+    }
+
+    return {
+      success: true,
+      file: data.file,
+      fileUrl: data.fileUrl,
+      entries: data.entries || [],
+      labResults: data.labResults || [],
+    };
+  } catch (error) {
+    console.error(`[UploadService] ${failureMessage}:`, error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Get what was extracted from an uploaded file, for review next to the
+ * original
+ *
+ * @param {string} fileId - File ID
+ * @returns {Promise<object>} file (with reviewStatus and confidence), fileUrl, entries and labResults
+ */
+export function getUploadReview(fileId) {
+  return sendReviewRequest(fileId, 'review', 'GET', null, 'Failed to fetch file review');
+}
+
+/**
+ * Correct one extracted entry
+ *
+ * @param {string} fileId - File ID
+ * @param {number} index - Entry index
+ * @param {object} changes - Any of date, category, notes and metrics (a metric set to null is removed)
+ * @returns {Promise<object>} The updated review
+ */
+export function updateUploadEntry(fileId, index, changes) {
+  return sendReviewRequest(fileId, `entries/${index}`, 'PATCH', changes, 'Failed to update entry');
+}
+
+/**
+ * Delete one extracted entry
+ *
+ * @param {string} fileId - File ID
+ * @param {number} index - Entry index
+ * @returns {Promise<object>} The updated review
+ */
+export function deleteUploadEntry(fileId, index) {
+  return sendReviewRequest(fileId, `entries/${index}`, 'DELETE', null, 'Failed to delete entry');
+}
+
+/**
+ * Correct one extracted lab result
+ *
+ * @param {string} fileId - File ID
+ * @param {number} index - Lab result index
+ * @param {object} changes - Any of name, value, unit, referenceLow, referenceHigh, referenceRange, flag, collectionDate and panel
+ * @returns {Promise<object>} The updated review
+ */
+export function updateUploadLabResult(fileId, index, changes) {
+  return sendReviewRequest(fileId, `lab-results/${index}`, 'PATCH', changes, 'Failed to update lab result');
+}
+
+/**
+ * Delete one extracted lab result
+ *
+ * @param {string} fileId - File ID
+ * @param {number} index - Lab result index
+ * @returns {Promise<object>} The updated review
+ */
+export function deleteUploadLabResult(fileId, index) {
+  return sendReviewRequest(fileId, `lab-results/${index}`, 'DELETE', null, 'Failed to delete lab result');
+}
+
+/**
+ * Rewrite an uploaded file's summary
+ *
+ * @param {string} fileId - File ID
+ * @param {string} summary - New summary
+ * @returns {Promise<object>} The updated review
+ */
+export function updateUploadSummary(fileId, summary) {
+  return sendReviewRequest(fileId, 'summary', 'PATCH', { summary }, 'Failed to update summary');
+}
+
+/**
+ * Mark an uploaded file's extracted data as checked, so a file waiting for
+ * review is used in chat
+ *
+ * @param {string} fileId - File ID
+ * @returns {Promise<object>} The updated review
+ */
+export function verifyUpload(fileId) {
+  return sendReviewRequest(fileId, 'verify', 'POST', null, 'Failed to verify file');
+}
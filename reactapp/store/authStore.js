@@ -6,6 +6,8 @@ import * as Crypto from 'expo-crypto';
 import Constants from 'expo-constants';
 import * as Linking from 'expo-linking';
 import HealthKitService from '../services/healthKitService';
+import { syncProfileTimeZone } from '../lib/timeZone';
+import { unregisterPushToken } from '../services/notificationService';
 
 // Complete the auth session for web browser
 WebBrowser.maybeCompleteAuthSession();
@@ -71,6 +73,9 @@ const useAuthStore = create((set, get) => ({
         return;
       }
 
+      // Runs after every sign-in and app launch; doesn't block onboarding
+      syncProfileTimeZone(user.id);
+
       const { data, error } = await supabase
         .from('profiles')
         .select('onboarding_completed')
@@ -515,6 +520,9 @@ const useAuthStore = create((set, get) => ({
       // This allows users to log back in and have their connections restored
       HealthKitService.setCurrentUser(null);
 
+      // Stop notifications to this device while the session can still authorize it
+      await unregisterPushToken();
+
       const { error } = await supabase.auth.signOut();
       
       if (error) {
@@ -0,0 +1,51 @@
+-- Add role and account status to profiles for the admin user management API
+-- Migration: add_profile_role_and_status
+-- Created: 2025-11-16
+--
+-- The authoritative role lives in auth.users.raw_app_meta_data->>'role' (that is
+-- what ends up in the access token and what the backend's authorize() checks).
+-- profiles.role mirrors it so the admin panel can filter and paginate in SQL.
+
+ALTER TABLE public.profiles
+  ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'user',
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'active',
+  ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE public.profiles DROP CONSTRAINT IF EXISTS profiles_role_check;
+ALTER TABLE public.profiles
+  ADD CONSTRAINT profiles_role_check CHECK (role IN ('user', 'admin', 'super_admin'));
+
+ALTER TABLE public.profiles DROP CONSTRAINT IF EXISTS profiles_status_check;
+ALTER TABLE public.profiles
+  ADD CONSTRAINT profiles_status_check CHECK (status IN ('active', 'inactive', 'suspended'));
+
+-- Backfill roles that were already assigned through app metadata
+UPDATE public.profiles p
+SET role = u.raw_app_meta_data->>'role'
+FROM auth.users u
+WHERE u.id = p.id
+  AND u.raw_app_meta_data->>'role' IN ('user', 'admin', 'super_admin');
+
+CREATE INDEX IF NOT EXISTS idx_profiles_role ON public.profiles(role);
+CREATE INDEX IF NOT EXISTS idx_profiles_status ON public.profiles(status);
+CREATE INDEX IF NOT EXISTS idx_profiles_created_at ON public.profiles(created_at DESC);
+
+-- Users may update their own profile row, but never their role or status
+CREATE OR REPLACE FUNCTION public.protect_profile_admin_fields()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF auth.role() IS DISTINCT FROM 'service_role'
+     AND (NEW.role IS DISTINCT FROM OLD.role
+          OR NEW.status IS DISTINCT FROM OLD.status
+          OR NEW.suspended_at IS DISTINCT FROM OLD.suspended_at) THEN
+    RAISE EXCEPTION 'role and status can only be changed by an administrator';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_profile_admin_fields ON public.profiles;
+CREATE TRIGGER protect_profile_admin_fields
+  BEFORE UPDATE ON public.profiles
+  FOR EACH ROW
+  EXECUTE FUNCTION public.protect_profile_admin_fields();
@@ -0,0 +1,16 @@
+-- Rolling summary of older turns for token-budgeted conversation memory
+-- Migration: add_conversation_summary
+-- Created: 2025-11-17
+--
+-- The backend keeps the most recent turns verbatim and folds older messages
+-- into `summary`. `summary_through` is the created_at of the last message
+-- included in the summary; later messages are still read verbatim.
+
+ALTER TABLE public.chat_conversations
+  ADD COLUMN IF NOT EXISTS summary TEXT,
+  ADD COLUMN IF NOT EXISTS summary_through TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS summary_updated_at TIMESTAMP WITH TIME ZONE;
+
+-- Memory loads messages after summary_through for one conversation
+CREATE INDEX IF NOT EXISTS idx_chat_messages_conversation_created
+  ON public.chat_messages(conversation_id, created_at);
@@ -0,0 +1,118 @@
+-- Vector embeddings for semantic retrieval in chat
+-- Migration: create_health_embeddings
+-- Created: 2025-11-18
+--
+-- Uploaded file extractions, health event descriptions and past assistant
+-- answers are split into chunks and embedded by the backend. Vectors are 768
+-- dimensions (text-embedding-004, or text-embedding-3-small shortened to 768).
+-- `embedded_at` on each source table marks rows already indexed, so rows
+-- written by the app directly to Supabase are picked up later by the backend.
+
+CREATE EXTENSION IF NOT EXISTS vector WITH SCHEMA extensions;
+
+CREATE TABLE IF NOT EXISTS public.health_embeddings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  source_type TEXT NOT NULL CHECK (source_type IN ('uploaded_file', 'health_event', 'chat_message')),
+  source_id UUID NOT NULL,
+  chunk_index INTEGER NOT NULL DEFAULT 0,
+  content TEXT NOT NULL,
+  metadata JSONB DEFAULT '{}'::jsonb,
+  embedding extensions.vector(768) NOT NULL,
+  model TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT health_embeddings_source_chunk_unique UNIQUE (source_type, source_id, chunk_index)
+);
+
+ALTER TABLE public.health_embeddings ENABLE ROW LEVEL SECURITY;
+
+-- Written by the backend (service role); users may only read their own
+DROP POLICY IF EXISTS "Users can view own embeddings" ON public.health_embeddings;
+CREATE POLICY "Users can view own embeddings"
+  ON public.health_embeddings FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE INDEX IF NOT EXISTS idx_health_embeddings_user_id
+  ON public.health_embeddings(user_id);
+
+CREATE INDEX IF NOT EXISTS idx_health_embeddings_embedding
+  ON public.health_embeddings USING hnsw (embedding extensions.vector_cosine_ops);
+
+-- Indexing progress on each source table
+ALTER TABLE public.uploaded_file_data ADD COLUMN IF NOT EXISTS embedded_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.health_events ADD COLUMN IF NOT EXISTS embedded_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.chat_messages ADD COLUMN IF NOT EXISTS embedded_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_uploaded_file_data_not_embedded
+  ON public.uploaded_file_data(user_id) WHERE embedded_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_health_events_not_embedded
+  ON public.health_events(user_id) WHERE embedded_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_chat_messages_not_embedded
+  ON public.chat_messages(conversation_id) WHERE embedded_at IS NULL AND role = 'assistant';
+
+-- Top-k chunks for one user by cosine similarity
+CREATE OR REPLACE FUNCTION public.match_health_embeddings(
+  query_embedding extensions.vector(768),
+  match_user_id UUID,
+  match_count INTEGER DEFAULT 5,
+  min_similarity FLOAT DEFAULT 0,
+  source_types TEXT[] DEFAULT NULL
+)
+RETURNS TABLE (
+  id UUID,
+  source_type TEXT,
+  source_id UUID,
+  chunk_index INTEGER,
+  content TEXT,
+  metadata JSONB,
+  similarity FLOAT
+)
+LANGUAGE sql STABLE
+SET search_path = public, extensions
+AS $$
+  SELECT
+    e.id,
+    e.source_type,
+    e.source_id,
+    e.chunk_index,
+    e.content,
+    e.metadata,
+    1 - (e.embedding <=> query_embedding) AS similarity
+  FROM public.health_embeddings e
+  WHERE e.user_id = match_user_id
+    AND (source_types IS NULL OR e.source_type = ANY(source_types))
+    AND 1 - (e.embedding <=> query_embedding) >= min_similarity
+  ORDER BY e.embedding <=> query_embedding
+  LIMIT match_count;
+$$;
+
+-- Only the backend searches embeddings (it passes the authenticated user id)
+REVOKE EXECUTE ON FUNCTION public.match_health_embeddings FROM PUBLIC, anon, authenticated;
+
+-- Remove chunks when their source row is deleted
+CREATE OR REPLACE FUNCTION public.delete_source_embeddings()
+RETURNS TRIGGER AS $$
+BEGIN
+  DELETE FROM public.health_embeddings
+  WHERE source_type = TG_ARGV[0] AND source_id = OLD.id;
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS delete_uploaded_file_embeddings ON public.uploaded_file_data;
+CREATE TRIGGER delete_uploaded_file_embeddings
+  AFTER DELETE ON public.uploaded_file_data
+  FOR EACH ROW
+  EXECUTE FUNCTION public.delete_source_embeddings('uploaded_file');
+
+DROP TRIGGER IF EXISTS delete_health_event_embeddings ON public.health_events;
+CREATE TRIGGER delete_health_event_embeddings
+  AFTER DELETE ON public.health_events
+  FOR EACH ROW
+  EXECUTE FUNCTION public.delete_source_embeddings('health_event');
+
+DROP TRIGGER IF EXISTS delete_chat_message_embeddings ON public.chat_messages;
+CREATE TRIGGER delete_chat_message_embeddings
+  AFTER DELETE ON public.chat_messages
+  FOR EACH ROW
+  EXECUTE FUNCTION public.delete_source_embeddings('chat_message');
@@ -0,0 +1,223 @@
+-- Structured lab results (biomarkers) extracted from uploaded files
+-- Migration: create_lab_results
+-- Created: 2025-11-19
+--
+-- Every biomarker the file parser extracts is stored as a row in lab_results.
+-- biomarker_synonyms maps reported names ("HbA1c", "A1C", "Hemoglobin A1c")
+-- to one canonical code, and biomarker_unit_conversions converts reported
+-- units to the biomarker's canonical unit so values from different labs line up.
+--
+-- Synonyms and units are stored as lookup keys: lowercase with everything but
+-- letters and digits removed for names ("hemoglobina1c"), and lowercase without
+-- spaces for units ("mmol/l"). The backend normalizes reported text the same way.
+
+CREATE TABLE IF NOT EXISTS public.biomarker_definitions (
+  code TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  category TEXT NOT NULL,
+  canonical_unit TEXT,
+  loinc TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.biomarker_synonyms (
+  synonym TEXT PRIMARY KEY,
+  code TEXT NOT NULL REFERENCES public.biomarker_definitions(code) ON DELETE CASCADE
+);
+
+-- canonical_value = value * factor + offset_value
+CREATE TABLE IF NOT EXISTS public.biomarker_unit_conversions (
+  code TEXT NOT NULL REFERENCES public.biomarker_definitions(code) ON DELETE CASCADE,
+  from_unit TEXT NOT NULL,
+  factor NUMERIC NOT NULL,
+  offset_value NUMERIC NOT NULL DEFAULT 0,
+  PRIMARY KEY (code, from_unit)
+);
+
+CREATE TABLE IF NOT EXISTS public.lab_results (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  upload_id UUID REFERENCES public.uploaded_file_data(id) ON DELETE CASCADE,
+
+  -- As reported on the document
+  name TEXT NOT NULL,
+  value NUMERIC,
+  value_text TEXT,
+  unit TEXT,
+  reference_low NUMERIC,
+  reference_high NUMERIC,
+  reference_text TEXT,
+  flag TEXT CHECK (flag IN ('normal', 'low', 'high', 'critical', 'abnormal')),
+  collected_on DATE,
+  panel TEXT,
+
+  -- Normalized
+  name_key TEXT NOT NULL,
+  biomarker_code TEXT REFERENCES public.biomarker_definitions(code) ON DELETE SET NULL,
+  normalized_value NUMERIC,
+  normalized_unit TEXT,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE public.lab_results ENABLE ROW LEVEL SECURITY;
+
+-- Written by the backend (service role); users may read their own
+DROP POLICY IF EXISTS "Users can view own lab results" ON public.lab_results;
+CREATE POLICY "Users can view own lab results"
+  ON public.lab_results FOR SELECT
+  USING (auth.uid() = user_id);
+
+ALTER TABLE public.biomarker_definitions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.biomarker_synonyms ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.biomarker_unit_conversions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone signed in can read biomarker definitions" ON public.biomarker_definitions;
+CREATE POLICY "Anyone signed in can read biomarker definitions"
+  ON public.biomarker_definitions FOR SELECT TO authenticated USING (true);
+DROP POLICY IF EXISTS "Anyone signed in can read biomarker synonyms" ON public.biomarker_synonyms;
+CREATE POLICY "Anyone signed in can read biomarker synonyms"
+  ON public.biomarker_synonyms FOR SELECT TO authenticated USING (true);
+DROP POLICY IF EXISTS "Anyone signed in can read biomarker unit conversions" ON public.biomarker_unit_conversions;
+CREATE POLICY "Anyone signed in can read biomarker unit conversions"
+  ON public.biomarker_unit_conversions FOR SELECT TO authenticated USING (true);
+
+CREATE INDEX IF NOT EXISTS idx_lab_results_user_code_date
+  ON public.lab_results(user_id, biomarker_code, collected_on);
+CREATE INDEX IF NOT EXISTS idx_lab_results_user_name_key
+  ON public.lab_results(user_id, name_key);
+CREATE INDEX IF NOT EXISTS idx_lab_results_upload_id
+  ON public.lab_results(upload_id);
+
+-- Uploads whose lab results have been written to lab_results
+ALTER TABLE public.uploaded_file_data ADD COLUMN IF NOT EXISTS labs_extracted_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_uploaded_file_data_labs_pending
+  ON public.uploaded_file_data(user_id) WHERE labs_extracted_at IS NULL;
+
+-- Common biomarkers
+INSERT INTO public.biomarker_definitions (code, name, category, canonical_unit, loinc) VALUES
+  ('hba1c', 'Hemoglobin A1c', 'metabolic', '%', '4548-4'),
+  ('glucose', 'Glucose', 'metabolic', 'mg/dl', '2345-7'),
+  ('insulin', 'Insulin', 'metabolic', 'uiu/ml', '20448-7'),
+  ('cholesterol_total', 'Total Cholesterol', 'lipids', 'mg/dl', '2093-3'),
+  ('ldl', 'LDL Cholesterol', 'lipids', 'mg/dl', '13457-7'),
+  ('hdl', 'HDL Cholesterol', 'lipids', 'mg/dl', '2085-9'),
+  ('triglycerides', 'Triglycerides', 'lipids', 'mg/dl', '2571-8'),
+  ('tsh', 'Thyroid Stimulating Hormone', 'thyroid', 'miu/l', '3016-3'),
+  ('free_t4', 'Free T4', 'thyroid', 'ng/dl', '3024-7'),
+  ('vitamin_d', 'Vitamin D, 25-Hydroxy', 'vitamins', 'ng/ml', '62292-8'),
+  ('vitamin_b12', 'Vitamin B12', 'vitamins', 'pg/ml', '2132-9'),
+  ('ferritin', 'Ferritin', 'iron', 'ng/ml', '2276-4'),
+  ('iron', 'Iron', 'iron', 'ug/dl', '2498-4'),
+  ('hemoglobin', 'Hemoglobin', 'blood_count', 'g/dl', '718-7'),
+  ('hematocrit', 'Hematocrit', 'blood_count', '%', '4544-3'),
+  ('wbc', 'White Blood Cells', 'blood_count', '10^3/ul', '6690-2'),
+  ('rbc', 'Red Blood Cells', 'blood_count', '10^6/ul', '789-8'),
+  ('platelets', 'Platelets', 'blood_count', '10^3/ul', '777-3'),
+  ('mcv', 'Mean Corpuscular Volume', 'blood_count', 'fl', '787-2'),
+  ('creatinine', 'Creatinine', 'kidney', 'mg/dl', '2160-0'),
+  ('egfr', 'eGFR', 'kidney', 'ml/min/1.73m2', '33914-3'),
+  ('bun', 'Blood Urea Nitrogen', 'kidney', 'mg/dl', '3094-0'),
+  ('uric_acid', 'Uric Acid', 'kidney', 'mg/dl', '3084-1'),
+  ('alt', 'ALT', 'liver', 'u/l', '1742-6'),
+  ('ast', 'AST', 'liver', 'u/l', '1920-8'),
+  ('alp', 'Alkaline Phosphatase', 'liver', 'u/l', '6768-6'),
+  ('bilirubin_total', 'Total Bilirubin', 'liver', 'mg/dl', '1975-2'),
+  ('albumin', 'Albumin', 'liver', 'g/dl', '1751-7'),
+  ('sodium', 'Sodium', 'electrolytes', 'mmol/l', '2951-2'),
+  ('potassium', 'Potassium', 'electrolytes', 'mmol/l', '2823-3'),
+  ('chloride', 'Chloride', 'electrolytes', 'mmol/l', '2075-0'),
+  ('co2', 'Carbon Dioxide', 'electrolytes', 'mmol/l', '2028-9'),
+  ('calcium', 'Calcium', 'electrolytes', 'mg/dl', '17861-6'),
+  ('magnesium', 'Magnesium', 'electrolytes', 'mg/dl', '19123-9'),
+  ('crp', 'C-Reactive Protein', 'inflammation', 'mg/l', '1988-5'),
+  ('hs_crp', 'hs-CRP', 'inflammation', 'mg/l', '30522-7'),
+  ('testosterone_total', 'Total Testosterone', 'hormones', 'ng/dl', '2986-8'),
+  ('psa', 'Prostate Specific Antigen', 'hormones', 'ng/ml', '2857-1')
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO public.biomarker_synonyms (synonym, code) VALUES
+  ('hba1c', 'hba1c'), ('a1c', 'hba1c'), ('hemoglobina1c', 'hba1c'), ('haemoglobina1c', 'hba1c'),
+  ('glycatedhemoglobin', 'hba1c'), ('glycohemoglobin', 'hba1c'), ('glycosylatedhemoglobin', 'hba1c'),
+  ('glucose', 'glucose'), ('fastingglucose', 'glucose'), ('glucosefasting', 'glucose'),
+  ('bloodglucose', 'glucose'), ('fastingbloodglucose', 'glucose'), ('fbg', 'glucose'), ('glucoseserum', 'glucose'),
+  ('insulin', 'insulin'), ('fastinginsulin', 'insulin'),
+  ('cholesterol', 'cholesterol_total'), ('totalcholesterol', 'cholesterol_total'),
+  ('cholesteroltotal', 'cholesterol_total'), ('chol', 'cholesterol_total'),
+  ('ldl', 'ldl'), ('ldlc', 'ldl'), ('ldlcholesterol', 'ldl'), ('ldlcalc', 'ldl'),
+  ('ldlcholesterolcalc', 'ldl'), ('lowdensitylipoprotein', 'ldl'),
+  ('hdl', 'hdl'), ('hdlc', 'hdl'), ('hdlcholesterol', 'hdl'), ('highdensitylipoprotein', 'hdl'),
+  ('triglycerides', 'triglycerides'), ('triglyceride', 'triglycerides'), ('trig', 'triglycerides'), ('tg', 'triglycerides'),
+  ('tsh', 'tsh'), ('thyroidstimulatinghormone', 'tsh'), ('thyrotropin', 'tsh'),
+  ('freet4', 'free_t4'), ('ft4', 'free_t4'), ('t4free', 'free_t4'), ('freethyroxine', 'free_t4'),
+  ('vitamind', 'vitamin_d'), ('vitamind25hydroxy', 'vitamin_d'), ('25hydroxyvitamind', 'vitamin_d'),
+  ('25ohvitamind', 'vitamin_d'), ('vitd', 'vitamin_d'), ('25ohd', 'vitamin_d'),
+  ('vitaminb12', 'vitamin_b12'), ('b12', 'vitamin_b12'), ('cobalamin', 'vitamin_b12'),
+  ('ferritin', 'ferritin'),
+  ('iron', 'iron'), ('serumiron', 'iron'), ('irontotal', 'iron'),
+  ('hemoglobin', 'hemoglobin'), ('haemoglobin', 'hemoglobin'), ('hgb', 'hemoglobin'), ('hb', 'hemoglobin'),
+  ('hematocrit', 'hematocrit'), ('haematocrit', 'hematocrit'), ('hct', 'hematocrit'),
+  ('wbc', 'wbc'), ('whitebloodcells', 'wbc'), ('whitebloodcellcount', 'wbc'), ('leukocytes', 'wbc'),
+  ('rbc', 'rbc'), ('redbloodcells', 'rbc'), ('redbloodcellcount', 'rbc'), ('erythrocytes', 'rbc'),
+  ('platelets', 'platelets'), ('plateletcount', 'platelets'), ('plt', 'platelets'),
+  ('mcv', 'mcv'), ('meancorpuscularvolume', 'mcv'),
+  ('creatinine', 'creatinine'), ('creatinineserum', 'creatinine'), ('serumcreatinine', 'creatinine'),
+  ('egfr', 'egfr'), ('estimatedgfr', 'egfr'), ('gfrestimated', 'egfr'),
+  ('bun', 'bun'), ('bloodureanitrogen', 'bun'), ('ureanitrogen', 'bun'),
+  ('uricacid', 'uric_acid'),
+  ('alt', 'alt'), ('sgpt', 'alt'), ('alaninetransaminase', 'alt'), ('alanineaminotransferase', 'alt'),
+  ('ast', 'ast'), ('sgot', 'ast'), ('aspartatetransaminase', 'ast'), ('aspartateaminotransferase', 'ast'),
+  ('alp', 'alp'), ('alkalinephosphatase', 'alp'),
+  ('bilirubin', 'bilirubin_total'), ('totalbilirubin', 'bilirubin_total'), ('bilirubintotal', 'bilirubin_total'),
+  ('albumin', 'albumin'),
+  ('sodium', 'sodium'), ('na', 'sodium'),
+  ('potassium', 'potassium'),
+  ('chloride', 'chloride'), ('cl', 'chloride'),
+  ('co2', 'co2'), ('carbondioxide', 'co2'), ('bicarbonate', 'co2'), ('hco3', 'co2'),
+  ('calcium', 'calcium'), ('ca', 'calcium'),
+  ('magnesium', 'magnesium'),
+  ('crp', 'crp'), ('creactiveprotein', 'crp'),
+  ('hscrp', 'hs_crp'), ('highsensitivitycrp', 'hs_crp'), ('crphighsensitivity', 'hs_crp'),
+  ('testosterone', 'testosterone_total'), ('totaltestosterone', 'testosterone_total'), ('testosteronetotal', 'testosterone_total'),
+  ('psa', 'psa'), ('prostatespecificantigen', 'psa'), ('psatotal', 'psa')
+ON CONFLICT (synonym) DO NOTHING;
+
+INSERT INTO public.biomarker_unit_conversions (code, from_unit, factor, offset_value) VALUES
+  ('hba1c', 'mmol/mol', 0.09148, 2.152),
+  ('glucose', 'mmol/l', 18.016, 0),
+  ('insulin', 'pmol/l', 0.144, 0),
+  ('insulin', 'miu/l', 1, 0),
+  ('insulin', 'miu/ml', 1000, 0),
+  ('cholesterol_total', 'mmol/l', 38.67, 0),
+  ('ldl', 'mmol/l', 38.67, 0),
+  ('hdl', 'mmol/l', 38.67, 0),
+  ('triglycerides', 'mmol/l', 88.57, 0),
+  ('tsh', 'uiu/ml', 1, 0),
+  ('tsh', 'miu/ml', 1000, 0),
+  ('free_t4', 'pmol/l', 0.0777, 0),
+  ('vitamin_d', 'nmol/l', 0.4006, 0),
+  ('vitamin_b12', 'pmol/l', 1.355, 0),
+  ('ferritin', 'ug/l', 1, 0),
+  ('iron', 'umol/l', 5.585, 0),
+  ('hemoglobin', 'g/l', 0.1, 0),
+  ('hematocrit', 'l/l', 100, 0),
+  ('wbc', '10^9/l', 1, 0),
+  ('platelets', '10^9/l', 1, 0),
+  ('rbc', '10^12/l', 1, 0),
+  ('creatinine', 'umol/l', 0.01131, 0),
+  ('bun', 'mmol/l', 2.801, 0),
+  ('uric_acid', 'umol/l', 0.01681, 0),
+  ('bilirubin_total', 'umol/l', 0.05848, 0),
+  ('albumin', 'g/l', 0.1, 0),
+  ('sodium', 'meq/l', 1, 0),
+  ('potassium', 'meq/l', 1, 0),
+  ('chloride', 'meq/l', 1, 0),
+  ('co2', 'meq/l', 1, 0),
+  ('calcium', 'mmol/l', 4.008, 0),
+  ('magnesium', 'mmol/l', 2.431, 0),
+  ('crp', 'mg/dl', 10, 0),
+  ('hs_crp', 'mg/dl', 10, 0),
+  ('testosterone_total', 'nmol/l', 28.84, 0),
+  ('psa', 'ug/l', 1, 0)
+ON CONFLICT (code, from_unit) DO NOTHING;
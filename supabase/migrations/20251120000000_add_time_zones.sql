@@ -0,0 +1,18 @@
+-- Per-user time zones
+-- Migration: add_time_zones
+-- Created: 2025-11-20
+--
+-- `profiles.time_zone` is an IANA name ("America/Chicago") reported by the app
+-- and updated by the backend whenever the device reports a different zone, so
+-- it follows users who travel. Scheduled work without a request uses it.
+--
+-- health_metrics_daily rows are keyed by the device-local date; `time_zone`
+-- records the zone the day was bucketed in, so a completed day isn't re-bucketed
+-- with different boundaries after the user changes zones.
+
+ALTER TABLE public.profiles
+  ADD COLUMN IF NOT EXISTS time_zone TEXT,
+  ADD COLUMN IF NOT EXISTS time_zone_updated_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE public.health_metrics_daily
+  ADD COLUMN IF NOT EXISTS time_zone TEXT;
@@ -0,0 +1,53 @@
+-- Proactive insights (anomalies in daily metrics)
+-- Migration: create_health_insights
+-- Created: 2025-11-21
+--
+-- The backend scans health_metrics_daily against each user's rolling baseline
+-- and records what stands out: single-day spikes (resting heart rate jumps)
+-- and sustained shifts (several short nights in a row). A sustained shift is
+-- one row that grows while it lasts, keyed by the day it started.
+--
+-- Users read their insights and mark them seen or dismissed; everything else is
+-- written by the backend (service role).
+
+CREATE TABLE IF NOT EXISTS public.health_insights (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  insight_type TEXT NOT NULL DEFAULT 'anomaly',
+  kind TEXT NOT NULL CHECK (kind IN ('spike', 'sustained')),
+  metric TEXT NOT NULL,
+  direction TEXT NOT NULL CHECK (direction IN ('high', 'low')),
+  severity TEXT NOT NULL CHECK (severity IN ('low', 'medium', 'high')),
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  value NUMERIC,
+  baseline NUMERIC,
+  z_score NUMERIC,
+  title TEXT NOT NULL,
+  explanation TEXT NOT NULL,
+  details JSONB DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'new' CHECK (status IN ('new', 'seen', 'dismissed')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (user_id, insight_type, metric, kind, start_date)
+);
+
+CREATE INDEX IF NOT EXISTS health_insights_user_end_date_idx
+  ON public.health_insights (user_id, end_date DESC);
+
+ALTER TABLE public.health_insights ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own insights" ON public.health_insights;
+CREATE POLICY "Users can view own insights"
+  ON public.health_insights FOR SELECT
+  USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can update own insights" ON public.health_insights;
+CREATE POLICY "Users can update own insights"
+  ON public.health_insights FOR UPDATE
+  USING (auth.uid() = user_id);
+
+-- When each user's daily metrics were last scanned, so the app can trigger a
+-- scan when the scheduled one hasn't reached them yet
+ALTER TABLE public.profiles
+  ADD COLUMN IF NOT EXISTS insights_scanned_at TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,25 @@
+-- Weekly wellness digests stored as conversations
+-- Migration: add_weekly_digests
+-- Created: 2025-11-22
+--
+-- Once a week the backend writes each active user a short digest of the
+-- previous week (Monday to Sunday in their time zone) and stores it as a
+-- conversation, so it appears in the app's conversation list and the user can
+-- reply to it like any other chat.
+--
+-- `kind` tells digests apart from chats the user started; `digest_week` is the
+-- Monday of the week a digest covers. The unique index makes generation
+-- idempotent: a second run for the same week can't add another digest.
+
+ALTER TABLE public.chat_conversations
+  ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'chat',
+  ADD COLUMN IF NOT EXISTS digest_week DATE;
+
+ALTER TABLE public.chat_conversations
+  DROP CONSTRAINT IF EXISTS chat_conversations_kind_check;
+ALTER TABLE public.chat_conversations
+  ADD CONSTRAINT chat_conversations_kind_check CHECK (kind IN ('chat', 'digest'));
+
+CREATE UNIQUE INDEX IF NOT EXISTS chat_conversations_user_digest_week_idx
+  ON public.chat_conversations (user_id, digest_week)
+  WHERE digest_week IS NOT NULL;
@@ -0,0 +1,90 @@
+-- Push notifications (Expo push tokens, preferences and delivery log)
+-- Migration: create_push_notifications
+-- Created: 2025-11-23
+--
+-- The app registers each device's Expo push token through the backend. A
+-- token belongs to one user at a time: signing in as someone else on the same
+-- device moves it. Tokens Expo reports as no longer registered are disabled.
+--
+-- Preferences turn each kind of notification on or off. Quiet hours are wall
+-- clock times in the user's time zone (profiles.time_zone); a start after the
+-- end wraps past midnight. Notifications due during quiet hours are queued
+-- until they end.
+--
+-- A notification is `sending` while the backend delivers it; the scheduler
+-- only picks up `queued` ones, so each is handed to Expo once.
+--
+-- Every notification is logged. `dedupe_key` keeps the same event from being
+-- sent twice (one "sync is stale" reminder per stale period, one per insight).
+
+CREATE TABLE IF NOT EXISTS public.push_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  token TEXT NOT NULL UNIQUE,
+  platform TEXT,
+  device_name TEXT,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  last_registered_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS push_tokens_user_id_idx
+  ON public.push_tokens (user_id);
+
+CREATE TABLE IF NOT EXISTS public.notification_preferences (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  sync_stale BOOLEAN NOT NULL DEFAULT TRUE,
+  new_insight BOOLEAN NOT NULL DEFAULT TRUE,
+  upload_parsed BOOLEAN NOT NULL DEFAULT TRUE,
+  quiet_hours_start TIME,
+  quiet_hours_end TIME,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.notifications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  type TEXT NOT NULL,
+  title TEXT NOT NULL,
+  body TEXT NOT NULL,
+  data JSONB DEFAULT '{}'::jsonb,
+  dedupe_key TEXT,
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'sending', 'sent', 'skipped', 'failed')),
+  send_after TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  sent_at TIMESTAMP WITH TIME ZONE,
+  transport TEXT,
+  tickets JSONB,
+  error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (user_id, dedupe_key)
+);
+
+CREATE INDEX IF NOT EXISTS notifications_user_created_idx
+  ON public.notifications (user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS notifications_queued_idx
+  ON public.notifications (send_after)
+  WHERE status = 'queued';
+
+-- Everything is written by the backend (service role); users can read their own rows
+ALTER TABLE public.push_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.notification_preferences ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.notifications ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own push tokens" ON public.push_tokens;
+CREATE POLICY "Users can view own push tokens"
+  ON public.push_tokens FOR SELECT
+  USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can view own notification preferences" ON public.notification_preferences;
+CREATE POLICY "Users can view own notification preferences"
+  ON public.notification_preferences FOR SELECT
+  USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can view own notifications" ON public.notifications;
+CREATE POLICY "Users can view own notifications"
+  ON public.notifications FOR SELECT
+  USING (auth.uid() = user_id);
@@ -0,0 +1,40 @@
+-- Goals: measurable targets on daily metrics
+-- Migration: create_goals
+-- Created: 2025-11-24
+--
+-- A goal is a target for one health_metrics_daily column, checked each day
+-- (sleep at least 7.5 hours) or each Monday-to-Sunday week (150 exercise
+-- minutes). `direction` says whether the target is a floor or a ceiling.
+-- Progress is computed from health_metrics_daily when goals are read, so it
+-- never goes stale after a late sync.
+--
+-- `source` records whether the user set the goal or accepted one suggested
+-- from their onboarding answers and baseline data.
+
+CREATE TABLE IF NOT EXISTS public.goals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  metric TEXT NOT NULL,
+  title TEXT NOT NULL,
+  target NUMERIC NOT NULL,
+  direction TEXT NOT NULL DEFAULT 'at_least' CHECK (direction IN ('at_least', 'at_most')),
+  cadence TEXT NOT NULL DEFAULT 'daily' CHECK (cadence IN ('daily', 'weekly')),
+  start_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  end_date DATE,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused', 'completed', 'archived')),
+  source TEXT NOT NULL DEFAULT 'user' CHECK (source IN ('user', 'suggested')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (end_date IS NULL OR end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS goals_user_status_idx
+  ON public.goals (user_id, status);
+
+-- Written by the backend (service role); users can read their own goals
+ALTER TABLE public.goals ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own goals" ON public.goals;
+CREATE POLICY "Users can view own goals"
+  ON public.goals FOR SELECT
+  USING (auth.uid() = user_id);
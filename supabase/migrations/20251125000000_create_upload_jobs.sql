@@ -0,0 +1,49 @@
+-- Upload processing jobs
+-- Migration: create_upload_jobs
+-- Created: 2025-11-25
+--
+-- Uploads are accepted as soon as the file is in storage. The row in
+-- uploaded_file_data starts out `pending` with no extracted data, and an
+-- upload_jobs row queues the extraction for the backend worker.
+--
+-- A job moves queued -> extracting -> done, or back to queued (after a
+-- backoff in `run_after`) when an attempt fails or times out, until it runs
+-- out of attempts and is marked failed. Rows written before this migration
+-- were processed inline and are `done`.
+
+ALTER TABLE public.uploaded_file_data ALTER COLUMN extracted_data DROP NOT NULL;
+
+ALTER TABLE public.uploaded_file_data
+  ADD COLUMN IF NOT EXISTS processing_status TEXT NOT NULL DEFAULT 'done'
+  CHECK (processing_status IN ('pending', 'done', 'failed'));
+
+CREATE TABLE IF NOT EXISTS public.upload_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  upload_id UUID REFERENCES public.uploaded_file_data(id) ON DELETE CASCADE NOT NULL UNIQUE,
+  storage_path TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'extracting', 'done', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  run_after TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMP WITH TIME ZONE,
+  finished_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- The worker polls for due jobs and for extractions that stopped responding
+CREATE INDEX IF NOT EXISTS upload_jobs_queue_idx
+  ON public.upload_jobs (status, run_after)
+  WHERE status IN ('queued', 'extracting');
+
+CREATE INDEX IF NOT EXISTS upload_jobs_user_id_idx
+  ON public.upload_jobs (user_id);
+
+-- Written by the backend (service role); users can read their own jobs
+ALTER TABLE public.upload_jobs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own upload jobs" ON public.upload_jobs;
+CREATE POLICY "Users can view own upload jobs"
+  ON public.upload_jobs FOR SELECT
+  USING (auth.uid() = user_id);
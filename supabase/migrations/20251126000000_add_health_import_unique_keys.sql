@@ -0,0 +1,32 @@
+-- Unique keys for health sample and event upserts
+-- Migration: add_health_import_unique_keys
+-- Created: 2025-11-26
+--
+-- The app's integrations and the backend file importers upsert health_data on
+-- (user_id, data_type, recorded_at, source_app) and health_events on
+-- (user_id, event_type, start_time), skipping rows that already exist, so
+-- re-importing an export or importing data the app already synced doesn't
+-- duplicate it. ON CONFLICT needs a unique index on exactly those columns.
+--
+-- Existing duplicates are removed first, keeping the earliest row of each.
+
+DELETE FROM public.health_data a
+USING public.health_data b
+WHERE a.user_id = b.user_id
+  AND a.data_type = b.data_type
+  AND a.recorded_at = b.recorded_at
+  AND a.source_app IS NOT DISTINCT FROM b.source_app
+  AND a.ctid > b.ctid;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_health_data_upsert_key
+  ON public.health_data(user_id, data_type, recorded_at, source_app);
+
+DELETE FROM public.health_events a
+USING public.health_events b
+WHERE a.user_id = b.user_id
+  AND a.event_type = b.event_type
+  AND a.start_time = b.start_time
+  AND a.ctid > b.ctid;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_health_events_upsert_key
+  ON public.health_events(user_id, event_type, start_time);
@@ -0,0 +1,99 @@
+-- Conditions, medications and immunizations imported from medical records
+-- Migration: create_medical_records
+-- Created: 2025-11-27
+--
+-- Patient portal exports (FHIR R4 bundles and C-CDA documents) are read by the
+-- backend's importers rather than the file-parsing model. Lab results go to
+-- lab_results and vital signs to health_data; the clinical lists below have no
+-- table yet. Every row points back at the upload it came from, so deleting an
+-- upload removes what it imported and re-processing one replaces its rows.
+--
+-- code/code_system keep the record's coding (SNOMED CT or ICD-10-CM for
+-- problems, RxNorm for medications, CVX for vaccines); source_id is the FHIR
+-- resource id or C-CDA entry id when the document has one.
+
+CREATE TABLE IF NOT EXISTS public.medical_conditions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  upload_id UUID REFERENCES public.uploaded_file_data(id) ON DELETE CASCADE,
+
+  name TEXT NOT NULL,
+  code TEXT,
+  code_system TEXT,
+  status TEXT CHECK (status IN ('active', 'inactive', 'resolved')),
+  onset_date DATE,
+  abatement_date DATE,
+  recorded_date DATE,
+
+  source_format TEXT NOT NULL CHECK (source_format IN ('fhir', 'ccda')),
+  source_id TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.medications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  upload_id UUID REFERENCES public.uploaded_file_data(id) ON DELETE CASCADE,
+
+  name TEXT NOT NULL,
+  code TEXT,
+  code_system TEXT,
+  status TEXT CHECK (status IN ('active', 'completed', 'stopped', 'on_hold', 'intended', 'unknown')),
+  dosage TEXT,
+  route TEXT,
+  start_date DATE,
+  end_date DATE,
+
+  source_format TEXT NOT NULL CHECK (source_format IN ('fhir', 'ccda')),
+  source_id TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.immunizations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  upload_id UUID REFERENCES public.uploaded_file_data(id) ON DELETE CASCADE,
+
+  name TEXT NOT NULL,
+  code TEXT,
+  code_system TEXT,
+  administered_on DATE,
+  lot_number TEXT,
+
+  source_format TEXT NOT NULL CHECK (source_format IN ('fhir', 'ccda')),
+  source_id TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE public.medical_conditions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.medications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.immunizations ENABLE ROW LEVEL SECURITY;
+
+-- Written by the backend (service role); users may read their own
+DROP POLICY IF EXISTS "Users can view own medical conditions" ON public.medical_conditions;
+CREATE POLICY "Users can view own medical conditions"
+  ON public.medical_conditions FOR SELECT
+  USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can view own medications" ON public.medications;
+CREATE POLICY "Users can view own medications"
+  ON public.medications FOR SELECT
+  USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can view own immunizations" ON public.immunizations;
+CREATE POLICY "Users can view own immunizations"
+  ON public.immunizations FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE INDEX IF NOT EXISTS idx_medical_conditions_user_status
+  ON public.medical_conditions(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_medical_conditions_upload_id
+  ON public.medical_conditions(upload_id);
+CREATE INDEX IF NOT EXISTS idx_medications_user_status
+  ON public.medications(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_medications_upload_id
+  ON public.medications(upload_id);
+CREATE INDEX IF NOT EXISTS idx_immunizations_user_date
+  ON public.immunizations(user_id, administered_on);
+CREATE INDEX IF NOT EXISTS idx_immunizations_upload_id
+  ON public.immunizations(upload_id);
@@ -0,0 +1,23 @@
+-- Review and correction of extracted upload data
+-- Migration: add_upload_review
+-- Created: 2025-11-28
+--
+-- Users can check what the model read from a file next to the file itself,
+-- correct or delete entries, and mark the upload verified. Extractions below
+-- the backend's confidence threshold start out `needs_review` and are kept
+-- out of chat context, search embeddings and lab_results until the user
+-- verifies them. Other uploads (including structured imports) are
+-- `not_required`.
+--
+-- original_extracted_data keeps the model's output from before the first
+-- correction.
+
+ALTER TABLE public.uploaded_file_data
+  ADD COLUMN IF NOT EXISTS review_status TEXT NOT NULL DEFAULT 'not_required'
+  CHECK (review_status IN ('not_required', 'needs_review', 'verified'));
+
+ALTER TABLE public.uploaded_file_data ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.uploaded_file_data ADD COLUMN IF NOT EXISTS original_extracted_data JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_uploaded_file_data_needs_review
+  ON public.uploaded_file_data(user_id) WHERE review_status = 'needs_review';
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+/**
+ * Test script to verify that the chat and upload APIs only act on the user
+ * identified by the Supabase access token, and that admin routes are refused
+ * to regular users.
+ *
+ * Usage:
+ *   node test-auth-isolation.js
+ *
+ * Requires the backend to be running and SUPABASE_URL, SUPABASE_ANON_KEY and
+ * SUPABASE_SERVICE_ROLE_KEY in backend/.env. Two throwaway users are created,
+ * used for cross-user access attempts, and deleted again at the end.
+ */
+
+const { createClient } = require('./backend/node_modules/@supabase/supabase-js');
+require('./backend/node_modules/dotenv').config({ path: './backend/.env' });
+
+const API_URL = process.env.API_URL || 'http://localhost:3000/api/v1';
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !supabaseAnonKey || !supabaseServiceKey) {
+  console.error('❌ Missing Supabase credentials');
+  console.error('Make sure SUPABASE_URL, SUPABASE_ANON_KEY and SUPABASE_SERVICE_ROLE_KEY are set in backend/.env');
+  process.exit(1);
+}
+
+const admin = createClient(supabaseUrl, supabaseServiceKey);
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition, details) {
+  if (condition) {
+    passed++;
+    console.log(`   ✅ ${description}`);
+  } else {
+    failed++;
+    console.log(`   ❌ ${description}`);
+    if (details !== undefined) {
+      console.log(`      ${JSON.stringify(details)}`);
+    }
+  }
+}
+
+async function api(method, path, token, body) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  const response = await fetch(`${API_URL}${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  let data = null;
+  try {
+    data = await response.json();
+  } catch (e) {
+    // Non-JSON response
+  }
+
+  return { status: response.status, data };
+}
+
+async function createTestUser(label) {
+  const email = `isolation-test-${label}-${Date.now()}@example.com`;
+  const password = `Test-${Math.random().toString(36).slice(2)}-Aa1!`;
+
+  const { data, error } = await admin.auth.admin.createUser({
+    email,
+    password,
+    email_confirm: true,
+  });
+  if (error) throw error;
+
+  const client = createClient(supabaseUrl, supabaseAnonKey);
+  const { data: session, error: signInError } = await client.auth.signInWithPassword({ email, password });
+  if (signInError) throw signInError;
+
+  return {
+    id: data.user.id,
+    email,
+    token: session.session.access_token,
+  };
+}
+
+async function runTests() {
+  console.log('🔐 Testing API User Isolation\n');
+  console.log(`API: ${API_URL}`);
+  console.log('='.repeat(80));
+
+  const users = [];
+
+  try {
+    const userA = await createTestUser('a');
+    const userB = await createTestUser('b');
+    users.push(userA, userB);
+    console.log(`\n👤 User A: ${userA.email} (${userA.id})`);
+    console.log(`👤 User B: ${userB.email} (${userB.id})\n`);
+
+    console.log('📡 Unauthenticated requests');
+    let res = await api('GET', '/chat/conversations');
+    check('GET /chat/conversations without token → 401', res.status === 401, res);
+    res = await api('GET', '/upload/files');
+    check('GET /upload/files without token → 401', res.status === 401, res);
+    res = await api('GET', '/chat/conversations', 'not-a-real-token');
+    check('GET /chat/conversations with invalid token → 401', res.status === 401, res);
+
+    console.log('\n📡 Admin routes require the admin role');
+    res = await api('GET', '/users', userA.token);
+    check('GET /users as a regular user → 403', res.status === 403, res);
+    res = await api('PUT', `/users/${userB.id}`, userA.token, { status: 'suspended' });
+    check('PUT /users/:id as a regular user → 403', res.status === 403, res);
+    res = await api('GET', '/admin/stats', userA.token);
+    check('GET /admin/stats as a regular user → 403', res.status === 403, res);
+
+    console.log('\n📡 User A creates a conversation');
+    res = await api('POST', '/chat/conversations', userA.token, { title: 'Isolation test' });
+    check('POST /chat/conversations → 200', res.status === 200 && res.data?.conversation?.id, res);
+    const conversationId = res.data?.conversation?.id;
+    check('Conversation is owned by user A', res.data?.conversation?.user_id === userA.id, res.data);
+
+    console.log('\n📡 User B tries to access user A\'s data');
+    res = await api('GET', `/chat/conversations/${conversationId}`, userB.token);
+    check('GET another user\'s conversation → 404', res.status === 404, res);
+    res = await api('PATCH', `/chat/conversations/${conversationId}`, userB.token, { title: 'Hijacked' });
+    check('PATCH another user\'s conversation → 404', res.status === 404, res);
+    res = await api('DELETE', `/chat/conversations/${conversationId}`, userB.token);
+    check('DELETE another user\'s conversation → 404', res.status === 404, res);
+    res = await api('POST', '/chat/message', userB.token, { conversationId, message: 'hello' });
+    check('POST /chat/message into another user\'s conversation → 404', res.status === 404 && !res.data?.success, res);
+    res = await api('GET', `/chat/conversations?userId=${userA.id}`, userB.token);
+    check('GET /chat/conversations?userId=<A> as B → 403', res.status === 403, res);
+    res = await api('POST', '/chat/conversations', userB.token, { userId: userA.id, title: 'Spoofed' });
+    check('POST /chat/conversations with body.userId=<A> as B → 403', res.status === 403, res);
+    res = await api('GET', `/upload/files?userId=${userA.id}`, userB.token);
+    check('GET /upload/files?userId=<A> as B → 403', res.status === 403, res);
+
+    res = await api('GET', '/chat/conversations', userB.token);
+    const leaked = (res.data?.conversations || []).some((c) => c.id === conversationId);
+    check('User B\'s conversation list does not include user A\'s conversation', res.status === 200 && !leaked, res);
+
+    console.log('\n📡 User A still has access');
+    res = await api('GET', `/chat/conversations/${conversationId}`, userA.token);
+    check('GET own conversation → 200', res.status === 200, res);
+    res = await api('GET', `/chat/conversations?userId=${userA.id}`, userA.token);
+    check('Matching userId parameter is accepted', res.status === 200, res);
+    res = await api('DELETE', `/chat/conversations/${conversationId}`, userA.token);
+    check('DELETE own conversation → 200', res.status === 200, res);
+  } catch (error) {
+    failed++;
+    console.error('\n❌ Test run aborted:', error.message || error);
+  } finally {
+    for (const user of users) {
+      await admin.auth.admin.deleteUser(user.id);
+    }
+  }
+
+  console.log('\n' + '='.repeat(80));
+  console.log(`${failed === 0 ? '✅' : '❌'} ${passed} passed, ${failed} failed`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * Test script for the chat date-expression parser: each phrasing is parsed
+ * at a fixed "now" and compared with the range it should mean, including
+ * phrasings that only look like dates and must not be read as one.
+ *
+ * Usage:
+ *   node test-date-expressions.js      (or `npm test` in backend/)
+ *
+ * Needs nothing but backend/node_modules; runs against the TypeScript sources.
+ */
+
+// Local time is UTC, so expected ranges can be written as ISO strings; the
+// time zone cases go through parseTimeReference with an explicit zone
+process.env.TZ = 'UTC';
+
+require('./backend/node_modules/ts-node').register({
+  project: `${__dirname}/backend/tsconfig.json`,
+  transpileOnly: true,
+});
+
+const { parseDateExpression } = require('./backend/src/utils/dateExpressionParser');
+const { parseTimeReference } = require('./backend/src/utils/queryAnalyzer');
+
+// A Wednesday
+const NOW = new Date('2025-10-15T12:00:00Z');
+
+let passed = 0;
+let failed = 0;
+
+function iso(date) {
+  return date.toISOString();
+}
+
+/**
+ * `expected` is [start, end] as ISO strings (end 'now' for ranges capped at
+ * `now`), or null when the text has no date in it
+ */
+function check(text, expected, now = NOW, parse = (value) => parseDateExpression(value, now)) {
+  const result = parse(text);
+  const actual = result ? [iso(result.startDate), iso(result.endDate)] : null;
+  const wanted = expected && [expected[0], expected[1] === 'now' ? iso(now) : expected[1]];
+
+  if (JSON.stringify(actual) === JSON.stringify(wanted)) {
+    passed++;
+    console.log(`   ✅ "${text}"${result ? ` → ${result.description}` : ' → no date'}`);
+  } else {
+    failed++;
+    console.log(`   ❌ "${text}"`);
+    console.log(`      expected ${JSON.stringify(wanted)}`);
+    console.log(`      got      ${JSON.stringify(actual)}${result ? ` (${result.description})` : ''}`);
+  }
+}
+
+const day = (date) => [`${date}T00:00:00.000Z`, `${date}T23:59:59.999Z`];
+const span = (start, end) => [`${start}T00:00:00.000Z`, end === 'now' ? 'now' : `${end}T23:59:59.999Z`];
+
+console.log('\n📅 Phrasings (now: Wednesday, October 15, 2025)');
+check('how did I sleep in March?', span('2025-03-01', '2025-03-31'));
+check('in December', span('2024-12-01', '2024-12-31'));
+check('steps in may', span('2025-05-01', '2025-05-31'));
+check('since January 5th', span('2025-01-05', 'now'));
+check('last Tuesday', day('2025-10-14'));
+check('on Monday', day('2025-10-13'));
+check('over the holidays', span('2024-12-20', '2025-01-02'));
+check('between 10/1 and 10/15', span('2025-10-01', 'now'));
+check('on 10/5', day('2025-10-05'));
+check('on 2025-09-30', day('2025-09-30'));
+check('March 3rd, 2024', day('2024-03-03'));
+check('May 5th', day('2025-05-05'));
+check('June 3-9', span('2025-06-03', '2025-06-09'));
+check('from March to May', span('2025-03-01', '2025-05-31'));
+check('between April and May', span('2025-04-01', '2025-05-31'));
+check('Dec 20 to Jan 5', span('2024-12-20', '2025-01-05'));
+check('year to date', span('2025-01-01', 'now'));
+check('Q2 2024', span('2024-04-01', '2024-06-30'));
+check('second quarter', span('2025-04-01', '2025-06-30'));
+check('in 2023', span('2023-01-01', '2023-12-31'));
+check('during 2019-2021', span('2019-01-01', '2021-12-31'));
+check('since 2020', span('2020-01-01', 'now'));
+check('3 days ago', day('2025-10-12'));
+check('last 2 weeks', span('2025-10-01', 'now'));
+check('this week', span('2025-10-13', 'now'));
+check('last week', span('2025-10-06', '2025-10-12'));
+check('last month', span('2025-09-01', '2025-09-30'));
+check('yesterday', day('2025-10-14'));
+
+console.log('\n🚫 Numbers and words that are not dates');
+check('between 1900 and 2000 calories', null);
+check('from 2000 to 2010 steps this week', span('2025-10-13', 'now'));
+check('I may 5 times', null);
+check('I may have walked 2000 steps', null);
+check('how many days did I hit 2000 steps', null);
+check('is 1950 to 2050 kcal enough?', null);
+check('in 2000 steps I was tired', null);
+check('from March to May last month', span('2025-09-01', '2025-09-30'));
+
+console.log('\n🗓️  Month ends and year boundaries');
+check('last month', span('2025-02-01', '2025-02-28'), new Date('2025-03-31T12:00:00Z'));
+check('1 month ago', span('2024-02-01', '2024-02-29'), new Date('2024-03-31T12:00:00Z'));
+check('this month', span('2025-01-01', 'now'), new Date('2025-01-03T09:00:00Z'));
+check('last week', span('2024-12-23', '2024-12-29'), new Date('2025-01-03T09:00:00Z'));
+check('last year', span('2024-01-01', '2024-12-31'), new Date('2025-01-03T09:00:00Z'));
+check('last quarter', span('2024-10-01', '2024-12-31'), new Date('2025-01-03T09:00:00Z'));
+check('in December', span('2024-12-01', '2024-12-31'), new Date('2025-01-03T09:00:00Z'));
+check('yesterday', day('2024-12-31'), new Date('2025-01-01T00:30:00Z'));
+check('Dec 30 - Jan 2', span('2024-12-30', '2025-01-02'), new Date('2025-01-03T09:00:00Z'));
+check('Feb 29, 2024', day('2024-02-29'));
+check('Feb 30', null);
+
+console.log('\n🌍 Time zones (days are the user\'s days)');
+// 03:00 UTC is still the evening of October 14 in Los Angeles (UTC-7)
+const laNow = new Date('2025-10-15T03:00:00Z');
+check('today', ['2025-10-14T07:00:00.000Z', 'now'], laNow, (text) => parseTimeReference(text, laNow, 'America/Los_Angeles'));
+check('yesterday', ['2025-10-13T07:00:00.000Z', '2025-10-14T06:59:59.999Z'], laNow, (text) => parseTimeReference(text, laNow, 'America/Los_Angeles'));
+// 20:00 UTC is already October 16 in Tokyo (UTC+9)
+const tokyoNow = new Date('2025-10-15T20:00:00Z');
+check('yesterday', ['2025-10-14T15:00:00.000Z', '2025-10-15T14:59:59.999Z'], tokyoNow, (text) => parseTimeReference(text, tokyoNow, 'Asia/Tokyo'));
+// New Year's Eve in UTC is already the new year in Tokyo
+const newYearNow = new Date('2024-12-31T18:00:00Z');
+check('this year', ['2024-12-31T15:00:00.000Z', 'now'], newYearNow, (text) => parseTimeReference(text, newYearNow, 'Asia/Tokyo'));
+check('last year', ['2023-12-31T15:00:00.000Z', '2024-12-31T14:59:59.999Z'], newYearNow, (text) => parseTimeReference(text, newYearNow, 'Asia/Tokyo'));
+
+console.log(`\n${failed === 0 ? '✅' : '❌'} ${passed} passed, ${failed} failed\n`);
+process.exit(failed === 0 ? 0 : 1);
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/**
+ * Test script for the chat and upload flows end to end with the fake LLM
+ * provider: a message through /chat/message and /chat/message/stream, and a
+ * text file through upload, extraction and the status endpoint. The fake's
+ * replies are deterministic, so the answers themselves are checked.
+ *
+ * Usage:
+ *   node test-fake-llm.js
+ *
+ * Requires the backend to be running with LLM_PROVIDER=fake (and no
+ * LLM_FAKE_FIXTURES) and SUPABASE_URL, SUPABASE_ANON_KEY and
+ * SUPABASE_SERVICE_ROLE_KEY in backend/.env. A throwaway user is created and
+ * deleted again at the end.
+ */
+
+const { createClient } = require('./backend/node_modules/@supabase/supabase-js');
+require('./backend/node_modules/dotenv').config({ path: './backend/.env' });
+
+const API_URL = process.env.API_URL || 'http://localhost:3000/api/v1';
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+// Extraction runs in the backend's upload worker
+const EXTRACTION_TIMEOUT_MS = 60 * 1000;
+const STATUS_POLL_INTERVAL_MS = 3000;
+
+if (!supabaseUrl || !supabaseAnonKey || !supabaseServiceKey) {
+  console.error('❌ Missing Supabase credentials');
+  console.error('Make sure SUPABASE_URL, SUPABASE_ANON_KEY and SUPABASE_SERVICE_ROLE_KEY are set in backend/.env');
+  process.exit(1);
+}
+
+const admin = createClient(supabaseUrl, supabaseServiceKey);
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition, details) {
+  if (condition) {
+    passed++;
+    console.log(`   ✅ ${description}`);
+  } else {
+    failed++;
+    console.log(`   ❌ ${description}`);
+    if (details !== undefined) {
+      console.log(`      ${JSON.stringify(details)}`);
+    }
+  }
+}
+
+async function api(method, path, token, body) {
+  const headers = { Authorization: `Bearer ${token}` };
+  if (body && !(body instanceof FormData)) {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  const response = await fetch(`${API_URL}${path}`, {
+    method,
+    headers,
+    body: body instanceof FormData ? body : body ? JSON.stringify(body) : undefined,
+  });
+
+  let data = null;
+  try {
+    data = await response.json();
+  } catch (e) {
+    // Non-JSON response
+  }
+
+  return { status: response.status, data };
+}
+
+/**
+ * POST a message to the streaming endpoint and collect its Server-Sent Events
+ */
+async function streamMessage(token, body) {
+  const response = await fetch(`${API_URL}/chat/message/stream`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const text = await response.text();
+
+  const events = text.split('\n\n').filter(Boolean).map((block) => {
+    const event = block.match(/^event: (.*)$/m)?.[1];
+    const data = block.match(/^data: (.*)$/m)?.[1];
+    return { event, data: data ? JSON.parse(data) : null };
+  });
+
+  return { status: response.status, contentType: response.headers.get('content-type'), events };
+}
+
+async function createTestUser() {
+  const email = `fake-llm-test-${Date.now()}@example.com`;
+  const password = `Test-${Math.random().toString(36).slice(2)}-Aa1!`;
+
+  const { data, error } = await admin.auth.admin.createUser({
+    email,
+    password,
+    email_confirm: true,
+  });
+  if (error) throw error;
+
+  const client = createClient(supabaseUrl, supabaseAnonKey);
+  const { data: session, error: signInError } = await client.auth.signInWithPassword({ email, password });
+  if (signInError) throw signInError;
+
+  return {
+    id: data.user.id,
+    email,
+    token: session.session.access_token,
+  };
+}
+
+async function waitForExtraction(token, fileId) {
+  const deadline = Date.now() + EXTRACTION_TIMEOUT_MS;
+  let res = null;
+
+  while (Date.now() < deadline) {
+    res = await api('GET', `/upload/files/${fileId}/status`, token);
+    if (res.data?.status === 'done' || res.data?.status === 'failed') {
+      return res;
+    }
+    await new Promise((resolve) => setTimeout(resolve, STATUS_POLL_INTERVAL_MS));
+  }
+  return res;
+}
+
+async function runTests() {
+  console.log('🤖 Testing chat and uploads with the fake LLM provider\n');
+  console.log(`API: ${API_URL}`);
+  console.log('='.repeat(80));
+
+  let user = null;
+
+  try {
+    user = await createTestUser();
+    console.log(`\n👤 User: ${user.email} (${user.id})\n`);
+
+    console.log('📡 POST /chat/message');
+    let res = await api('POST', '/chat/message', user.token, { message: 'How did I sleep this week?' });
+    check('Responds 200 with a conversation id', res.status === 200 && res.data?.success && res.data?.conversationId, res);
+    check(
+      'Reply comes from the fake provider and echoes the message',
+      /^This is a test reply\. You said: "How did I sleep this week\?"/.test(res.data?.message || ''),
+      res.data?.message
+    );
+    const conversationId = res.data?.conversationId;
+
+    console.log('\n📡 POST /chat/message/stream');
+    const stream = await streamMessage(user.token, { conversationId, message: 'And my steps?' });
+    const names = stream.events.map((e) => e.event);
+    const tokens = stream.events.filter((e) => e.event === 'token').map((e) => e.data.text);
+    const done = stream.events.find((e) => e.event === 'done');
+    check('Responds 200 as an event stream', stream.status === 200 && /text\/event-stream/.test(stream.contentType || ''), stream.status);
+    check('Starts with a start event for the same conversation', names[0] === 'start' && stream.events[0].data?.conversationId === conversationId, names);
+    check('Sends the reply as several token events', tokens.length > 1, tokens.length);
+    check('Ends with a done event and no error', names[names.length - 1] === 'done' && !names.includes('error'), names);
+    check('Done message is the tokens joined', done?.data?.message === tokens.join(''), done?.data);
+    check('Reply echoes the streamed message', (done?.data?.message || '').includes('You said: "And my steps?"'), done?.data?.message);
+
+    res = await api('GET', `/chat/conversations/${conversationId}`, user.token);
+    const messages = res.data?.conversation?.messages || [];
+    check('Both turns are saved to the conversation', messages.length === 4, messages.map((m) => m.role));
+
+    console.log('\n📡 POST /upload/file');
+    const form = new FormData();
+    form.append('file', new Blob(['Resting heart rate 58 bpm on 2025-10-01\n'], { type: 'text/plain' }), 'notes.txt');
+    res = await api('POST', '/upload/file', user.token, form);
+    check('Responds 202 with a queued file', res.status === 202 && res.data?.fileId, res);
+    const fileId = res.data?.fileId;
+
+    res = await waitForExtraction(user.token, fileId);
+    check('Extraction finishes', res?.data?.status === 'done', res);
+    check('Summary comes from the fake provider', /^Fake extraction/.test(res?.data?.summary || ''), res?.data?.summary);
+
+    res = await api('DELETE', `/upload/files/${fileId}`, user.token);
+    check('DELETE the uploaded file → 200', res.status === 200, res);
+  } catch (error) {
+    failed++;
+    console.error('\n❌ Test run aborted:', error.message || error);
+  } finally {
+    if (user) {
+      await admin.auth.admin.deleteUser(user.id);
+    }
+  }
+
+  console.log('\n' + '='.repeat(80));
+  console.log(`${failed === 0 ? '✅' : '❌'} ${passed} passed, ${failed} failed`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+runTests();